@@ -84,7 +84,7 @@ export default async function decorate(block) {
   let blockCount = 0;
 
   // Connect to worker SSE stream
-  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(finalSlug)}&query=${encodeURIComponent(finalQuery)}`;
+  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(finalSlug)}&query=${encodeURIComponent(finalQuery)}&protocol=1`;
 
   // eslint-disable-next-line no-console
   console.log('[cerebras-generated] Connecting to stream:', streamUrl);
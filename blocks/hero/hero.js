@@ -1,6 +1,6 @@
 /**
  * Hero Block
- * @version 1.1.0 - 2026-01-17 - aspect-wide wrapper class propagation
+ * @version 1.2.0 - 2026-10-19 - imageless heroes (generated without a usable image)
  *
  * The hero block is auto-generated by buildHeroBlock() in scripts.js from default content.
  * This decorator handles the case when hero is explicitly authored as a block.
@@ -47,6 +47,13 @@ export default function decorate(block) {
         cell.classList.add('hero-content');
       }
     });
+
+    // Generated heroes may have no image: drop the empty image cell
+    if (!block.querySelector('picture, img, video')) {
+      block.classList.add('no-image');
+      cells.filter((cell) => !cell.textContent.trim() && !cell.children.length)
+        .forEach((cell) => cell.remove());
+    }
   }
 
   // Remove any CTA buttons from hero
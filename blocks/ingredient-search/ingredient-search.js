@@ -13,8 +13,20 @@
  * | /api/ingredient-match                      |
  */
 
+import signedPost from '../../scripts/request-signing.js';
+
 const WORKER_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
 
+/**
+ * Create an element with plain-text content (recipe fields can be model-generated)
+ */
+function createTextElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  return el;
+}
+
 export default function decorate(block) {
   const rows = [...block.children];
   let headline = "What's in your kitchen?";
@@ -95,12 +107,10 @@ export default function decorate(block) {
 
     ingredients.add(normalized);
 
-    const tag = document.createElement('span');
-    tag.className = 'ingredient-tag';
-    tag.innerHTML = `
-      ${normalized}
-      <button class="tag-remove" data-ingredient="${normalized}">&times;</button>
-    `;
+    const tag = createTextElement('span', 'ingredient-tag', normalized);
+    const removeBtn = createTextElement('button', 'tag-remove', '×');
+    removeBtn.dataset.ingredient = normalized;
+    tag.append(removeBtn);
     tagsContainer.appendChild(tag);
 
     tag.querySelector('.tag-remove').addEventListener('click', () => {
@@ -183,6 +193,29 @@ export default function decorate(block) {
         </div>
       `;
       resultsSection.hidden = false;
+
+      // Recipe generation is opt-in and signed: it calls the content model
+      const generateBtn = resultsGrid.querySelector('.generate-recipe-btn');
+      generateBtn.addEventListener('click', async () => {
+        generateBtn.disabled = true;
+        generateBtn.textContent = 'Creating your recipe...';
+        try {
+          const response = await signedPost(WORKER_URL, apiEndpoint, {
+            ingredients: [...ingredients].join(', '),
+            generate: true,
+          });
+          if (!response.ok) throw new Error('Generation failed');
+          const data = await response.json();
+          if (data.recipes?.length) {
+            displayResults(data.recipes);
+          } else {
+            generateBtn.textContent = 'No recipe this time - try other ingredients';
+          }
+        } catch (error) {
+          generateBtn.disabled = false;
+          generateBtn.textContent = 'Try Again';
+        }
+      });
       return;
     }
 
@@ -190,31 +223,35 @@ export default function decorate(block) {
       const card = document.createElement('div');
       card.className = 'result-card';
 
-      // Build missing ingredients HTML
-      let missingHtml = '';
+      const body = createTextElement('div', 'result-card-body', '');
+      const header = createTextElement('div', 'result-card-header', '');
+      header.append(
+        createTextElement('h4', '', recipe.title),
+        createTextElement('span', 'match-badge', `${recipe.matchPercent || 100}%`),
+      );
+      body.append(header);
+
+      if (recipe.description) {
+        body.append(createTextElement('p', 'result-card-description', recipe.description));
+      }
+
+      const meta = createTextElement('div', 'result-card-meta', '');
+      meta.append(
+        createTextElement('span', 'difficulty', recipe.difficulty || 'Easy'),
+        createTextElement('span', 'time', recipe.time || '10 min'),
+      );
+      body.append(meta);
+
       if (recipe.missingIngredients && recipe.missingIngredients.length > 0) {
-        missingHtml = `
-          <div class="result-card-missing">
-            <span class="missing-label">You might need:</span>
-            ${recipe.missingIngredients.map((ing) => `<span class="missing-item">${ing}</span>`).join('')}
-          </div>
-        `;
+        const missing = createTextElement('div', 'result-card-missing', '');
+        missing.append(
+          createTextElement('span', 'missing-label', 'You might need:'),
+          ...recipe.missingIngredients.map((ing) => createTextElement('span', 'missing-item', ing)),
+        );
+        body.append(missing);
       }
 
-      card.innerHTML = `
-        <div class="result-card-body">
-          <div class="result-card-header">
-            <h4>${recipe.title}</h4>
-            <span class="match-badge">${recipe.matchPercent || 100}%</span>
-          </div>
-          ${recipe.description ? `<p class="result-card-description">${recipe.description}</p>` : ''}
-          <div class="result-card-meta">
-            <span class="difficulty">${recipe.difficulty || 'Easy'}</span>
-            <span class="time">${recipe.time || '10 min'}</span>
-          </div>
-          ${missingHtml}
-        </div>
-      `;
+      card.append(body);
       resultsGrid.appendChild(card);
     });
 
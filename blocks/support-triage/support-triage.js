@@ -2,8 +2,12 @@
  * Support Triage Block
  * Handles frustrated customers with empathy and clear resolution paths.
  * Prioritizes acknowledgment over sales.
+ * When the issue matches a guided troubleshooting flow, the yes/no diagnosis
+ * replaces the static troubleshooting steps.
  */
 
+import startDiagnosis from '../../scripts/support-diagnose.js';
+
 export default function decorate(block) {
   // Expected structure from AI:
   // Row 1: Issue type (e.g., "Container Wobble", "Motor Issue")
@@ -106,9 +110,15 @@ export default function decorate(block) {
 
   card.appendChild(actions);
 
+  // Guided diagnosis, filled in once a troubleshooting flow matches the issue
+  const diagnosis = document.createElement('div');
+  diagnosis.className = 'support-triage-diagnose';
+  card.appendChild(diagnosis);
+
   // Troubleshooting steps (if provided)
+  let troubleSection = null;
   if (troubleshooting) {
-    const troubleSection = document.createElement('div');
+    troubleSection = document.createElement('div');
     troubleSection.className = 'support-triage-troubleshoot';
 
     const troubleToggle = document.createElement('button');
@@ -140,4 +150,12 @@ export default function decorate(block) {
   card.appendChild(note);
 
   block.appendChild(card);
+
+  startDiagnosis(diagnosis, { query: [issueType, empathyMsg, resolution].join(' ') }).then((started) => {
+    if (!started) {
+      diagnosis.remove();
+      return;
+    }
+    troubleSection?.remove();
+  });
 }
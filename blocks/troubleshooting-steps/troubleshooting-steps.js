@@ -3,21 +3,27 @@
  *
  * Numbered step-by-step instructions with optional header and illustrations.
  * Matches Vitamix.com design: eyebrow + title header, clean numbered steps.
+ * Below the steps, a guided yes/no diagnosis runs for the problem when a
+ * troubleshooting flow matches it (the diagnose row, or the title).
  *
  * Content Model (DA Table):
  * | Troubleshooting Steps                                                |
  * |----------------------------------------------------------------------|
  * | eyebrow | STEP-BY-STEP GUIDE                                         |
  * | title   | Cleaning Your Vitamix                                      |
+ * | diagnose | wont-start (optional troubleshooting flow id)             |
  * | 1       | Unplug your Vitamix | Always disconnect power... | safety:.|
  * | 2       | Check for trapped ingredients | Remove the container...    |
  */
+import startDiagnosis from '../../scripts/support-diagnose.js';
+
 export default function decorate(block) {
   const rows = [...block.children];
   if (rows.length === 0) return;
 
   let eyebrow = '';
   let title = '';
+  let symptom = '';
   const steps = [];
 
   rows.forEach((row) => {
@@ -38,6 +44,11 @@ export default function decorate(block) {
       return;
     }
 
+    if (firstCell === 'diagnose' && secondCell) {
+      symptom = secondCell.toLowerCase();
+      return;
+    }
+
     // Table row format: | number | title | instructions | safety? |
     const numberText = cells[0]?.textContent?.trim() || '';
     const stepTitle = cells[1]?.textContent?.trim() || '';
@@ -93,4 +104,12 @@ export default function decorate(block) {
       ${stepsHTML}
     </div>
   `;
+
+  const diagnosis = document.createElement('div');
+  diagnosis.className = 'troubleshooting-diagnose';
+  block.appendChild(diagnosis);
+  const query = [eyebrow, title].join(' ').trim();
+  startDiagnosis(diagnosis, symptom ? { symptom } : { query }).then((started) => {
+    if (!started) diagnosis.remove();
+  });
 }
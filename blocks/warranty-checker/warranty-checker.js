@@ -0,0 +1,259 @@
+/**
+ * Warranty Checker Block
+ *
+ * Form that asks for the blender model, purchase date and whether it was
+ * bought new or Certified Reconditioned (plus the problem, optionally), then
+ * calls the recommender's /support/warranty endpoint for coverage status,
+ * expiry per part, what the warranty means for the problem, and a claim
+ * summary the customer can copy.
+ *
+ * Content Model (DA Table):
+ * | Warranty Checker                                             |
+ * |--------------------------------------------------------------|
+ * | eyebrow     | WARRANTY CHECK                                 |
+ * | title       | Check Your E310 Warranty                       |
+ * | description | See what's covered and get a claim summary     |
+ * | model       | E310 (optional, pre-fills the model)           |
+ * | issue       | The container is leaking (optional, pre-fills) |
+ */
+
+const WORKER_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
+
+const STATUS_LABELS = {
+  covered: 'Covered',
+  partial: 'Partly covered',
+  expired: 'Warranty ended',
+  unknown: 'Contact us to confirm',
+};
+
+const MISSING_LABELS = {
+  model: 'your model',
+  purchaseDate: 'the purchase date',
+  channel: 'whether you bought it new or Certified Reconditioned',
+};
+
+async function checkWarranty(payload) {
+  const response = await fetch(`${WORKER_URL}/support/warranty`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Warranty check failed: ${response.status}`);
+  return data;
+}
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+function formatDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+  });
+}
+
+function createField(label, control) {
+  const field = createElement('label', 'warranty-checker-field');
+  field.append(createElement('span', 'warranty-checker-label', label), control);
+  return field;
+}
+
+function setModelOptions(datalist, models) {
+  datalist.innerHTML = '';
+  models.forEach((model) => {
+    const option = document.createElement('option');
+    option.value = model;
+    datalist.appendChild(option);
+  });
+}
+
+function renderClaimSummary(summary) {
+  const wrapper = createElement('div', 'warranty-checker-claim');
+  wrapper.appendChild(createElement('h4', 'warranty-checker-claim-title', 'Your claim summary'));
+  const text = createElement('textarea', 'warranty-checker-claim-text');
+  text.readOnly = true;
+  text.rows = summary.split('\n').length;
+  text.value = summary;
+
+  const copy = createElement('button', 'warranty-checker-copy', 'Copy claim summary');
+  copy.type = 'button';
+  copy.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(summary);
+    } catch {
+      // Clipboard API unavailable (e.g. insecure context): leave it selected to copy by hand
+      text.select();
+      return;
+    }
+    copy.textContent = 'Copied';
+    setTimeout(() => { copy.textContent = 'Copy claim summary'; }, 2000);
+  });
+
+  wrapper.append(text, copy);
+  return wrapper;
+}
+
+function renderResult(result) {
+  const el = createElement('div', `warranty-checker-result ${result.status}`);
+  const badge = createElement('p', 'warranty-checker-status', STATUS_LABELS[result.status]);
+  el.appendChild(badge);
+
+  const name = result.model?.name || result.model?.seriesName;
+  if (result.status === 'unknown') {
+    el.appendChild(createElement('p', 'warranty-checker-detail', result.note));
+  } else {
+    const ends = formatDate(result.expires);
+    const headlines = {
+      covered: `Your ${name} is covered until ${ends}.`,
+      partial: `Your ${name} is partly covered, until ${ends}.`,
+      expired: `Your ${name}'s warranty ended on ${ends}.`,
+    };
+    el.appendChild(createElement('h3', 'warranty-checker-headline', headlines[result.status]));
+    el.appendChild(createElement('p', 'warranty-checker-terms', `Warranty: ${result.terms}`));
+    if (result.expiringSoon) {
+      el.appendChild(createElement('p', 'warranty-checker-warning', 'Part of your coverage ends within three months - start a claim soon if you need one.'));
+    }
+
+    const list = createElement('ul', 'warranty-checker-coverage');
+    result.coverage.forEach((part) => {
+      const item = createElement('li', part.active ? 'active' : 'ended');
+      item.append(
+        createElement('span', '', part.label),
+        createElement('span', '', `${part.active ? 'Until' : 'Ended'} ${formatDate(part.expires)}`),
+      );
+      list.appendChild(item);
+    });
+    el.appendChild(list);
+
+    if (result.issue) el.appendChild(createElement('p', 'warranty-checker-detail', result.issue.explanation));
+    if (result.note) el.appendChild(createElement('p', 'warranty-checker-detail', result.note));
+    if (result.claimSummary) el.appendChild(renderClaimSummary(result.claimSummary));
+  }
+
+  if (result.actions?.length) {
+    const actions = createElement('div', 'warranty-checker-actions');
+    result.actions.forEach((action, index) => {
+      const link = createElement('a', `warranty-checker-action ${index === 0 ? 'primary' : 'secondary'}`, action.label);
+      link.href = action.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      actions.appendChild(link);
+    });
+    el.appendChild(actions);
+  }
+  return el;
+}
+
+export default function decorate(block) {
+  const content = {};
+  [...block.children].forEach((row) => {
+    const cells = [...row.children];
+    const key = cells[0]?.textContent?.trim().toLowerCase();
+    const value = cells[1]?.textContent?.trim();
+    if (key && value) content[key] = value;
+  });
+
+  block.innerHTML = '';
+
+  const header = createElement('div', 'warranty-checker-header');
+  header.appendChild(createElement('p', 'warranty-checker-eyebrow', content.eyebrow || 'Warranty check'));
+  header.appendChild(createElement('h2', 'warranty-checker-title', content.title || 'Is your Vitamix covered?'));
+  if (content.description) header.appendChild(createElement('p', 'warranty-checker-description', content.description));
+  block.appendChild(header);
+
+  const form = createElement('form', 'warranty-checker-form');
+  form.noValidate = true;
+
+  const datalist = createElement('datalist');
+  datalist.id = `warranty-checker-models-${Math.random().toString(36).slice(2, 8)}`;
+  const model = createElement('input', 'warranty-checker-input');
+  model.name = 'model';
+  model.placeholder = 'e.g. Ascent X3, E310, 5200';
+  model.setAttribute('list', datalist.id);
+  model.value = content.model || '';
+
+  const date = createElement('input', 'warranty-checker-input');
+  date.type = 'date';
+  date.name = 'purchaseDate';
+  [date.max] = new Date().toISOString().split('T');
+
+  const channel = createElement('fieldset', 'warranty-checker-channel');
+  channel.appendChild(createElement('legend', 'warranty-checker-label', 'Purchased'));
+  [['new', 'New'], ['reconditioned', 'Certified Reconditioned']].forEach(([value, label]) => {
+    const option = createElement('label', 'warranty-checker-option');
+    const radio = createElement('input');
+    radio.type = 'radio';
+    radio.name = 'channel';
+    radio.value = value;
+    option.append(radio, createElement('span', '', label));
+    channel.appendChild(option);
+  });
+
+  const issue = createElement('textarea', 'warranty-checker-input');
+  issue.name = 'issue';
+  issue.rows = 2;
+  issue.placeholder = 'What is happening? (optional)';
+  issue.value = content.issue || '';
+
+  const submit = createElement('button', 'warranty-checker-submit', 'Check my coverage');
+  submit.type = 'submit';
+
+  form.append(
+    createField('Model', model),
+    datalist,
+    createField('Purchase date', date),
+    channel,
+    createField('Problem', issue),
+    submit,
+  );
+  block.appendChild(form);
+
+  const output = createElement('div', 'warranty-checker-output');
+  output.setAttribute('aria-live', 'polite');
+  block.appendChild(output);
+
+  // An empty check returns the model list to suggest
+  checkWarranty({})
+    .then((result) => setModelOptions(datalist, result.models || []))
+    .catch((error) => {
+      // eslint-disable-next-line no-console
+      console.warn('warranty-checker: could not load models', error);
+    });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+    const payload = {
+      model: data.get('model')?.trim() || undefined,
+      purchaseDate: data.get('purchaseDate') || undefined,
+      channel: data.get('channel') || undefined,
+      issue: data.get('issue')?.trim() || undefined,
+    };
+
+    submit.disabled = true;
+    output.innerHTML = '';
+    try {
+      const result = await checkWarranty(payload);
+      if (result.missing.length > 0) {
+        // A series alone narrows the model list to pick from
+        if (result.models) setModelOptions(datalist, result.models);
+        const needed = result.missing
+          .map((detail) => (detail === 'model' && payload.model ? 'a model from the list' : MISSING_LABELS[detail]))
+          .join(', ');
+        output.appendChild(createElement('p', 'warranty-checker-message', `Please add ${needed}.`));
+      } else {
+        output.appendChild(renderResult(result));
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('warranty-checker: check failed', error);
+      output.appendChild(createElement('p', 'warranty-checker-message', "We couldn't check your warranty right now. Vitamix Customer Service (1-800-848-2649) can help."));
+    } finally {
+      submit.disabled = false;
+    }
+  });
+}
@@ -5,6 +5,7 @@
 
 import { ProfileEngine, DEFAULT_PROFILE } from './lib/profile-engine.js';
 import { createSignal, getWeightLabel } from './lib/signals.js';
+import signedPost from './lib/request-signing.js';
 
 // POC site base URL
 const POC_BASE_URL = 'https://main--vitamix-gensite--paolomoz.aem.live';
@@ -41,6 +42,8 @@ let sessionStartTime = Date.now();
 
 // Chatbot state
 let chatbotConversation = [];
+// Worker-side record of the conversation (summarized state + recent turns)
+let chatbotConversationId = null;
 let chatbotOpen = false;
 
 /**
@@ -383,11 +386,7 @@ async function handleGeneratePageInternal(query, preset = 'all-cerebras', addToH
     }
 
     // Store context on worker and get short ID
-    const response = await fetch(`${WORKER_API_URL}/store-context`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(context),
-    });
+    const response = await signedPost(WORKER_API_URL, '/store-context', context);
 
     if (!response.ok) {
       throw new Error(`Worker returned ${response.status}`);
@@ -795,11 +794,7 @@ async function handleExecuteImprovement(improvement, pageUrl) {
 
     // Store context
     notifyExecutionProgress(pageUrl, 'Storing context...');
-    const storeResponse = await fetch(`${WORKER_API_URL}/store-context`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(context),
-    });
+    const storeResponse = await signedPost(WORKER_API_URL, '/store-context', context);
 
     if (!storeResponse.ok) {
       throw new Error('Failed to store context');
@@ -935,8 +930,9 @@ async function handleChatbotMessage(query, pageContext) {
       chatbotConversation = chatbotConversation.slice(-20);
     }
 
-    // Build conversation history for API
-    const conversationHistory = chatbotConversation.slice(0, -1).map(msg => ({
+    // The worker keeps the conversation under chatbotConversationId; recent
+    // history is only a fallback for when its record has expired
+    const conversationHistory = chatbotConversation.slice(-7, -1).map(msg => ({
       role: msg.role,
       content: msg.content,
     }));
@@ -952,6 +948,7 @@ async function handleChatbotMessage(query, pageContext) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           query,
+          conversationId: chatbotConversationId,
           conversationHistory,
           pageContext,
         }),
@@ -968,6 +965,7 @@ async function handleChatbotMessage(query, pageContext) {
     }
 
     const data = await response.json();
+    chatbotConversationId = data.conversationId || chatbotConversationId;
 
     // Add assistant response to conversation
     chatbotConversation.push({
@@ -975,6 +973,8 @@ async function handleChatbotMessage(query, pageContext) {
       content: data.quickAnswer,
       fullPageUrl: data.fullPageUrl || null,
       relatedTopics: data.relatedTopics || [],
+      citations: data.citations || [],
+      claimSummary: data.warranty?.claimSummary || null,
       timestamp: Date.now(),
     });
 
@@ -988,6 +988,8 @@ async function handleChatbotMessage(query, pageContext) {
       quickAnswer: data.quickAnswer,
       fullPageUrl: data.fullPageUrl,
       relatedTopics: data.relatedTopics,
+      citations: data.citations,
+      claimSummary: data.warranty?.claimSummary,
     };
   } catch (error) {
     console.error('[Background] Chatbot message error:', error);
@@ -1004,8 +1006,9 @@ async function handleChatbotMessage(query, pageContext) {
  */
 async function handleChatbotReset() {
   chatbotConversation = [];
+  chatbotConversationId = null;
   chatbotOpen = false;
-  await chrome.storage.local.remove(['chatbotConversation', 'chatbotOpen']);
+  await chrome.storage.local.remove(['chatbotConversation', 'chatbotConversationId', 'chatbotOpen']);
   notifyChatbotUpdate();
   return { success: true };
 }
@@ -1045,9 +1048,10 @@ async function handleChatbotStateSave(isOpen) {
  */
 async function handleChatbotStateLoad() {
   try {
-    const data = await chrome.storage.local.get(['chatbotOpen', 'chatbotConversation']);
+    const data = await chrome.storage.local.get(['chatbotOpen', 'chatbotConversation', 'chatbotConversationId']);
     chatbotOpen = data.chatbotOpen || false;
     chatbotConversation = data.chatbotConversation || [];
+    chatbotConversationId = data.chatbotConversationId || null;
     return { chatbotOpen };
   } catch (e) {
     console.error('[Background] Error loading chatbot state:', e);
@@ -1060,7 +1064,7 @@ async function handleChatbotStateLoad() {
  */
 async function saveChatbotConversation() {
   try {
-    await chrome.storage.local.set({ chatbotConversation });
+    await chrome.storage.local.set({ chatbotConversation, chatbotConversationId });
   } catch (e) {
     console.error('[Background] Error saving chatbot conversation:', e);
   }
@@ -939,6 +939,15 @@
     return null;
   }
 
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /**
    * Format markdown-style text to HTML for assistant messages
    */
@@ -1034,10 +1043,45 @@
     return result.join('');
   }
 
+  /**
+   * Manual, models, section and page of a cited source, linked to the PDF page
+   */
+  function formatCitation(citation) {
+    const models = citation.models && citation.models.length ? ` (${citation.models.join(', ')})` : '';
+    const page = citation.page ? `, p. ${citation.page}` : '';
+    const section = citation.section ? ` &middot; ${escapeHtml(citation.section)}` : '';
+    const label = `${escapeHtml(citation.manual + models)}${section}${page}`;
+    return citation.url
+      ? `<a href="${escapeHtml(citation.url)}" target="_blank" rel="noopener">${label}</a>`
+      : label;
+  }
+
+  /**
+   * Turn [n] markers in an answer into superscript links to the cited source
+   */
+  function linkCitationMarkers(html, citations) {
+    if (!citations || citations.length === 0) return html;
+    return html.replace(/\[(\d+)\]/g, (marker, n) => {
+      const citation = citations.find((c) => String(c.id) === n);
+      if (!citation) return marker;
+      const inner = citation.url
+        ? `<a href="${escapeHtml(citation.url)}" target="_blank" rel="noopener">[${n}]</a>`
+        : `[${n}]`;
+      return `<sup class="vitamix-chatbot-citation-marker">${inner}</sup>`;
+    });
+  }
+
   /**
    * Add a message to the UI
    */
-  function addMessageToUI(role, content, fullPageUrl = null, relatedTopics = null) {
+  function addMessageToUI(
+    role,
+    content,
+    fullPageUrl = null,
+    relatedTopics = null,
+    citations = null,
+    claimSummary = null,
+  ) {
     const messagesContainer = chatbotOverlay.querySelector('.vitamix-chatbot-messages');
 
     // Remove empty state if present
@@ -1050,6 +1094,21 @@
     const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
     let extraContent = '';
+    if (citations && citations.length > 0) {
+      extraContent += `
+        <ol class="vitamix-chatbot-citations">
+          ${citations.map((citation) => `<li value="${escapeHtml(String(citation.id))}">${formatCitation(citation)}</li>`).join('')}
+        </ol>
+      `;
+    }
+    if (claimSummary) {
+      extraContent += `
+        <div class="vitamix-chatbot-claim">
+          <pre class="vitamix-chatbot-claim-text">${escapeHtml(claimSummary)}</pre>
+          <button class="vitamix-chatbot-claim-copy" type="button">Copy claim summary</button>
+        </div>
+      `;
+    }
     if (fullPageUrl) {
       extraContent += `
         <a href="${fullPageUrl}" class="vitamix-chatbot-fullpage-link" target="_blank">
@@ -1067,7 +1126,9 @@
     }
 
     // Format assistant messages with markdown, escape user messages
-    const formattedContent = role === 'assistant' ? formatMarkdown(content) : escapeHtml(content);
+    const formattedContent = role === 'assistant'
+      ? linkCitationMarkers(formatMarkdown(content), citations)
+      : escapeHtml(content);
 
     messageEl.innerHTML = `
       <div class="vitamix-chatbot-message-bubble">${formattedContent}</div>
@@ -1084,6 +1145,19 @@
       });
     });
 
+    const copyButton = messageEl.querySelector('.vitamix-chatbot-claim-copy');
+    if (copyButton) {
+      copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(claimSummary).then(() => {
+          copyButton.textContent = 'Copied';
+          setTimeout(() => { copyButton.textContent = 'Copy claim summary'; }, 2000);
+        }).catch(() => {
+          // Clipboard blocked by the page: select the text to copy by hand
+          window.getSelection().selectAllChildren(messageEl.querySelector('.vitamix-chatbot-claim-text'));
+        });
+      });
+    }
+
     messagesContainer.appendChild(messageEl);
 
     // Scroll behavior: user messages scroll to bottom, assistant messages scroll to show the start
@@ -1099,7 +1173,10 @@
    * Add assistant message with optional extras
    */
   function addAssistantMessage(response) {
-    addMessageToUI('assistant', response.quickAnswer, response.fullPageUrl, response.relatedTopics);
+    const {
+      quickAnswer, fullPageUrl, relatedTopics, citations, claimSummary,
+    } = response;
+    addMessageToUI('assistant', quickAnswer, fullPageUrl, relatedTopics, citations, claimSummary);
   }
 
   /**
@@ -1148,15 +1225,6 @@
     setTimeout(() => errorEl.remove(), 5000);
   }
 
-  /**
-   * Escape HTML to prevent XSS
-   */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   /**
    * Save chatbot state to background
    */
@@ -1191,7 +1259,14 @@
           if (msg.role === 'user') {
             addMessageToUI('user', msg.content);
           } else {
-            addMessageToUI('assistant', msg.content, msg.fullPageUrl, msg.relatedTopics);
+            addMessageToUI(
+              'assistant',
+              msg.content,
+              msg.fullPageUrl,
+              msg.relatedTopics,
+              msg.citations,
+              msg.claimSummary,
+            );
           }
         });
       }
@@ -0,0 +1,167 @@
+/**
+ * Signed requests for the recommender's write endpoints
+ * (/api/persist, /store-context, /embed-support, /refine, /api/catalog/*,
+ * /api/cache/purge, and /api/ingredient-match when it generates a recipe).
+ *
+ * The one implementation of the signing scheme for every client:
+ * - Pages and blocks import it from here.
+ * - The extension loads an identical copy, extension/lib/request-signing.js
+ *   (extensions can't import outside their folder; `npm run sync:extension`
+ *   refreshes it and `npm run lint` fails when the copies differ).
+ * - Node tools (tools/upload-support-content.js, tools/catalog-diff.js,
+ *   tools/page-lifecycle-report.js) sign with REQUEST_SIGNING_SECRET itself
+ *   via secretSignedPost().
+ *
+ * Browsers get a session token and its signing key from /api/auth/token. The
+ * token is kept in sessionStorage where there is one (pages), otherwise in
+ * memory (the extension's service worker). Each request body is signed with
+ * HMAC-SHA256 over `${timestamp}.${method}.${path}.${body}`.
+ */
+
+const TOKEN_STORAGE_KEY = 'recommender-request-token';
+// Refresh tokens a minute before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Rate-limited secret-signed requests are retried this often before giving up
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Used where sessionStorage is unavailable
+let memoryToken = null;
+
+function toBase64Url(buffer) {
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function hmac(key, message) {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(key),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  return toBase64Url(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+}
+
+/**
+ * Signature headers for a POST of `body` to `path`
+ * @param {string} key - Token signing key, or the shared secret (tools)
+ * @param {string} path - Endpoint path, e.g. '/api/persist'
+ * @param {string} body - Exact request body
+ * @returns {Promise<Object>} X-Signature and X-Signature-Timestamp headers
+ */
+export async function signRequest(key, path, body) {
+  const timestamp = String(Date.now());
+  return {
+    'X-Signature': await hmac(key, `${timestamp}.POST.${path}.${body}`),
+    'X-Signature-Timestamp': timestamp,
+  };
+}
+
+function readStoredToken(workerUrl) {
+  let stored = memoryToken;
+  try {
+    stored = JSON.parse(sessionStorage.getItem(TOKEN_STORAGE_KEY)) || memoryToken;
+  } catch (e) {
+    // No sessionStorage (service worker) or corrupt - use the in-memory token
+  }
+  if (stored?.workerUrl === workerUrl
+    && stored.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return stored;
+  }
+  return null;
+}
+
+async function getRequestToken(workerUrl, forceRefresh = false) {
+  const stored = forceRefresh ? null : readStoredToken(workerUrl);
+  if (stored) return stored;
+
+  const response = await fetch(`${workerUrl}/api/auth/token`, { method: 'POST' });
+  if (!response.ok) {
+    const { message } = await response.json().catch(() => ({}));
+    throw new Error(message || `Token request failed (${response.status})`);
+  }
+
+  const token = { ...(await response.json()), workerUrl };
+  memoryToken = token;
+  try {
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(token));
+  } catch (e) {
+    // Kept in memory only - a new token is fetched once it is gone
+  }
+  return token;
+}
+
+async function sendSigned(workerUrl, path, body, forceRefresh) {
+  const { token, signingKey } = await getRequestToken(workerUrl, forceRefresh);
+
+  return fetch(`${workerUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...(await signRequest(signingKey, path, body)),
+    },
+    body,
+  });
+}
+
+/**
+ * POST a JSON body to a signed recommender endpoint.
+ * Retries once with a fresh token when the stored one was rejected.
+ * @param {string} workerUrl - Recommender worker base URL
+ * @param {string} path - Endpoint path, e.g. '/api/persist'
+ * @param {object} payload - JSON body
+ * @returns {Promise<Response>}
+ */
+export default async function signedPost(workerUrl, path, payload) {
+  const body = JSON.stringify(payload);
+  const response = await sendSigned(workerUrl, path, body, false);
+  if (response.status !== 401) return response;
+
+  const { error } = await response.clone().json().catch(() => ({}));
+  if (error === 'token_expired' || error === 'invalid_token') {
+    return sendSigned(workerUrl, path, body, true);
+  }
+  return response;
+}
+
+/**
+ * POST a JSON body signed with the shared secret (trusted tools, no token),
+ * waiting out rate limits (429 + Retry-After) up to MAX_RATE_LIMIT_RETRIES times
+ * @param {string} url - Full endpoint URL
+ * @param {object} payload - JSON body
+ * @param {string} secret - REQUEST_SIGNING_SECRET
+ * @param {Function} [onRateLimited] - Called with the wait in seconds before each retry
+ * @returns {Promise<Response>}
+ * @throws {Error} When still rate limited after the last retry
+ */
+export async function secretSignedPost(url, payload, secret, onRateLimited) {
+  const body = JSON.stringify(payload);
+
+  for (let retries = 0; ; retries += 1) {
+    // Signed per attempt: the timestamp has to be fresh
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // eslint-disable-next-line no-await-in-loop
+        ...(await signRequest(secret, new URL(url).pathname, body)),
+      },
+      body,
+    });
+
+    if (response.status !== 429) return response;
+    if (retries === MAX_RATE_LIMIT_RETRIES) {
+      throw new Error(`Rate limited after ${MAX_RATE_LIMIT_RETRIES} retries: ${url}`);
+    }
+
+    const retryAfter = parseInt(response.headers.get('Retry-After') || '60', 10);
+    onRateLimited?.(retryAfter);
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((r) => { setTimeout(r, retryAfter * 1000); });
+  }
+}
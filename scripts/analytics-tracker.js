@@ -2,16 +2,57 @@
  * Analytics Tracker
  *
  * Client-side analytics tracking for Vitamix POC.
- * Tracks sessions, queries, page publications, and CTA conversions.
+ * Tracks sessions, queries, page publications, page views, and CTA conversions,
+ * plus per-block engagement: impressions, dwell time and clicks on decorated
+ * blocks, follow-up clicks, and generation errors.
  */
 
 const ANALYTICS_SESSION_KEY = 'vitamix-analytics-session';
+// Persists across sessions so returning visitors can be grouped into cohorts
+const ANALYTICS_VISITOR_KEY = 'vitamix-analytics-visitor';
+
+// A block counts as seen once half of it is in the viewport
+const IMPRESSION_THRESHOLD = 0.5;
+// Shorter dwell is scrolling past, not reading
+const MIN_DWELL_MS = 1000;
+// Blocks whose links and buttons ask the next question
+const FOLLOW_UP_BLOCKS = ['follow-up', 'follow-up-advisor'];
+
+/**
+ * Get the visitor id shared by all of this browser's sessions
+ * @returns {{ visitorId: string, firstSeen: number } | null}
+ */
+function getOrCreateVisitor() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ANALYTICS_VISITOR_KEY));
+    if (stored?.visitorId) return stored;
+
+    const visitor = { visitorId: crypto.randomUUID(), firstSeen: Date.now() };
+    localStorage.setItem(ANALYTICS_VISITOR_KEY, JSON.stringify(visitor));
+    return visitor;
+  } catch (e) {
+    // Storage unavailable - the session is tracked without a visitor
+    return null;
+  }
+}
+
+/**
+ * Add a block's current in-view stretch to its dwell total
+ */
+function pauseBlockDwell(state) {
+  if (state.visibleSince) {
+    state.dwellMs += Date.now() - state.visibleSince;
+    state.visibleSince = null;
+  }
+}
 
 /**
  * @typedef {Object} TrackingEvent
  * @property {string} sessionId - Unique session identifier
  * @property {number} timestamp - Event timestamp
- * @property {'session_start' | 'query' | 'page_published' | 'conversion'} eventType
+ * @property {'session_start' | 'query' | 'page_published' | 'page_view' | 'conversion'
+ *   | 'block_impression' | 'block_dwell' | 'block_click' | 'follow_up_click'
+ *   | 'generation_error'} eventType
  * @property {Object} data - Event-specific data
  */
 
@@ -35,6 +76,9 @@ export class AnalyticsTracker {
     this.eventQueue = [];
     this.flushTimeout = null;
     this.initialized = false;
+    /** @type {Map<Element, {blockType: string, inView: boolean, impressed: boolean,
+     *   visibleSince: number | null, dwellMs: number}>} */
+    this.blockStates = new Map();
   }
 
   /**
@@ -52,12 +96,14 @@ export class AnalyticsTracker {
 
     this.session = this.getOrCreateSession();
     this.setupEventListeners();
+    this.setupBlockTracking();
     this.initialized = true;
 
     // Track session start if this is a new session
     if (this.session.isNew) {
       this.trackSessionStart();
     }
+    this.trackPageView();
 
     console.log('[Analytics] Initialized with session:', this.session.sessionId);
   }
@@ -133,14 +179,138 @@ export class AnalyticsTracker {
 
     // Send queued events on page unload
     window.addEventListener('beforeunload', () => {
+      this.trackBlockDwell();
       this.flush(true);
     });
 
     // Also flush on visibility change (mobile)
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'hidden') {
+        this.trackBlockDwell();
         this.flush(true);
+      } else {
+        this.resumeBlockDwell();
+      }
+    });
+  }
+
+  /**
+   * Observe decorated blocks for impressions and dwell time, and block
+   * links/buttons for clicks. Blocks are decorated after init (and streamed
+   * in on generated pages), so new ones are picked up as they finish loading.
+   */
+  setupBlockTracking() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => this.handleBlockVisibility(entry));
+    }, { threshold: IMPRESSION_THRESHOLD });
+
+    const observeBlock = (block) => {
+      if (this.blockStates.has(block) || !block.dataset.blockName) return;
+      this.blockStates.set(block, {
+        blockType: block.dataset.blockName,
+        inView: false,
+        impressed: false,
+        visibleSince: null,
+        dwellMs: 0,
+      });
+      observer.observe(block);
+    };
+
+    document.querySelectorAll('[data-block-status="loaded"]').forEach(observeBlock);
+    new MutationObserver((mutations) => {
+      mutations.forEach(({ target }) => {
+        if (target.dataset?.blockStatus === 'loaded') observeBlock(target);
+      });
+    }).observe(document.body, {
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-block-status'],
+    });
+
+    // Capture phase, so clicks count even when a block stops propagation
+    document.addEventListener('click', (e) => this.handleBlockClick(e), true);
+  }
+
+  /**
+   * @param {IntersectionObserverEntry} entry
+   */
+  handleBlockVisibility(entry) {
+    const state = this.blockStates.get(entry.target);
+    if (!state) return;
+
+    state.inView = entry.isIntersecting;
+    if (!entry.isIntersecting) {
+      pauseBlockDwell(state);
+      return;
+    }
+
+    if (document.visibilityState === 'visible') state.visibleSince = Date.now();
+    if (!state.impressed) {
+      state.impressed = true;
+      this.queueBlockEvent('block_impression', entry.target);
+    }
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  handleBlockClick(e) {
+    const control = e.target.closest?.('a, button');
+    const block = control?.closest('[data-block-name]');
+    if (!block) return;
+
+    const eventType = FOLLOW_UP_BLOCKS.includes(block.dataset.blockName)
+      ? 'follow_up_click'
+      : 'block_click';
+    this.queueBlockEvent(eventType, block, {
+      ctaText: control.textContent?.trim().slice(0, 100) || '',
+      ctaUrl: control.href || '',
+    });
+  }
+
+  /**
+   * Restart dwell timers for blocks still in view when the tab is shown again
+   */
+  resumeBlockDwell() {
+    this.blockStates.forEach((state) => {
+      if (state.inView && !state.visibleSince) state.visibleSince = Date.now();
+    });
+  }
+
+  /**
+   * Queue dwell time accumulated since the last report (page hidden or unloading)
+   */
+  trackBlockDwell() {
+    this.blockStates.forEach((state, block) => {
+      pauseBlockDwell(state);
+      if (state.dwellMs >= MIN_DWELL_MS) {
+        this.queueBlockEvent('block_dwell', block, { dwellMs: Math.round(state.dwellMs) });
       }
+      state.dwellMs = 0;
+    });
+  }
+
+  /**
+   * Queue a block-level event
+   * @param {string} eventType
+   * @param {Element} block - Decorated block element
+   * @param {Object} [data] - Extra event data
+   */
+  queueBlockEvent(eventType, block, data = {}) {
+    if (!this.session) return;
+
+    this.queueEvent({
+      sessionId: this.session.sessionId,
+      timestamp: Date.now(),
+      eventType,
+      data: {
+        blockType: block.dataset.blockName,
+        blockIndex: [...document.querySelectorAll('main [data-block-name]')].indexOf(block),
+        path: window.location.pathname,
+        ...data,
+      },
     });
   }
 
@@ -148,6 +318,7 @@ export class AnalyticsTracker {
    * Track session start event
    */
   trackSessionStart() {
+    const visitor = getOrCreateVisitor();
     this.queueEvent({
       sessionId: this.session.sessionId,
       timestamp: this.session.startTime,
@@ -156,6 +327,24 @@ export class AnalyticsTracker {
         referrer: document.referrer || '',
         userAgent: navigator.userAgent,
         url: window.location.href,
+        visitorId: visitor?.visitorId,
+        visitorFirstSeen: visitor?.firstSeen,
+      },
+    });
+  }
+
+  /**
+   * Track a view of the current page (per-path traffic decides which
+   * published pages are kept)
+   */
+  trackPageView() {
+    this.queueEvent({
+      sessionId: this.session.sessionId,
+      timestamp: Date.now(),
+      eventType: 'page_view',
+      data: {
+        path: window.location.pathname,
+        url: window.location.href,
       },
     });
   }
@@ -166,6 +355,7 @@ export class AnalyticsTracker {
    * @param {string} queryData.query - The user's query text
    * @param {string} [queryData.intent] - Query intent classification
    * @param {string} [queryData.journeyStage] - User's journey stage
+   * @param {string} [queryData.preset] - Model preset that generated the page
    */
   trackQuery(queryData) {
     if (!this.initialized || !this.session) return;
@@ -183,6 +373,7 @@ export class AnalyticsTracker {
         query: queryData.query || '',
         intent: queryData.intent || '',
         journeyStage: queryData.journeyStage || '',
+        preset: queryData.preset || '',
         consecutiveQueryNumber: this.session.queryCount,
       },
     });
@@ -215,6 +406,29 @@ export class AnalyticsTracker {
     console.log('[Analytics] Tracked page published:', url);
   }
 
+  /**
+   * Track a failed generation (error event or lost connection)
+   * @param {Object} error
+   * @param {string} [error.query] - Query being generated
+   * @param {string} [error.code] - Error code from the worker, or 'connection_failed'
+   * @param {string} [error.message] - Error message
+   */
+  trackGenerationError({ query, code, message }) {
+    if (!this.initialized || !this.session) return;
+
+    this.queueEvent({
+      sessionId: this.session.sessionId,
+      timestamp: Date.now(),
+      eventType: 'generation_error',
+      data: {
+        query: query || this.session.lastQuery,
+        errorCode: code || 'unknown',
+        errorMessage: (message || '').slice(0, 200),
+        path: window.location.pathname,
+      },
+    });
+  }
+
   /**
    * Track a CTA conversion (click to vitamix.com)
    * @param {string} ctaUrl - The URL clicked
@@ -13,6 +13,7 @@ import {
   loadCSS,
 } from './aem.js';
 import { SessionContextManager } from './session-context.js';
+import signedPost from './request-signing.js';
 
 // Cerebras worker URL
 const CEREBRAS_WORKER_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
@@ -154,7 +155,7 @@ async function renderCerebrasPage() {
   const contextParam = SessionContextManager.buildEncodedContextParam();
 
   // Connect to SSE stream with session context
-  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(slug)}&query=${encodeURIComponent(query)}&ctx=${contextParam}`;
+  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(slug)}&query=${encodeURIComponent(query)}&ctx=${contextParam}&protocol=1`;
   const eventSource = new EventSource(streamUrl);
 
   console.log(`[Cerebras] Starting SSE stream for: ${query}`);
@@ -514,7 +515,7 @@ function startGeneration(query) {
   // Start SSE stream immediately (don't navigate yet)
   const slug = generateSlug(query);
   const contextParam = SessionContextManager.buildEncodedContextParam();
-  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(slug)}&query=${encodeURIComponent(query)}&ctx=${contextParam}`;
+  const streamUrl = `${CEREBRAS_WORKER_URL}/api/stream?slug=${encodeURIComponent(slug)}&query=${encodeURIComponent(query)}&ctx=${contextParam}&protocol=1`;
   const eventSource = new EventSource(streamUrl);
 
   let firstBlockReceived = false;
@@ -707,10 +708,8 @@ async function publishToDA() {
     });
 
     // Call worker API to persist (worker will classify and generate path)
-    const response = await fetch(`${CEREBRAS_WORKER_URL}/api/persist`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query, blocks: blocksToPublish }),
+    const response = await signedPost(CEREBRAS_WORKER_URL, '/api/persist', {
+      query, blocks: blocksToPublish,
     });
 
     const result = await response.json();
@@ -4,7 +4,7 @@
  * This module initializes non-critical features like analytics tracking.
  */
 
-import { AnalyticsTracker } from './analytics-tracker.js';
+import { getAnalyticsTracker } from './analytics-tracker.js';
 
 // Analytics worker URL
 const ANALYTICS_ENDPOINT = 'https://vitamix-gensite-analytics.paolo-moz.workers.dev';
@@ -14,7 +14,8 @@ const ANALYTICS_ENDPOINT = 'https://vitamix-gensite-analytics.paolo-moz.workers.
  */
 function initAnalytics() {
   try {
-    const tracker = new AnalyticsTracker({
+    // Same instance scripts.js initialized - a second tracker would double-count events
+    const tracker = getAnalyticsTracker({
       endpoint: ANALYTICS_ENDPOINT,
     });
 
@@ -14,6 +14,8 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import signedPost from './request-signing.js';
+import { refinePage } from './stream-renderer.js';
 
 /**
  * Parses `document.cookie` into key-value map.
@@ -96,15 +98,13 @@ const VITAMIX_RECOMMENDER_URL = 'https://vitamix-gensite-recommender.paolo-moz.w
 /**
  * Persist generated page to DA
  */
-async function persistToDA(query, blocks, intent) {
+async function persistToDA(query, blocks, intent, preset, slug) {
   try {
     // eslint-disable-next-line no-console
     console.log('[Recommender] Persisting page to DA...');
 
-    const response = await fetch(`${VITAMIX_RECOMMENDER_URL}/api/persist`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query, blocks, intent }),
+    const response = await signedPost(VITAMIX_RECOMMENDER_URL, '/api/persist', {
+      query, blocks, intent, preset, slug,
     });
 
     const result = await response.json();
@@ -486,6 +486,7 @@ async function renderGenerativePage() {
   eventSource.addEventListener('error', (e) => {
     if (e.data) {
       const data = JSON.parse(e.data);
+      analyticsTracker.trackGenerationError({ query, code: data.code, message: data.message });
       loadingState.innerHTML = `
         <h1>Something went wrong</h1>
         <p style="color: #c00;">${data.message}</p>
@@ -498,6 +499,7 @@ async function renderGenerativePage() {
   eventSource.onerror = () => {
     if (eventSource.readyState === EventSource.CLOSED) {
       if (blockCount === 0) {
+        analyticsTracker.trackGenerationError({ query, code: 'connection_failed' });
         statusEl.textContent = 'Connection failed. Please try again.';
       }
     }
@@ -765,6 +767,7 @@ async function renderFastGenerativePage() {
   eventSource.addEventListener('error', (e) => {
     if (e.data) {
       const data = JSON.parse(e.data);
+      analyticsTracker.trackGenerationError({ query, code: data.code, message: data.message });
       loadingState.innerHTML = `
         <h1>Something went wrong</h1>
         <p style="color: #c00;">${data.message}</p>
@@ -777,12 +780,61 @@ async function renderFastGenerativePage() {
   eventSource.onerror = () => {
     if (eventSource.readyState === EventSource.CLOSED) {
       if (blockCount === 0) {
+        analyticsTracker.trackGenerationError({ query, code: 'connection_failed' });
         statusEl.textContent = 'Connection failed. Please try again.';
       }
     }
   };
 }
 
+/**
+ * Add a "refine this page" form below a generated page. The worker streams
+ * block edits for the page's stored snapshot (by slug), applied in place.
+ * @param {Element} content Element holding the generated sections
+ * @param {string} slug Page slug the generation was streamed with
+ * @param {string} preset Model preset
+ */
+function addRefineForm(content, slug, preset) {
+  const refineSection = document.createElement('div');
+  refineSection.className = 'section refine-page-section';
+  refineSection.innerHTML = `
+    <form class="refine-page-container">
+      <label for="refine-instruction">Want to change something?</label>
+      <div class="refine-page-row">
+        <input id="refine-instruction" name="instruction" type="text" maxlength="300" required
+          placeholder="e.g. Focus on soups and skip the comparison">
+        <button class="button refine-page-btn" type="submit">Refine</button>
+      </div>
+      <p class="refine-status" aria-live="polite"></p>
+    </form>
+  `;
+  // Outside `content`: refine events index the generated sections only
+  content.after(refineSection);
+
+  const form = refineSection.querySelector('form');
+  const button = form.querySelector('.refine-page-btn');
+  const status = form.querySelector('.refine-status');
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const instruction = form.elements.instruction.value.trim();
+    if (!instruction) return;
+
+    button.disabled = true;
+    status.textContent = 'Refining your page...';
+    try {
+      const body = { instruction, slug, preset };
+      const result = await refinePage(VITAMIX_RECOMMENDER_URL, body, content);
+      status.textContent = result?.summary || 'Your page is up to date.';
+      form.reset();
+    } catch (error) {
+      status.textContent = error.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
 /**
  * Render a Vitamix Recommender page from ?q= or ?ctx= parameter
  * Uses the vitamix-recommender worker with Claude Opus reasoning
@@ -863,14 +915,15 @@ async function renderVitamixRecommenderPage() {
     // Full context mode: pass context ID to worker (it will fetch from KV)
     // If explicit query provided via q=, pass it to override context.query
     const queryParam = query ? `&q=${encodeURIComponent(query)}` : '';
-    streamUrl = `${VITAMIX_RECOMMENDER_URL}/generate?ctx=${encodeURIComponent(ctxId)}&slug=${encodeURIComponent(slug)}&preset=${encodeURIComponent(preset)}${queryParam}`;
+    streamUrl = `${VITAMIX_RECOMMENDER_URL}/api/v1/stream?ctx=${encodeURIComponent(ctxId)}&slug=${encodeURIComponent(slug)}&preset=${encodeURIComponent(preset)}${queryParam}`;
   } else {
     // Query mode: pass query with optional session context
     const contextParam = SessionContextManager.buildEncodedContextParam();
-    streamUrl = `${VITAMIX_RECOMMENDER_URL}/generate?q=${encodeURIComponent(query)}&slug=${encodeURIComponent(slug)}&preset=${encodeURIComponent(preset)}&ctx=${contextParam}`;
+    streamUrl = `${VITAMIX_RECOMMENDER_URL}/api/v1/stream?q=${encodeURIComponent(query)}&slug=${encodeURIComponent(slug)}&preset=${encodeURIComponent(preset)}&ctx=${contextParam}`;
   }
   const eventSource = new EventSource(streamUrl);
   let blockCount = 0;
+  let generationComplete = false;
   const generatedBlocks = [];
   const startTime = Date.now();
 
@@ -892,6 +945,15 @@ async function renderVitamixRecommenderPage() {
     console.log('[Recommender] Reasoning complete:', reasoningCompleteData);
   });
 
+  // Sent once per run: a second one after a reconnect means the worker took over
+  // a generation that never reached a checkpoint and starts over
+  eventSource.addEventListener('generation-start', () => {
+    if (blockCount === 0) return;
+    blockCount = 0;
+    generatedBlocks.length = 0;
+    content.innerHTML = '';
+  });
+
   eventSource.addEventListener('block-content', async (e) => {
     const data = JSON.parse(e.data);
     const isFirstBlock = blockCount === 0;
@@ -1106,6 +1168,7 @@ async function renderVitamixRecommenderPage() {
   });
 
   eventSource.addEventListener('generation-complete', (e) => {
+    generationComplete = true;
     // Don't close immediately - wait for suggestion-enhancement event
     // Close after timeout if enhancement doesn't arrive
     const closeTimeout = setTimeout(() => {
@@ -1162,6 +1225,7 @@ async function renderVitamixRecommenderPage() {
         query: effectiveQuery,
         intent: data.intent?.intentType || 'general',
         journeyStage: data.reasoning?.journeyStage || 'exploring',
+        preset,
         source: isFullContextMode ? 'extension' : 'direct',
       });
     } catch (err) {
@@ -1202,15 +1266,21 @@ async function renderVitamixRecommenderPage() {
       console.warn('[Recommender] Extension data setup failed:', err.message);
     }
 
-    // Auto-persist to DA
-    if (generatedBlocks.length > 0) {
-      persistToDA(effectiveQuery, generatedBlocks, data.intent);
+    // Auto-persist to DA (not the canned page served for screened-out queries)
+    if (generatedBlocks.length > 0 && !data.safety) {
+      persistToDA(effectiveQuery, generatedBlocks, data.intent, preset, slug);
+      addRefineForm(content, slug, preset);
     }
   });
 
+  // A dropped connection is left to EventSource: it reconnects with Last-Event-ID
+  // and the worker resumes after that event. Server errors and drops after
+  // generation-complete (the worker closes the stream) end it.
   eventSource.addEventListener('error', (e) => {
+    if (!e.data && !generationComplete) return;
     if (e.data) {
       const data = JSON.parse(e.data);
+      analyticsTracker.trackGenerationError({ query, code: data.code, message: data.message });
       if (heroSkeleton) {
         heroSkeleton.innerHTML = `
           <div class="generation-error">
@@ -1226,14 +1296,17 @@ async function renderVitamixRecommenderPage() {
 
   eventSource.onerror = () => {
     if (eventSource.readyState === EventSource.CLOSED) {
-      if (blockCount === 0 && heroSkeleton) {
-        heroSkeleton.innerHTML = `
-          <div class="generation-error">
-            <h1>Connection Failed</h1>
-            <p>Please try again.</p>
-            <p><a href="/">Return to homepage</a></p>
-          </div>
-        `;
+      if (blockCount === 0) {
+        analyticsTracker.trackGenerationError({ query, code: 'connection_failed' });
+        if (heroSkeleton) {
+          heroSkeleton.innerHTML = `
+            <div class="generation-error">
+              <h1>Connection Failed</h1>
+              <p>Please try again.</p>
+              <p><a href="/">Return to homepage</a></p>
+            </div>
+          `;
+        }
       }
     }
   };
@@ -11,6 +11,7 @@ import {
   decorateButtons,
   decorateIcons,
 } from './aem.js';
+import signedPost from './request-signing.js';
 
 /**
  * State management for generation
@@ -455,6 +456,136 @@ function handleConnectionError(streamUrl, state, container, eventSource) {
   }
 }
 
+/**
+ * Build a decorated section for a streamed block (same structure as the
+ * sections created while the page was generated)
+ */
+function buildBlockSection(html, sectionStyle) {
+  const section = document.createElement('div');
+  section.className = 'section';
+  if (sectionStyle && sectionStyle !== 'default') {
+    section.classList.add(sectionStyle);
+  }
+  section.dataset.sectionStatus = 'initialized';
+  section.innerHTML = html;
+
+  // Wrap block in a wrapper div (EDS pattern)
+  const blockEl = section.querySelector('[class]');
+  if (blockEl) {
+    const blockName = blockEl.classList[0];
+    const wrapper = document.createElement('div');
+    wrapper.className = `${blockName}-wrapper`;
+    blockEl.parentNode.insertBefore(wrapper, blockEl);
+    wrapper.appendChild(blockEl);
+    decorateBlock(blockEl);
+    section.classList.add(`${blockName}-container`);
+
+    if (blockName === 'hero' && blockEl.classList.contains('aspect-wide')) {
+      wrapper.classList.add('aspect-wide-wrapper');
+      section.classList.add('aspect-wide-section');
+    }
+  }
+
+  decorateButtons(section);
+  decorateIcons(section);
+  return section;
+}
+
+/**
+ * Load a section's block once it is in the DOM
+ */
+async function loadBlockSection(section) {
+  const block = section.querySelector('.block');
+  if (block) {
+    await loadBlock(block);
+  }
+  section.dataset.sectionStatus = 'loaded';
+  section.style.display = null;
+}
+
+/**
+ * Apply one /refine event to the page. Indexes count the page's sections
+ * with every earlier refine event applied.
+ */
+async function applyRefineEvent(event, data, container) {
+  const sections = container.querySelectorAll(':scope > .section');
+
+  if (event === 'block-remove') {
+    sections[data.index]?.remove();
+  } else if (event === 'block-replace' && sections[data.index]) {
+    const section = buildBlockSection(data.html, data.sectionStyle);
+    sections[data.index].replaceWith(section);
+    await loadBlockSection(section);
+  } else if (event === 'block-insert') {
+    const section = buildBlockSection(data.html, data.sectionStyle);
+    container.insertBefore(section, sections[data.index] || null);
+    await loadBlockSection(section);
+  }
+}
+
+/**
+ * Refine an existing generated page in place.
+ * POSTs the instruction to the worker's signed /refine endpoint and applies the
+ * streamed block-replace / block-remove / block-insert events to `container`.
+ *
+ * @param {string} workerUrl Recommender worker base URL
+ * @param {Object} body { instruction, slug?, blocks?, query?, preset? }
+ * @param {Element} container Element holding the page sections
+ * @returns {Promise<Object|null>} refine-complete data, or null if nothing completed
+ */
+export async function refinePage(workerUrl, body, container) {
+  const response = await signedPost(workerUrl, '/refine', body);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    if (error.safety) {
+      throw new Error('That change can\'t be made to this page.');
+    }
+    throw new Error(error.message || error.error || `Refinement failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  // Events are applied strictly in order: each index depends on the previous edits
+  const handleMessage = async (message) => {
+    const event = message.match(/^event: (.+)$/m)?.[1];
+    const dataLine = message.match(/^data: (.+)$/m)?.[1];
+    if (!event || !dataLine) return;
+    const data = JSON.parse(dataLine);
+
+    if (event === 'refine-complete') {
+      result = data;
+      window.dispatchEvent(new CustomEvent('refine-complete', { detail: data }));
+    } else if (event === 'error') {
+      throw new Error(data.message);
+    } else if (event === 'safety-intercept') {
+      throw new Error('That change can\'t be made to this page.');
+    } else {
+      await applyRefineEvent(event, data, container);
+    }
+  };
+
+  let done = false;
+  while (!done) {
+    // eslint-disable-next-line no-await-in-loop
+    const chunk = await reader.read();
+    done = chunk.done;
+    buffer += decoder.decode(chunk.value || new Uint8Array(), { stream: !done });
+
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    // eslint-disable-next-line no-await-in-loop
+    await messages.reduce(
+      (previous, message) => previous.then(() => handleMessage(message)),
+      Promise.resolve(),
+    );
+  }
+
+  return result;
+}
+
 /**
  * Check if current page is a generative page
  */
@@ -0,0 +1,165 @@
+/**
+ * Guided Troubleshooting
+ * Interactive yes/no diagnosis used by the support-triage and
+ * troubleshooting-steps blocks. Each answer is sent to the recommender's
+ * /support/diagnose endpoint, which returns the next step or an outcome;
+ * unresolved outcomes end with warranty and contact links.
+ */
+
+import { loadCSS } from './aem.js';
+
+const WORKER_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
+
+// Shown when a step can't be loaded mid-flow
+const FALLBACK_ACTIONS = [
+  { label: 'Start a warranty claim', url: 'https://www.vitamix.com/support/warranty' },
+  { label: 'Contact Customer Service (1-800-848-2649)', url: 'https://www.vitamix.com/support' },
+];
+
+async function fetchStep(payload) {
+  const response = await fetch(`${WORKER_URL}/support/diagnose`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) throw new Error(`Diagnose request failed: ${response.status}`);
+  return response.json();
+}
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+function renderSource(source) {
+  const el = createElement('p', 'support-diagnose-source');
+  const label = `${source.manual} owner's manual - ${source.section}`;
+  if (source.url) {
+    const link = createElement('a', '', label);
+    link.href = source.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    el.append('Source: ', link);
+  } else {
+    el.textContent = `Source: ${label}`;
+  }
+  return el;
+}
+
+function renderActions(actions) {
+  const el = createElement('div', 'support-diagnose-actions');
+  actions.forEach((action, index) => {
+    const link = createElement('a', `support-diagnose-action ${index === 0 ? 'primary' : 'secondary'}`, action.label);
+    link.href = action.url;
+    link.target = '_blank';
+    el.appendChild(link);
+  });
+  return el;
+}
+
+/**
+ * Start a guided diagnosis in the container for a symptom id or free-text
+ * problem description. Resolves false, leaving the container untouched, when
+ * no troubleshooting flow matches.
+ * @param {HTMLElement} container
+ * @param {{ symptom?: string, query?: string }} options
+ * @returns {Promise<boolean>}
+ */
+export default async function startDiagnosis(container, { symptom, query }) {
+  if (!symptom && !query?.trim()) return false;
+
+  let first;
+  try {
+    first = await fetchStep({ symptom, query });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('support-diagnose: could not start diagnosis', error);
+    return false;
+  }
+  if (!first.symptom || !first.step) return false;
+
+  await loadCSS(`${window.hlx.codeBasePath}/styles/support-diagnose.css`);
+
+  const root = createElement('div', 'support-diagnose');
+  root.appendChild(createElement('p', 'support-diagnose-eyebrow', 'Step-by-step diagnosis'));
+  root.appendChild(createElement('h3', 'support-diagnose-title', first.symptom.title));
+  const history = createElement('ol', 'support-diagnose-history');
+  const current = createElement('div', 'support-diagnose-current');
+  current.setAttribute('aria-live', 'polite');
+  root.append(history, current);
+  container.appendChild(root);
+
+  const symptomId = first.symptom.id;
+
+  function renderOutcome(outcome) {
+    current.innerHTML = '';
+    const box = createElement('div', `support-diagnose-outcome ${outcome.resolved ? 'resolved' : 'unresolved'}`);
+    box.appendChild(createElement('h4', 'support-diagnose-outcome-title', outcome.title));
+    box.appendChild(createElement('p', 'support-diagnose-detail', outcome.detail));
+    if (outcome.source) box.appendChild(renderSource(outcome.source));
+    if (outcome.actions?.length) box.appendChild(renderActions(outcome.actions));
+
+    const restart = createElement('button', 'support-diagnose-restart', 'Start over');
+    restart.type = 'button';
+    restart.addEventListener('click', async () => {
+      history.innerHTML = '';
+      try {
+        // eslint-disable-next-line no-use-before-define
+        renderStep((await fetchStep({ symptom: symptomId })).step);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('support-diagnose: could not restart', error);
+      }
+    });
+    box.appendChild(restart);
+    current.appendChild(box);
+  }
+
+  function renderError() {
+    current.innerHTML = '';
+    current.appendChild(createElement('p', 'support-diagnose-detail', "We couldn't load the next step. Our support team can help you from here."));
+    current.appendChild(renderActions(FALLBACK_ACTIONS));
+  }
+
+  function renderStep(step) {
+    current.innerHTML = '';
+    if (step.instructions?.length) {
+      const list = createElement('ol', 'support-diagnose-instructions');
+      step.instructions.forEach((instruction) => list.appendChild(createElement('li', '', instruction)));
+      current.appendChild(list);
+    }
+    if (step.safety) current.appendChild(createElement('p', 'support-diagnose-safety', step.safety));
+    current.appendChild(createElement('p', 'support-diagnose-question', step.question));
+    if (step.detail) current.appendChild(createElement('p', 'support-diagnose-detail', step.detail));
+
+    const buttons = createElement('div', 'support-diagnose-answers');
+    ['yes', 'no'].forEach((answer) => {
+      const button = createElement('button', `support-diagnose-answer ${answer}`, answer === 'yes' ? 'Yes' : 'No');
+      button.type = 'button';
+      button.addEventListener('click', async () => {
+        buttons.querySelectorAll('button').forEach((b) => { b.disabled = true; });
+        const answered = createElement('li', 'support-diagnose-answered');
+        answered.append(createElement('span', '', step.question), createElement('strong', '', button.textContent));
+        history.appendChild(answered);
+
+        try {
+          const next = await fetchStep({ symptom: symptomId, step: step.id, answer });
+          if (next.outcome) renderOutcome(next.outcome);
+          else renderStep(next.step);
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('support-diagnose: could not load next step', error);
+          renderError();
+        }
+      });
+      buttons.appendChild(button);
+    });
+    current.appendChild(buttons);
+    if (step.source) current.appendChild(renderSource(step.source));
+  }
+
+  renderStep(first.step);
+  return true;
+}
@@ -16,6 +16,7 @@ import {
   loadCSS,
 } from './aem.js';
 import { SessionContextManager } from './session-context.js';
+import signedPost from './request-signing.js';
 
 // Vitamix recommender worker URL
 const VITAMIX_WORKER_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
@@ -174,7 +175,7 @@ async function renderGenerationPage() {
 
   originalBlocksData = [];
   const contextParam = SessionContextManager.buildEncodedContextParam();
-  const streamUrl = VITAMIX_WORKER_URL + '/generate?query=' + encodeURIComponent(query) + '&slug=' + encodeURIComponent(slug) + '&ctx=' + contextParam;
+  const streamUrl = VITAMIX_WORKER_URL + '/generate?query=' + encodeURIComponent(query) + '&slug=' + encodeURIComponent(slug) + '&ctx=' + contextParam + '&protocol=1';
   const eventSource = new EventSource(streamUrl);
 
   console.log('[Vitamix] Starting SSE stream for: ' + query);
@@ -271,8 +272,13 @@ async function renderGenerationPage() {
     console.log('[Vitamix] Complete in ' + totalTime + 's');
 
     let intent = null;
+    let safety = null;
     if (e.data) {
-      try { intent = JSON.parse(e.data).intent; } catch(err) {}
+      try {
+        const completeData = JSON.parse(e.data);
+        intent = completeData.intent;
+        safety = completeData.safety;
+      } catch(err) {}
     }
 
     SessionContextManager.addQuery({
@@ -287,8 +293,8 @@ async function renderGenerationPage() {
     if (h1) document.title = h1.textContent + ' | Vitamix Recommender';
     enableHeaderSearch();
 
-    // Auto-persist to DA
-    if (originalBlocksData.length > 0) {
+    // Auto-persist to DA (not the canned page served for screened-out queries)
+    if (originalBlocksData.length > 0 && !safety) {
       persistToDA(query, originalBlocksData, intent);
     }
   });
@@ -327,14 +333,10 @@ async function persistToDA(query, blocks, intent) {
   try {
     console.log('[Vitamix] Persisting page to DA...');
 
-    const response = await fetch(VITAMIX_WORKER_URL + '/api/persist', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query: query,
-        blocks: blocks,
-        intent: intent,
-      }),
+    const response = await signedPost(VITAMIX_WORKER_URL, '/api/persist', {
+      query: query,
+      blocks: blocks,
+      intent: intent,
     });
 
     const result = await response.json();
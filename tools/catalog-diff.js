@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * Find published pages made stale by a product catalog change
+ *
+ * Compares two versions of content/products/products.json by contentHash
+ * (products without one are hashed from their content), then asks the
+ * recommender which pages in its published page registry name a changed or
+ * discontinued product. Optionally regenerates and republishes those pages -
+ * deploy the worker with the new catalog first, pages are rebuilt from it.
+ *
+ * Usage:
+ *   REQUEST_SIGNING_SECRET=... node tools/catalog-diff.js [--base=HEAD] [--republish]
+ *
+ * Options:
+ *   --base        Git ref holding the old catalog (default: HEAD)
+ *   --base-file   Old catalog file instead of a git ref
+ *   --head-file   New catalog file (default: content/products/products.json)
+ *   --fields      Only count changes to these fields, e.g. price,originalPrice,availability
+ *   --offline     Print the catalog diff only, without scanning pages
+ *   --republish   Regenerate and republish every stale page
+ *   --out         Write the full report as JSON to this file
+ *   --local       Use local worker (http://localhost:8787)
+ *
+ * Requests are signed with the worker's REQUEST_SIGNING_SECRET.
+ */
+
+import { execFileSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { secretSignedPost } from '../scripts/request-signing.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CATALOG_PATH = 'content/products/products.json';
+
+// Worker URLs
+const LOCAL_URL = 'http://localhost:8787';
+const DEPLOYED_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
+
+// Bookkeeping fields that change on every crawl
+const IGNORED_FIELDS = ['contentHash', 'crawledAt'];
+
+/**
+ * JSON with sorted keys, so equal content always hashes the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function getContentHash(product) {
+  if (product.contentHash) return product.contentHash;
+  const content = Object.fromEntries(
+    Object.entries(product).filter(([key]) => !IGNORED_FIELDS.includes(key)),
+  );
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+async function loadCatalog({ ref, file }) {
+  const raw = file
+    ? await fs.readFile(path.resolve(file), 'utf-8')
+    : execFileSync('git', ['show', `${ref}:${CATALOG_PATH}`], { cwd: ROOT_DIR, encoding: 'utf-8' });
+  return JSON.parse(raw).products;
+}
+
+/**
+ * Changed and discontinued products between two catalogs
+ */
+function diffCatalogs(baseProducts, headProducts, onlyFields) {
+  const head = new Map(headProducts.map((p) => [p.id, p]));
+  const changes = [];
+
+  baseProducts.forEach((before) => {
+    const after = head.get(before.id);
+    if (!after) {
+      changes.push({
+        id: before.id, name: before.name, kind: 'removed', fields: [],
+      });
+      return;
+    }
+    if (getContentHash(before) === getContentHash(after)) return;
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter((key) => !IGNORED_FIELDS.includes(key))
+      .filter((key) => stableStringify(before[key]) !== stableStringify(after[key]));
+    if (onlyFields && !fields.some((field) => onlyFields.includes(field))) return;
+
+    changes.push({
+      id: before.id,
+      name: before.name,
+      kind: 'changed',
+      fields,
+      before: Object.fromEntries(fields.map((f) => [f, before[f]])),
+      after: Object.fromEntries(fields.map((f) => [f, after[f]])),
+    });
+  });
+
+  const baseIds = new Set(baseProducts.map((p) => p.id));
+  const added = headProducts.filter((p) => !baseIds.has(p.id)).map((p) => p.id);
+  return { changes, added };
+}
+
+function formatValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value).slice(0, 60) : String(value);
+}
+
+const logRateLimited = (retryAfter) => console.log(`   ⏳ Rate limited, retrying in ${retryAfter}s`);
+
+/**
+ * POST a signed JSON body and parse the result, throwing on request errors
+ */
+async function postJson(url, payload, secret) {
+  const response = await secretSignedPost(url, payload, secret, logRateLimited);
+  const result = await response.json();
+  if (!response.ok && !result.path) {
+    throw new Error(result.error || result.message || `${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Page through the registry until every page has been scanned. The first
+ * response snapshots the registry's paths; later requests page over that
+ * snapshot, so pages published meanwhile can't shift the offsets.
+ */
+async function scanPages(workerUrl, changes, secret) {
+  const report = { scanned: 0, stale: [], unreadable: [] };
+  let paths;
+  let offset = 0;
+
+  while (offset !== null) {
+    // eslint-disable-next-line no-await-in-loop
+    const scan = await postJson(`${workerUrl}/api/catalog/stale-pages`, { changes, paths, offset }, secret);
+    paths = paths || scan.paths;
+    report.scanned += scan.scanned;
+    report.stale.push(...scan.stale);
+    report.unreadable.push(...scan.unreadable);
+    console.log(`   Scanned ${report.scanned}/${scan.total} pages, ${report.stale.length} stale`);
+    offset = scan.nextOffset;
+  }
+
+  return report;
+}
+
+async function republish(workerUrl, stale, secret) {
+  const results = [];
+
+  for (let i = 0; i < stale.length; i += 1) {
+    const { path: pagePath } = stale[i];
+    console.log(`[${i + 1}/${stale.length}] Republishing ${pagePath}`);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await postJson(`${workerUrl}/api/catalog/republish`, { path: pagePath }, secret);
+      console.log(result.success ? '   ✓ Republished' : `   ✗ ${result.error}`);
+      results.push({ path: pagePath, success: result.success, error: result.error });
+    } catch (error) {
+      console.log(`   ✗ Request failed: ${error.message}`);
+      results.push({ path: pagePath, success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  const workerUrl = args.includes('--local') ? LOCAL_URL : DEPLOYED_URL;
+  const offline = args.includes('--offline');
+  const onlyFields = getArg('fields')?.split(',').map((f) => f.trim());
+  const base = { ref: getArg('base') || 'HEAD', file: getArg('base-file') };
+  const head = { file: getArg('head-file') || path.join(ROOT_DIR, CATALOG_PATH) };
+
+  const secret = process.env.REQUEST_SIGNING_SECRET;
+  if (!offline && !secret) {
+    console.error('❌ REQUEST_SIGNING_SECRET is not set (same value as the worker secret), or use --offline');
+    process.exit(1);
+  }
+
+  console.log('🔎 Comparing product catalogs');
+  console.log(`   Base: ${base.file || `${base.ref}:${CATALOG_PATH}`}`);
+  console.log(`   Head: ${head.file}\n`);
+
+  const [baseProducts, headProducts] = await Promise.all([loadCatalog(base), loadCatalog(head)]);
+  const { changes, added } = diffCatalogs(baseProducts, headProducts, onlyFields);
+  const report = { changes, added };
+
+  changes.forEach((change) => {
+    if (change.kind === 'removed') {
+      console.log(`   ✗ ${change.name} (${change.id}) discontinued`);
+      return;
+    }
+    const details = change.fields
+      .map((f) => `${f}: ${formatValue(change.before[f])} → ${formatValue(change.after[f])}`)
+      .join('; ');
+    console.log(`   ~ ${change.name} (${change.id}) ${details}`);
+  });
+  if (added.length) console.log(`   + ${added.length} new products: ${added.join(', ')}`);
+  console.log(`\n${changes.length} changed or discontinued products`);
+
+  if (!offline && changes.length > 0) {
+    console.log(`\n📄 Scanning published pages (${workerUrl})`);
+    Object.assign(report, await scanPages(workerUrl, changes, secret));
+
+    report.stale.forEach((page) => {
+      console.log(`   ${page.urls.live}`);
+      console.log(`      "${page.query}" - ${page.products.map((p) => p.name).join(', ')}`);
+    });
+    if (report.unreadable.length) {
+      console.log(`   ⚠ ${report.unreadable.length} pages could not be read from DA`);
+    }
+    console.log(`\n${report.stale.length} stale pages`);
+
+    if (args.includes('--republish') && report.stale.length > 0) {
+      console.log('\n🔁 Regenerating stale pages');
+      report.republished = await republish(workerUrl, report.stale, secret);
+      const succeeded = report.republished.filter((r) => r.success).length;
+      console.log(`\n${succeeded}/${report.stale.length} pages republished`);
+    }
+  }
+
+  const out = getArg('out');
+  if (out) {
+    await fs.writeFile(path.resolve(out), `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`\nReport written to ${out}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * Report what the page lifecycle cron would do, without changing anything
+ *
+ * Asks the recommender for a dry run of its next lifecycle batch: which
+ * published pages it would unpublish (stale or low-traffic) and which it
+ * would regenerate because their products changed.
+ *
+ * Usage:
+ *   REQUEST_SIGNING_SECRET=... node tools/page-lifecycle-report.js [--local] [--out=report.json]
+ *
+ * Options:
+ *   --local       Use local worker (http://localhost:8787)
+ *   --out         Write the full report as JSON to this file
+ *
+ * Requests are signed with the worker's REQUEST_SIGNING_SECRET.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { secretSignedPost } from '../scripts/request-signing.js';
+
+// Worker URLs
+const LOCAL_URL = 'http://localhost:8787';
+const DEPLOYED_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const workerUrl = args.includes('--local') ? LOCAL_URL : DEPLOYED_URL;
+
+  const secret = process.env.REQUEST_SIGNING_SECRET;
+  if (!secret) {
+    console.error('❌ REQUEST_SIGNING_SECRET is not set (same value as the worker secret)');
+    process.exit(1);
+  }
+
+  console.log(`🔎 Page lifecycle dry run (${workerUrl})`);
+  const response = await secretSignedPost(`${workerUrl}/api/pages/lifecycle-report`, {}, secret, (retryAfter) => {
+    console.log(`   ⏳ Rate limited, retrying in ${retryAfter}s`);
+  });
+  const report = await response.json();
+  if (!response.ok) {
+    throw new Error(report.message || report.error || `${response.status}`);
+  }
+
+  console.log(`   Checked ${report.checked} of ${report.registered} registered pages`);
+  if (!report.trafficAvailable) {
+    console.log('   ⚠ Traffic unavailable - only stale pages would be removed');
+  } else if (!report.trafficComplete) {
+    console.log('   ⚠ Traffic window not yet complete - low-traffic pages are kept');
+  }
+
+  report.removed.forEach((page) => console.log(`   ✗ ${page.path} (${page.reason})`));
+  report.regenerated.forEach((page) => {
+    console.log(`   ↻ ${page.path} - changed: ${page.changedProducts.join(', ')}`);
+  });
+  console.log(
+    `\n${report.removed.length} to remove, ${report.regenerated.length} to regenerate, `
+    + `${report.pendingRegeneration} more regenerations pending`,
+  );
+
+  const out = getArg('out');
+  if (out) {
+    await fs.writeFile(path.resolve(out), `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`\nReport written to ${out}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
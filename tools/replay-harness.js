@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * Record and replay generation fixtures for regression testing
+ *
+ * Records every model call and SSE event for the queries in sample-queries.md,
+ * then replays them through the worker's stub provider and diffs the block HTML.
+ * The worker must run with DEBUG enabled (e.g. `wrangler dev --var DEBUG:true`).
+ * Fixtures are written to workers/vitamix-gensite-recommender/fixtures/generations,
+ * where `npm test` in that worker replays them without a running worker.
+ *
+ * Usage:
+ *   node tools/replay-harness.js record [--queries=1,2,5] [--preset=all-cerebras] [--url=...]
+ *   node tools/replay-harness.js replay [--queries=1,2,5] [--url=...] [--verbose]
+ *
+ * Options:
+ *   --queries   Comma-separated query numbers from sample-queries.md (default: all)
+ *   --preset    Model preset used when recording (default: worker default)
+ *   --url       Worker URL (default: http://localhost:8787)
+ *   --verbose   Print full expected/actual HTML for changed blocks
+ *
+ * Exit code is 1 when any replay differs from its fixture.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TOOLS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const LOCAL_URL = 'http://localhost:8787';
+const QUERIES_PATH = path.join(TOOLS_DIR, '../sample-queries.md');
+const FIXTURES_DIR = path.join(TOOLS_DIR, '../workers/vitamix-gensite-recommender/fixtures/generations');
+
+/**
+ * Parse "## Query N - Title" sections from sample-queries.md
+ */
+async function loadSampleQueries() {
+  const markdown = await fs.readFile(QUERIES_PATH, 'utf-8');
+  const queries = [];
+  const sections = markdown.split(/^## /m).slice(1);
+
+  sections.forEach((section) => {
+    const [heading, ...body] = section.split('\n');
+    const match = heading.match(/^Query (\d+)\s*-\s*(.+)$/);
+    const text = body.join('\n').trim();
+    if (match && text) {
+      queries.push({ id: Number(match[1]), title: match[2].trim(), query: text });
+    }
+  });
+
+  return queries;
+}
+
+function fixturePath(id) {
+  return path.join(FIXTURES_DIR, `query-${String(id).padStart(2, '0')}.json`);
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${await response.text()}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Print a compact line diff between two HTML strings
+ */
+function printHtmlDiff(expected, actual, verbose) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const max = Math.max(expectedLines.length, actualLines.length);
+  let shown = 0;
+
+  for (let i = 0; i < max; i += 1) {
+    if (expectedLines[i] !== actualLines[i]) {
+      if (expectedLines[i] !== undefined) console.log(`      - ${expectedLines[i].trim()}`);
+      if (actualLines[i] !== undefined) console.log(`      + ${actualLines[i].trim()}`);
+      shown += 1;
+      if (!verbose && shown >= 5) {
+        console.log('      ... (use --verbose for the full diff)');
+        return;
+      }
+    }
+  }
+}
+
+async function record(queries, workerUrl, preset) {
+  await fs.mkdir(FIXTURES_DIR, { recursive: true });
+
+  for (let i = 0; i < queries.length; i += 1) {
+    const { id, title, query } = queries[i];
+    console.log(`[${i + 1}/${queries.length}] Recording query ${id} - ${title}`);
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const fixture = await postJson(`${workerUrl}/harness/record`, {
+        query,
+        slug: `harness-query-${id}`,
+        ...(preset && { preset }),
+      });
+      // eslint-disable-next-line no-await-in-loop
+      await fs.writeFile(fixturePath(id), `${JSON.stringify(fixture, null, 2)}\n`);
+      console.log(`   ✓ ${fixture.modelCalls.length} model calls, ${fixture.events.length} events`);
+    } catch (error) {
+      console.log(`   ✗ Recording failed: ${error.message}`);
+    }
+  }
+}
+
+async function replay(queries, workerUrl, verbose) {
+  let failures = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < queries.length; i += 1) {
+    const { id, title } = queries[i];
+    let fixture;
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      fixture = JSON.parse(await fs.readFile(fixturePath(id), 'utf-8'));
+    } catch {
+      console.log(`[${id}] ${title}: no fixture, skipping (run "record" first)`);
+      skipped += 1;
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await postJson(`${workerUrl}/harness/replay`, fixture);
+      const clean = result.blockDiffs.length === 0
+        && result.sequenceMatches
+        && result.moderationMatches
+        && result.missedCalls === 0;
+
+      if (clean) {
+        console.log(`[${id}] ${title}: ✓ identical`);
+      } else {
+        failures += 1;
+        console.log(`[${id}] ${title}: ✗ changed`);
+        if (!result.sequenceMatches) {
+          console.log(`   Event sequence differs: ${result.sequence.join(' → ')}`);
+        }
+        if (!result.moderationMatches) {
+          console.log(`   Publish moderation changed (recorded: ${fixture.moderation?.publishable ? 'publishable' : 'blocked'})`);
+        }
+        if (result.missedCalls > 0) {
+          console.log(`   ${result.missedCalls} model call(s) had no recording (prompt changed)`);
+        }
+        result.blockDiffs.forEach((diff) => {
+          console.log(`   Block ${diff.index} (${diff.blockType}):`);
+          printHtmlDiff(diff.expected, diff.actual, verbose);
+        });
+      }
+    } catch (error) {
+      failures += 1;
+      console.log(`[${id}] ${title}: ✗ replay failed: ${error.message}`);
+    }
+  }
+
+  const replayed = queries.length - skipped;
+  console.log(`\n${replayed - failures}/${replayed} fixtures unchanged`);
+  return failures;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const getArg = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  const workerUrl = getArg('url') || LOCAL_URL;
+  const preset = getArg('preset');
+  const verbose = args.includes('--verbose');
+  const selected = getArg('queries')?.split(',').map(Number);
+
+  if (command !== 'record' && command !== 'replay') {
+    console.error('Usage: node tools/replay-harness.js <record|replay> [--queries=1,2] [--preset=...] [--url=...]');
+    process.exit(1);
+  }
+
+  const allQueries = await loadSampleQueries();
+  const queries = selected ? allQueries.filter((q) => selected.includes(q.id)) : allQueries;
+
+  console.log(`🎞  ${command === 'record' ? 'Recording' : 'Replaying'} ${queries.length} queries`);
+  console.log(`   Worker: ${workerUrl}\n`);
+
+  if (command === 'record') {
+    await record(queries, workerUrl, preset);
+  } else {
+    const failures = await replay(queries, workerUrl, verbose);
+    if (failures > 0) process.exit(1);
+  }
+}
+
+main();
@@ -1,4 +1,5 @@
 #!/usr/bin/env node
+/* eslint-disable no-console */
 /**
  * Vitamix Support Manual Scraper
  *
@@ -10,6 +11,9 @@
  *
  * Output:
  *   content/support/manuals/*.json - Chunked manual content
+ *
+ * Each chunk records its manual (id, name, PDF url, models), section and the
+ * PDF page it starts on, so support chat answers can cite and link to it.
  */
 
 import fs from 'fs';
@@ -21,65 +25,9 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = path.join(__dirname, '../content/support/manuals');
 const CACHE_DIR = path.join(__dirname, '../.cache/manuals');
 
-// Manual definitions with metadata
-const MANUALS = [
-  {
-    id: 'ascent-a2300-a2500',
-    name: 'Ascent A2300 & A2500',
-    series: 'ascent',
-    models: ['A2300', 'A2500'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/Ascent%20A2300%20and%20A2500%20Domestic%20Owners%20Manual.pdf',
-  },
-  {
-    id: 'ascent-a3300-a3500',
-    name: 'Ascent A3300 & A3500',
-    series: 'ascent',
-    models: ['A3300', 'A3500'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/Ascent%20A3300%20and%20A3500%20Domestic%20Owners%20Manual.pdf',
-  },
-  {
-    id: 'ascent-x2',
-    name: 'Ascent X2',
-    series: 'ascent',
-    models: ['X2'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/Ascent%20X2%20Owners%20Manual%20Rev%20B.pdf',
-  },
-  {
-    id: 'ascent-x3-x4-x5',
-    name: 'Ascent X3, X4 & X5',
-    series: 'ascent',
-    models: ['X3', 'X4', 'X5'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/Ascent%20X3%2c%20X4%2c%20X5%20Owners%20Manual%20Rev%20B.pdf',
-  },
-  {
-    id: 'propel-410-510-750',
-    name: 'Propel 410, 510 & 750',
-    series: 'propel',
-    models: ['Propel 410', 'Propel 510', 'Propel 750'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/149979_Propel%20410%2c%20510%2c%20%20750_Rev%20A_2024-04-15LR.pdf',
-  },
-  {
-    id: 'explorian-e310',
-    name: 'Explorian E310',
-    series: 'explorian',
-    models: ['E310'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/E310%20Owner\'s%20Manual.pdf',
-  },
-  {
-    id: 'explorian-e320',
-    name: 'Explorian E320',
-    series: 'explorian',
-    models: ['E320'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/131719_Explorian%20E320%20Domestic_Rev%20B_2023-07-12LR.pdf',
-  },
-  {
-    id: 'venturist-v1200',
-    name: 'Venturist V1200',
-    series: 'venturist',
-    models: ['V1200'],
-    url: 'https://www.vitamix.com/content/dam/vitamix/files/product-manuals/Venturist%20Domestic%20Owners%20Manual.pdf',
-  },
-];
+// Manual definitions (also read by the recommender to resolve support models)
+const MANUALS_PATH = path.join(__dirname, '../content/support/manual-definitions.json');
+const { manuals: MANUALS } = JSON.parse(fs.readFileSync(MANUALS_PATH, 'utf-8'));
 
 // Section patterns to identify content type
 const SECTION_PATTERNS = {
@@ -172,12 +120,13 @@ function splitIntoSections(text) {
   ];
 
   const sections = [];
-  let currentSection = { title: 'Introduction', content: '' };
+  let currentSection = { title: 'Introduction', content: '', pages: [] };
 
+  // parsePdf emits one line per PDF page
   const lines = text.split('\n');
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+  for (let i = 0; i < lines.length; i += 1) {
+    const trimmed = lines[i].replace(/\s+/g, ' ').trim();
     if (!trimmed) continue;
 
     // Check if this line is a section header
@@ -188,13 +137,15 @@ function splitIntoSections(text) {
         if (currentSection.content.trim()) {
           sections.push(currentSection);
         }
-        currentSection = { title: trimmed, content: '' };
+        currentSection = { title: trimmed, content: '', pages: [{ offset: 0, page: i + 1 }] };
         isHeader = true;
         break;
       }
     }
 
     if (!isHeader) {
+      // Where each page's text starts within the section
+      currentSection.pages.push({ offset: currentSection.content.length, page: i + 1 });
       currentSection.content += trimmed + ' ';
     }
   }
@@ -239,6 +190,16 @@ function chunkText(text, maxTokens = 500, overlapTokens = 50) {
   return chunks;
 }
 
+/**
+ * PDF page a chunk starts on, found from its position in the section text
+ */
+function getChunkPage(section, chunk, fromOffset) {
+  const offset = section.content.indexOf(chunk.slice(0, 100), fromOffset);
+  const start = offset === -1 ? fromOffset : offset;
+  const page = section.pages.filter((p) => p.offset <= start).pop() || section.pages[0];
+  return { page: page?.page ?? null, offset: start };
+}
+
 /**
  * Process a single manual
  */
@@ -263,9 +224,12 @@ async function processManual(manual) {
     for (const section of sections) {
       const contentType = detectContentType(section.title + ' ' + section.content);
       const chunks = chunkText(section.content);
+      let searchFrom = 0;
 
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
+        const { page, offset } = getChunkPage(section, chunk, searchFrom);
+        searchFrom = offset;
         if (chunk.length < 50) continue; // Skip tiny chunks
 
         allChunks.push({
@@ -276,7 +240,10 @@ async function processManual(manual) {
             product_series: manual.series,
             models: manual.models,
             section_title: section.title,
+            manual_id: manual.id,
             manual_name: manual.name,
+            manual_url: manual.url,
+            page,
             chunk_index: i,
             total_chunks: chunks.length,
           },
@@ -1,9 +1,12 @@
 #!/usr/bin/env node
+/* eslint-disable no-console */
 /**
  * Upload scraped support manual content to SUPPORT_VECTORIZE
  *
  * Usage:
- *   node tools/upload-support-content.js [--local] [--batch-size=100]
+ *   REQUEST_SIGNING_SECRET=... node tools/upload-support-content.js [--local] [--batch-size=100]
+ *
+ * Requests are signed with the worker's REQUEST_SIGNING_SECRET.
  *
  * Options:
  *   --local       Use local worker (http://localhost:8787)
@@ -13,6 +16,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { secretSignedPost } from '../scripts/request-signing.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,6 +24,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const LOCAL_URL = 'http://localhost:8787';
 const DEPLOYED_URL = 'https://vitamix-gensite-recommender.paolo-moz.workers.dev';
 
+const logRateLimited = (retryAfter) => console.log(`   ⏳ Rate limited, retrying in ${retryAfter}s`);
+
 async function main() {
   const args = process.argv.slice(2);
   const useLocal = args.includes('--local');
@@ -28,6 +34,12 @@ async function main() {
 
   const workerUrl = useLocal ? LOCAL_URL : DEPLOYED_URL;
 
+  const secret = process.env.REQUEST_SIGNING_SECRET;
+  if (!secret) {
+    console.error('❌ REQUEST_SIGNING_SECRET is not set (same value as the worker secret)');
+    process.exit(1);
+  }
+
   console.log('📤 Uploading support content to Vectorize');
   console.log(`   Worker: ${workerUrl}`);
   console.log(`   Batch size: ${batchSize}`);
@@ -54,11 +66,12 @@ async function main() {
       console.log(`[${batchNum}/${totalBatches}] Uploading ${batch.length} chunks...`);
 
       try {
-        const response = await fetch(`${workerUrl}/embed-support`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ chunks: batch }),
-        });
+        const response = await secretSignedPost(
+          `${workerUrl}/embed-support`,
+          { chunks: batch },
+          secret,
+          logRateLimited,
+        );
 
         const result = await response.json();
 
@@ -1,13 +1,18 @@
 #!/usr/bin/env node
+/* eslint-disable no-console */
 /**
  * Upload crawled recipes to Vectorize via the embed-recipes worker
  *
  * Usage:
  *   node upload-to-vectorize.js [--local] [--batch-size=100]
+ *   node upload-to-vectorize.js --sync [--types=recipe,product,article,faq] [--dry-run] [--local]
  *
  * Options:
  *   --local       Use local worker (http://localhost:8787)
  *   --batch-size  Number of recipes per request (default: 500)
+ *   --sync        Incremental sync: only changed content is re-embedded, removed content is deleted
+ *   --types       Content types to sync (default: all)
+ *   --dry-run     With --sync, report the diff without writing to Vectorize
  */
 
 import fs from 'fs/promises';
@@ -20,6 +25,51 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const LOCAL_URL = 'http://localhost:8787';
 const DEPLOYED_URL = 'https://vitamix-gensite-embed-recipes.paolo-moz.workers.dev';
 
+// Content files per sync type, and the /sync body field each one is sent as
+const SYNC_SOURCES = {
+  recipe: { file: '../content/recipes/recipes.json', key: 'recipes' },
+  product: { file: '../content/products/products.json', key: 'products' },
+  article: { file: '../content/articles/articles.json', key: 'articles' },
+  faq: { file: '../content/metadata/faqs.json', key: 'faqs' },
+};
+
+/**
+ * Send complete content sets to /sync and print the per-type diff
+ */
+async function sync(workerUrl, types, dryRun) {
+  const unknown = types.filter((type) => !SYNC_SOURCES[type]);
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown content type: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const body = {};
+  await Promise.all(types.map(async (type) => {
+    const source = SYNC_SOURCES[type];
+    const data = JSON.parse(await fs.readFile(path.join(__dirname, source.file), 'utf-8'));
+    body[source.key] = data[source.key];
+    console.log(`   ${type}: ${body[source.key].length} items`);
+  }));
+
+  const response = await fetch(`${workerUrl}/sync${dryRun ? '?dryRun=true' : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+
+  if (!result.summaries) {
+    console.error(`❌ Sync failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log(`\n${dryRun ? '🔍 Dry run' : '✅ Sync complete'}`);
+  result.summaries.forEach((summary) => {
+    console.log(`   ${summary.type}: +${summary.added} added, ~${summary.updated} updated, -${summary.deleted} deleted, ${summary.unchanged} unchanged`);
+    summary.errors.forEach((e) => console.log(`   ⚠ ${e}`));
+  });
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const useLocal = args.includes('--local');
@@ -28,6 +78,15 @@ async function main() {
 
   const workerUrl = useLocal ? LOCAL_URL : DEPLOYED_URL;
 
+  if (args.includes('--sync')) {
+    const typesArg = args.find((a) => a.startsWith('--types='));
+    const types = typesArg ? typesArg.split('=')[1].split(',') : Object.keys(SYNC_SOURCES);
+    console.log('🔄 Syncing content to Vectorize');
+    console.log(`   Worker: ${workerUrl}`);
+    await sync(workerUrl, types, args.includes('--dry-run'));
+    return;
+  }
+
   console.log('📤 Uploading recipes to Vectorize');
   console.log(`   Worker: ${workerUrl}`);
   console.log(`   Batch size: ${batchSize}`);
@@ -9,13 +9,48 @@ interface Env {
   ANTHROPIC_API_KEY?: string;
   OPENAI_API_KEY?: string;
   GOOGLE_API_KEY?: string;
+  /** Shared with the recommender worker, which signs its cost reports with it */
+  REQUEST_SIGNING_SECRET?: string;
   DEBUG?: string;
 }
 
+type BlockEventType = 'block_impression' | 'block_dwell' | 'block_click' | 'follow_up_click' | 'generation_error';
+
+const BLOCK_EVENT_TYPES: BlockEventType[] = [
+  'block_impression',
+  'block_dwell',
+  'block_click',
+  'follow_up_click',
+  'generation_error',
+];
+
+// Block names clients may report (the site's blocks/ folder). The name becomes a
+// key in the daily stats, so anything else is dropped.
+const KNOWN_BLOCK_TYPES = new Set([
+  'accessibility-specs', 'accordion', 'allergen-safety', 'analytics-analysis',
+  'analytics-dashboard', 'analytics-last-queries', 'analytics-metrics', 'analytics-queries',
+  'benefits-grid', 'best-pick', 'budget-breakdown', 'cards', 'category-cards', 'cerebras-generated',
+  'columns', 'comparison-cta', 'comparison-table', 'countdown-timer', 'diagnosis-card',
+  'empathy-hero', 'engineering-specs', 'faq', 'feature-highlights', 'follow-up',
+  'follow-up-advisor', 'footer', 'fragment', 'generative-cta', 'header', 'hero',
+  'included-accessories', 'ingredient-search', 'noise-context', 'nutrition-facts', 'product-cards',
+  'product-compare', 'product-cta', 'product-hero', 'product-includes', 'product-info',
+  'product-recommendation', 'product-support', 'query-form', 'query-form-cerebras', 'quick-answer',
+  'quick-view-modal', 'reasoning', 'reasoning-user', 'recipe-cards', 'recipe-directions',
+  'recipe-filter-bar', 'recipe-grid', 'recipe-hero', 'recipe-hero-detail', 'recipe-sidebar',
+  'recipe-steps', 'recipe-tabs', 'recipe-tips', 'recommender-hero', 'smart-features', 'specs-table',
+  'split-content', 'support-cta', 'support-hero', 'support-triage', 'sustainability-info',
+  'team-cards', 'technique-spotlight', 'testimonials', 'text', 'timeline', 'tips-banner',
+  'troubleshooting-steps', 'use-case-cards', 'verdict-card', 'warranty-checker',
+]);
+
+// Generation error codes are client-supplied too; unexpected ones are counted as 'other'
+const ERROR_CODE_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
 interface TrackingEvent {
   sessionId: string;
   timestamp: number;
-  eventType: 'session_start' | 'query' | 'page_published' | 'conversion';
+  eventType: 'session_start' | 'query' | 'page_published' | 'page_view' | 'conversion' | BlockEventType;
   data: {
     query?: string;
     intent?: string;
@@ -30,6 +65,15 @@ interface TrackingEvent {
     referrer?: string;
     userAgent?: string;
     url?: string;
+    path?: string;
+    blockType?: string;
+    blockIndex?: number;
+    dwellMs?: number;
+    errorCode?: string;
+    errorMessage?: string;
+    preset?: string;
+    visitorId?: string;
+    visitorFirstSeen?: number;
   };
 }
 
@@ -44,11 +88,15 @@ interface SessionData {
     query: string;
     intent?: string;
     journeyStage?: string;
+    preset?: string;
     timestamp: number;
     generatedPageUrl?: string;
     generatedPagePath?: string;
   }[];
   referrer?: string;
+  /** Browser-level id shared by a visitor's sessions (absent on older sessions) */
+  visitorId?: string;
+  visitorFirstSeen?: number;
 }
 
 interface DailyStats {
@@ -59,6 +107,163 @@ interface DailyStats {
   sessionIds: string[];
 }
 
+/**
+ * Views of one page path. Also stored as the key's metadata, so the
+ * traffic endpoint can read every page from a single KV list.
+ */
+interface PageTraffic {
+  lastViewedAt: number;
+  /** Views per day (YYYY-MM-DD), last PAGE_TRAFFIC_DAYS days only */
+  daily: Record<string, number>;
+}
+
+// Days of per-page view counts kept (keeps key metadata under the 1KB limit)
+const PAGE_TRAFFIC_DAYS = 30;
+
+// Page paths are client-supplied and become KV keys
+const PAGE_PATH_PATTERN = /^\/[\w./-]{0,200}$/;
+
+// A page load sends one view; pages past this many in one /track batch are not
+// counted (bounds the KV writes a batch can cause when it is folded)
+const MAX_PAGE_VIEWS_PER_BATCH = 3;
+
+/**
+ * Page views from one /track batch, waiting for the cron: each page counts
+ * once per batch, with when it was last viewed
+ */
+interface PendingPageViews {
+  date: string;
+  lastViewedAt: Record<string, number>;
+}
+
+/**
+ * Sessions reaching each funnel stage
+ */
+interface FunnelCounts {
+  sessions: number;
+  firstQuery: number;
+  secondQuery: number;
+  pagePublished: number;
+  conversion: number;
+}
+
+type FunnelDimension = 'referrer' | 'intent' | 'journeyStage' | 'preset';
+
+const FUNNEL_DIMENSIONS: FunnelDimension[] = ['referrer', 'intent', 'journeyStage', 'preset'];
+
+/**
+ * Funnel and cohort data for the sessions that started on one day
+ */
+interface DailyRollup {
+  date: string;
+  builtAt: number;
+  funnel: FunnelCounts;
+  breakdowns: Record<FunnelDimension, Record<string, FunnelCounts>>;
+  /** Visitors with a session that day, mapped to their cohort week (Monday, YYYY-MM-DD) */
+  visitors: Record<string, string>;
+}
+
+/**
+ * A rollup being built by the cron, a slice of sessions per run
+ */
+interface RollupBuild {
+  rollup: DailyRollup;
+  /** Index into the day's session ids where the next slice starts */
+  next: number;
+}
+
+// Sessions expire this many days after their last event, so days older than
+// this can no longer be rolled up (they would come out empty)
+const SESSION_TTL_DAYS = 30;
+
+// Sessions read per cron run (a KV read each - keeps the run under the per-invocation limit)
+const ROLLUP_SESSIONS_PER_RUN = 500;
+
+// In-progress builds (kept apart from the rollup:YYYY-MM-DD keys)
+const ROLLUP_BUILD_PREFIX = 'rollup-build:';
+
+interface BlockStats {
+  impressions: number;
+  clicks: number;
+  followUpClicks: number;
+  /** Total reported dwell, and how many dwell reports it came from */
+  dwellMs: number;
+  dwellReports: number;
+}
+
+/**
+ * Block engagement for one day, per block type
+ */
+interface DailyBlockStats {
+  date: string;
+  byType: Record<string, BlockStats>;
+  generationErrors: number;
+  errorsByCode: Record<string, number>;
+}
+
+interface CostTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  latencyMs: number;
+  estimatedCostUsd: number;
+}
+
+/**
+ * Per-generation usage report sent by the recommender worker
+ */
+interface CostReport {
+  preset: string;
+  totals: CostTotals;
+  byRole: Record<string, CostTotals>;
+  byBlock: Record<string, CostTotals>;
+  query?: string;
+  duration?: number;
+  timestamp?: number;
+}
+
+interface PresetCosts {
+  generations: number;
+  totalDurationMs: number;
+  totals: CostTotals;
+  byRole: Record<string, CostTotals>;
+  byBlockType: Record<string, CostTotals>;
+}
+
+interface DailyCosts {
+  date: string;
+  byPreset: Record<string, PresetCosts>;
+}
+
+// Cost reports are buffered one key each and folded into costs:YYYY-MM-DD by the
+// cron, so concurrent generations never read-modify-write the same daily key
+const PENDING_COSTS_PREFIX = 'pending:costs:';
+
+// Block events are buffered the same way, one key per /track batch, and folded
+// into blocks:YYYY-MM-DD (the daily key would otherwise take a write per batch)
+const PENDING_BLOCKS_PREFIX = 'pending:blocks:';
+
+// Page views are buffered the same way, one key per /track batch, and folded into
+// pageviews:<path> (concurrent views of a page would overwrite each other's count)
+const PENDING_VIEWS_PREFIX = 'pending:views:';
+
+// Buffered keys folded per prefix per cron run (each costs a get and a delete, and
+// the whole run must stay under the per-invocation KV limit). Any backlog is
+// picked up by the next runs.
+const MAX_FOLDED_PER_RUN = 200;
+
+// Signed reports older (or newer) than this are replays or skewed clocks
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Every 10 minutes: fold buffered writes. Offset by 5 minutes (its own invocation,
+// so its own KV limit): advance the funnel/cohort rollups. Offset by 2: fold
+// buffered page views (a get and a put per page on top of the batches).
+const ROLLUP_CRON = '5-55/10 * * * *';
+const PAGE_VIEWS_CRON = '2-52/10 * * * *';
+
+// KV operations a page view fold may use - under the per-invocation limit
+const MAX_VIEW_FOLD_OPERATIONS = 800;
+
 interface Suggestion {
   text: string;
   impact: 'low' | 'medium' | 'high';
@@ -121,6 +326,30 @@ export default {
         return handleAnalyze(env, force);
       }
 
+      if (url.pathname === '/api/analytics/costs' && request.method === 'POST') {
+        return handleCostReport(request, env);
+      }
+
+      if (url.pathname === '/api/analytics/costs' && request.method === 'GET') {
+        return handleCosts(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/funnel' && request.method === 'GET') {
+        return handleFunnel(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/cohorts' && request.method === 'GET') {
+        return handleCohorts(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/blocks' && request.method === 'GET') {
+        return handleBlockSummary(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/pages' && request.method === 'GET') {
+        return handlePageTraffic(env, url);
+      }
+
       if (url.pathname === '/api/analytics/queries/recent' && request.method === 'GET') {
         return handleRecentQueries(env, url);
       }
@@ -140,6 +369,22 @@ export default {
       return jsonResponse({ error: 'Internal server error' }, 500);
     }
   },
+
+  /**
+   * Cron: fold buffered cost reports and block stats into the daily keys,
+   * fold buffered page views, or advance the funnel/cohort rollups
+   */
+  async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    if (controller.cron === ROLLUP_CRON) {
+      ctx.waitUntil(advanceRollups(env));
+      return;
+    }
+    if (controller.cron === PAGE_VIEWS_CRON) {
+      ctx.waitUntil(foldPendingPageViews(env));
+      return;
+    }
+    ctx.waitUntil(foldPendingCosts(env).then(() => foldPendingBlockStats(env)));
+  },
 };
 
 /**
@@ -155,8 +400,21 @@ async function handleTrack(request: Request, env: Env): Promise<Response> {
 
   const today = new Date().toISOString().split('T')[0];
 
+  // Block events are aggregated per batch and buffered (they don't change the session)
+  const blockEvents = events.filter(e => BLOCK_EVENT_TYPES.includes(e.eventType as BlockEventType));
+  if (blockEvents.length > 0) {
+    await bufferBlockStats(env, today, blockEvents);
+  }
+  // Page views too (they still update the session below)
+  const pageViews = events.filter(e => e.eventType === 'page_view');
+  if (pageViews.length > 0) {
+    await bufferPageViews(env, today, pageViews);
+  }
+
   for (const event of events) {
-    await processEvent(event, env, today);
+    if (!blockEvents.includes(event)) {
+      await processEvent(event, env, today);
+    }
   }
 
   return jsonResponse({ success: true, processed: events.length });
@@ -190,6 +448,8 @@ async function processEvent(event: TrackingEvent, env: Env, today: string): Prom
   switch (eventType) {
     case 'session_start':
       // Session already created above
+      session.visitorId = data.visitorId || session.visitorId;
+      session.visitorFirstSeen = data.visitorFirstSeen || session.visitorFirstSeen;
       break;
 
     case 'query':
@@ -198,6 +458,7 @@ async function processEvent(event: TrackingEvent, env: Env, today: string): Prom
         query: data.query || '',
         intent: data.intent,
         journeyStage: data.journeyStage,
+        preset: data.preset,
         timestamp,
       });
       // Keep only last 20 queries per session
@@ -223,7 +484,7 @@ async function processEvent(event: TrackingEvent, env: Env, today: string): Prom
 
   // Save session with 30-day TTL
   await env.ANALYTICS.put(sessionKey, JSON.stringify(session), {
-    expirationTtl: 30 * 24 * 60 * 60,
+    expirationTtl: SESSION_TTL_DAYS * 24 * 60 * 60,
   });
 
   // Update daily stats
@@ -276,6 +537,189 @@ async function updateDailyStats(
   });
 }
 
+/**
+ * Buffer a batch's page views until the cron folds them into the pages' traffic
+ */
+async function bufferPageViews(env: Env, date: string, events: TrackingEvent[]): Promise<void> {
+  const batch: PendingPageViews = { date, lastViewedAt: {} };
+  const now = Date.now();
+  for (const { timestamp, data } of events) {
+    if (!data.path || !PAGE_PATH_PATTERN.test(data.path)) continue;
+    const known = data.path in batch.lastViewedAt;
+    if (!known && Object.keys(batch.lastViewedAt).length >= MAX_PAGE_VIEWS_PER_BATCH) continue;
+    // A client clock can't move a page's last view into the future
+    const viewedAt = Math.min(timestamp || now, now);
+    batch.lastViewedAt[data.path] = Math.max(batch.lastViewedAt[data.path] || 0, viewedAt);
+  }
+  if (Object.keys(batch.lastViewedAt).length === 0) return;
+
+  // Unfolded batches expire after a week rather than piling up if the cron stops
+  await env.ANALYTICS.put(`${PENDING_VIEWS_PREFIX}${date}:${crypto.randomUUID()}`, JSON.stringify(batch), {
+    expirationTtl: 7 * 24 * 60 * 60,
+  });
+}
+
+/**
+ * Fold buffered page views into pageviews:<path>. Only the cron writes those
+ * keys, so concurrent views of a page can't overwrite each other's count.
+ */
+async function foldPendingPageViews(env: Env): Promise<void> {
+  const { keys } = await env.ANALYTICS.list({ prefix: PENDING_VIEWS_PREFIX, limit: MAX_FOLDED_PER_RUN });
+  const folded: string[] = [];
+  const byPath = new Map<string, PageTraffic>();
+
+  for (const { name } of keys) {
+    // A get and a delete per batch, a get and a put per page: stop before the
+    // next batch could exceed the budget (the rest waits for the next run)
+    const operations = 2 * (folded.length + 1) + 2 * (byPath.size + MAX_PAGE_VIEWS_PER_BATCH);
+    if (operations > MAX_VIEW_FOLD_OPERATIONS) break;
+
+    const batch: PendingPageViews | null = await env.ANALYTICS.get(name, 'json');
+    folded.push(name);
+    if (!batch) continue;
+    for (const [path, viewedAt] of Object.entries(batch.lastViewedAt)) {
+      const views = byPath.get(path) || { lastViewedAt: 0, daily: {} };
+      views.lastViewedAt = Math.max(views.lastViewedAt, viewedAt);
+      views.daily[batch.date] = (views.daily[batch.date] || 0) + 1;
+      byPath.set(path, views);
+    }
+  }
+
+  for (const [path, views] of byPath) {
+    const key = `pageviews:${path}`;
+    const traffic: PageTraffic = await env.ANALYTICS.get(key, 'json') || { lastViewedAt: 0, daily: {} };
+
+    traffic.lastViewedAt = Math.max(traffic.lastViewedAt, views.lastViewedAt);
+    for (const [date, count] of Object.entries(views.daily)) {
+      traffic.daily[date] = (traffic.daily[date] || 0) + count;
+    }
+    // Drop days outside the window
+    const days = Object.keys(traffic.daily).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - PAGE_TRAFFIC_DAYS))) {
+      delete traffic.daily[day];
+    }
+
+    // Pages without views for 90 days disappear
+    await env.ANALYTICS.put(key, JSON.stringify(traffic), {
+      metadata: traffic,
+      expirationTtl: 90 * 24 * 60 * 60,
+    });
+  }
+  // Only drop the buffered batches once the folds are saved
+  await Promise.all(folded.map(name => env.ANALYTICS.delete(name)));
+
+  if (folded.length > 0) {
+    console.log(`[PageViews] Folded ${folded.length} page view batches into ${byPath.size} pages`);
+  }
+}
+
+function emptyBlockStats(): BlockStats {
+  return { impressions: 0, clicks: 0, followUpClicks: 0, dwellMs: 0, dwellReports: 0 };
+}
+
+function emptyDailyBlockStats(date: string): DailyBlockStats {
+  return { date, byType: {}, generationErrors: 0, errorsByCode: {} };
+}
+
+/**
+ * Add a batch of block events to per-block-type stats (unknown block types are dropped)
+ */
+function addBlockEvents(daily: DailyBlockStats, events: TrackingEvent[]): void {
+  for (const { eventType, data } of events) {
+    if (eventType === 'generation_error') {
+      const code = data.errorCode && ERROR_CODE_PATTERN.test(data.errorCode) ? data.errorCode : 'other';
+      daily.generationErrors += 1;
+      daily.errorsByCode[code] = (daily.errorsByCode[code] || 0) + 1;
+      continue;
+    }
+
+    if (!data.blockType || !KNOWN_BLOCK_TYPES.has(data.blockType)) continue;
+    if (!daily.byType[data.blockType]) {
+      daily.byType[data.blockType] = emptyBlockStats();
+    }
+    const stats = daily.byType[data.blockType];
+    switch (eventType) {
+      case 'block_impression':
+        stats.impressions += 1;
+        break;
+      case 'block_dwell':
+        // Cap a single report at 10 minutes (tabs left open)
+        stats.dwellMs += Math.min(Math.max(data.dwellMs || 0, 0), 10 * 60 * 1000);
+        stats.dwellReports += 1;
+        break;
+      case 'block_click':
+        stats.clicks += 1;
+        break;
+      case 'follow_up_click':
+        stats.followUpClicks += 1;
+        break;
+    }
+  }
+}
+
+/**
+ * Buffer a batch's block stats until the cron folds them into the day's stats
+ */
+async function bufferBlockStats(env: Env, date: string, events: TrackingEvent[]): Promise<void> {
+  const batch = emptyDailyBlockStats(date);
+  addBlockEvents(batch, events);
+  if (batch.generationErrors === 0 && Object.keys(batch.byType).length === 0) return;
+
+  // Unfolded batches expire after a week rather than piling up if the cron stops
+  await env.ANALYTICS.put(`${PENDING_BLOCKS_PREFIX}${date}:${crypto.randomUUID()}`, JSON.stringify(batch), {
+    expirationTtl: 7 * 24 * 60 * 60,
+  });
+}
+
+/**
+ * Fold buffered block stats into blocks:YYYY-MM-DD. Only the cron writes the
+ * daily keys, so no batch is lost to a concurrent read-modify-write.
+ */
+async function foldPendingBlockStats(env: Env): Promise<void> {
+  const { keys } = await env.ANALYTICS.list({ prefix: PENDING_BLOCKS_PREFIX, limit: MAX_FOLDED_PER_RUN });
+  const byDate = new Map<string, { keys: string[]; batches: DailyBlockStats[] }>();
+
+  for (const { name } of keys) {
+    const date = name.slice(PENDING_BLOCKS_PREFIX.length).split(':')[0];
+    const group = byDate.get(date) || { keys: [], batches: [] };
+    const batch: DailyBlockStats | null = await env.ANALYTICS.get(name, 'json');
+    group.keys.push(name);
+    if (batch) group.batches.push(batch);
+    byDate.set(date, group);
+  }
+
+  for (const [date, group] of byDate) {
+    const key = `blocks:${date}`;
+    const daily: DailyBlockStats = await env.ANALYTICS.get(key, 'json') || emptyDailyBlockStats(date);
+    for (const batch of group.batches) {
+      for (const [blockType, stats] of Object.entries(batch.byType)) {
+        const total = daily.byType[blockType] || emptyBlockStats();
+        total.impressions += stats.impressions;
+        total.clicks += stats.clicks;
+        total.followUpClicks += stats.followUpClicks;
+        total.dwellMs += stats.dwellMs;
+        total.dwellReports += stats.dwellReports;
+        daily.byType[blockType] = total;
+      }
+      daily.generationErrors += batch.generationErrors;
+      for (const [code, count] of Object.entries(batch.errorsByCode)) {
+        daily.errorsByCode[code] = (daily.errorsByCode[code] || 0) + count;
+      }
+    }
+
+    // Save with 90-day TTL
+    await env.ANALYTICS.put(key, JSON.stringify(daily), {
+      expirationTtl: 90 * 24 * 60 * 60,
+    });
+    // Only drop the buffered batches once the fold is saved
+    await Promise.all(group.keys.map(name => env.ANALYTICS.delete(name)));
+  }
+
+  if (keys.length > 0) {
+    console.log(`[Blocks] Folded ${keys.length} block stat batches`);
+  }
+}
+
 /**
  * Get analytics summary
  */
@@ -444,6 +888,586 @@ async function handleExport(env: Env): Promise<Response> {
   });
 }
 
+/**
+ * Engagement per block type over the last `days` days (default 7, max 90),
+ * most engaging first (events show up once the cron has folded them, within
+ * about 10 minutes)
+ */
+async function handleBlockSummary(env: Env, url: URL): Promise<Response> {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '7') || 7, 1), 90);
+  const totals: Record<string, BlockStats> = {};
+  let generationErrors = 0;
+  const errorsByCode: Record<string, number> = {};
+  const now = new Date();
+
+  for (let i = 0; i < days; i++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i);
+    const dateStr = date.toISOString().split('T')[0];
+    const daily: DailyBlockStats | null = await env.ANALYTICS.get(`blocks:${dateStr}`, 'json');
+    if (!daily) continue;
+
+    for (const [blockType, stats] of Object.entries(daily.byType)) {
+      if (!totals[blockType]) {
+        totals[blockType] = emptyBlockStats();
+      }
+      const total = totals[blockType];
+      total.impressions += stats.impressions;
+      total.clicks += stats.clicks;
+      total.followUpClicks += stats.followUpClicks;
+      total.dwellMs += stats.dwellMs;
+      total.dwellReports += stats.dwellReports;
+    }
+    generationErrors += daily.generationErrors;
+    for (const [code, count] of Object.entries(daily.errorsByCode)) {
+      errorsByCode[code] = (errorsByCode[code] || 0) + count;
+    }
+  }
+
+  const blocks = Object.entries(totals).map(([blockType, stats]) => {
+    const interactions = stats.clicks + stats.followUpClicks;
+    return {
+      blockType,
+      ...stats,
+      // Share of impressions that led to a click, and average time in view per report
+      clickThroughRate: stats.impressions ? Math.round((interactions / stats.impressions) * 1000) / 1000 : 0,
+      avgDwellMs: stats.dwellReports ? Math.round(stats.dwellMs / stats.dwellReports) : 0,
+    };
+  });
+  blocks.sort((a, b) => b.clickThroughRate - a.clickThroughRate || b.impressions - a.impressions);
+
+  return jsonResponse({ days, blocks, generationErrors, errorsByCode });
+}
+
+/**
+ * Views per page path over the last `days` days (max 30), for the
+ * recommender's page lifecycle job (views show up once the cron has folded
+ * them, within about 10 minutes). `complete` is false until page views
+ * have been recorded for the whole window - before that a page with few
+ * views may just not have been counted long enough.
+ */
+async function handlePageTraffic(env: Env, url: URL): Promise<Response> {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '30') || 30, 1), PAGE_TRAFFIC_DAYS);
+  const since = new Date();
+  since.setDate(since.getDate() - (days - 1));
+  const sinceStr = since.toISOString().split('T')[0];
+
+  const pages: { path: string; views: number; lastViewedAt: number }[] = [];
+  let coveredSince: string | null = null;
+  let cursor: string | undefined;
+
+  do {
+    const list: KVNamespaceListResult<PageTraffic> = await env.ANALYTICS.list<PageTraffic>({
+      prefix: 'pageviews:',
+      cursor,
+    });
+    for (const key of list.keys) {
+      if (!key.metadata) continue;
+      // Older days are only dropped when a page gets a new view, so the oldest
+      // day on any page is when counting started (or at least the window start)
+      const oldest = Object.keys(key.metadata.daily).sort()[0];
+      if (oldest && (!coveredSince || oldest < coveredSince)) coveredSince = oldest;
+      const views = Object.entries(key.metadata.daily)
+        .filter(([date]) => date >= sinceStr)
+        .reduce((sum, [, count]) => sum + count, 0);
+      pages.push({ path: key.name.slice('pageviews:'.length), views, lastViewedAt: key.metadata.lastViewedAt });
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  const complete = coveredSince !== null && coveredSince <= sinceStr;
+  return jsonResponse({ days, pages, coveredSince, complete });
+}
+
+// =============================================================================
+// FUNNEL & COHORTS
+// =============================================================================
+
+function emptyFunnelCounts(): FunnelCounts {
+  return { sessions: 0, firstQuery: 0, secondQuery: 0, pagePublished: 0, conversion: 0 };
+}
+
+function addFunnelCounts(target: FunnelCounts, source: FunnelCounts): void {
+  target.sessions += source.sessions;
+  target.firstQuery += source.firstQuery;
+  target.secondQuery += source.secondQuery;
+  target.pagePublished += source.pagePublished;
+  target.conversion += source.conversion;
+}
+
+function dateString(date: Date): string {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Monday of the week a timestamp falls in (UTC)
+ */
+function weekStart(timestamp: number): string {
+  const date = new Date(timestamp);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return dateString(date);
+}
+
+function getReferrerHost(referrer?: string): string {
+  if (!referrer) return 'direct';
+  try {
+    return new URL(referrer).hostname || 'direct';
+  } catch {
+    return 'other';
+  }
+}
+
+/**
+ * A session's funnel stages, and its dimension values (from the first query)
+ */
+function getSessionFunnel(session: SessionData): { counts: FunnelCounts; dimensions: Record<FunnelDimension, string> } {
+  const queryCount = Math.max(session.queryCount, session.queries.length);
+  const first = session.queries[0];
+  return {
+    counts: {
+      sessions: 1,
+      firstQuery: queryCount >= 1 ? 1 : 0,
+      secondQuery: queryCount >= 2 ? 1 : 0,
+      pagePublished: session.queries.some(q => q.generatedPageUrl) ? 1 : 0,
+      conversion: session.converted ? 1 : 0,
+    },
+    dimensions: {
+      referrer: getReferrerHost(session.referrer),
+      intent: first?.intent || 'none',
+      journeyStage: first?.journeyStage || 'none',
+      preset: first?.preset || 'unknown',
+    },
+  };
+}
+
+function emptyRollup(date: string): DailyRollup {
+  return {
+    date,
+    builtAt: Date.now(),
+    funnel: emptyFunnelCounts(),
+    breakdowns: { referrer: {}, intent: {}, journeyStage: {}, preset: {} },
+    visitors: {},
+  };
+}
+
+/**
+ * Add one session to the rollup of a day it was active on
+ */
+function addSessionToRollup(rollup: DailyRollup, session: SessionData): void {
+  if (session.visitorId) {
+    rollup.visitors[session.visitorId] = weekStart(session.visitorFirstSeen || session.startTime);
+  }
+  // Sessions spanning midnight count towards the day they started
+  if (dateString(new Date(session.startTime)) !== rollup.date) return;
+
+  const { counts, dimensions } = getSessionFunnel(session);
+  addFunnelCounts(rollup.funnel, counts);
+  for (const dimension of FUNNEL_DIMENSIONS) {
+    const breakdown = rollup.breakdowns[dimension];
+    if (!breakdown[dimensions[dimension]]) {
+      breakdown[dimensions[dimension]] = emptyFunnelCounts();
+    }
+    addFunnelCounts(breakdown[dimensions[dimension]], counts);
+  }
+}
+
+/**
+ * Roll up the next slice of a day's sessions. Returns true once the day's
+ * rollup is complete and saved (its builtAt is when the build started).
+ */
+async function buildRollupSlice(env: Env, date: string): Promise<boolean> {
+  const buildKey = `${ROLLUP_BUILD_PREFIX}${date}`;
+  const build: RollupBuild = await env.ANALYTICS.get(buildKey, 'json') || { rollup: emptyRollup(date), next: 0 };
+
+  // New sessions are appended, so a build started mid-day picks them up as it goes
+  const daily: DailyStats | null = await env.ANALYTICS.get(`daily:${date}`, 'json');
+  const sessionIds = (daily?.sessionIds || []).slice(build.next, build.next + ROLLUP_SESSIONS_PER_RUN);
+  for (const sessionId of sessionIds) {
+    const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
+    if (session) addSessionToRollup(build.rollup, session);
+  }
+  build.next += sessionIds.length;
+
+  if (build.next < (daily?.sessionIds.length || 0)) {
+    await env.ANALYTICS.put(buildKey, JSON.stringify(build), { expirationTtl: 2 * 24 * 60 * 60 });
+    return false;
+  }
+
+  // builtAt is also key metadata, so the cron can tell settled days from a single list
+  await env.ANALYTICS.put(`rollup:${date}`, JSON.stringify(build.rollup), {
+    metadata: { builtAt: build.rollup.builtAt },
+    expirationTtl: 90 * 24 * 60 * 60,
+  });
+  await env.ANALYTICS.delete(buildKey);
+  return true;
+}
+
+/**
+ * The day the rollup cron should work on: a build in progress, else the most
+ * recent past day (within the session TTL) that is missing or was only
+ * snapshotted before it ended, else today.
+ */
+async function getNextRollupDate(env: Env): Promise<string> {
+  const { keys: building } = await env.ANALYTICS.list({ prefix: ROLLUP_BUILD_PREFIX });
+  if (building.length > 0) return building[0].name.slice(ROLLUP_BUILD_PREFIX.length);
+
+  const { keys } = await env.ANALYTICS.list<{ builtAt?: number }>({ prefix: 'rollup:' });
+  const builtAt = new Map(keys.map(key => [key.name.slice('rollup:'.length), key.metadata?.builtAt]));
+
+  const now = new Date();
+  for (let i = 1; i < SESSION_TTL_DAYS; i++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i);
+    const dateStr = dateString(date);
+    const built = builtAt.get(dateStr);
+    // A rollup built on its own day is only a snapshot
+    if (!built || dateString(new Date(built)) <= dateStr) return dateStr;
+  }
+  return dateString(now);
+}
+
+/**
+ * Rollup cron: advance one day's build by a slice of sessions. Past days are
+ * settled first (yesterday right after midnight), then today is refreshed.
+ */
+async function advanceRollups(env: Env): Promise<void> {
+  const date = await getNextRollupDate(env);
+  const done = await buildRollupSlice(env, date);
+  console.log(`[Rollups] ${date}: ${done ? 'built' : 'in progress'}`);
+}
+
+/**
+ * Cached rollups for the last `days` days. Rollups are only built by the cron:
+ * days without one (older than the session TTL, or not reached yet) are
+ * listed in `missing` rather than rebuilt as zeros.
+ */
+async function getDailyRollups(env: Env, days: number): Promise<{ rollups: DailyRollup[]; missing: string[] }> {
+  const rollups: DailyRollup[] = [];
+  const missing: string[] = [];
+  const now = new Date();
+
+  for (let i = 0; i < days; i++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i);
+    const dateStr = dateString(date);
+    const cached: DailyRollup | null = await env.ANALYTICS.get(`rollup:${dateStr}`, 'json');
+    if (cached) {
+      rollups.push(cached);
+    } else {
+      missing.push(dateStr);
+    }
+  }
+
+  return { rollups, missing };
+}
+
+function getConversionRates(counts: FunnelCounts): Record<string, number> {
+  const rate = (n: number, d: number) => (d > 0 ? Math.round((n / d) * 1000) / 10 : 0);
+  return {
+    firstQuery: rate(counts.firstQuery, counts.sessions),
+    secondQuery: rate(counts.secondQuery, counts.firstQuery),
+    pagePublished: rate(counts.pagePublished, counts.firstQuery),
+    conversion: rate(counts.conversion, counts.sessions),
+  };
+}
+
+/**
+ * Funnel (session start → first query → second query → page published →
+ * conversion) over the last `days` days (default 30, max 90), overall and
+ * broken down by referrer, intent, journey stage and model preset.
+ * Rates are percentages of the previous stage (conversion: of all sessions).
+ * Days the cron has no rollup for are listed in missingDays.
+ */
+async function handleFunnel(env: Env, url: URL): Promise<Response> {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '30') || 30, 1), 90);
+  const { rollups, missing } = await getDailyRollups(env, days);
+
+  const funnel = emptyFunnelCounts();
+  const breakdowns = Object.fromEntries(
+    FUNNEL_DIMENSIONS.map(dimension => [dimension, {} as Record<string, FunnelCounts>])
+  ) as Record<FunnelDimension, Record<string, FunnelCounts>>;
+
+  for (const rollup of rollups) {
+    addFunnelCounts(funnel, rollup.funnel);
+    for (const dimension of FUNNEL_DIMENSIONS) {
+      for (const [value, counts] of Object.entries(rollup.breakdowns[dimension])) {
+        if (!breakdowns[dimension][value]) {
+          breakdowns[dimension][value] = emptyFunnelCounts();
+        }
+        addFunnelCounts(breakdowns[dimension][value], counts);
+      }
+    }
+  }
+
+  return jsonResponse({
+    days,
+    missingDays: missing,
+    funnel: { ...funnel, rates: getConversionRates(funnel) },
+    breakdowns: Object.fromEntries(FUNNEL_DIMENSIONS.map(dimension => [
+      dimension,
+      Object.entries(breakdowns[dimension])
+        .map(([value, counts]) => ({ value, ...counts, rates: getConversionRates(counts) }))
+        .sort((a, b) => b.sessions - a.sessions),
+    ])),
+  });
+}
+
+/**
+ * Weekly cohort retention over the last `weeks` weeks (default 8, max 12):
+ * visitors grouped by the week of their first session, and the share of each
+ * cohort with a session in each following week (days without a rollup are
+ * listed in missingDays)
+ */
+async function handleCohorts(env: Env, url: URL): Promise<Response> {
+  const weeks = Math.min(Math.max(parseInt(url.searchParams.get('weeks') || '8') || 8, 1), 12);
+  const { rollups, missing } = await getDailyRollups(env, weeks * 7);
+
+  // cohort week -> activity week -> visitors
+  const activity: Record<string, Record<string, Set<string>>> = {};
+  for (const rollup of rollups) {
+    const activeWeek = weekStart(new Date(`${rollup.date}T00:00:00Z`).getTime());
+    for (const [visitorId, cohortWeek] of Object.entries(rollup.visitors || {})) {
+      if (!activity[cohortWeek]) activity[cohortWeek] = {};
+      if (!activity[cohortWeek][activeWeek]) activity[cohortWeek][activeWeek] = new Set();
+      activity[cohortWeek][activeWeek].add(visitorId);
+    }
+  }
+
+  const currentWeek = weekStart(Date.now());
+  const cohorts = Object.keys(activity)
+    .sort()
+    .map((cohortWeek) => {
+      const size = activity[cohortWeek][cohortWeek]?.size || 0;
+      const retention: number[] = [];
+      for (let week = cohortWeek; week <= currentWeek;) {
+        const active = activity[cohortWeek][week]?.size || 0;
+        retention.push(size > 0 ? Math.round((active / size) * 1000) / 10 : 0);
+        const next = new Date(`${week}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 7);
+        week = dateString(next);
+      }
+      return { week: cohortWeek, size, retention };
+    })
+    // Cohorts that started before the window are only partly visible
+    .filter(cohort => cohort.size > 0);
+
+  return jsonResponse({ weeks, missingDays: missing, cohorts });
+}
+
+// =============================================================================
+// COST ACCOUNTING
+// =============================================================================
+
+function emptyCostTotals(): CostTotals {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCostUsd: 0 };
+}
+
+function addCostTotals(target: CostTotals, source: Partial<CostTotals> | undefined): void {
+  if (!source) return;
+  target.calls += source.calls || 0;
+  target.inputTokens += source.inputTokens || 0;
+  target.outputTokens += source.outputTokens || 0;
+  target.latencyMs += source.latencyMs || 0;
+  target.estimatedCostUsd += source.estimatedCostUsd || 0;
+}
+
+function mergeCostMaps(
+  target: Record<string, CostTotals>,
+  source: Record<string, Partial<CostTotals>> | undefined
+): void {
+  for (const [key, totals] of Object.entries(source || {})) {
+    target[key] = target[key] || emptyCostTotals();
+    addCostTotals(target[key], totals);
+  }
+}
+
+function emptyPresetCosts(): PresetCosts {
+  return { generations: 0, totalDurationMs: 0, totals: emptyCostTotals(), byRole: {}, byBlockType: {} };
+}
+
+function mergePresetCosts(target: PresetCosts, source: PresetCosts): void {
+  target.generations += source.generations;
+  target.totalDurationMs += source.totalDurationMs;
+  addCostTotals(target.totals, source.totals);
+  mergeCostMaps(target.byRole, source.byRole);
+  mergeCostMaps(target.byBlockType, source.byBlockType);
+}
+
+function addCostReport(daily: DailyCosts, report: CostReport): void {
+  const preset = daily.byPreset[report.preset] || emptyPresetCosts();
+  preset.generations += 1;
+  preset.totalDurationMs += report.duration || 0;
+  addCostTotals(preset.totals, report.totals);
+  mergeCostMaps(preset.byRole, report.byRole);
+  mergeCostMaps(preset.byBlockType, report.byBlock);
+  daily.byPreset[report.preset] = preset;
+}
+
+function fromBase64Url(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Check a request the recommender worker signed with REQUEST_SIGNING_SECRET:
+ * X-Signature is a base64url HMAC-SHA256 of `${timestamp}.${method}.${path}.${body}`,
+ * the scheme its own write endpoints verify. Returns an error response, or null.
+ */
+async function verifyServiceSignature(request: Request, env: Env, body: string): Promise<Response | null> {
+  if (!env.REQUEST_SIGNING_SECRET) {
+    return jsonResponse({ error: 'Request signing is not configured' }, 500);
+  }
+
+  const signature = request.headers.get('X-Signature');
+  const timestamp = request.headers.get('X-Signature-Timestamp');
+  if (!signature || !timestamp) {
+    return jsonResponse({ error: 'Request must be signed (X-Signature, X-Signature-Timestamp)' }, 401);
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+    return jsonResponse({ error: 'Signature timestamp is too old or in the future' }, 401);
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.REQUEST_SIGNING_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const message = `${timestamp}.${request.method}.${new URL(request.url).pathname}.${body}`;
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(message));
+  } catch {
+    valid = false;
+  }
+  return valid ? null : jsonResponse({ error: 'Request signature does not match' }, 401);
+}
+
+/**
+ * Buffer a generation's signed usage report until the cron folds it into the day's costs
+ */
+async function handleCostReport(request: Request, env: Env): Promise<Response> {
+  const body = await request.text();
+  const unauthorized = await verifyServiceSignature(request, env, body);
+  if (unauthorized) return unauthorized;
+
+  let report: CostReport;
+  try {
+    report = JSON.parse(body) as CostReport;
+  } catch {
+    return jsonResponse({ error: 'Invalid cost report' }, 400);
+  }
+
+  if (!report || !report.preset || !report.totals) {
+    return jsonResponse({ error: 'Invalid cost report' }, 400);
+  }
+
+  const date = new Date(report.timestamp || Date.now()).toISOString().split('T')[0];
+  // Unfolded reports expire after a week rather than piling up if the cron stops
+  await env.ANALYTICS.put(`${PENDING_COSTS_PREFIX}${date}:${crypto.randomUUID()}`, JSON.stringify(report), {
+    expirationTtl: 7 * 24 * 60 * 60,
+  });
+
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Fold buffered cost reports into costs:YYYY-MM-DD. Only the cron writes the
+ * daily keys, so there are no concurrent read-modify-writes to lose reports.
+ */
+async function foldPendingCosts(env: Env): Promise<void> {
+  const { keys } = await env.ANALYTICS.list({ prefix: PENDING_COSTS_PREFIX, limit: MAX_FOLDED_PER_RUN });
+  const byDate = new Map<string, { keys: string[]; reports: CostReport[] }>();
+
+  for (const { name } of keys) {
+    const date = name.slice(PENDING_COSTS_PREFIX.length).split(':')[0];
+    const group = byDate.get(date) || { keys: [], reports: [] };
+    const report: CostReport | null = await env.ANALYTICS.get(name, 'json');
+    group.keys.push(name);
+    if (report) group.reports.push(report);
+    byDate.set(date, group);
+  }
+
+  for (const [date, group] of byDate) {
+    const costsKey = `costs:${date}`;
+    const daily: DailyCosts = await env.ANALYTICS.get(costsKey, 'json') || { date, byPreset: {} };
+    group.reports.forEach(report => addCostReport(daily, report));
+
+    // Save with 90-day TTL
+    await env.ANALYTICS.put(costsKey, JSON.stringify(daily), {
+      expirationTtl: 90 * 24 * 60 * 60,
+    });
+    // Only drop the buffered reports once the fold is saved
+    await Promise.all(group.keys.map(key => env.ANALYTICS.delete(key)));
+  }
+
+  if (keys.length > 0) {
+    console.log(`[Costs] Folded ${keys.length} cost reports`);
+  }
+}
+
+/**
+ * Get aggregated model costs per day, per preset and per block type
+ * (reports show up once the cron has folded them, within about 10 minutes)
+ */
+async function handleCosts(env: Env, url: URL): Promise<Response> {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '30') || 30, 1), 90);
+  const presetFilter = url.searchParams.get('preset');
+  const now = new Date();
+
+  const daily: { date: string; generations: number; totals: CostTotals }[] = [];
+  const byPreset: Record<string, PresetCosts> = {};
+  const byBlockType: Record<string, CostTotals> = {};
+
+  for (let i = 0; i < days; i++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i);
+    const dateStr = date.toISOString().split('T')[0];
+    const costs: DailyCosts | null = await env.ANALYTICS.get(`costs:${dateStr}`, 'json');
+    if (!costs) continue;
+
+    const dayTotals = emptyCostTotals();
+    let dayGenerations = 0;
+
+    for (const [presetName, presetCosts] of Object.entries(costs.byPreset)) {
+      if (presetFilter && presetName !== presetFilter) continue;
+
+      byPreset[presetName] = byPreset[presetName] || emptyPresetCosts();
+      mergePresetCosts(byPreset[presetName], presetCosts);
+      mergeCostMaps(byBlockType, presetCosts.byBlockType);
+      addCostTotals(dayTotals, presetCosts.totals);
+      dayGenerations += presetCosts.generations;
+    }
+
+    daily.push({ date: dateStr, generations: dayGenerations, totals: dayTotals });
+  }
+
+  // Per-generation averages make presets comparable regardless of traffic
+  const presets = Object.fromEntries(
+    Object.entries(byPreset).map(([name, costs]) => [name, {
+      ...costs,
+      avgCostPerGeneration: costs.generations > 0
+        ? Number((costs.totals.estimatedCostUsd / costs.generations).toFixed(6))
+        : 0,
+      avgTokensPerGeneration: costs.generations > 0
+        ? Math.round((costs.totals.inputTokens + costs.totals.outputTokens) / costs.generations)
+        : 0,
+      avgDurationMs: costs.generations > 0 ? Math.round(costs.totalDurationMs / costs.generations) : 0,
+    }])
+  );
+
+  return jsonResponse({
+    period: `${days}d`,
+    ...(presetFilter && { preset: presetFilter }),
+    daily: daily.reverse(),
+    byPreset: presets,
+    byBlockType,
+  });
+}
+
 // =============================================================================
 // MULTI-AGENT ANALYSIS FUNCTIONS
 // =============================================================================
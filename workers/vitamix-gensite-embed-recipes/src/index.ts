@@ -5,14 +5,17 @@
  *
  * Usage:
  *   POST /embed - Process recipes from JSON body
+ *   POST /sync - Incrementally sync recipes, products, articles or FAQs (only changed items are embedded)
  *   POST /embed-images - Process hero images from JSON body
  *   POST /query - Query Vectorize (testing)
- *   GET /status - Check index status
+ *   GET /status - Check index status and the last sync diff per content type
  */
 
 interface Env {
   AI: Ai;
   VECTORIZE: VectorizeIndex;
+  /** Sync manifests (vector id -> content hash) and last sync summaries */
+  SYNC_STATE: KVNamespace;
   BATCH_SIZE: string;
 }
 
@@ -41,6 +44,7 @@ interface Recipe {
   images?: {
     primary?: string;
   };
+  contentHash?: string;
 }
 
 interface RecipesFile {
@@ -204,15 +208,45 @@ async function generateEmbeddings(texts: string[], ai: Ai): Promise<number[][]>
   return result.data;
 }
 
+/**
+ * Build a Vectorize id (max 64 bytes) from a prefix and a natural key,
+ * shortening long keys with a hash suffix so ids stay unique
+ */
+function toVectorId(prefix: string, key: string): string {
+  const id = `${prefix}-${key}`;
+  if (id.length <= 64) return id;
+
+  // FNV-1a: fast, stable and good enough to disambiguate truncated slugs
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  const suffix = (hash >>> 0).toString(16).padStart(8, '0');
+  return `${id.slice(0, 64 - suffix.length - 1)}-${suffix}`;
+}
+
+/**
+ * Last path segment of a content URL (recipes have no ids in the crawl)
+ */
+function slugFromUrl(url: string): string {
+  return url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop() || url;
+}
+
+function recipeVectorId(recipe: Recipe): string {
+  return toVectorId('recipe', recipe.id || slugFromUrl(recipe.url));
+}
+
 /**
  * Create Vectorize vector from recipe
  */
-function createVector(recipe: Recipe, embedding: number[]): VectorizeVector {
+function createVector(recipe: Recipe, embedding: number[], contentHash?: string): VectorizeVector {
   return {
-    id: `recipe-${recipe.id}`,
+    id: recipeVectorId(recipe),
     values: embedding,
     metadata: {
       content_type: 'recipe',
+      type: 'recipe',
       source_url: recipe.url,
       page_title: recipe.name,
       chunk_text: createSearchableText(recipe).slice(0, 2000), // Vectorize metadata limit
@@ -222,11 +256,348 @@ function createVector(recipe: Recipe, embedding: number[]): VectorizeVector {
       dietary_tags: recipe.dietaryTags?.join(',') || '',
       servings: recipe.servings?.toString() || '',
       total_time: recipe.totalTime || '',
+      ...(contentHash && { content_hash: contentHash }),
       indexed_at: new Date().toISOString(),
     },
   };
 }
 
+// ============================================
+// Product / Article / FAQ Types
+// ============================================
+
+interface Product {
+  id: string;
+  name: string;
+  series: string;
+  url: string;
+  price: number | null;
+  description?: string;
+  tagline?: string;
+  features?: string[];
+  bestFor?: string[];
+  warranty?: string;
+  specs?: Record<string, string | number>;
+  contentHash?: string;
+}
+
+interface Article {
+  id: string;
+  title: string;
+  url: string;
+  category: string;
+  summary?: string;
+  keyPoints?: string[];
+  keywords?: string[];
+  relatedProducts?: string[];
+  mainContent?: string;
+  contentHash?: string;
+}
+
+interface FAQ {
+  id: string;
+  category: string;
+  question: string;
+  answer: string;
+  keywords?: string[];
+}
+
+function createProductSearchableText(product: Product): string {
+  const parts: string[] = [product.name];
+
+  if (product.tagline) parts.push(product.tagline);
+  if (product.description) parts.push(product.description);
+  parts.push(`Series: ${product.series}`);
+  if (product.bestFor?.length) parts.push(`Best for: ${product.bestFor.join(', ')}`);
+  if (product.features?.length) parts.push(`Features: ${product.features.join(', ')}`);
+  if (product.specs) {
+    parts.push(`Specs: ${Object.entries(product.specs).map(([key, value]) => `${key} ${value}`).join(', ')}`);
+  }
+  if (product.warranty) parts.push(`Warranty: ${product.warranty}`);
+
+  return parts.join('. ');
+}
+
+function createArticleSearchableText(article: Article): string {
+  const parts: string[] = [article.title];
+
+  if (article.summary) parts.push(article.summary);
+  parts.push(`Category: ${article.category}`);
+  if (article.keyPoints?.length) parts.push(`Key points: ${article.keyPoints.join('; ')}`);
+  if (article.keywords?.length) parts.push(`Keywords: ${article.keywords.join(', ')}`);
+  // Body text last - the embedding model truncates long inputs
+  if (article.mainContent) parts.push(article.mainContent);
+
+  return parts.join('. ');
+}
+
+function createFaqSearchableText(faq: FAQ): string {
+  const parts: string[] = [faq.question, faq.answer, `Category: ${faq.category}`];
+  if (faq.keywords?.length) parts.push(`Keywords: ${faq.keywords.join(', ')}`);
+  return parts.join('. ');
+}
+
+// ============================================
+// Incremental Sync
+// ============================================
+
+type SyncContentType = 'recipe' | 'product' | 'article' | 'faq';
+
+const SYNC_CONTENT_TYPES: SyncContentType[] = ['recipe', 'product', 'article', 'faq'];
+
+// Bump when searchable text or metadata changes, to force a full re-embed
+const EMBEDDING_VERSION = 'v1';
+
+// Vectorize getByIds accepts at most 20 ids per call
+const GET_BY_IDS_CHUNK = 20;
+const DELETE_CHUNK = 100;
+
+// Ids listed per bucket in sync summaries
+const MAX_LISTED_IDS = 50;
+
+interface SyncDocument {
+  id: string;
+  /** Hash of the embedded content; compared with the stored vector's content_hash */
+  hash: string;
+  text: string;
+  metadata: Record<string, string>;
+}
+
+interface SyncSummary {
+  type: SyncContentType;
+  syncedAt: string;
+  dryRun: boolean;
+  total: number;
+  added: number;
+  updated: number;
+  unchanged: number;
+  deleted: number;
+  /** Up to MAX_LISTED_IDS ids per change bucket */
+  changes: { added: string[]; updated: string[]; deleted: string[] };
+  errors: string[];
+}
+
+async function sha256Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Hash the crawler's contentHash when present, otherwise the embedded text.
+ * The embedding version is mixed in so format changes re-embed everything.
+ */
+async function contentHashFor(contentHash: string | undefined, text: string): Promise<string> {
+  return (await sha256Hex(`${EMBEDDING_VERSION}:${contentHash || text}`)).slice(0, 32);
+}
+
+async function buildSyncDocuments(type: SyncContentType, items: unknown[]): Promise<SyncDocument[]> {
+  const documents: SyncDocument[] = [];
+
+  for (const item of items) {
+    let id: string;
+    let text: string;
+    let contentHash: string | undefined;
+    let metadata: Record<string, string>;
+
+    switch (type) {
+      case 'recipe': {
+        const recipe = item as Recipe;
+        id = recipeVectorId(recipe);
+        text = createSearchableText(recipe);
+        contentHash = recipe.contentHash;
+        metadata = createVector(recipe, []).metadata as Record<string, string>;
+        break;
+      }
+      case 'product': {
+        const product = item as Product;
+        id = toVectorId('product', product.id);
+        text = createProductSearchableText(product);
+        contentHash = product.contentHash;
+        metadata = {
+          product_id: product.id,
+          source_url: product.url,
+          page_title: product.name,
+          series: product.series,
+          price: product.price?.toString() || '',
+        };
+        break;
+      }
+      case 'article': {
+        const article = item as Article;
+        id = toVectorId('article', article.id || slugFromUrl(article.url));
+        text = createArticleSearchableText(article);
+        contentHash = article.contentHash;
+        metadata = {
+          article_id: article.id,
+          source_url: article.url,
+          page_title: article.title,
+          article_category: article.category,
+          related_products: article.relatedProducts?.join(',') || '',
+        };
+        break;
+      }
+      case 'faq': {
+        const faq = item as FAQ;
+        id = toVectorId('faq', faq.id);
+        text = createFaqSearchableText(faq);
+        metadata = {
+          faq_id: faq.id,
+          page_title: faq.question,
+          faq_category: faq.category,
+        };
+        break;
+      }
+    }
+
+    documents.push({
+      id,
+      text,
+      hash: await contentHashFor(contentHash, text),
+      metadata: {
+        ...metadata,
+        // content_type is what existing queries filter on; type names the content kind for new consumers
+        content_type: type,
+        type,
+        chunk_text: text.slice(0, 2000), // Vectorize metadata limit
+      },
+    });
+  }
+
+  return documents;
+}
+
+function manifestKey(type: SyncContentType): string {
+  return `manifest:${type}`;
+}
+
+function summaryKey(type: SyncContentType): string {
+  return `sync:last:${type}`;
+}
+
+/**
+ * Stored hashes for the given ids: the sync manifest first, then the
+ * content_hash metadata of the vectors themselves (first sync, or vectors
+ * written by another tool)
+ */
+async function getStoredHashes(
+  env: Env,
+  manifest: Record<string, string>,
+  ids: string[]
+): Promise<Record<string, string>> {
+  const stored: Record<string, string> = {};
+  const unknown: string[] = [];
+
+  for (const id of ids) {
+    if (manifest[id]) {
+      stored[id] = manifest[id];
+    } else {
+      unknown.push(id);
+    }
+  }
+
+  for (let i = 0; i < unknown.length; i += GET_BY_IDS_CHUNK) {
+    const vectors = await env.VECTORIZE.getByIds(unknown.slice(i, i + GET_BY_IDS_CHUNK));
+    for (const vector of vectors) {
+      const hash = vector.metadata?.content_hash;
+      // Present without a hash: embedded by the legacy /embed endpoint
+      stored[vector.id] = typeof hash === 'string' ? hash : '';
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Sync one content type: `items` must be the complete current set, so that
+ * vectors missing from it can be deleted
+ */
+async function syncContent(
+  env: Env,
+  type: SyncContentType,
+  items: unknown[],
+  dryRun: boolean
+): Promise<SyncSummary> {
+  const documents = await buildSyncDocuments(type, items);
+  const manifest = await env.SYNC_STATE.get<Record<string, string>>(manifestKey(type), 'json') || {};
+  const stored = await getStoredHashes(env, manifest, documents.map(d => d.id));
+
+  const currentIds = new Set(documents.map(d => d.id));
+  const added = documents.filter(d => stored[d.id] === undefined);
+  const updated = documents.filter(d => stored[d.id] !== undefined && stored[d.id] !== d.hash);
+  const deleted = Object.keys(manifest).filter(id => !currentIds.has(id));
+
+  const summary: SyncSummary = {
+    type,
+    syncedAt: new Date().toISOString(),
+    dryRun,
+    total: documents.length,
+    added: added.length,
+    updated: updated.length,
+    unchanged: documents.length - added.length - updated.length,
+    deleted: deleted.length,
+    changes: {
+      added: added.slice(0, MAX_LISTED_IDS).map(d => d.id),
+      updated: updated.slice(0, MAX_LISTED_IDS).map(d => d.id),
+      deleted: deleted.slice(0, MAX_LISTED_IDS),
+    },
+    errors: [],
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  // Embed and upsert changed documents
+  const changed = [...added, ...updated];
+  const nextManifest: Record<string, string> = { ...manifest };
+  const batchSize = parseInt(env.BATCH_SIZE) || 100;
+
+  for (let i = 0; i < changed.length; i += batchSize) {
+    const batch = changed.slice(i, i + batchSize);
+    try {
+      const embeddings = await generateEmbeddings(batch.map(d => d.text), env.AI);
+      const indexedAt = new Date().toISOString();
+      await env.VECTORIZE.upsert(batch.map((doc, idx) => ({
+        id: doc.id,
+        values: embeddings[idx],
+        metadata: { ...doc.metadata, content_hash: doc.hash, indexed_at: indexedAt },
+      })));
+      batch.forEach((doc) => { nextManifest[doc.id] = doc.hash; });
+      console.log(`[Sync] ${type}: upserted ${batch.length} vectors`);
+    } catch (error) {
+      const errMsg = error instanceof Error ? error.message : 'Unknown error';
+      summary.errors.push(`Upsert batch ${Math.floor(i / batchSize) + 1}: ${errMsg}`);
+      console.error(`[Sync] ${type}: upsert batch failed:`, error);
+    }
+  }
+
+  // Remove vectors for content that no longer exists
+  for (let i = 0; i < deleted.length; i += DELETE_CHUNK) {
+    const chunk = deleted.slice(i, i + DELETE_CHUNK);
+    try {
+      await env.VECTORIZE.deleteByIds(chunk);
+      chunk.forEach((id) => { delete nextManifest[id]; });
+    } catch (error) {
+      const errMsg = error instanceof Error ? error.message : 'Unknown error';
+      summary.errors.push(`Delete batch ${Math.floor(i / DELETE_CHUNK) + 1}: ${errMsg}`);
+      console.error(`[Sync] ${type}: delete batch failed:`, error);
+    }
+  }
+
+  // Unchanged documents found only via vector metadata join the manifest too
+  documents.forEach((doc) => {
+    if (stored[doc.id] === doc.hash) nextManifest[doc.id] = doc.hash;
+  });
+
+  await env.SYNC_STATE.put(manifestKey(type), JSON.stringify(nextManifest));
+  await env.SYNC_STATE.put(summaryKey(type), JSON.stringify(summary));
+
+  console.log(`[Sync] ${type}: +${summary.added} ~${summary.updated} -${summary.deleted} (${summary.unchanged} unchanged)`);
+  return summary;
+}
+
 export default {
   async fetch(request: Request, env: Env): Promise<Response> {
     const url = new URL(request.url);
@@ -246,9 +617,54 @@ export default {
       // Status endpoint
       if (url.pathname === '/status') {
         const described = await env.VECTORIZE.describe();
+
+        // Diff summary of the last incremental sync per content type
+        const sync: Partial<Record<SyncContentType, SyncSummary | null>> = {};
+        for (const type of SYNC_CONTENT_TYPES) {
+          sync[type] = await env.SYNC_STATE.get<SyncSummary>(summaryKey(type), 'json');
+        }
+
         return Response.json({
           status: 'ok',
           vectorize: described,
+          sync,
+        }, { headers: corsHeaders });
+      }
+
+      // Incremental sync - body must hold the complete set for each type sent
+      if (url.pathname === '/sync' && request.method === 'POST') {
+        const data = await request.json() as {
+          recipes?: Recipe[];
+          products?: Product[];
+          articles?: Article[];
+          faqs?: FAQ[];
+        };
+        const dryRun = url.searchParams.get('dryRun') === 'true';
+
+        const sets: Array<[SyncContentType, unknown[] | undefined]> = [
+          ['recipe', data.recipes],
+          ['product', data.products],
+          ['article', data.articles],
+          ['faq', data.faqs],
+        ];
+        const provided = sets.filter((entry): entry is [SyncContentType, unknown[]] => Array.isArray(entry[1]));
+
+        if (provided.length === 0) {
+          return Response.json({ error: 'Provide recipes, products, articles and/or faqs' }, {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        const summaries: SyncSummary[] = [];
+        for (const [type, items] of provided) {
+          summaries.push(await syncContent(env, type, items, dryRun));
+        }
+
+        return Response.json({
+          success: summaries.every(s => s.errors.length === 0),
+          dryRun,
+          summaries,
         }, { headers: corsHeaders });
       }
 
@@ -377,7 +793,7 @@ export default {
         const { query, topK = 5, contentType } = await request.json() as {
           query: string;
           topK?: number;
-          contentType?: 'recipe' | 'hero-image';
+          contentType?: SyncContentType | 'hero-image';
         };
 
         const embeddings = await generateEmbeddings([query], env.AI);
@@ -411,10 +827,11 @@ export default {
       return Response.json({
         endpoints: {
           'POST /embed': 'Process recipes JSON and upload to Vectorize',
+          'POST /sync': 'Incrementally sync { recipes, products, articles, faqs } (?dryRun=true to preview the diff)',
           'POST /embed-images': 'Process hero images JSON and upload to Vectorize',
           'POST /embed-single': 'Process single recipe (testing)',
           'POST /query': 'Query Vectorize (testing)',
-          'GET /status': 'Check Vectorize index status',
+          'GET /status': 'Check Vectorize index status and last sync diff',
         },
         usage: 'POST recipes.json to /embed or hero images to /embed-images',
       }, { headers: corsHeaders });
@@ -495,6 +495,28 @@ export const BLOCK_RULES: BlockRule[] = [
     contentGuidance: 'Provide clear step-by-step troubleshooting. Lead with the most common fix. Be reassuring - most issues are easily resolved.',
     priority: 90, // High priority - troubleshooting queries need immediate help
   },
+  {
+    id: 'warranty-check',
+    name: 'Warranty Coverage & Claims',
+    category: 'context',
+    triggers: [
+      { type: 'keyword', value: '\\bunder warranty\\b' },
+      { type: 'keyword', value: '\\bstill covered\\b' },
+      { type: 'keyword', value: '\\bwarranty claim' },
+      { type: 'keyword', value: '\\bclaim (on|under) (my|the) warranty\\b' },
+      { type: 'keyword', value: '\\bwarranty (expired|expire|run out|ran out)\\b' },
+      { type: 'keyword', value: '\\b(is|are) my .*\\bcovered\\b' },
+    ],
+    requires: ['warranty-checker'],
+    excludes: ['product-recommendation', 'best-pick', 'product-cards', 'comparison-table'],
+    enhances: ['faq'],
+    sequenceHints: [
+      { block: 'warranty-checker', position: 'early', after: 'hero' },
+      { block: 'faq', position: 'middle' },
+    ],
+    contentGuidance: 'Help them check their own coverage. Pre-fill the model and problem they mention. Reassure them the claim process is simple.',
+    priority: 95, // Above troubleshooting - a coverage question wants the checker first
+  },
   {
     id: 'technique',
     name: 'Technique & Operation Guidance',
@@ -809,3 +831,157 @@ export function formatContentGuidance(requirements: MergedBlockRequirements): st
 
   return `## Content Guidance from Triggered Rules\n\n${requirements.contentGuidance.join('\n\n')}`;
 }
+
+// ============================================
+// Block Output Schemas
+// ============================================
+
+/**
+ * Structural contract for generated block HTML, checked by lib/block-validator.ts.
+ * "Rows" are the direct child divs of the block wrapper (what the EDS decorators
+ * iterate), "cells" are the direct child divs of a row.
+ */
+export interface BlockSchema {
+  rows?: {
+    min?: number;
+    max?: number;
+    /** Only count rows with this class (e.g. card items after a header) */
+    itemClass?: string;
+    /** Rows with these classes are not counted (headers, rationale) */
+    ignoreClasses?: string[];
+  };
+  cells?: {
+    min?: number;
+    max?: number;
+    /** Every row must have the same cell count as the first (tables) */
+    consistent?: boolean;
+  };
+  /** Classes that must appear somewhere in the block (e.g. required headers) */
+  requiredClasses?: string[];
+  /** Elements that must appear in the block, in every row, or in the first row */
+  requiredElements?: Array<{ tag: string; min?: number; scope?: 'block' | 'row' | 'first-row' }>;
+  /** Extra elements allowed on top of the shared allowlist */
+  allowedElements?: string[];
+  /** Maximum length of any single text run */
+  maxTextLength?: number;
+}
+
+export const BLOCK_SCHEMAS: Partial<Record<BlockType, BlockSchema>> = {
+  'hero': {
+    rows: { min: 1, max: 1 },
+    // Imageless heroes are fine: the model may omit the image cell, or the
+    // validator may strip a placeholder image and leave the cell empty
+    cells: { min: 1, max: 2 },
+    requiredElements: [{ tag: 'h1' }],
+    maxTextLength: 400,
+  },
+  'product-cards': {
+    rows: { itemClass: 'product-card', min: 1, max: 6 },
+    cells: { min: 2, max: 2 },
+    requiredClasses: ['pcheader'],
+    requiredElements: [{ tag: 'img', scope: 'row' }, { tag: 'a', scope: 'row' }],
+    maxTextLength: 300,
+  },
+  'recipe-cards': {
+    rows: { itemClass: 'recipe-card', min: 1, max: 6 },
+    requiredClasses: ['rcheader'],
+    requiredElements: [{ tag: 'a', scope: 'row' }],
+    maxTextLength: 300,
+  },
+  'use-case-cards': {
+    rows: { itemClass: 'use-case-card', min: 2, max: 6 },
+    requiredClasses: ['ucheader'],
+    requiredElements: [{ tag: 'h4', scope: 'row' }],
+    maxTextLength: 300,
+  },
+  'feature-highlights': {
+    rows: { ignoreClasses: ['fhheader'], min: 2, max: 6 },
+    requiredClasses: ['fhheader'],
+    requiredElements: [{ tag: 'h3', scope: 'row' }],
+    maxTextLength: 400,
+  },
+  'specs-table': {
+    rows: { min: 3, max: 12 },
+    cells: { min: 2, max: 2 },
+    maxTextLength: 200,
+  },
+  'faq': {
+    rows: { min: 1, max: 8 },
+    cells: { min: 2, max: 2 },
+    maxTextLength: 1200,
+  },
+  'testimonials': {
+    rows: { min: 2, max: 6 },
+    cells: { min: 1, max: 2 },
+    maxTextLength: 800,
+  },
+  'comparison-table': {
+    rows: { ignoreClasses: ['comparison-rationale'], min: 3, max: 20 },
+    cells: { min: 3, max: 5, consistent: true },
+    requiredElements: [{ tag: 'a', min: 2, scope: 'first-row' }],
+    maxTextLength: 200,
+  },
+  'product-recommendation': {
+    rows: { min: 1, max: 1 },
+    cells: { min: 2, max: 2 },
+    requiredElements: [{ tag: 'img' }, { tag: 'h2' }, { tag: 'a' }],
+    maxTextLength: 600,
+  },
+  'best-pick': {
+    requiredClasses: ['best-pick-headline'],
+    requiredElements: [{ tag: 'a' }],
+    maxTextLength: 400,
+  },
+  'quick-answer': {
+    rows: { min: 2, max: 3 },
+    cells: { min: 1, max: 1 },
+    maxTextLength: 600,
+  },
+  'budget-breakdown': {
+    rows: { min: 2, max: 8 },
+    cells: { min: 1, max: 2 },
+  },
+  'accessibility-specs': {
+    rows: { min: 2, max: 8 },
+    cells: { min: 1, max: 4 },
+    maxTextLength: 200,
+  },
+  'empathy-hero': {
+    rows: { min: 2, max: 3 },
+    cells: { min: 1, max: 1 },
+    maxTextLength: 400,
+  },
+  'engineering-specs': {
+    rows: { min: 2, max: 15 },
+    cells: { min: 1, max: 3 },
+    maxTextLength: 200,
+  },
+  'noise-context': {
+    rows: { min: 2, max: 10 },
+    cells: { min: 1, max: 3 },
+    maxTextLength: 200,
+  },
+  'sustainability-info': {
+    rows: { min: 2, max: 6 },
+    cells: { min: 1, max: 1 },
+  },
+  'smart-features': {
+    rows: { min: 2, max: 6 },
+    cells: { min: 1, max: 1 },
+  },
+  'technique-spotlight': {
+    rows: { min: 3, max: 10 },
+    cells: { min: 1, max: 1 },
+  },
+  'troubleshooting-steps': {
+    // eyebrow, title and diagnose rows plus up to 8 steps
+    rows: { min: 3, max: 11 },
+    cells: { min: 2, max: 4 },
+    maxTextLength: 600,
+  },
+  'warranty-checker': {
+    rows: { min: 2, max: 6 },
+    cells: { min: 2, max: 2 },
+    maxTextLength: 400,
+  },
+};
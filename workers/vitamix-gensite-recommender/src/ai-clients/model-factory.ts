@@ -5,14 +5,35 @@
  * - reasoning: Claude Opus for high-quality intent analysis and block selection
  * - content: Cerebras for fast content generation
  * - classification: Fast models for intent classification
+ *
+ * Providers are resolved by name from the registry in model-providers.ts,
+ * so new backends and presets can be plugged in without editing this class.
+ *
+ * Each role can declare a fallback chain (ModelConfig.fallbacks); call() walks
+ * it with per-provider timeouts, retries and circuit breaking (model-resilience.ts).
  */
 
 import type { Env, ModelRole, ModelConfig, ModelPreset } from '../types';
+import { getModelProvider, getStubKey, type ModelProviderClient } from './model-providers';
+import {
+  callWithRetries,
+  isProviderAvailable,
+  recordProviderFailure,
+  recordProviderSuccess,
+} from './model-resilience';
 
 // ============================================
 // Model Presets
 // ============================================
 
+// Fast, cheap Anthropic model used as the last resort in fallback chains
+const HAIKU_FALLBACK: ModelConfig = {
+  provider: 'anthropic',
+  model: 'claude-haiku-4-5',
+  maxTokens: 4096,
+  temperature: 0.7,
+};
+
 const MODEL_PRESETS: Record<string, ModelPreset> = {
   // Production preset: Opus reasoning, Cerebras content
   production: {
@@ -21,24 +42,33 @@ const MODEL_PRESETS: Record<string, ModelPreset> = {
       model: 'claude-opus-4-5-20251101',
       maxTokens: 4096,
       temperature: 0.7,
+      fallbacks: [
+        { provider: 'cerebras', model: 'gpt-oss-120b', maxTokens: 4096, temperature: 0.5 },
+      ],
     },
     content: {
       provider: 'cerebras',
       model: 'gpt-oss-120b',
       maxTokens: 4096,
       temperature: 0.8,
+      fallbacks: [
+        { provider: 'google', model: 'gemini-2.0-flash', maxTokens: 4096, temperature: 0.8 },
+        HAIKU_FALLBACK,
+      ],
     },
     classification: {
       provider: 'cerebras',
       model: 'gpt-oss-120b',
       maxTokens: 500,
       temperature: 0.3,
+      fallbacks: [{ ...HAIKU_FALLBACK, maxTokens: 500, temperature: 0.3 }],
     },
     validation: {
       provider: 'cerebras',
       model: 'gpt-oss-120b',
       maxTokens: 300,
       temperature: 0.2,
+      fallbacks: [{ ...HAIKU_FALLBACK, maxTokens: 300, temperature: 0.2 }],
     },
   },
 
@@ -50,12 +80,14 @@ const MODEL_PRESETS: Record<string, ModelPreset> = {
       model: 'gpt-oss-120b',  // Larger model for better instruction following
       maxTokens: 4096,         // Detailed reasoning output
       temperature: 0.5,        // Focused, consistent responses
+      fallbacks: [{ ...HAIKU_FALLBACK, temperature: 0.5 }],
     },
     content: {
       provider: 'cerebras',
       model: 'llama-3.3-70b',  // Clean output, no thinking artifacts
       maxTokens: 1024,
       temperature: 0.8,
+      fallbacks: [{ ...HAIKU_FALLBACK, maxTokens: 1024, temperature: 0.8 }],
     },
     classification: {
       provider: 'cerebras',
@@ -71,8 +103,22 @@ const MODEL_PRESETS: Record<string, ModelPreset> = {
     },
   },
 
+  // Local preset - every role served by the stub provider (offline, deterministic)
+  local: {
+    reasoning: { provider: 'stub', model: 'reasoning' },
+    content: { provider: 'stub', model: 'content' },
+    classification: { provider: 'stub', model: 'classification' },
+    validation: { provider: 'stub', model: 'validation' },
+  },
 };
 
+/**
+ * Register (or replace) a named preset
+ */
+export function registerModelPreset(name: string, preset: ModelPreset): void {
+  MODEL_PRESETS[name] = preset;
+}
+
 // ============================================
 // Message Types
 // ============================================
@@ -90,6 +136,32 @@ export interface ModelResponse {
     outputTokens: number;
   };
   duration?: number;
+  /** Provider that served the call (may be a fallback) */
+  provider?: string;
+  /** Set when the primary provider failed and a fallback answered */
+  fallbackFrom?: string;
+}
+
+/**
+ * A single model call captured by the record/replay harness
+ */
+export interface ModelCallRecord {
+  /** Lookup key (role + full prompt) */
+  key: string;
+  role: ModelRole;
+  provider: string;
+  model: string;
+  response: ModelResponse;
+}
+
+/**
+ * Per-request hooks attached to env.MODEL_HARNESS by the record/replay harness
+ */
+export interface ModelCallHarness {
+  /** Serve every call from this provider instead of the configured one (replay) */
+  provider?: ModelProviderClient;
+  /** Observe every completed call (record) */
+  onCall?: (record: ModelCallRecord) => void;
 }
 
 // ============================================
@@ -113,147 +185,109 @@ export class ModelFactory {
   }
 
   /**
-   * Call a model for a specific role
+   * Override the configuration for a single role on this instance
+   * (e.g. route only content generation to an OpenAI-compatible endpoint)
    */
-  async call(
-    role: ModelRole,
-    messages: Message[],
-    env: Env
-  ): Promise<ModelResponse> {
-    const config = this.preset[role];
-    const startTime = Date.now();
-
-    let response: ModelResponse;
-
-    switch (config.provider) {
-      case 'anthropic':
-        response = await this.callAnthropic(config, messages, env);
-        break;
-      case 'cerebras':
-        response = await this.callCerebras(config, messages, env);
-        break;
-      case 'google':
-        response = await this.callGoogle(config, messages, env);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${config.provider}`);
-    }
-
-    response.duration = Date.now() - startTime;
-    return response;
+  setRoleConfig(role: ModelRole, config: ModelConfig): this {
+    this.preset = { ...this.preset, [role]: config };
+    return this;
   }
 
   /**
-   * Call Anthropic Claude API
+   * Get the fallback chain for a role: the configured model, then its fallbacks
    */
-  private async callAnthropic(
-    config: ModelConfig,
-    messages: Message[],
-    env: Env
-  ): Promise<ModelResponse> {
-    const systemMessage = messages.find((m) => m.role === 'system');
-    const otherMessages = messages.filter((m) => m.role !== 'system');
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: config.model,
-        max_tokens: config.maxTokens || 4096,
-        temperature: config.temperature || 0.7,
-        system: systemMessage?.content || '',
-        messages: otherMessages.map((m) => ({
-          role: m.role,
-          content: m.content,
-        })),
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} - ${error}`);
-    }
+  getChain(role: ModelRole): ModelConfig[] {
+    const config = this.preset[role];
+    return [config, ...(config.fallbacks || [])];
+  }
 
-    const data = (await response.json()) as {
-      content: { type: string; text: string }[];
-      model: string;
-      usage: { input_tokens: number; output_tokens: number };
-    };
-
-    return {
-      content: data.content[0]?.text || '',
-      model: data.model,
-      usage: {
-        inputTokens: data.usage.input_tokens,
-        outputTokens: data.usage.output_tokens,
-      },
-    };
+  /**
+   * The model a call for this role would try first right now,
+   * skipping unregistered providers and providers with an open circuit
+   */
+  resolveProvider(role: ModelRole): { provider: string; model: string } {
+    const chain = this.getChain(role);
+    const available = chain.find((c) => getModelProvider(c.provider) && isProviderAvailable(c.provider));
+    const config = available || chain[0];
+    return { provider: config.provider, model: config.model };
   }
 
   /**
-   * Call Cerebras API
+   * Call a model for a specific role, walking its fallback chain on failure
+   * @param options.blockType - Attribute usage to a generated block (cost accounting)
    */
-  private async callCerebras(
-    config: ModelConfig,
+  async call(
+    role: ModelRole,
     messages: Message[],
-    env: Env
+    env: Env,
+    options: { blockType?: string } = {}
   ): Promise<ModelResponse> {
-    const response = await fetch(
-      'https://api.cerebras.ai/v1/chat/completions',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${env.CEREBRAS_API_KEY || env.CEREBRAS_KEY}`,
-        },
-        body: JSON.stringify({
+    const harness = env.MODEL_HARNESS;
+    const chain = this.getChain(role);
+    const primary = chain[0];
+    let lastError: unknown;
+
+    for (const config of chain) {
+      // Harness replays serve every call from one provider - no fallbacks needed
+      const provider = harness?.provider || getModelProvider(config.provider);
+      if (!provider) {
+        lastError = new Error(`Unknown provider: ${config.provider}`);
+        continue;
+      }
+      if (!harness?.provider && !isProviderAvailable(config.provider)) {
+        console.warn(`[ModelFactory] Skipping ${config.provider} for ${role} (circuit open)`);
+        lastError = new Error(`Circuit open for ${config.provider}`);
+        continue;
+      }
+
+      const startTime = Date.now();
+      let response: ModelResponse;
+      try {
+        response = harness?.provider
+          ? await provider.call({ role, config, messages, env })
+          : await callWithRetries(config, (signal) => provider.call({ role, config, messages, env, signal }));
+      } catch (error) {
+        if (harness?.provider) throw error;
+        recordProviderFailure(config.provider, error);
+        console.error(
+          `[ModelFactory] ${config.provider}/${config.model} failed for ${role}:`,
+          error instanceof Error ? error.message : error
+        );
+        lastError = error;
+        continue;
+      }
+
+      recordProviderSuccess(config.provider);
+      response.duration = Date.now() - startTime;
+      response.provider = config.provider;
+      if (config !== primary) {
+        response.fallbackFrom = `${primary.provider}/${primary.model}`;
+        console.log(`[ModelFactory] ${role} served by fallback ${config.provider}/${config.model}`);
+      }
+
+      env.USAGE_TRACKER?.record({
+        role,
+        model: response.model || config.model,
+        blockType: options.blockType,
+        inputTokens: response.usage?.inputTokens || 0,
+        outputTokens: response.usage?.outputTokens || 0,
+        latencyMs: response.duration,
+      });
+
+      if (harness?.onCall) {
+        harness.onCall({
+          key: getStubKey(role, messages),
+          role,
+          provider: config.provider,
           model: config.model,
-          max_tokens: config.maxTokens || 4096,
-          temperature: config.temperature || 0.8,
-          messages: messages.map((m) => ({
-            role: m.role,
-            content: m.content,
-          })),
-        }),
+          response: { ...response },
+        });
       }
-    );
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error(`[Cerebras] API error ${response.status}:`, error);
-      throw new Error(`Cerebras API error: ${response.status} - ${error}`);
+      return response;
     }
 
-    const data = (await response.json()) as {
-      choices: { message: { content: string } }[];
-      model: string;
-      usage: { prompt_tokens: number; completion_tokens: number };
-    };
-
-    return {
-      content: data.choices[0]?.message?.content || '',
-      model: data.model,
-      usage: {
-        inputTokens: data.usage.prompt_tokens,
-        outputTokens: data.usage.completion_tokens,
-      },
-    };
-  }
-
-  /**
-   * Call Google Gemini API (placeholder)
-   */
-  private async callGoogle(
-    config: ModelConfig,
-    messages: Message[],
-    env: Env
-  ): Promise<ModelResponse> {
-    // Placeholder for Google Gemini integration
-    throw new Error('Google Gemini integration not yet implemented');
+    throw lastError instanceof Error ? lastError : new Error(`All providers failed for ${role}`);
   }
 
   /**
@@ -271,6 +305,20 @@ export class ModelFactory {
   }
 }
 
+/**
+ * Parse per-role overrides from the MODEL_OVERRIDES env var.
+ * Format: {"content": {"provider": "openai-compatible", "model": "...", "baseUrl": "..."}}
+ */
+function parseModelOverrides(raw: string | undefined): Partial<ModelPreset> {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) as Partial<ModelPreset>;
+  } catch (error) {
+    console.error('[ModelFactory] Invalid MODEL_OVERRIDES JSON:', error);
+    return {};
+  }
+}
+
 /**
  * Create a ModelFactory instance from environment
  * @param env - Environment bindings
@@ -278,5 +326,14 @@ export class ModelFactory {
  */
 export function createModelFactory(env: Env, presetOverride?: string): ModelFactory {
   const preset = presetOverride || env.MODEL_PRESET || 'production';
-  return new ModelFactory(preset);
+  const factory = new ModelFactory(preset);
+
+  const overrides = parseModelOverrides(env.MODEL_OVERRIDES);
+  for (const [role, config] of Object.entries(overrides) as [ModelRole, ModelConfig][]) {
+    if (config?.provider && config.model) {
+      factory.setRoleConfig(role, config);
+    }
+  }
+
+  return factory;
 }
@@ -0,0 +1,393 @@
+/**
+ * Model Providers - Pluggable backends for the ModelFactory
+ *
+ * A provider turns a ModelConfig + messages into a ModelResponse. The factory
+ * looks providers up by name (ModelConfig.provider), so new backends can be
+ * registered with registerModelProvider() without touching ModelFactory.
+ *
+ * Built-in providers:
+ * - anthropic: Claude Messages API
+ * - cerebras: Cerebras chat completions (OpenAI-compatible)
+ * - google: Gemini generateContent API
+ * - openai-compatible: Any OpenAI-compatible endpoint (config.baseUrl)
+ * - stub: Deterministic offline backend that replays recorded responses
+ */
+
+import type { Env, ModelConfig, ModelRole } from '../types';
+import type { Message, ModelResponse } from './model-factory';
+import { ModelProviderError, providerFetch } from './model-resilience';
+
+// ============================================
+// Provider Types
+// ============================================
+
+export interface ModelProviderRequest {
+  role: ModelRole;
+  config: ModelConfig;
+  messages: Message[];
+  env: Env;
+  /** Aborted when the call exceeds its timeout */
+  signal?: AbortSignal;
+}
+
+export interface ModelProviderClient {
+  /** Name referenced by ModelConfig.provider */
+  name: string;
+  call(request: ModelProviderRequest): Promise<ModelResponse>;
+}
+
+// ============================================
+// Provider Registry
+// ============================================
+
+const providers = new Map<string, ModelProviderClient>();
+
+/**
+ * Register (or replace) a provider under its name
+ */
+export function registerModelProvider(provider: ModelProviderClient): void {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a registered provider by name
+ */
+export function getModelProvider(name: string): ModelProviderClient | undefined {
+  return providers.get(name);
+}
+
+/**
+ * Get the names of all registered providers
+ */
+export function getRegisteredProviders(): string[] {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Read a string binding from env by name (used for configurable API key bindings)
+ */
+function readEnvString(env: Env, key: string): string | undefined {
+  const value = (env as unknown as Record<string, unknown>)[key];
+  return typeof value === 'string' ? value : undefined;
+}
+
+// ============================================
+// Anthropic Provider
+// ============================================
+
+const anthropicProvider: ModelProviderClient = {
+  name: 'anthropic',
+  async call({ config, messages, env, signal }) {
+    const systemMessage = messages.find((m) => m.role === 'system');
+    const otherMessages = messages.filter((m) => m.role !== 'system');
+
+    const response = await providerFetch('anthropic', 'https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens || 4096,
+        temperature: config.temperature || 0.7,
+        system: systemMessage?.content || '',
+        messages: otherMessages.map((m) => ({
+          role: m.role,
+          content: m.content,
+        })),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ModelProviderError(`Anthropic API error: ${response.status} - ${error}`, {
+        provider: 'anthropic',
+        status: response.status,
+      });
+    }
+
+    const data = (await response.json()) as {
+      content: { type: string; text: string }[];
+      model: string;
+      usage: { input_tokens: number; output_tokens: number };
+    };
+
+    return {
+      content: data.content[0]?.text || '',
+      model: data.model,
+      usage: {
+        inputTokens: data.usage.input_tokens,
+        outputTokens: data.usage.output_tokens,
+      },
+    };
+  },
+};
+
+// ============================================
+// OpenAI-Compatible Providers
+// ============================================
+
+export interface OpenAICompatibleOptions {
+  /** Provider name referenced by ModelConfig.provider */
+  name: string;
+  /** Label used in log and error messages (defaults to name) */
+  label?: string;
+  /** Base URL including version prefix, e.g. https://api.cerebras.ai/v1 */
+  baseUrl?: string;
+  /** Resolve the API key from env (config.apiKeyEnv takes precedence when set) */
+  getApiKey?: (env: Env) => string | undefined;
+}
+
+/**
+ * Create a provider for any endpoint speaking the OpenAI chat completions API.
+ * The base URL can come from the options or per-role from config.baseUrl.
+ */
+export function createOpenAICompatibleProvider(options: OpenAICompatibleOptions): ModelProviderClient {
+  const label = options.label || options.name;
+
+  return {
+    name: options.name,
+    async call({ config, messages, env, signal }) {
+      const baseUrl = (config.baseUrl || options.baseUrl || '').replace(/\/+$/, '');
+      if (!baseUrl) {
+        throw new Error(`${label} provider requires a baseUrl`);
+      }
+
+      const apiKey = config.apiKeyEnv
+        ? readEnvString(env, config.apiKeyEnv)
+        : options.getApiKey?.(env);
+
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await providerFetch(options.name, `${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: config.maxTokens || 4096,
+          temperature: config.temperature || 0.8,
+          messages: messages.map((m) => ({
+            role: m.role,
+            content: m.content,
+          })),
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        console.error(`[${label}] API error ${response.status}:`, error);
+        throw new ModelProviderError(`${label} API error: ${response.status} - ${error}`, {
+          provider: options.name,
+          status: response.status,
+        });
+      }
+
+      const data = (await response.json()) as {
+        choices: { message: { content: string } }[];
+        model?: string;
+        usage?: { prompt_tokens: number; completion_tokens: number };
+      };
+
+      return {
+        content: data.choices[0]?.message?.content || '',
+        model: data.model || config.model,
+        ...(data.usage && {
+          usage: {
+            inputTokens: data.usage.prompt_tokens,
+            outputTokens: data.usage.completion_tokens,
+          },
+        }),
+      };
+    },
+  };
+}
+
+const cerebrasProvider = createOpenAICompatibleProvider({
+  name: 'cerebras',
+  label: 'Cerebras',
+  baseUrl: 'https://api.cerebras.ai/v1',
+  getApiKey: (env) => env.CEREBRAS_API_KEY || env.CEREBRAS_KEY,
+});
+
+// Generic endpoint: configured per role via config.baseUrl/apiKeyEnv,
+// or globally via OPENAI_COMPATIBLE_BASE_URL/OPENAI_COMPATIBLE_API_KEY
+const openAICompatibleProvider: ModelProviderClient = {
+  name: 'openai-compatible',
+  call(request) {
+    return createOpenAICompatibleProvider({
+      name: 'openai-compatible',
+      label: 'OpenAI-compatible',
+      baseUrl: request.env.OPENAI_COMPATIBLE_BASE_URL,
+      getApiKey: (env) => env.OPENAI_COMPATIBLE_API_KEY,
+    }).call(request);
+  },
+};
+
+// ============================================
+// Google Provider
+// ============================================
+
+const googleProvider: ModelProviderClient = {
+  name: 'google',
+  async call({ config, messages, env, signal }) {
+    if (!env.GOOGLE_API_KEY) {
+      throw new ModelProviderError('Google API key not configured', { provider: 'google' });
+    }
+
+    const systemMessage = messages.find((m) => m.role === 'system');
+    const otherMessages = messages.filter((m) => m.role !== 'system');
+
+    const response = await providerFetch(
+      'google',
+      `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': env.GOOGLE_API_KEY,
+        },
+        body: JSON.stringify({
+          ...(systemMessage && {
+            systemInstruction: { parts: [{ text: systemMessage.content }] },
+          }),
+          contents: otherMessages.map((m) => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }],
+          })),
+          generationConfig: {
+            temperature: config.temperature || 0.7,
+            maxOutputTokens: config.maxTokens || 4096,
+          },
+        }),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ModelProviderError(`Gemini API error: ${response.status} - ${error}`, {
+        provider: 'google',
+        status: response.status,
+      });
+    }
+
+    const data = (await response.json()) as {
+      candidates?: { content?: { parts?: { text?: string }[] } }[];
+      modelVersion?: string;
+      usageMetadata?: { promptTokenCount?: number; candidatesTokenCount?: number };
+    };
+
+    return {
+      content: data.candidates?.[0]?.content?.parts?.map((p) => p.text || '').join('') || '',
+      model: data.modelVersion || config.model,
+      ...(data.usageMetadata && {
+        usage: {
+          inputTokens: data.usageMetadata.promptTokenCount || 0,
+          outputTokens: data.usageMetadata.candidatesTokenCount || 0,
+        },
+      }),
+    };
+  },
+};
+
+// ============================================
+// Stub Provider (offline / deterministic)
+// ============================================
+
+/**
+ * A recorded model response, keyed by role + prompt
+ */
+export interface StubRecording {
+  key: string;
+  role: ModelRole;
+  response: ModelResponse;
+}
+
+export interface StubProviderOptions {
+  /** Provider name (defaults to 'stub') */
+  name?: string;
+  /** Recorded responses to replay */
+  recordings?: StubRecording[];
+  /**
+   * What to do when no recording matches:
+   * - 'empty': return empty content (pipeline falls back to its defaults)
+   * - 'error': throw, so missing fixtures surface immediately
+   */
+  onMiss?: 'empty' | 'error';
+}
+
+/**
+ * Compute the stable lookup key for a model call.
+ * Uses cyrb53 over the role and messages so equal prompts map to equal keys.
+ */
+export function getStubKey(role: ModelRole, messages: Message[]): string {
+  const input = JSON.stringify([role, messages.map((m) => [m.role, m.content])]);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return `${role}:${hash.toString(36)}`;
+}
+
+/**
+ * Create a stub provider that replays recorded responses without network access.
+ * Repeated calls with the same key replay recordings in order, then repeat the last.
+ */
+export function createStubProvider(options: StubProviderOptions = {}): ModelProviderClient {
+  const recordings = new Map<string, ModelResponse[]>();
+  const cursors = new Map<string, number>();
+
+  const add = (map: Map<string, ModelResponse[]>, key: string, response: ModelResponse) => {
+    const list = map.get(key) || [];
+    list.push(response);
+    map.set(key, list);
+  };
+
+  for (const recording of options.recordings || []) {
+    add(recordings, recording.key, recording.response);
+  }
+
+  return {
+    name: options.name || 'stub',
+    async call({ role, config, messages }) {
+      // Exact prompts only: a changed prompt is a miss, not a near match
+      const key = getStubKey(role, messages);
+      const list = recordings.get(key);
+
+      if (!list || list.length === 0) {
+        if (options.onMiss === 'error') {
+          throw new Error(`Stub provider has no recording for ${key}`);
+        }
+        console.warn(`[Stub] No recording for ${key}, returning empty response`);
+        return { content: '', model: `stub/${config.model}` };
+      }
+
+      const cursor = cursors.get(key) || 0;
+      cursors.set(key, cursor + 1);
+      return { ...list[Math.min(cursor, list.length - 1)] };
+    },
+  };
+}
+
+// ============================================
+// Built-in Registration
+// ============================================
+
+registerModelProvider(anthropicProvider);
+registerModelProvider(cerebrasProvider);
+registerModelProvider(googleProvider);
+registerModelProvider(openAICompatibleProvider);
+registerModelProvider(createStubProvider());
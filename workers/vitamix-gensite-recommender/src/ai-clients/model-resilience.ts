@@ -0,0 +1,216 @@
+/**
+ * Model Resilience - Timeouts, retries and circuit breaking for provider calls
+ *
+ * Used by ModelFactory.call() while walking a role's fallback chain:
+ * - Each attempt is bounded by a per-provider timeout
+ * - 429/5xx and network errors are retried with jittered exponential backoff
+ * - A provider that keeps failing is skipped for a cooldown (circuit breaker)
+ *
+ * Breaker state lives in isolate memory, so it is shared by every request
+ * served by the same worker instance.
+ */
+
+import type { ModelConfig } from '../types';
+
+// Default per-provider timeouts (ModelConfig.timeoutMs takes precedence)
+const PROVIDER_TIMEOUTS: Record<string, number> = {
+  anthropic: 60000,
+  cerebras: 20000,
+  google: 30000,
+  'openai-compatible': 30000,
+};
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Retries for transient errors (ModelConfig.maxRetries takes precedence)
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 2000;
+
+// Circuit breaker: open after N consecutive failures, retry after the cooldown
+const BREAKER_FAILURE_THRESHOLD = 3;
+const BREAKER_COOLDOWN_MS = 30000;
+
+// ============================================
+// Errors
+// ============================================
+
+/**
+ * Error thrown by providers and the resilience layer.
+ * `retryable` marks transient failures (429, 5xx, network) worth retrying.
+ */
+export class ModelProviderError extends Error {
+  provider: string;
+  status?: number;
+  retryable: boolean;
+  timedOut: boolean;
+
+  constructor(
+    message: string,
+    options: { provider: string; status?: number; retryable?: boolean; timedOut?: boolean }
+  ) {
+    super(message);
+    this.name = 'ModelProviderError';
+    this.provider = options.provider;
+    this.status = options.status;
+    this.retryable = options.retryable ?? (options.status !== undefined && isRetryableStatus(options.status));
+    this.timedOut = options.timedOut ?? false;
+  }
+}
+
+export function isRetryableStatus(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * fetch() for provider calls: network failures (the request never got a
+ * response) become retryable ModelProviderErrors, so the resilience layer can
+ * tell them apart from bugs such as a malformed response or a missing recording
+ */
+export async function providerFetch(provider: string, url: string, init: RequestInit): Promise<Response> {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    if (init.signal?.aborted) throw error;
+    throw new ModelProviderError(`${provider} network error: ${(error as Error).message}`, {
+      provider,
+      retryable: true,
+    });
+  }
+}
+
+/**
+ * Whether an error should count against the provider's circuit breaker:
+ * network errors, timeouts, 429s and 5xx only. Client errors (bad request,
+ * auth) and plain errors (parsing, programming bugs) say nothing about provider health.
+ */
+function isProviderFault(error: unknown): boolean {
+  return error instanceof ModelProviderError && (error.retryable || error.timedOut);
+}
+
+function isRetryable(error: unknown): boolean {
+  return error instanceof ModelProviderError && error.retryable;
+}
+
+// ============================================
+// Circuit Breaker
+// ============================================
+
+interface BreakerState {
+  consecutiveFailures: number;
+  openUntil: number;
+}
+
+const breakers = new Map<string, BreakerState>();
+
+/**
+ * False while the provider's breaker is open (cooling down after repeated failures)
+ */
+export function isProviderAvailable(provider: string): boolean {
+  const state = breakers.get(provider);
+  return !state || state.openUntil <= Date.now();
+}
+
+export function recordProviderSuccess(provider: string): void {
+  breakers.delete(provider);
+}
+
+export function recordProviderFailure(provider: string, error: unknown): void {
+  if (!isProviderFault(error)) return;
+
+  const state = breakers.get(provider) || { consecutiveFailures: 0, openUntil: 0 };
+  state.consecutiveFailures++;
+
+  if (state.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+    state.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    // Half-open after the cooldown: one more failure re-opens immediately
+    state.consecutiveFailures = BREAKER_FAILURE_THRESHOLD - 1;
+    console.warn(`[ModelResilience] Circuit open for ${provider} (${BREAKER_COOLDOWN_MS}ms cooldown)`);
+  }
+
+  breakers.set(provider, state);
+}
+
+/**
+ * Snapshot of breaker state, for debugging endpoints and logs
+ */
+export function getCircuitState(): Record<string, { consecutiveFailures: number; open: boolean }> {
+  const now = Date.now();
+  return Object.fromEntries(
+    Array.from(breakers.entries()).map(([provider, state]) => [
+      provider,
+      { consecutiveFailures: state.consecutiveFailures, open: state.openUntil > now },
+    ])
+  );
+}
+
+// ============================================
+// Timeouts and Retries
+// ============================================
+
+function getTimeoutMs(config: ModelConfig): number {
+  return config.timeoutMs ?? PROVIDER_TIMEOUTS[config.provider] ?? DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Run one attempt, aborting it once the provider's timeout elapses
+ */
+async function withTimeout<T>(
+  config: ModelConfig,
+  attempt: (signal: AbortSignal) => Promise<T>
+): Promise<T> {
+  const timeoutMs = getTimeoutMs(config);
+  const controller = new AbortController();
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ModelProviderError(`${config.provider} timed out after ${timeoutMs}ms`, {
+        provider: config.provider,
+        retryable: false,
+        timedOut: true,
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    // Race as well as abort, in case a provider ignores the signal
+    return await Promise.race([attempt(controller.signal), timeout]);
+  } finally {
+    if (timer !== null) clearTimeout(timer);
+  }
+}
+
+/**
+ * Full-jitter exponential backoff
+ */
+function getBackoffMs(retry: number): number {
+  const ceiling = Math.min(BACKOFF_BASE_MS * 2 ** retry, BACKOFF_MAX_MS);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Call a provider with timeout and retries for transient errors.
+ * Timeouts are not retried - the caller moves on to the next fallback instead.
+ */
+export async function callWithRetries<T>(
+  config: ModelConfig,
+  attempt: (signal: AbortSignal) => Promise<T>
+): Promise<T> {
+  const maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await withTimeout(config, attempt);
+    } catch (error) {
+      if (retry >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = getBackoffMs(retry);
+      console.warn(
+        `[ModelResilience] ${config.provider}/${config.model} failed (${error instanceof Error ? error.message.slice(0, 120) : error}), retry ${retry + 1}/${maxRetries} in ${delay}ms`
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -25,7 +25,7 @@ import type {
 } from '../types';
 import type { RAGContext } from '../content/content-service';
 import { buildCompactProductCatalog } from '../content/content-service';
-import { ModelFactory, type Message } from './model-factory';
+import { createModelFactory, type Message } from './model-factory';
 import {
   evaluateRules,
   buildBlockList,
@@ -105,6 +105,7 @@ CRITICAL - Your reasoning will be shown directly to users. Write like you're tal
 | best-pick | Prominent "Best Pick" callout with visual emphasis - ALWAYS use before comparison-table |
 | technique-spotlight | Pro blending techniques with speed/time guidance - for operation/settings questions |
 | troubleshooting-steps | Step-by-step problem resolution - for fixing issues and helping frustrated customers |
+| warranty-checker | Warranty eligibility form (model, purchase date, new or reconditioned) with a copyable claim summary - for "is my blender covered?" questions |
 
 ## Block Selection Guidelines
 
@@ -259,6 +260,15 @@ Detection: Query asks HOW TO FIX a problem (distinct from support-triage which h
 
 NOTE: Use troubleshooting-steps for both "how do I fix X?" questions AND frustrated customers seeking help. Lead with empathy and reassurance.
 
+### 16b. Warranty Coverage & Claims
+Keywords: "under warranty", "still covered", "warranty claim", "is my ... covered", "warranty expired"
+Detection: Query asks whether THEIR blender is covered or how to claim (not warranty length as a buying feature - that's research)
+- Include warranty-checker block right after the hero so they can check coverage and copy a claim summary
+- Add troubleshooting-steps after it only when they also describe a problem to fix
+- DO NOT show product recommendations
+- Block sequence: hero (reassuring), warranty-checker, faq, follow-up
+- Content guidance: Name the model and the problem when the query mentions them, so the form is pre-filled.
+
 ### 17. Technique & Operation Settings Queries
 Keywords: "how do I", "technique", "tips", "settings", "speed", "proper way", "best way", "method", "layer", "tamper", "program", "time", "minutes"
 Detection: Query asks for operational guidance, technique tips, or recommended settings
@@ -1228,7 +1238,7 @@ export async function analyzeAndSelectBlocks(
   signalInterpretation?: SignalInterpretation,
   profileConfidence?: number
 ): Promise<ReasoningResult> {
-  const modelFactory = new ModelFactory(preset || env.MODEL_PRESET || 'production');
+  const modelFactory = createModelFactory(env, preset);
 
   // Debug: Log session context
   const lastQuery = sessionContext?.previousQueries?.slice(-1)[0];
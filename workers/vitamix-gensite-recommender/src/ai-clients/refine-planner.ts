@@ -0,0 +1,201 @@
+/**
+ * Refine Planner - Turns a refinement instruction into block-level edits
+ *
+ * Given the blocks of an existing page and an instruction such as
+ * "make it cheaper" or "drop the comparison, add some soup recipes",
+ * the reasoning model decides which blocks to replace, remove or insert.
+ * Only those blocks are regenerated; the rest of the page is left untouched.
+ */
+
+import type { Env, BlockType } from '../types';
+import type { PageBlock } from '../lib/page-store';
+import { createModelFactory, type Message } from './model-factory';
+
+// Keep refinements small: a larger rewrite is a new generation
+const MAX_OPERATIONS = 4;
+
+// Characters of block text shown to the planner per block
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Block types the content generator can produce from guidance.
+ * reasoning-user, follow-up(-advisor) and allergen-safety are built from
+ * pipeline state or vetted content, so they can be removed but not regenerated.
+ */
+const REFINABLE_BLOCK_TYPES: BlockType[] = [
+  'hero',
+  'product-cards',
+  'recipe-cards',
+  'comparison-table',
+  'specs-table',
+  'product-recommendation',
+  'feature-highlights',
+  'use-case-cards',
+  'testimonials',
+  'faq',
+  'quick-answer',
+  'budget-breakdown',
+  'accessibility-specs',
+  'empathy-hero',
+  'best-pick',
+  'sustainability-info',
+  'smart-features',
+  'engineering-specs',
+  'noise-context',
+  'technique-spotlight',
+  'troubleshooting-steps',
+  'warranty-checker',
+];
+
+// ============================================
+// Types
+// ============================================
+
+/**
+ * A planned edit. Indexes refer to the page as it was before the refinement.
+ */
+export type RefineOperation =
+  | { op: 'replace'; index: number; blockType: BlockType; guidance: string }
+  | { op: 'remove'; index: number }
+  | { op: 'insert'; after: number; blockType: BlockType; guidance: string };
+
+export interface RefinePlan {
+  summary: string;
+  operations: RefineOperation[];
+}
+
+// ============================================
+// Prompt
+// ============================================
+
+const REFINE_SYSTEM_PROMPT = `You edit generated Vitamix pages. The user already has a page and asks for a change.
+Decide the SMALLEST set of block edits that satisfies the request.
+
+Operations:
+- replace: regenerate an existing block (optionally as a different block type) with new guidance
+- remove: delete a block that no longer fits
+- insert: add a new block after the block at "after" (-1 inserts at the top)
+
+Rules:
+- Maximum ${MAX_OPERATIONS} operations
+- Leave blocks the request does not affect untouched
+- "guidance" tells the content writer exactly what the new block must contain
+- Only use these block types: ${REFINABLE_BLOCK_TYPES.join(', ')}
+
+Respond with JSON only:
+{
+  "summary": "One sentence describing the change for the user",
+  "operations": [
+    { "op": "replace", "index": 2, "blockType": "product-cards", "guidance": "..." },
+    { "op": "remove", "index": 4 },
+    { "op": "insert", "after": 1, "blockType": "recipe-cards", "guidance": "..." }
+  ]
+}`;
+
+function getBlockExcerpt(html: string): string {
+  const text = html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text;
+}
+
+function buildRefinePrompt(query: string, blocks: PageBlock[], instruction: string): string {
+  const outline = blocks
+    .map((block, index) => (block.html ? `[${index}] ${block.type}: ${getBlockExcerpt(block.html)}` : null))
+    .filter(Boolean)
+    .join('\n');
+
+  return `## Original Query
+"${query}"
+
+## Current Page Blocks
+${outline}
+
+## Refinement Request
+"${instruction}"`;
+}
+
+// ============================================
+// Plan Parsing
+// ============================================
+
+function isRefinableType(type: unknown): type is BlockType {
+  return typeof type === 'string' && REFINABLE_BLOCK_TYPES.includes(type as BlockType);
+}
+
+/**
+ * Drop operations that point at missing blocks, use unknown block types
+ * or touch the same block twice
+ */
+function parseRefinePlan(content: string, blocks: PageBlock[]): RefinePlan {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No valid JSON found in refinement plan');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  if (!Array.isArray(parsed.operations)) {
+    throw new Error('Missing or invalid operations');
+  }
+
+  const isExistingBlock = (index: unknown): index is number => (
+    Number.isInteger(index) && (index as number) >= 0 && (index as number) < blocks.length && !!blocks[index as number].html
+  );
+
+  const touched = new Set<number>();
+  const operations: RefineOperation[] = [];
+
+  for (const op of parsed.operations) {
+    if (operations.length >= MAX_OPERATIONS) break;
+    const guidance = typeof op.guidance === 'string' ? op.guidance : '';
+
+    if (op.op === 'replace' && isExistingBlock(op.index) && !touched.has(op.index)) {
+      const blockType = op.blockType ?? blocks[op.index].type;
+      if (!isRefinableType(blockType)) {
+        console.warn(`[RefinePlanner] Cannot regenerate ${blockType} block at ${op.index}`);
+        continue;
+      }
+      touched.add(op.index);
+      operations.push({ op: 'replace', index: op.index, blockType, guidance });
+    } else if (op.op === 'remove' && isExistingBlock(op.index) && !touched.has(op.index)) {
+      touched.add(op.index);
+      operations.push({ op: 'remove', index: op.index });
+    } else if (op.op === 'insert' && (op.after === -1 || isExistingBlock(op.after)) && isRefinableType(op.blockType)) {
+      operations.push({ op: 'insert', after: op.after, blockType: op.blockType, guidance });
+    } else {
+      console.warn('[RefinePlanner] Skipping invalid operation:', JSON.stringify(op));
+    }
+  }
+
+  return {
+    summary: typeof parsed.summary === 'string' ? parsed.summary : 'Updated the page',
+    operations,
+  };
+}
+
+// ============================================
+// Planner
+// ============================================
+
+export async function planRefinement(
+  query: string,
+  blocks: PageBlock[],
+  instruction: string,
+  env: Env,
+  preset?: string
+): Promise<RefinePlan> {
+  const modelFactory = createModelFactory(env, preset);
+
+  const messages: Message[] = [
+    { role: 'system', content: REFINE_SYSTEM_PROMPT },
+    { role: 'user', content: buildRefinePrompt(query, blocks, instruction) },
+  ];
+
+  const response = await modelFactory.call('reasoning', messages, env);
+  const plan = parseRefinePlan(response.content, blocks);
+
+  console.log(`[RefinePlanner] ${plan.operations.length} operations: ${plan.operations.map(o => o.op).join(', ')}`);
+  return plan;
+}
@@ -768,12 +768,17 @@ export function getRecommendedProductsForRecipe(recipe: Recipe): Product[] {
                      detectRecipeCategory(recipe.description || '');
 
   if (categoryId) {
-    return getProductsForRecipeCategory(categoryId);
+    const categoryProducts = getProductsForRecipeCategory(categoryId);
+    // Category and recipe product lists can name ids missing from the catalog
+    if (categoryProducts.length > 0) {
+      return categoryProducts;
+    }
   }
 
   // Fallback to recipe's explicit recommended products
-  if (recipe.recommendedProducts) {
-    return getProductsByIds(recipe.recommendedProducts);
+  const explicitProducts = getProductsByIds(recipe.recommendedProducts || []);
+  if (explicitProducts.length > 0) {
+    return explicitProducts;
   }
 
   // Default to versatile products
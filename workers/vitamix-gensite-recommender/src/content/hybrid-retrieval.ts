@@ -0,0 +1,283 @@
+/**
+ * Hybrid Retrieval - Fuses Vectorize similarity with keyword RAG results
+ *
+ * buildRAGContext() ranks recipes and products with keyword heuristics, which
+ * miss paraphrases ("something warm for a cold night" never says "soup").
+ * The embed worker writes recipe (and product) vectors into the
+ * vitamix-gensite-content index; this module queries it with the same
+ * embedding model and merges both rankings with reciprocal rank fusion.
+ *
+ * The vector queries only need the query, so queryVectorMatches() can run
+ * alongside intent classification; fuseVectorMatches() applies the
+ * intent-dependent rules (no reconditioned units for gifts) afterwards.
+ *
+ * Metadata filters (recipe_category, difficulty, series) are applied when the
+ * query names them. They need metadata indexes on the Vectorize index:
+ *   wrangler vectorize create-metadata-index vitamix-gensite-content --property-name=<field> --type=string
+ *
+ * Callers fall back to the keyword context when VECTORIZE/AI are unavailable
+ * (local dev) or the vector query fails.
+ */
+
+import type { Env, Product, Recipe } from '../types';
+import { getAllProducts, getAllRecipes, getProductById, type RAGContext } from './content-service';
+
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+// Vectorize caps topK at 20 when metadata is returned
+const VECTOR_TOP_K = 20;
+
+// Fused list sizes when the caller doesn't set them - same as buildRAGContext()'s
+// defaults. Not the keyword list's length: that is 0 for a paraphrase, which
+// is the query the vectors are there for.
+const DEFAULT_MAX_PRODUCTS = 5;
+const DEFAULT_MAX_RECIPES = 6;
+
+// Standard RRF damping constant: higher values flatten the contribution of top ranks
+const RRF_K = 60;
+
+// Recipe categories that can be named directly in a query
+const RECIPE_CATEGORIES = [
+  'smoothies', 'soups', 'desserts', 'drinks', 'breakfast', 'sauces', 'salads',
+  'appetizers', 'flours', 'nut-butters', 'breads', 'dairy-alternatives',
+  'baby-food', 'frozen-treats', 'dips', 'cocktails', 'snacks',
+];
+
+const DIFFICULTY_TERMS: Array<{ pattern: RegExp; values: string[] }> = [
+  { pattern: /\b(easy|simple|quick|beginner|basic)\b/i, values: ['easy', 'simple'] },
+  { pattern: /\b(advanced|challenging|complex|ambitious)\b/i, values: ['advanced'] },
+];
+
+const PRODUCT_SERIES = ['ascent', 'explorian', 'propel', 'legacy', '5200', 'immersion', 'commercial', 'reconditioned'];
+
+// ============================================
+// Types
+// ============================================
+
+export interface HybridRetrievalOptions {
+  intentType?: string;
+  maxProducts?: number;
+  maxRecipes?: number;
+}
+
+export interface VectorMatches {
+  recipes: VectorizeMatch[];
+  products: VectorizeMatch[];
+}
+
+type MetadataFilter = Record<string, string | { $in: string[] }>;
+
+// ============================================
+// Rank Fusion
+// ============================================
+
+/**
+ * Reciprocal rank fusion: score(d) = sum over rankings of 1 / (k + rank).
+ * Items missing from a ranking simply get no contribution from it.
+ */
+export function reciprocalRankFusion(rankings: string[][], k = RRF_K): string[] {
+  const scores = new Map<string, number>();
+
+  for (const ranking of rankings) {
+    ranking.forEach((key, index) => {
+      scores.set(key, (scores.get(key) || 0) + 1 / (k + index + 1));
+    });
+  }
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([key]) => key);
+}
+
+// ============================================
+// Metadata Filters
+// ============================================
+
+function buildRecipeFilter(query: string): MetadataFilter {
+  const lowerQuery = query.toLowerCase();
+  const filter: MetadataFilter = { content_type: 'recipe' };
+
+  const categories = RECIPE_CATEGORIES.filter((category) => {
+    const singular = category.replace(/s$/, '');
+    return lowerQuery.includes(category.replace('-', ' ')) || lowerQuery.includes(singular.replace('-', ' '));
+  });
+  if (categories.length > 0) {
+    filter.recipe_category = { $in: categories };
+  }
+
+  const difficulty = DIFFICULTY_TERMS.find((term) => term.pattern.test(query));
+  if (difficulty) {
+    filter.difficulty = { $in: difficulty.values };
+  }
+
+  return filter;
+}
+
+function buildProductFilter(query: string): MetadataFilter {
+  const lowerQuery = query.toLowerCase();
+  const filter: MetadataFilter = { content_type: 'product' };
+
+  const series = PRODUCT_SERIES.filter((s) => lowerQuery.includes(s));
+  if (series.length > 0) {
+    filter.series = { $in: series };
+  }
+
+  return filter;
+}
+
+// ============================================
+// Vector Queries
+// ============================================
+
+async function embedQuery(env: Env, text: string): Promise<number[] | null> {
+  const result = await env.AI.run(EMBEDDING_MODEL, { text: [text] }) as { data?: number[][] };
+  return result.data?.[0] || null;
+}
+
+/**
+ * Query with metadata filters, retrying unfiltered when the filters match nothing
+ * (e.g. a metadata index hasn't been created yet)
+ */
+async function queryVectors(
+  env: Env,
+  embedding: number[],
+  filter: MetadataFilter
+): Promise<VectorizeMatch[]> {
+  const index = env.VECTORIZE as VectorizeIndex;
+  const result = await index.query(embedding, {
+    topK: VECTOR_TOP_K,
+    filter: filter as VectorizeVectorMetadataFilter,
+    returnMetadata: 'all',
+  });
+
+  if (result.matches.length > 0 || Object.keys(filter).length === 1) {
+    return result.matches;
+  }
+
+  const unfiltered = await index.query(embedding, {
+    topK: VECTOR_TOP_K,
+    filter: { content_type: filter.content_type } as VectorizeVectorMetadataFilter,
+    returnMetadata: 'all',
+  });
+  return unfiltered.matches;
+}
+
+// ============================================
+// Catalog Lookups
+// ============================================
+
+// Recipes have no stable ids, so vectors are matched back by source URL
+let recipesByUrl: Map<string, Recipe> | null = null;
+
+function normalizeUrl(url: string): string {
+  return url.toLowerCase().replace(/[?#].*$/, '').replace(/\/+$/, '');
+}
+
+function recipeKey(recipe: Recipe): string {
+  return recipe.url ? normalizeUrl(recipe.url) : recipe.name;
+}
+
+function findRecipe(match: VectorizeMatch): Recipe | undefined {
+  if (!recipesByUrl) {
+    recipesByUrl = new Map(getAllRecipes().filter((r) => r.url).map((r) => [normalizeUrl(r.url as string), r]));
+  }
+  const sourceUrl = match.metadata?.source_url;
+  return typeof sourceUrl === 'string' ? recipesByUrl.get(normalizeUrl(sourceUrl)) : undefined;
+}
+
+function findProduct(match: VectorizeMatch): Product | undefined {
+  const productId = match.metadata?.product_id;
+  if (typeof productId === 'string') {
+    const product = getProductById(productId);
+    if (product) return product;
+  }
+  const sourceUrl = match.metadata?.source_url;
+  if (typeof sourceUrl !== 'string') return undefined;
+  return getAllProducts().find((p) => normalizeUrl(p.url) === normalizeUrl(sourceUrl));
+}
+
+function isReconditioned(product: Product): boolean {
+  return [product.series, product.name, product.id].some((value) => /reconditioned|refurbished/i.test(value || ''));
+}
+
+// ============================================
+// Hybrid Retrieval
+// ============================================
+
+/**
+ * Embed the query (with recent turns) and run the recipe and product vector
+ * queries. Returns null when the model returns no embedding; throws when a
+ * query fails so the caller can keep the keyword context.
+ */
+export async function queryVectorMatches(
+  env: Env,
+  query: string,
+  previousQueries: string[] = []
+): Promise<VectorMatches | null> {
+  // Recent turns disambiguate follow-ups like "they love soups!"
+  const embeddingText = [...previousQueries.slice(-2), query].join('. ');
+  const embedding = await embedQuery(env, embeddingText);
+  if (!embedding) return null;
+
+  const [recipes, products] = await Promise.all([
+    queryVectors(env, embedding, buildRecipeFilter(query)),
+    queryVectors(env, embedding, buildProductFilter(query)),
+  ]);
+  return { recipes, products };
+}
+
+/**
+ * Re-rank a keyword RAG context with vector matches from queryVectorMatches()
+ */
+export function fuseVectorMatches(
+  keywordContext: RAGContext,
+  matches: VectorMatches,
+  options: HybridRetrievalOptions = {}
+): RAGContext {
+  const maxRecipes = options.maxRecipes ?? DEFAULT_MAX_RECIPES;
+  const maxProducts = options.maxProducts ?? DEFAULT_MAX_PRODUCTS;
+  const { recipes: recipeMatches, products: productMatches } = matches;
+
+  // Recipes: keyword order vs vector order, keyed by URL
+  const recipeLookup = new Map<string, Recipe>();
+  const keywordRecipeRanking = keywordContext.relevantRecipes.map((recipe) => {
+    recipeLookup.set(recipeKey(recipe), recipe);
+    return recipeKey(recipe);
+  });
+  const vectorRecipeRanking: string[] = [];
+  for (const match of recipeMatches) {
+    const recipe = findRecipe(match);
+    if (recipe && !vectorRecipeRanking.includes(recipeKey(recipe))) {
+      recipeLookup.set(recipeKey(recipe), recipe);
+      vectorRecipeRanking.push(recipeKey(recipe));
+    }
+  }
+
+  // Products: keyword order vs vector order, keyed by id
+  const productLookup = new Map<string, Product>(keywordContext.relevantProducts.map((p) => [p.id, p]));
+  const vectorProductRanking: string[] = [];
+  for (const match of productMatches) {
+    const product = findProduct(match);
+    // Same gift rule as the keyword path: no reconditioned units
+    if (!product || (options.intentType === 'gift' && isReconditioned(product))) continue;
+    if (!vectorProductRanking.includes(product.id)) {
+      productLookup.set(product.id, product);
+      vectorProductRanking.push(product.id);
+    }
+  }
+
+  const relevantRecipes = reciprocalRankFusion([keywordRecipeRanking, vectorRecipeRanking])
+    .slice(0, maxRecipes)
+    .map((key) => recipeLookup.get(key) as Recipe);
+  const relevantProducts = reciprocalRankFusion([keywordContext.relevantProducts.map((p) => p.id), vectorProductRanking])
+    .slice(0, maxProducts)
+    .map((id) => productLookup.get(id) as Product);
+
+  console.log(`[RAG] Hybrid retrieval: ${vectorRecipeRanking.length} recipe / ${vectorProductRanking.length} product vector matches fused with keyword results`);
+
+  return {
+    ...keywordContext,
+    relevantRecipes,
+    relevantProducts,
+  };
+}
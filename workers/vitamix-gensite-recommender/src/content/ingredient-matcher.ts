@@ -0,0 +1,376 @@
+/**
+ * Ingredient Matcher - Ranks recipes by how much of them the user can make
+ *
+ * Backs /api/ingredient-match (the ingredient-search block). The user's
+ * on-hand ingredients are normalized (plurals, synonyms such as "berries"),
+ * compared with each recipe's ingredient list, and recipes are ranked by
+ * coverage. Pantry staples (water, ice, salt...) are assumed to be on hand.
+ *
+ * Most crawled recipes have no ingredient list, so for those the ingredients
+ * are inferred from the name and description with extractIngredients(); such
+ * matches are ranked below recipes with a real list.
+ *
+ * When nothing covers the user's ingredients well and the caller opts in
+ * (generate: true), a recipe can be generated from them instead.
+ */
+
+import type { Env, Product, Recipe } from '../types';
+import { getAllRecipes, extractIngredients, getRecommendedProductsForRecipe } from './content-service';
+import { createModelFactory, type Message } from '../ai-clients/model-factory';
+
+const DEFAULT_MAX_RESULTS = 6;
+
+// Generate a recipe when the best match covers less than this share of its ingredients
+const GENERATE_BELOW_MATCH = 60;
+
+// Inferred ingredient lists are incomplete, so their coverage counts for less
+const INFERRED_COVERAGE_WEIGHT = 0.85;
+
+/**
+ * Ingredient groups: the key matches any member and each member matches the key
+ * ("berries" covers "blueberries"; "strawberries" covers "mixed berries")
+ */
+const SYNONYM_GROUPS: Record<string, string[]> = {
+  berry: ['strawberry', 'blueberry', 'raspberry', 'blackberry', 'cranberry', 'mixed berry'],
+  green: ['spinach', 'kale', 'chard', 'romaine', 'lettuce', 'arugula'],
+  milk: ['almond milk', 'oat milk', 'soy milk', 'coconut milk', 'cashew milk', 'dairy milk', 'nondairy milk'],
+  yogurt: ['yoghurt', 'greek yogurt', 'almond yogurt', 'coconut yogurt'],
+  'nut butter': ['peanut butter', 'almond butter', 'cashew butter'],
+  cocoa: ['cacao', 'cocoa powder', 'cacao powder'],
+  chile: ['chili', 'chilli', 'jalapeno', 'jalapeño'],
+  'protein powder': ['protein', 'whey'],
+};
+
+// Staples, optionally with one descriptor ("warm water", "kosher salt")
+const PANTRY_STAPLE = /^(?:[a-z]+ )?(?:water|ice|ice cube|salt|black pepper|sugar|oil|olive oil|vanilla extract|baking soda|baking powder)$/;
+
+// ============================================
+// Types
+// ============================================
+
+export interface IngredientMatchOptions {
+  maxResults?: number;
+  /** Generate a recipe when no recipe is a good match (opt-in: it calls the content model) */
+  generate?: boolean;
+  preset?: string;
+}
+
+export interface IngredientMatchRecipe {
+  title: string;
+  description?: string;
+  difficulty: string;
+  time: string;
+  category?: string;
+  url?: string;
+  image?: string;
+  /** Share of the recipe's (non-staple) ingredients the user has */
+  matchPercent: number;
+  matchedIngredients: string[];
+  missingIngredients: string[];
+  /** Ingredients were inferred from the name/description, not a recipe list */
+  ingredientsInferred?: boolean;
+  container?: string;
+  recommendedProduct?: { id: string; name: string; url: string; price: number | null };
+  generated?: boolean;
+  instructions?: string[];
+}
+
+export interface IngredientMatchResult {
+  ingredients: string[];
+  recipes: IngredientMatchRecipe[];
+  /** Set when a recipe was generated because nothing matched well */
+  generatedRecipe?: IngredientMatchRecipe;
+}
+
+// ============================================
+// Normalization
+// ============================================
+
+function singularize(word: string): string {
+  if (word.length <= 3 || /(ss|us)$/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|x|o)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+export function normalizeIngredient(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-zà-ÿ\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+/**
+ * Parse the user's input ("banana, frozen berries and spinach") into ingredients
+ */
+export function parseIngredientInput(input: string | string[]): string[] {
+  const parts = (Array.isArray(input) ? input : input.split(/,|;|\n|\band\b/))
+    .map(part => normalizeIngredient(part))
+    .filter(Boolean);
+  return [...new Set(parts)];
+}
+
+function isPantryStaple(ingredient: string): boolean {
+  return PANTRY_STAPLE.test(ingredient);
+}
+
+/**
+ * All forms an on-hand ingredient can appear as in a recipe
+ */
+function getMatchTerms(ingredient: string): string[] {
+  const terms = new Set([ingredient]);
+  for (const [key, members] of Object.entries(SYNONYM_GROUPS)) {
+    const normalizedMembers = members.map(normalizeIngredient);
+    if (ingredient === key) {
+      normalizedMembers.forEach(member => terms.add(member));
+    } else if (normalizedMembers.includes(ingredient)) {
+      terms.add(key);
+    }
+  }
+  return [...terms];
+}
+
+function containsTerm(text: string, term: string): boolean {
+  return new RegExp(`(^|\\s)${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\s|$)`).test(text);
+}
+
+// ============================================
+// Matching
+// ============================================
+
+interface ScoredRecipe {
+  recipe: Recipe;
+  result: IngredientMatchRecipe;
+  score: number;
+}
+
+/**
+ * Recipe ingredients, inferred from the name and description when the
+ * crawled recipe has no ingredient list
+ */
+function getRecipeIngredients(recipe: Recipe, onHand: string[]): { ingredients: string[]; inferred: boolean } {
+  // A few crawled recipes have a placeholder string instead of a list
+  if (Array.isArray(recipe.ingredients) && recipe.ingredients.length > 0) {
+    return { ingredients: recipe.ingredients.map(i => normalizeIngredient(i.item || '')).filter(Boolean), inferred: false };
+  }
+
+  const text = `${recipe.name} ${recipe.description || ''}`;
+  const normalizedText = normalizeIngredient(text);
+  const inferred = [
+    ...extractIngredients(text).map(normalizeIngredient),
+    // On-hand ingredients that aren't in the common ingredient list
+    ...onHand.filter(ingredient => containsTerm(normalizedText, ingredient)),
+  ];
+  return { ingredients: [...new Set(inferred)], inferred: true };
+}
+
+function formatDifficulty(difficulty?: string): string {
+  const value = difficulty || 'easy';
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function getRecipeImage(recipe: Recipe): string | undefined {
+  const image = recipe.images?.primary || recipe.images?.remoteUrl;
+  if (!image || image.includes('noimageimage')) return undefined;
+  return image.startsWith('/') ? `https://www.vitamix.com${image}` : image;
+}
+
+function toRecommendedProduct(product: Product | undefined): IngredientMatchRecipe['recommendedProduct'] {
+  if (!product) return undefined;
+  return { id: product.id, name: product.name, url: product.url, price: product.price ?? null };
+}
+
+/**
+ * Coverage of a recipe's ingredient list by the on-hand ingredients
+ */
+function scoreIngredients(recipeIngredients: string[], onHand: string[]): {
+  coverage: number;
+  matched: string[];
+  missing: string[];
+  usedOnHand: number;
+} {
+  const onHandTerms = onHand.map(ingredient => ({ ingredient, terms: getMatchTerms(ingredient) }));
+  const used = new Set<string>();
+  const matched: string[] = [];
+  const missing: string[] = [];
+
+  for (const item of recipeIngredients) {
+    if (isPantryStaple(item)) continue;
+    const match = onHandTerms.find(({ terms }) => terms.some(term => containsTerm(item, term)));
+    if (match) {
+      used.add(match.ingredient);
+      matched.push(item);
+    } else {
+      missing.push(item);
+    }
+  }
+
+  const total = matched.length + missing.length;
+  return {
+    coverage: total > 0 ? matched.length / total : 0,
+    matched,
+    missing,
+    usedOnHand: used.size,
+  };
+}
+
+function scoreRecipe(recipe: Recipe, onHand: string[]): ScoredRecipe | null {
+  const { ingredients, inferred } = getRecipeIngredients(recipe, onHand);
+  const { coverage, matched, missing, usedOnHand } = scoreIngredients(ingredients, onHand);
+  if (usedOnHand === 0) return null;
+
+  // Mostly coverage (can I make it?), partly how many of my ingredients it uses
+  const weightedCoverage = inferred ? coverage * INFERRED_COVERAGE_WEIGHT : coverage;
+  const score = weightedCoverage * 0.7 + (usedOnHand / onHand.length) * 0.3;
+
+  const container = recipe.requiredContainer && !/not specified/i.test(recipe.requiredContainer)
+    ? recipe.requiredContainer
+    : undefined;
+
+  return {
+    recipe,
+    score,
+    result: {
+      title: recipe.name,
+      description: recipe.description,
+      difficulty: formatDifficulty(recipe.difficulty),
+      time: recipe.totalTime || recipe.prepTime || recipe.time || '10 min',
+      category: recipe.category,
+      url: recipe.url,
+      image: getRecipeImage(recipe),
+      matchPercent: Math.round(weightedCoverage * 100),
+      matchedIngredients: matched,
+      missingIngredients: missing,
+      ...(inferred && { ingredientsInferred: true }),
+      container,
+    },
+  };
+}
+
+/**
+ * Rank catalog recipes by coverage of the on-hand ingredients
+ */
+export function matchRecipesByIngredients(onHand: string[], maxResults = DEFAULT_MAX_RESULTS): IngredientMatchRecipe[] {
+  if (onHand.length === 0) return [];
+
+  const seen = new Set<string>();
+  return getAllRecipes()
+    .map(recipe => scoreRecipe(recipe, onHand))
+    .filter((scored): scored is ScoredRecipe => scored !== null)
+    .sort((a, b) => b.score - a.score)
+    .filter(({ recipe }) => {
+      // The crawl has a few duplicate recipes under different URLs
+      const key = recipe.name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxResults)
+    // Product lookup only for the recipes actually returned
+    .map(({ recipe, result }) => ({
+      ...result,
+      recommendedProduct: toRecommendedProduct(getRecommendedProductsForRecipe(recipe)[0]),
+    }));
+}
+
+// ============================================
+// Recipe Generation
+// ============================================
+
+const RECIPE_GENERATION_PROMPT = `You create Vitamix blender recipes from the ingredients a user has on hand.
+Use mostly their ingredients; add at most 3 other common ingredients. Pantry staples (water, ice, salt, sugar, oil) are always available.
+
+Respond with JSON only:
+{
+  "title": "Recipe name",
+  "description": "One appetizing sentence",
+  "difficulty": "easy|medium|advanced",
+  "time": "10 min",
+  "ingredients": ["1 cup spinach", "1 banana"],
+  "instructions": ["Step 1", "Step 2"],
+  "container": "64 oz"
+}`;
+
+async function generateRecipe(
+  onHand: string[],
+  env: Env,
+  preset?: string
+): Promise<IngredientMatchRecipe | null> {
+  const modelFactory = createModelFactory(env, preset);
+  const messages: Message[] = [
+    { role: 'system', content: RECIPE_GENERATION_PROMPT },
+    { role: 'user', content: `Ingredients on hand: ${onHand.join(', ')}` },
+  ];
+
+  try {
+    const response = await modelFactory.call('content', messages, env, { blockType: 'ingredient-match' });
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!parsed.title || !Array.isArray(parsed.ingredients)) return null;
+
+    // Strip quantities so the generated list is scored like catalog recipes
+    const ingredients = (parsed.ingredients as string[])
+      .map(item => normalizeIngredient(item.replace(/^[\d\s/.½¼¾⅓⅔-]+(cups?|tbsp|tsp|tablespoons?|teaspoons?|oz|ounces?|g|grams?|ml|pinch|handful)?\b/i, '')))
+      .filter(Boolean);
+    const { coverage, matched, missing } = scoreIngredients(ingredients, onHand);
+    const product = getRecommendedProductsForRecipe({
+      name: parsed.title,
+      description: parsed.description,
+    } as Recipe)[0];
+
+    return {
+      title: parsed.title,
+      description: parsed.description,
+      difficulty: formatDifficulty(parsed.difficulty),
+      time: parsed.time || '10 min',
+      matchPercent: Math.round(coverage * 100),
+      matchedIngredients: matched,
+      missingIngredients: missing,
+      container: parsed.container,
+      recommendedProduct: toRecommendedProduct(product),
+      generated: true,
+      instructions: Array.isArray(parsed.instructions) ? parsed.instructions : [],
+    };
+  } catch (error) {
+    console.error('[IngredientMatch] Recipe generation failed:', error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
+// ============================================
+// Entry Point
+// ============================================
+
+export async function matchIngredients(
+  input: string | string[],
+  env: Env,
+  options: IngredientMatchOptions = {}
+): Promise<IngredientMatchResult> {
+  const onHand = parseIngredientInput(input);
+  const recipes = matchRecipesByIngredients(onHand, options.maxResults ?? DEFAULT_MAX_RESULTS);
+  const bestMatch = recipes[0]?.matchPercent ?? 0;
+
+  console.log(`[IngredientMatch] ${onHand.length} ingredients, ${recipes.length} recipes, best match ${bestMatch}%`);
+
+  if (options.generate !== true || bestMatch >= GENERATE_BELOW_MATCH) {
+    return { ingredients: onHand, recipes };
+  }
+
+  const generatedRecipe = await generateRecipe(onHand, env, options.preset);
+  if (!generatedRecipe) {
+    return { ingredients: onHand, recipes };
+  }
+
+  // The generated recipe leads: it is the best fit for what the user has
+  return {
+    ingredients: onHand,
+    recipes: [generatedRecipe, ...recipes],
+    generatedRecipe,
+  };
+}
@@ -5,21 +5,108 @@
  * AI-driven Vitamix Blender Recommender.
  *
  * Endpoints:
- * - GET /generate?q=...&slug=...&ctx=... - Stream page generation via SSE
+ * - GET /api/v1/stream?q=...&slug=...&ctx=... - Stream page generation via SSE
+ *   (aliases: /generate, /api/stream)
  *   - q: User query (takes precedence over context)
  *   - ctx: Context ID (ctx_xxx) or legacy session context JSON
  *   - slug: URL slug for the page
- *   - preset: Model preset (production, fast, all-cerebras)
+ *   - preset: Model preset (production, all-cerebras, local)
+ *   - cache: 'bypass' to skip the generation cache for this request
+ *   - protocol: SSE payload version to receive (default: current; 1 on /api/stream)
+ *   - lastEventId: last event id received, when reconnecting (or the Last-Event-ID header)
+ *   Query generations are checkpointed per slug: reconnects and other tabs
+ *   replay finished blocks and only the remaining ones are generated
+ * - POST /refine - Signed; streams block edits to a generated page ({ instruction, slug } or inline blocks,
+ *   only refinements of the stored page snapshot are saved back)
+ * - POST /api/cache/purge - Service-signed (shared secret only); purge cached generations
+ *   ({ query, preset, mode } or { all: true }, 200 entries per call - repeat while more is true)
+ * - POST /api/auth/token - Session token + signing key for write endpoints (allowed origins only)
+ * - POST /api/persist, /store-context, /embed-support - Signed writes, rate limited (401/429)
+ *   (/api/persist also moderates the page before publishing: 422 when rejected, and
+ *   dedupes it against published pages: reuses a fresh match's URL or republishes its path)
+ * - POST /api/pages - Service-signed; published page registry (query, dates, product references,
+ *   traffic), paged with { after?: <path>, limit? } (next is the cursor for the following page)
+ * - POST /api/pages/lifecycle-report - Service-signed; dry run of the page lifecycle cron over its next
+ *   batch (what it would remove and regenerate), used by tools/page-lifecycle-report.js
+ * - POST /api/catalog/stale-pages, /api/catalog/republish - Service-signed; used by tools/catalog-diff.js
+ *   to find published pages naming changed products and regenerate them
+ * - POST /api/ingredient-match - Recipes ranked by on-hand ingredients; generate: true (signed)
+ *   also generates a recipe when nothing matches well
+ * - POST /support/diagnose - Guided troubleshooting: next yes/no step or outcome for a symptom
+ * - POST /support/warranty - Warranty eligibility, coverage and claim summary for a model and purchase
  * - GET /health - Health check
+ * - POST /harness/record, /harness/replay - Record/replay fixtures (DEBUG only)
+ *
+ * Cron trigger (scheduled): page lifecycle - removes stale and low-traffic published
+ * pages and regenerates pages whose products changed price or availability
  *
  * NOTE: 'query' parameter is deprecated - use 'q' instead
  */
 
-import type { Env, SessionContext, SSEEvent, IntentClassification, ExtensionContext, SupportChatRequest } from './types';
-import { orchestrate, orchestrateFromContext } from './lib/orchestrator';
-import { persistAndPublish, buildPageHtml, unescapeHtml } from './lib/da-client';
+import { STREAM_PROTOCOL_VERSION } from './types';
+import type { Env, SessionContext, IntentClassification, ExtensionContext, SupportChatRequest, DiagnoseRequest, WarrantyCheckRequest } from './types';
+import { orchestrate, orchestrateFromContext, orchestrateRefinement } from './lib/orchestrator';
+import { persistAndPublish, buildPageHtml, getPageTitle } from './lib/da-client';
 import { classifyCategory, generateSemanticSlug, buildCategorizedPath } from './lib/category-classifier';
 import { handleSupportChat } from './lib/support-chat';
+import { diagnose } from './lib/support-diagnose';
+import { checkWarranty } from './lib/support-warranty';
+import {
+  buildGenerationCacheKey,
+  getCachedGeneration,
+  createCacheRecorder,
+  storeCachedGeneration,
+  replayCachedGeneration,
+  purgeGenerationCache,
+  type GenerationCacheKeyInput,
+} from './lib/generation-cache';
+import { recordGeneration, replayGeneration, type HarnessRunRequest, type GenerationFixture } from './lib/replay-harness';
+import { reportGenerationUsage } from './lib/usage-tracker';
+import { getCircuitState } from './ai-clients/model-resilience';
+import { matchIngredients } from './content/ingredient-matcher';
+import { moderatePage, screenQueryRules } from './lib/input-safety';
+import {
+  embedPageQuery,
+  findDuplicatePage,
+  getBlockSignature,
+  listPublishedPaths,
+  getPublishedPages,
+  recordPublishedPage,
+  snapshotProducts,
+  type DuplicateMatch,
+} from './lib/published-pages';
+import { runPageLifecycle } from './lib/page-lifecycle';
+import { findStalePages, republishStalePage, type CatalogChange } from './lib/catalog-changes';
+import { resolveProtocolVersion, createProtocolWriter, type WireEvent } from './lib/stream-protocol';
+import {
+  authorizeServiceRequest,
+  authorizeWriteRequest,
+  issueRequestToken,
+  RATE_LIMITS,
+  type AuthFailure,
+  type RateLimitPolicy,
+} from './lib/request-auth';
+import {
+  createGenerationSession,
+  getGenerationSession,
+  isSessionForRequest,
+  isSessionActive,
+  getLastEventId,
+  createSessionRecorder,
+  replaySessionEvents,
+  followSession,
+  reclaimSession,
+  type GenerationSession,
+  type SessionEventWriter,
+} from './lib/generation-session';
+import {
+  getPageSnapshot,
+  savePageSnapshot,
+  getBlockTypeFromHtml,
+  getBlocksFromEvents,
+  getGroundingFromEvents,
+  type PageBlock,
+} from './lib/page-store';
 
 // Context storage key prefix
 const CONTEXT_PREFIX = 'ctx_';
@@ -33,7 +120,7 @@ const CONTEXT_TTL = 60 * 60;
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Signature, X-Signature-Timestamp, Last-Event-ID',
 };
 
 // ============================================
@@ -42,29 +129,33 @@ const CORS_HEADERS = {
 
 function createSSEStream(): {
   readable: ReadableStream;
-  write: (event: SSEEvent) => void;
+  write: (event: WireEvent) => void;
   close: () => void;
 } {
   const encoder = new TextEncoder();
   let controller: ReadableStreamDefaultController<Uint8Array>;
+  let cancelled = false;
 
   const readable = new ReadableStream<Uint8Array>({
     start(c) {
       controller = c;
     },
     cancel() {
-      // Client disconnected
+      // Client disconnected - generation may keep running to checkpoint its session
+      cancelled = true;
     },
   });
 
   return {
     readable,
-    write: (event: SSEEvent) => {
+    write: (event: WireEvent) => {
+      if (cancelled) return;
       const data = JSON.stringify(event.data);
-      const message = `event: ${event.event}\ndata: ${data}\n\n`;
-      controller.enqueue(encoder.encode(message));
+      const id = event.id !== undefined ? `id: ${event.id}\n` : '';
+      controller.enqueue(encoder.encode(`${id}event: ${event.event}\ndata: ${data}\n\n`));
     },
     close: () => {
+      if (cancelled) return;
       controller.close();
     },
   };
@@ -74,8 +165,16 @@ function createSSEStream(): {
 // Request Handlers
 // ============================================
 
-async function handleGenerate(request: Request, env: Env): Promise<Response> {
+/**
+ * Stream a generation (/api/v1/stream, /api/stream, /generate).
+ * Legacy /api/stream clients get protocol 1 event shapes unless they ask otherwise.
+ */
+async function handleGenerate(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
   const url = new URL(request.url);
+  const protocolVersion = resolveProtocolVersion(
+    url.searchParams.get('protocol'),
+    url.pathname === '/api/stream' ? 1 : undefined
+  );
   // Prefer 'q' parameter, fall back to 'query' for backward compatibility
   const query = url.searchParams.get('q') || url.searchParams.get('query');
   const slug = url.searchParams.get('slug');
@@ -86,7 +185,7 @@ async function handleGenerate(request: Request, env: Env): Promise<Response> {
   // Check if ctx is a stored context ID (full context mode)
   // Pass query to override context.query when explicit query is provided
   if (ctxParam && ctxParam.startsWith(CONTEXT_PREFIX)) {
-    return handleGenerateFromContext(ctxParam, slug, preset, env, query, mode);
+    return handleGenerateFromContext(ctxParam, slug, preset, env, query, mode, protocolVersion);
   }
 
   // Original query-based flow
@@ -107,47 +206,195 @@ async function handleGenerate(request: Request, env: Env): Promise<Response> {
     }
   }
 
-  // Create SSE stream
-  const { readable, write, close } = createSSEStream();
+  // Check the generation cache (query flow only - stored contexts are per-user)
+  const bypassCache = url.searchParams.get('cache') === 'bypass';
+  const cacheInput: GenerationCacheKeyInput = {
+    query,
+    preset: preset || env.MODEL_PRESET || 'production',
+    mode,
+    sessionContext,
+  };
+  const cacheKey = await buildGenerationCacheKey(cacheInput);
+  const effectiveSlug = slug || generateSlug(query);
+
+  // Create SSE stream, translating events for clients pinned to an older protocol
+  const stream = createSSEStream();
+  const { readable, close } = stream;
+  const write = createProtocolWriter(stream.write, protocolVersion);
+  const streamHeaders = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Stream-Protocol': String(protocolVersion),
+    ...CORS_HEADERS,
+  };
+
+  // A reconnect or second tab for a generation that is running or just finished
+  const session = await getGenerationSession(env, effectiveSlug);
+  if (session && session.status !== 'failed' && isSessionForRequest(session, cacheKey)) {
+    console.log(`[Generate] Joining ${session.status} session for "${effectiveSlug}"`);
+    const sessionPromise = continueGenerationSession(session, getLastEventId(request), write, env, {
+      sessionContext,
+      preset,
+      mode,
+    })
+      .catch((error) => {
+        console.error('Session resume error:', error);
+        write({
+          event: 'error',
+          data: { message: error.message || 'Generation failed' },
+        });
+      })
+      .finally(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        close();
+      });
+    // A resumed generation keeps checkpointing if this client drops too
+    ctx.waitUntil(sessionPromise);
+
+    return new Response(readable, {
+      headers: { ...streamHeaders, 'X-Generation-Session': session.status === 'complete' ? 'REPLAY' : 'RESUME' },
+    });
+  }
+
+  const cached = bypassCache ? null : await getCachedGeneration(env, cacheKey);
+
+  if (cached) {
+    console.log(`[Generate] Cache hit for "${query.slice(0, 60)}" (${cacheKey})`);
+    replayCachedGeneration(cached, write)
+      .then(() => savePageSnapshot(env, {
+        slug: effectiveSlug,
+        query,
+        blocks: getBlocksFromEvents(cached.events),
+        refinements: [],
+        grounding: getGroundingFromEvents(cached.events),
+      }))
+      .catch((error) => {
+        console.error('Cache replay error:', error);
+        write({
+          event: 'error',
+          data: { message: error.message || 'Generation failed' },
+        });
+      })
+      .finally(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        close();
+      });
+
+    return new Response(readable, {
+      headers: { ...streamHeaders, 'X-Generation-Cache': 'HIT' },
+    });
+  }
+
+  // Record events and checkpoints under the slug so reconnects can resume
+  const sessionRecorder = createSessionRecorder(
+    env,
+    createGenerationSession(effectiveSlug, query, cacheKey),
+    write
+  );
+  const recorder = createCacheRecorder(sessionRecorder.write);
 
   // Start orchestration in background
   const orchestrationPromise = orchestrate(
     query,
-    slug || generateSlug(query),
+    effectiveSlug,
     env,
-    write,
+    recorder.write,
     sessionContext,
     preset,
-    mode
+    mode,
+    { onCheckpoint: sessionRecorder.checkpoint }
   )
+    .then((result) => Promise.all([
+      reportGenerationUsage(env, result.usage, { query, duration: result.duration }),
+      savePageSnapshot(env, { slug: effectiveSlug, query, blocks: result.blocks, refinements: [], grounding: result.grounding }),
+      sessionRecorder.finish('complete'),
+    ]))
     .catch((error) => {
       console.error('Orchestration error:', error);
       write({
         event: 'error',
         data: { message: error.message || 'Generation failed' },
       });
+      return sessionRecorder.finish('failed');
     })
     .finally(async () => {
+      if (!bypassCache && recorder.isCacheable()) {
+        await storeCachedGeneration(env, cacheKey, cacheInput, recorder.events);
+      }
       // Small delay before closing to ensure all events are flushed to browser
       await new Promise(resolve => setTimeout(resolve, 100));
       close();
     });
+  // Keep generating (and checkpointing) if the client disconnects, so it can resume
+  ctx.waitUntil(orchestrationPromise);
 
   // Return SSE response immediately
   return new Response(readable, {
-    headers: {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      Connection: 'keep-alive',
-      ...CORS_HEADERS,
-    },
+    headers: { ...streamHeaders, 'X-Generation-Cache': bypassCache ? 'BYPASS' : 'MISS' },
   });
 }
 
+/**
+ * Serve a request for a slug that already has a generation session:
+ * replay a finished one, follow a running one, and take over an abandoned one
+ * from its last checkpoint (or from scratch when it never reached one).
+ */
+async function continueGenerationSession(
+  session: GenerationSession,
+  lastEventId: number,
+  write: SessionEventWriter,
+  env: Env,
+  options: { sessionContext?: SessionContext; preset?: string; mode?: string }
+): Promise<void> {
+  if (session.status === 'complete') {
+    replaySessionEvents(session, lastEventId, write);
+    return;
+  }
+
+  // Finished while we followed, or still running elsewhere past the follow limit
+  const { session: latest } = await followSession(env, session, lastEventId, write);
+  if (latest.status !== 'running' || isSessionActive(latest)) {
+    return;
+  }
+
+  const reclaimed = reclaimSession(latest);
+  console.log(`[Generate] Taking over abandoned session for "${reclaimed.slug}" (${reclaimed.resume?.blocks.length ?? 0} blocks done)`);
+  const recorder = createSessionRecorder(env, reclaimed, write);
+
+  try {
+    const result = await orchestrate(
+      reclaimed.query,
+      reclaimed.slug,
+      env,
+      recorder.write,
+      options.sessionContext,
+      options.preset,
+      options.mode,
+      { state: reclaimed.resume, onCheckpoint: recorder.checkpoint }
+    );
+    await Promise.all([
+      reportGenerationUsage(env, result.usage, { query: reclaimed.query, duration: result.duration }),
+      savePageSnapshot(env, {
+        slug: reclaimed.slug,
+        query: reclaimed.query,
+        blocks: result.blocks,
+        refinements: [],
+        grounding: result.grounding,
+      }),
+      recorder.finish('complete'),
+    ]);
+  } catch (error) {
+    await recorder.finish('failed');
+    throw error;
+  }
+}
+
 /**
  * Handle generation from stored full context (extension flow)
  * @param explicitQuery - Optional query from URL that overrides context.query
  * @param mode - Optional mode (e.g., 'support' for support-focused pages)
+ * @param protocolVersion - SSE payload version negotiated by handleGenerate
  */
 async function handleGenerateFromContext(
   contextId: string,
@@ -155,7 +402,8 @@ async function handleGenerateFromContext(
   preset: string | undefined,
   env: Env,
   explicitQuery?: string | null,
-  mode?: string
+  mode?: string,
+  protocolVersion = STREAM_PROTOCOL_VERSION
 ): Promise<Response> {
   // Fetch context from KV
   if (!env.SESSIONS) {
@@ -192,7 +440,9 @@ async function handleGenerateFromContext(
   }
 
   // Create SSE stream
-  const { readable, write, close } = createSSEStream();
+  const stream = createSSEStream();
+  const { readable, close } = stream;
+  const write = createProtocolWriter(stream.write, protocolVersion);
 
   // Determine slug - use query if available, otherwise generate from context
   const effectiveSlug = slug || generateSlugFromContext(context);
@@ -206,6 +456,19 @@ async function handleGenerateFromContext(
     preset,
     mode
   )
+    .then((result) => Promise.all([
+      reportGenerationUsage(env, result.usage, {
+        query: context.query || undefined,
+        duration: result.duration,
+      }),
+      savePageSnapshot(env, {
+        slug: effectiveSlug,
+        query: context.query || effectiveSlug.replace(/-/g, ' '),
+        blocks: result.blocks,
+        refinements: [],
+        grounding: result.grounding,
+      }),
+    ]))
     .catch((error) => {
       console.error('Context orchestration error:', error);
       write({
@@ -219,6 +482,125 @@ async function handleGenerateFromContext(
       close();
     });
 
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Stream-Protocol': String(protocolVersion),
+      ...CORS_HEADERS,
+    },
+  });
+}
+
+/**
+ * Refine request body structure. The page comes from the stored snapshot
+ * (slug) or is sent inline (blocks) for pages generated elsewhere.
+ */
+interface RefineRequest {
+  instruction: string;
+  slug?: string;
+  blocks?: Array<{ html: string; sectionStyle?: string; type?: string }>;
+  query?: string;
+  preset?: string;
+}
+
+/**
+ * Handle conversational refinement of an existing page: streams only the
+ * blocks that change (block-replace / block-remove / block-insert).
+ * Signed (withWriteAuth); the instruction is screened like a query - rules here
+ * (422), the model in orchestrateRefinement (safety-intercept event).
+ */
+async function handleRefine(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+  let body: RefineRequest;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  const instruction = body.instruction?.trim();
+  if (!instruction) {
+    return new Response(JSON.stringify({ error: 'Missing instruction' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  // Input safety rules - before any prompt sees the instruction
+  const verdict = screenQueryRules(instruction);
+  if (!verdict.safe) {
+    console.warn(`[Refine] Instruction screened out (${verdict.category}): ${verdict.reason}`);
+    return new Response(JSON.stringify({ error: 'Instruction failed input screening', safety: verdict }), {
+      status: 422,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  // Inline blocks take precedence: they are what the client is showing.
+  // They are client-supplied, so their refinements are never saved as the snapshot.
+  const snapshot = body.slug ? await getPageSnapshot(env, body.slug) : null;
+  let blocks: PageBlock[] | undefined = body.blocks?.map((block) => ({
+    type: block.type || getBlockTypeFromHtml(block.html),
+    html: block.html,
+    sectionStyle: block.sectionStyle,
+  }));
+  const fromSnapshot = !blocks || blocks.length === 0;
+  if (fromSnapshot) {
+    if (body.slug && !snapshot) {
+      return new Response(JSON.stringify({ error: 'Page not found or expired' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+      });
+    }
+    blocks = snapshot?.blocks;
+  }
+  if (!blocks || blocks.length === 0) {
+    return new Response(JSON.stringify({ error: 'Missing slug or blocks' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  const query = body.query || snapshot?.query || body.slug?.replace(/-/g, ' ') || '';
+  const { readable, write, close } = createSSEStream();
+
+  const refinementPromise = orchestrateRefinement(
+    { query, blocks },
+    instruction,
+    env,
+    write,
+    body.preset
+  )
+    .then((result) => Promise.all([
+      reportGenerationUsage(env, result.usage, { query: `${query} (refine)`, duration: result.duration }),
+      // Keep the snapshot in step so the next refinement starts from this page
+      // (only server-produced pages: the stored snapshot plus generated blocks)
+      snapshot && fromSnapshot && result.changed > 0 && savePageSnapshot(env, {
+        slug: snapshot.slug,
+        query,
+        blocks: result.blocks,
+        refinements: [...(snapshot?.refinements || []), instruction],
+      }),
+    ]))
+    .catch((error) => {
+      console.error('Refinement error:', error);
+      write({
+        event: 'error',
+        data: { message: error.message || 'Refinement failed' },
+      });
+    })
+    .finally(async () => {
+      // Small delay before closing to ensure all events are flushed to browser
+      await new Promise(resolve => setTimeout(resolve, 100));
+      close();
+    });
+  // Keep refining (and saving the snapshot) if the client disconnects
+  ctx.waitUntil(refinementPromise);
+
   return new Response(readable, {
     headers: {
       'Content-Type': 'text/event-stream',
@@ -283,6 +665,8 @@ function handleHealth(): Response {
       status: 'ok',
       service: 'vitamix-recommender',
       timestamp: new Date().toISOString(),
+      // Providers with recent failures (open = currently skipped by fallback chains)
+      circuits: getCircuitState(),
     }),
     {
       headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
@@ -507,6 +891,10 @@ interface PersistRequest {
   blocks: Array<{ html: string; sectionStyle?: string }>;
   intent?: IntentClassification;
   title?: string;
+  /** Model preset the page was generated with; moderation runs on the same one */
+  preset?: string;
+  /** Slug the page was generated under; its snapshot holds the grounding report */
+  slug?: string;
 }
 
 /**
@@ -515,7 +903,7 @@ interface PersistRequest {
 async function handlePersist(request: Request, env: Env): Promise<Response> {
   try {
     const body: PersistRequest = await request.json();
-    const { query, blocks, intent, title } = body;
+    const { query, blocks, intent, title, preset, slug } = body;
 
     if (!query || !blocks || blocks.length === 0) {
       return new Response(
@@ -524,6 +912,16 @@ async function handlePersist(request: Request, env: Env): Promise<Response> {
       );
     }
 
+    // Output moderation - harmful or screened-out pages are never published
+    const moderation = await moderatePage(query, blocks, env, preset);
+    if (!moderation.publishable) {
+      console.warn(`[Persist] Rejected by moderation (${moderation.category || 'unknown'}): ${moderation.reason}`);
+      return new Response(
+        JSON.stringify({ success: false, error: 'Page failed moderation', moderation }),
+        { status: 422, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+
     // Create a default intent if not provided, normalizing entities to ensure arrays exist
     const effectiveIntent: IntentClassification = {
       intentType: intent?.intentType || 'discovery',
@@ -536,29 +934,43 @@ async function handlePersist(request: Request, env: Env): Promise<Response> {
       journeyStage: intent?.journeyStage || 'exploring',
     };
 
-    // Classify category and generate slug
-    const category = classifyCategory(effectiveIntent, query);
-    const slug = generateSemanticSlug(query, effectiveIntent);
-    const path = buildCategorizedPath(category, slug);
+    // Dedup against published pages: reuse a fresh match, republish a stale one
+    const signature = getBlockSignature(blocks);
+    const embedding = await embedPageQuery(env, query);
+    const duplicate: DuplicateMatch | null = embedding ? await findDuplicatePage(env, embedding, signature) : null;
 
-    // Build page title - use provided title or extract from first h1 in blocks
-    let pageTitle = title || 'Your Vitamix Experience';
-    if (!title) {
-      for (const block of blocks) {
-        const h1Match = block.html.match(/<h1[^>]*>([^<]+)<\/h1>/i);
-        if (h1Match) {
-          // Unescape HTML entities since the extracted text may contain &amp; etc.
-          pageTitle = unescapeHtml(h1Match[1]);
-          break;
-        }
-      }
+    if (duplicate?.action === 'reuse') {
+      console.log(`[Persist] Reusing ${duplicate.page.path} (similarity ${duplicate.similarity.toFixed(3)})`);
+      return new Response(
+        JSON.stringify({
+          success: true,
+          path: duplicate.page.path,
+          urls: duplicate.page.urls,
+          dedup: { action: 'reused', similarity: duplicate.similarity, version: duplicate.page.version },
+        }),
+        { headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
     }
 
+    // Classify category and generate slug (a stale duplicate keeps its path)
+    const path = duplicate
+      ? duplicate.page.path
+      : buildCategorizedPath(classifyCategory(effectiveIntent, query), generateSemanticSlug(query, effectiveIntent));
+
+    // Build page title - use provided title or extract from first h1 in blocks
+    const pageTitle = title || getPageTitle(blocks, 'Your Vitamix Experience');
+
     // Build page description from query
     const pageDescription = `Personalized Vitamix content for: ${query}`;
 
+    // Grounding score is stored with the page so low-scoring pages can be reviewed.
+    // It comes from the generation's own report (kept server-side with the page
+    // snapshot), never from the client; pages without one are stored unscored.
+    const snapshot = slug ? await getPageSnapshot(env, slug) : null;
+    const groundingScore = snapshot?.grounding?.score;
+
     // Build the HTML page
-    const html = buildPageHtml(pageTitle, pageDescription, blocks);
+    const html = buildPageHtml(pageTitle, pageDescription, blocks, { groundingScore });
 
     // Persist and publish
     console.log(`[Persist] Saving page to ${path}`);
@@ -573,11 +985,28 @@ async function handlePersist(request: Request, env: Env): Promise<Response> {
     }
 
     console.log(`[Persist] Success: ${result.urls?.live}`);
+    const published = embedding && result.urls
+      ? await recordPublishedPage(env, {
+        path,
+        query,
+        embedding,
+        signature,
+        urls: result.urls,
+        products: snapshotProducts(blocks),
+      })
+      : null;
+
     return new Response(
       JSON.stringify({
         success: true,
         path,
         urls: result.urls,
+        groundingScore,
+        dedup: {
+          action: duplicate ? 'versioned' : 'created',
+          similarity: duplicate?.similarity,
+          version: published?.version ?? 1,
+        },
       }),
       { headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
     );
@@ -590,6 +1019,163 @@ async function handlePersist(request: Request, env: Env): Promise<Response> {
   }
 }
 
+/**
+ * List the published page registry a page at a time ({ after?: <path>, limit? })
+ */
+async function handlePublishedPages(request: Request, env: Env): Promise<Response> {
+  const body = await request.json().catch(() => ({})) as { after?: string; limit?: number };
+  const paths = await listPublishedPaths(env);
+  const after = typeof body.after === 'string' ? body.after : null;
+  const limit = Math.min(Math.max(1, Math.floor(Number(body.limit)) || 100), 200);
+  const start = after ? paths.findIndex(path => path > after) : 0;
+  const slice = start === -1 ? [] : paths.slice(start, start + limit);
+  const pages = await getPublishedPages(env, slice);
+  const next = start !== -1 && start + limit < paths.length ? slice[slice.length - 1] : null;
+  return new Response(JSON.stringify({ pages, total: paths.length, next }), {
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  });
+}
+
+/**
+ * Dry run of the page lifecycle cron: what its next run would remove and regenerate
+ */
+async function handleLifecycleReport(_request: Request, env: Env): Promise<Response> {
+  const report = await runPageLifecycle(env, { dryRun: true });
+  return new Response(JSON.stringify({ success: true, ...report }), {
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  });
+}
+
+/**
+ * Scan published pages for changed products ({ changes, offset?, limit?, paths? }).
+ * Without paths the response carries the registry snapshot to page over.
+ */
+async function handleCatalogStalePages(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await request.json() as {
+      changes?: CatalogChange[];
+      offset?: number;
+      limit?: number;
+      paths?: string[];
+    };
+    if (!Array.isArray(body.changes)) {
+      return new Response(
+        JSON.stringify({ success: false, error: 'Missing changes array' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+    if (body.paths !== undefined && !(Array.isArray(body.paths) && body.paths.every(p => typeof p === 'string'))) {
+      return new Response(
+        JSON.stringify({ success: false, error: 'paths must be an array of page paths' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+
+    const scan = await findStalePages(env, body.changes, body);
+    return new Response(JSON.stringify({ success: true, ...scan }), {
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[CatalogChanges] Scan error:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+    );
+  }
+}
+
+/**
+ * Regenerate and republish one stale page ({ path })
+ */
+async function handleCatalogRepublish(request: Request, env: Env): Promise<Response> {
+  try {
+    const { path } = await request.json() as { path?: string };
+    if (!path) {
+      return new Response(
+        JSON.stringify({ success: false, error: 'Missing path' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+
+    const result = await republishStalePage(env, path);
+    return new Response(JSON.stringify({ ...result, path }), {
+      status: result.success ? 200 : 500,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[CatalogChanges] Republish error:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+    );
+  }
+}
+
+// ============================================
+// Write Endpoint Auth
+// ============================================
+
+function authFailureResponse(failure: AuthFailure): Response {
+  console.warn(`[Auth] ${failure.status} ${failure.error}: ${failure.message}`);
+  return new Response(
+    JSON.stringify({ error: failure.error, message: failure.message, retryAfter: failure.retryAfter }),
+    {
+      status: failure.status,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(failure.retryAfter !== undefined && { 'Retry-After': String(failure.retryAfter) }),
+        ...CORS_HEADERS,
+      },
+    }
+  );
+}
+
+/**
+ * Run a write handler only for signed, allowed and non-throttled requests
+ */
+async function withWriteAuth(
+  request: Request,
+  env: Env,
+  policy: RateLimitPolicy,
+  handler: (request: Request, env: Env) => Promise<Response>
+): Promise<Response> {
+  const auth = await authorizeWriteRequest(request, env, policy);
+  if (!auth.ok) {
+    return authFailureResponse(auth);
+  }
+  return handler(request, env);
+}
+
+/**
+ * Run an admin endpoint's handler once the request is signed with the shared
+ * secret (trusted tools); browser tokens get 403
+ */
+async function withServiceAuth(
+  request: Request,
+  env: Env,
+  policy: RateLimitPolicy,
+  handler: (request: Request, env: Env) => Promise<Response>
+): Promise<Response> {
+  const auth = await authorizeServiceRequest(request, env, policy);
+  if (!auth.ok) {
+    return authFailureResponse(auth);
+  }
+  return handler(request, env);
+}
+
+/**
+ * Issue a write token to an allowed origin (browser pages, the extension)
+ */
+async function handleAuthToken(request: Request, env: Env): Promise<Response> {
+  const result = await issueRequestToken(request, env);
+  if (!result.ok) {
+    return authFailureResponse(result);
+  }
+  return new Response(JSON.stringify(result.token), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS },
+  });
+}
+
 function handleOptions(): Response {
   return new Response(null, {
     status: 204,
@@ -611,6 +1197,10 @@ interface SupportChunk {
     manual_name: string;
     chunk_index: number;
     total_chunks: number;
+    /** Set by newer scraper runs; used for support chat citations */
+    manual_id?: string;
+    manual_url?: string;
+    page?: number | null;
   };
 }
 
@@ -687,6 +1277,10 @@ async function handleEmbedSupport(request: Request, env: Env): Promise<Response>
             models: chunk.metadata.models.join(','),
             section_title: chunk.metadata.section_title,
             manual_name: chunk.metadata.manual_name,
+            manual_id: chunk.metadata.manual_id || '',
+            manual_url: chunk.metadata.manual_url || '',
+            page: chunk.metadata.page || 0,
+            chunk_index: chunk.metadata.chunk_index,
             indexed_at: new Date().toISOString(),
           },
         }));
@@ -749,6 +1343,182 @@ async function handleSupportChatEndpoint(request: Request, env: Env): Promise<Re
   }
 }
 
+/**
+ * Handle guided troubleshooting: return the next step for a symptom
+ */
+async function handleDiagnose(request: Request): Promise<Response> {
+  try {
+    const body: DiagnoseRequest = await request.json();
+
+    if (!body.symptom && !body.query?.trim()) {
+      return new Response(
+        JSON.stringify({ error: 'Provide a symptom or a query' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+      );
+    }
+
+    const result = diagnose(body);
+    return new Response(JSON.stringify(result), {
+      status: 'error' in result ? 400 : 200,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[Diagnose] Endpoint error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+    );
+  }
+}
+
+/**
+ * Handle warranty check: coverage for a model, purchase date and channel, or
+ * the details still missing (warranty-checker block)
+ */
+async function handleWarrantyCheck(request: Request): Promise<Response> {
+  try {
+    const body: WarrantyCheckRequest = await request.json();
+    const result = checkWarranty(body);
+    return new Response(JSON.stringify(result), {
+      status: 'error' in result ? 400 : 200,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[Warranty] Endpoint error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+    );
+  }
+}
+
+/**
+ * Handle ingredient search: rank recipes by coverage of the user's
+ * on-hand ingredients (ingredient-search block)
+ */
+async function handleIngredientMatch(request: Request, env: Env): Promise<Response> {
+  try {
+    // Read a clone: generation requests are verified against the raw body
+    const body: {
+      ingredients?: string | string[];
+      maxResults?: number;
+      generate?: boolean;
+      preset?: string;
+    } = await request.clone().json();
+
+    // Matching is local; generating a recipe calls the content model, so it is signed and rate limited
+    if (body.generate === true) {
+      const auth = await authorizeWriteRequest(request, env, RATE_LIMITS.ingredientGenerate);
+      if (!auth.ok) {
+        return authFailureResponse(auth);
+      }
+    }
+
+    const hasIngredients = Array.isArray(body.ingredients)
+      ? body.ingredients.length > 0
+      : !!body.ingredients?.trim();
+    if (!hasIngredients) {
+      return new Response(
+        JSON.stringify({ error: 'Missing ingredients' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+      );
+    }
+
+    const result = await matchIngredients(body.ingredients as string | string[], env, {
+      maxResults: body.maxResults ? Math.min(body.maxResults, 20) : undefined,
+      generate: body.generate,
+      preset: body.preset,
+    });
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[IngredientMatch] Endpoint error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+    );
+  }
+}
+
+/**
+ * Handle generation cache purge: a single query entry or everything
+ */
+async function handleCachePurge(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await request.json() as Partial<GenerationCacheKeyInput> & { all?: boolean };
+
+    if (!body.all && !body.query) {
+      return new Response(
+        JSON.stringify({ error: 'Provide a query to purge, or all: true' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+      );
+    }
+
+    const key = body.query
+      ? await buildGenerationCacheKey({
+        query: body.query,
+        preset: body.preset || env.MODEL_PRESET || 'production',
+        mode: body.mode,
+        sessionContext: body.sessionContext,
+      })
+      : undefined;
+
+    const { purged, more } = await purgeGenerationCache(env, key);
+    console.log(`[CachePurge] Purged ${purged} entries${key ? ` (${key})` : ''}${more ? ', more remain' : ''}`);
+
+    return new Response(JSON.stringify({ success: true, purged, more }), {
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[CachePurge] Error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+    );
+  }
+}
+
+/**
+ * Handle record/replay harness requests (regression fixtures for the pipeline).
+ * Only enabled when DEBUG is on, since recordings expose full prompts.
+ */
+async function handleHarness(request: Request, env: Env, action: 'record' | 'replay'): Promise<Response> {
+  if (env.DEBUG !== 'true') {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  try {
+    if (action === 'record') {
+      const body: HarnessRunRequest = await request.json();
+      if (!body.query && !body.context) {
+        return new Response(
+          JSON.stringify({ error: 'Missing query or context' }),
+          { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+        );
+      }
+
+      const fixture = await recordGeneration(body, env);
+      return new Response(JSON.stringify(fixture), {
+        headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+      });
+    }
+
+    const fixture: GenerationFixture = await request.json();
+    const result = await replayGeneration(fixture, env);
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error(`[Harness] ${action} error:`, error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } }
+    );
+  }
+}
+
 // ============================================
 // Utility Functions
 // ============================================
@@ -827,11 +1597,18 @@ export default {
 
     // Route requests
     switch (path) {
+      case '/api/v1/stream':
+      case '/api/stream':
       case '/generate':
-        return handleGenerate(request, env);
+        return handleGenerate(request, env, ctx);
       case '/store-context':
         if (request.method === 'POST') {
-          return handleStoreContext(request, env);
+          return withWriteAuth(request, env, RATE_LIMITS.storeContext, handleStoreContext);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/refine':
+        if (request.method === 'POST') {
+          return withWriteAuth(request, env, RATE_LIMITS.refine, (req, e) => handleRefine(req, e, ctx));
         }
         return new Response('Method not allowed', { status: 405 });
       case '/generate-hint':
@@ -839,9 +1616,40 @@ export default {
           return handleGenerateHint(request, env);
         }
         return new Response('Method not allowed', { status: 405 });
+      case '/api/auth/token':
+        if (request.method === 'POST') {
+          return handleAuthToken(request, env);
+        }
+        return new Response('Method not allowed', { status: 405 });
       case '/api/persist':
         if (request.method === 'POST') {
-          return handlePersist(request, env);
+          return withWriteAuth(request, env, RATE_LIMITS.persist, handlePersist);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/pages':
+        // Service-signed: the registry lists users' queries
+        if (request.method === 'POST') {
+          return withServiceAuth(request, env, RATE_LIMITS.catalog, handlePublishedPages);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/pages/lifecycle-report':
+        if (request.method === 'POST') {
+          return withServiceAuth(request, env, RATE_LIMITS.catalog, handleLifecycleReport);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/catalog/stale-pages':
+        if (request.method === 'POST') {
+          return withServiceAuth(request, env, RATE_LIMITS.catalog, handleCatalogStalePages);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/catalog/republish':
+        if (request.method === 'POST') {
+          return withServiceAuth(request, env, RATE_LIMITS.catalog, handleCatalogRepublish);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/cache/purge':
+        if (request.method === 'POST') {
+          return withServiceAuth(request, env, RATE_LIMITS.cachePurge, handleCachePurge);
         }
         return new Response('Method not allowed', { status: 405 });
       case '/support-chat':
@@ -849,9 +1657,34 @@ export default {
           return handleSupportChatEndpoint(request, env);
         }
         return new Response('Method not allowed', { status: 405 });
+      case '/support/diagnose':
+        if (request.method === 'POST') {
+          return handleDiagnose(request);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/support/warranty':
+        if (request.method === 'POST') {
+          return handleWarrantyCheck(request);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/ingredient-match':
+        if (request.method === 'POST') {
+          return handleIngredientMatch(request, env);
+        }
+        return new Response('Method not allowed', { status: 405 });
       case '/embed-support':
         if (request.method === 'POST') {
-          return handleEmbedSupport(request, env);
+          return withWriteAuth(request, env, RATE_LIMITS.embedSupport, handleEmbedSupport);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/harness/record':
+        if (request.method === 'POST') {
+          return handleHarness(request, env, 'record');
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/harness/replay':
+        if (request.method === 'POST') {
+          return handleHarness(request, env, 'replay');
         }
         return new Response('Method not allowed', { status: 405 });
       case '/health':
@@ -873,4 +1706,8 @@ export default {
         return new Response('Not Found', { status: 404 });
     }
   },
+
+  async scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(runPageLifecycle(env).then(() => undefined));
+  },
 };
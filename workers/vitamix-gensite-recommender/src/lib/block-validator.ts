@@ -0,0 +1,335 @@
+/**
+ * Block Validator - Checks generated block HTML against BLOCK_SCHEMAS
+ *
+ * The content model doesn't always follow the templates from getBlockTemplate():
+ * unclosed tags, placeholder URLs, script/style tags, extra or missing rows.
+ * Mechanical problems are repaired in place; structural problems (missing rows,
+ * cells or required elements) are reported as issues so the caller can
+ * regenerate the block before it reaches the EDS decorators.
+ */
+
+import { BLOCK_SCHEMAS, type BlockSchema } from '../ai-clients/block-rules';
+import type { BlockType } from '../types';
+
+// Elements the block decorators know how to render
+const ALLOWED_ELEMENTS = new Set([
+  'div', 'p', 'span', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'a', 'picture', 'source', 'img',
+  'strong', 'em', 'b', 'i', 'u', 'small', 'sup', 'sub',
+  'ul', 'ol', 'li', 'blockquote',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]);
+
+// Removed together with their content
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'form', 'noscript', 'template', 'head']);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'source', 'input', 'meta', 'link']);
+
+// Fallback limit for blocks whose schema doesn't set one
+const DEFAULT_MAX_TEXT_LENGTH = 2000;
+
+// Template placeholders the model sometimes copies verbatim
+// (EXACT_PRODUCT_URL_FROM_CONTEXT, HERO_IMAGE_URL, [PRODUCT_URL_FROM_CONTEXT])
+const PLACEHOLDER_URL = /^\[?[A-Z][A-Z0-9_]*\]?$|_FROM_CONTEXT|^\[.*\]$/;
+
+// ============================================
+// Types
+// ============================================
+
+export interface BlockValidationResult {
+  /** Repaired HTML (unchanged when nothing needed fixing) */
+  html: string;
+  /** True when no structural issues remain */
+  valid: boolean;
+  /** Human-readable descriptions of the repairs applied */
+  repairs: string[];
+  /** Structural problems that could not be repaired */
+  issues: string[];
+}
+
+export interface HtmlNode {
+  tag: string;
+  attrs: string;
+  children: HtmlNode[];
+  /** Text content for '#text' nodes */
+  text?: string;
+}
+
+// ============================================
+// Parsing / Serialization
+// ============================================
+
+/**
+ * Parse HTML into a lenient tree. Stray closing tags are dropped and
+ * unclosed elements are closed where their parent closes.
+ */
+export function parseHtml(html: string, repairs: Set<string> = new Set()): HtmlNode {
+  const root: HtmlNode = { tag: '#root', attrs: '', children: [] };
+  const stack: HtmlNode[] = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][a-zA-Z0-9-]*)\s*>|<([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+  let match: RegExpExecArray | null;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, closeTag, openTag, attrs] = match;
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('<!--')) {
+      // Template comments ("<!-- Repeat for each... -->") are never content
+      continue;
+    }
+
+    if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const openIndex = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (openIndex <= 0) {
+        repairs.add('removed stray closing tags');
+        continue;
+      }
+      if (openIndex < stack.length - 1) {
+        repairs.add('closed unclosed elements');
+      }
+      stack.length = openIndex;
+      continue;
+    }
+
+    if (openTag) {
+      const tag = openTag.toLowerCase();
+      const selfClosing = attrs.trim().endsWith('/');
+      const node: HtmlNode = { tag, attrs: selfClosing ? attrs.replace(/\s*\/\s*$/, '') : attrs, children: [] };
+      current.children.push(node);
+      if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        stack.push(node);
+      }
+      continue;
+    }
+
+    current.children.push({ tag: '#text', attrs: '', children: [], text: token });
+  }
+
+  if (stack.length > 1) {
+    repairs.add('closed unclosed elements');
+  }
+
+  return root;
+}
+
+export function serialize(nodes: HtmlNode[]): string {
+  return nodes.map((node) => {
+    if (node.tag === '#text') return node.text || '';
+    if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${node.attrs}>`;
+    return `<${node.tag}${node.attrs}>${serialize(node.children)}</${node.tag}>`;
+  }).join('');
+}
+
+// ============================================
+// Tree Helpers
+// ============================================
+
+export function getAttr(node: HtmlNode, name: string): string | undefined {
+  const match = node.attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : undefined;
+}
+
+export function hasClass(node: HtmlNode, className: string): boolean {
+  return (getAttr(node, 'class') || '').split(/\s+/).includes(className);
+}
+
+export function elementChildren(node: HtmlNode): HtmlNode[] {
+  return node.children.filter((c) => c.tag !== '#text');
+}
+
+function countTag(node: HtmlNode, tag: string): number {
+  return node.children.reduce(
+    (sum, child) => sum + (child.tag === tag ? 1 : 0) + countTag(child, tag),
+    0
+  );
+}
+
+function findClass(node: HtmlNode, className: string): boolean {
+  return node.children.some((child) => child.tag !== '#text' && (hasClass(child, className) || findClass(child, className)));
+}
+
+// ============================================
+// Repairs
+// ============================================
+
+/**
+ * Strip disallowed elements and unsafe attributes, drop placeholder images
+ * and unwrap placeholder links. Returns the sanitized child list.
+ */
+function sanitize(nodes: HtmlNode[], allowed: Set<string>, repairs: Set<string>): HtmlNode[] {
+  const result: HtmlNode[] = [];
+
+  for (const node of nodes) {
+    if (node.tag === '#text') {
+      result.push(node);
+      continue;
+    }
+
+    if (DROPPED_ELEMENTS.has(node.tag)) {
+      repairs.add(`removed <${node.tag}> elements`);
+      continue;
+    }
+
+    node.children = sanitize(node.children, allowed, repairs);
+
+    if (!allowed.has(node.tag)) {
+      // Keep the content of wrappers like <html>, <body>, <section>
+      repairs.add(`unwrapped <${node.tag}> elements`);
+      result.push(...node.children);
+      continue;
+    }
+
+    if (/\son\w+\s*=/i.test(node.attrs)) {
+      node.attrs = node.attrs.replace(/\son\w+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+      repairs.add('removed inline event handlers');
+    }
+
+    const href = getAttr(node, 'href');
+    if (node.tag === 'a' && href !== undefined && (PLACEHOLDER_URL.test(href.trim()) || /^\s*javascript:/i.test(href))) {
+      repairs.add('unwrapped links with placeholder URLs');
+      result.push(...node.children);
+      continue;
+    }
+
+    const src = getAttr(node, 'src');
+    if ((node.tag === 'img' || node.tag === 'source') && (src === undefined || src.trim() === '' || PLACEHOLDER_URL.test(src.trim()))) {
+      repairs.add('removed images with placeholder URLs');
+      continue;
+    }
+
+    // A picture without an image renders an empty box
+    if (node.tag === 'picture' && countTag(node, 'img') === 0) {
+      continue;
+    }
+
+    result.push(node);
+  }
+
+  return result;
+}
+
+/**
+ * Truncate overlong text runs at a word boundary
+ */
+function truncateText(node: HtmlNode, maxLength: number, repairs: Set<string>): void {
+  for (const child of node.children) {
+    if (child.tag === '#text' && child.text && child.text.trim().length > maxLength) {
+      const cut = child.text.slice(0, maxLength);
+      const lastSpace = cut.lastIndexOf(' ');
+      child.text = `${(lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+      repairs.add(`truncated text longer than ${maxLength} characters`);
+    } else if (child.tag !== '#text') {
+      truncateText(child, maxLength, repairs);
+    }
+  }
+}
+
+function getRows(block: HtmlNode, schema: BlockSchema): HtmlNode[] {
+  const rows = schema.rows;
+  return elementChildren(block).filter((child) => {
+    if (child.tag !== 'div') return false;
+    if (rows?.itemClass) return hasClass(child, rows.itemClass);
+    return !(rows?.ignoreClasses || []).some((c) => hasClass(child, c));
+  });
+}
+
+function getCells(row: HtmlNode): HtmlNode[] {
+  return elementChildren(row).filter((c) => c.tag === 'div');
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate (and where possible repair) a generated block.
+ * Blocks without a schema only get the shared sanitization pass.
+ */
+export function validateBlock(blockType: string, html: string): BlockValidationResult {
+  const schema: BlockSchema = BLOCK_SCHEMAS[blockType as BlockType] || {};
+  const repairs = new Set<string>();
+  const issues: string[] = [];
+
+  const root = parseHtml(html, repairs);
+  const allowed = new Set([...ALLOWED_ELEMENTS, ...(schema.allowedElements || [])]);
+  root.children = sanitize(root.children, allowed, repairs);
+
+  const block = elementChildren(root).find((n) => n.tag === 'div' && hasClass(n, blockType));
+  if (!block) {
+    return { html, valid: false, repairs: Array.from(repairs), issues: [`missing <div class="${blockType}"> wrapper`] };
+  }
+
+  truncateText(block, schema.maxTextLength || DEFAULT_MAX_TEXT_LENGTH, repairs);
+
+  let rows = getRows(block, schema);
+
+  // Too many rows: drop the extras rather than regenerating
+  const maxRows = schema.rows?.max;
+  if (maxRows !== undefined && rows.length > maxRows) {
+    const extra = new Set(rows.slice(maxRows));
+    block.children = block.children.filter((c) => !extra.has(c));
+    repairs.add(`trimmed ${rows.length - maxRows} extra rows`);
+    rows = rows.slice(0, maxRows);
+  }
+
+  if (schema.rows?.min !== undefined && rows.length < schema.rows.min) {
+    issues.push(`expected at least ${schema.rows.min} rows${schema.rows.itemClass ? ` of class "${schema.rows.itemClass}"` : ''}, found ${rows.length}`);
+  }
+
+  if (schema.cells) {
+    const { min, max, consistent } = schema.cells;
+
+    // Tables: pad or trim rows to the header row's cell count
+    if (consistent && rows.length > 0) {
+      const width = getCells(rows[0]).length;
+      for (const row of rows.slice(1)) {
+        const cells = getCells(row);
+        if (cells.length < width && cells.length > 0) {
+          for (let i = cells.length; i < width; i++) {
+            row.children.push({ tag: 'div', attrs: '', children: [{ tag: '#text', attrs: '', children: [], text: '-' }] });
+          }
+          repairs.add('padded short table rows');
+        } else if (cells.length > width) {
+          const extra = new Set(cells.slice(width));
+          row.children = row.children.filter((c) => !extra.has(c));
+          repairs.add('trimmed extra table cells');
+        }
+      }
+    }
+
+    rows.forEach((row, i) => {
+      const count = getCells(row).length;
+      if ((min !== undefined && count < min) || (max !== undefined && count > max)) {
+        issues.push(`row ${i + 1} has ${count} cells, expected ${min === max ? min : `${min ?? 0}-${max ?? 'any'}`}`);
+      }
+    });
+  }
+
+  for (const className of schema.requiredClasses || []) {
+    if (!findClass(block, className)) {
+      issues.push(`missing required element with class "${className}"`);
+    }
+  }
+
+  for (const { tag, min = 1, scope = 'block' } of schema.requiredElements || []) {
+    if (scope === 'block') {
+      if (countTag(block, tag) < min) issues.push(`missing required <${tag}>`);
+    } else {
+      const targets = scope === 'first-row' ? rows.slice(0, 1) : rows;
+      targets.forEach((row, i) => {
+        if (countTag(row, tag) < min) {
+          issues.push(`${scope === 'first-row' ? 'header row' : `row ${i + 1}`} needs ${min > 1 ? `${min} ` : ''}<${tag}>`);
+        }
+      });
+    }
+  }
+
+  return {
+    html: repairs.size > 0 ? serialize(root.children) : html,
+    valid: issues.length === 0,
+    repairs: Array.from(repairs),
+    issues,
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Catalog Changes - Finds published pages that mention changed products
+ *
+ * tools/catalog-diff.js compares two versions of products.json by contentHash
+ * and sends the changed and discontinued products here. Each page in the
+ * registry (lib/published-pages.ts) is read back from DA, split into its
+ * blocks, and run through the orchestrator's extractProductNamesFromBlocks -
+ * the same names a generation records as the page's products. Pages naming a
+ * changed product are reported as stale and can be regenerated one at a time.
+ *
+ * Reading DA costs a subrequest per page, so scans are paged (offset/limit).
+ */
+
+import type { Env } from '../types';
+import { DAClient } from './da-client';
+import { extractProductNamesFromBlocks } from './orchestrator';
+import { listPublishedPaths, getPublishedPages, getPublishedPage } from './published-pages';
+import { regeneratePage } from './page-lifecycle';
+import { getBlockTypeFromHtml } from './page-store';
+import { parseHtml, serialize, elementChildren, hasClass, type HtmlNode } from './block-validator';
+
+// Pages read from DA per scan request
+const DEFAULT_SCAN_LIMIT = 50;
+const MAX_SCAN_LIMIT = 200;
+
+// ============================================
+// Types
+// ============================================
+
+export interface CatalogChange {
+  id: string;
+  name: string;
+  /** changed: contentHash differs; removed: no longer in the catalog */
+  kind: 'changed' | 'removed';
+  /** Product fields that differ, e.g. ['price', 'availability'] */
+  fields: string[];
+}
+
+export interface StalePage {
+  path: string;
+  query: string;
+  urls: { preview: string; live: string };
+  publishedAt: string;
+  /** Changed products the page names */
+  products: Array<{ id: string; name: string; kind: CatalogChange['kind']; fields: string[] }>;
+}
+
+export interface StalePageScan {
+  scanned: number;
+  total: number;
+  /** Offset for the next scan request; null when the registry is exhausted */
+  nextOffset: number | null;
+  stale: StalePage[];
+  /** Registry pages whose DA source could not be read */
+  unreadable: string[];
+  /**
+   * The registry paths the offsets index, returned when the request sent none.
+   * Send them back with every later request: the live registry changes as
+   * pages are published and removed, which would shift the offsets.
+   */
+  paths?: string[];
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function normalizeName(name: string): string {
+  return name.replace(/[™®©]/g, '').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Split a persisted page (buildPageHtml output) back into its blocks
+ */
+function getPageBlocks(html: string): Array<{ type: string; html: string }> {
+  const findMain = (node: HtmlNode): HtmlNode | undefined => node.tag === 'main'
+    ? node
+    : elementChildren(node).map(findMain).find(Boolean);
+  const main = findMain(parseHtml(html));
+  if (!main) return [];
+
+  return elementChildren(main)
+    .flatMap(section => elementChildren(section))
+    .filter(node => node.tag === 'div' && !hasClass(node, 'section-metadata') && !hasClass(node, 'metadata'))
+    .map((node) => {
+      const blockHtml = serialize([node]);
+      return { type: getBlockTypeFromHtml(blockHtml), html: blockHtml };
+    });
+}
+
+/**
+ * Changed products a page names (a name matches when it contains the catalog name)
+ */
+function matchChanges(names: string[], changes: CatalogChange[]): StalePage['products'] {
+  const normalized = names.map(normalizeName);
+  return changes
+    .filter((change) => {
+      const productName = normalizeName(change.name);
+      return productName.length > 0 && normalized.some(name => name.includes(productName));
+    })
+    .map(({ id, name, kind, fields }) => ({ id, name, kind, fields }));
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Scan a slice of the registry for pages naming changed products.
+ * Offsets index `options.paths`, or a fresh snapshot of the registry.
+ */
+export async function findStalePages(
+  env: Env,
+  changes: CatalogChange[],
+  options: { offset?: number; limit?: number; paths?: string[] } = {}
+): Promise<StalePageScan> {
+  const paths = options.paths ?? await listPublishedPaths(env);
+  const offset = Math.max(0, options.offset || 0);
+  const limit = Math.min(Math.max(1, options.limit || DEFAULT_SCAN_LIMIT), MAX_SCAN_LIMIT);
+  const slice = await getPublishedPages(env, paths.slice(offset, offset + limit));
+
+  const daClient = new DAClient(env);
+  const stale: StalePage[] = [];
+  const unreadable: string[] = [];
+
+  for (const page of slice) {
+    const html = await daClient.getPage(page.path);
+    if (!html) {
+      unreadable.push(page.path);
+      continue;
+    }
+
+    const products = matchChanges(extractProductNamesFromBlocks(getPageBlocks(html)), changes);
+    if (products.length > 0) {
+      stale.push({ path: page.path, query: page.query, urls: page.urls, publishedAt: page.publishedAt, products });
+    }
+  }
+
+  console.log(`[CatalogChanges] Scanned ${slice.length} pages from ${offset}: ${stale.length} stale`);
+  return {
+    scanned: slice.length,
+    total: paths.length,
+    nextOffset: offset + limit < paths.length ? offset + limit : null,
+    stale,
+    unreadable,
+    ...(options.paths ? {} : { paths }),
+  };
+}
+
+/**
+ * Regenerate a stale page against the deployed catalog and republish it
+ */
+export async function republishStalePage(env: Env, path: string): Promise<{ success: boolean; error?: string }> {
+  const page = await getPublishedPage(env, path);
+  if (!page) {
+    return { success: false, error: `${path} is not in the page registry` };
+  }
+  return regeneratePage(page, env);
+}
@@ -154,6 +154,19 @@ export class DAClient {
     return { success: false, error: 'Failed after retry' };
   }
 
+  /**
+   * Read a page's source HTML; null when it doesn't exist or can't be read
+   */
+  async getPage(path: string): Promise<string | null> {
+    try {
+      const token = await this.getToken();
+      const response = await this.requestWithToken('GET', `/source/${this.org}/${this.repo}${path}.html`, token);
+      return response.ok ? await response.text() : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Delete a page
    */
@@ -287,6 +300,47 @@ export class AEMAdminClient {
     return { success: false, error: 'Failed after retry' };
   }
 
+  /**
+   * Remove a path from live, then from preview. Paths that are already
+   * gone (404) count as removed.
+   * Includes retry logic for 401 errors (token refresh)
+   */
+  async unpublish(path: string): Promise<{ success: boolean; error?: string }> {
+    for (const stage of ['live', 'preview']) {
+      const endpoint = `/${stage}/${this.org}/${this.site}/${this.ref}${path}`;
+      console.log(`[AEMAdmin] Unpublish request: DELETE ${this.baseUrl}${endpoint}`);
+
+      let removed = false;
+      for (let attempt = 0; attempt < 2 && !removed; attempt++) {
+        try {
+          const token = await this.getToken();
+          const response = await this.requestWithToken('DELETE', endpoint, token);
+
+          // On 401, clear cache and retry
+          if (response.status === 401 && attempt === 0) {
+            console.log('[AEMAdmin] Got 401, clearing token cache and retrying...');
+            clearCachedToken();
+            continue;
+          }
+
+          if (!response.ok && response.status !== 404) {
+            return { success: false, error: `Unpublish (${stage}) failed: ${response.status} - ${await response.text()}` };
+          }
+          removed = true;
+        } catch (error) {
+          console.error(`[AEMAdmin] Unpublish error:`, error);
+          return { success: false, error: (error as Error).message };
+        }
+      }
+
+      if (!removed) {
+        return { success: false, error: 'Failed after retry' };
+      }
+    }
+
+    return { success: true };
+  }
+
   /**
    * Purge CDN cache for a path
    */
@@ -360,6 +414,20 @@ export function unescapeHtml(str: string): string {
     .replace(/&amp;/g, '&');
 }
 
+/**
+ * Page title from the first h1 in the blocks
+ */
+export function getPageTitle(blocks: Array<{ html: string }>, fallback: string): string {
+  for (const block of blocks) {
+    const h1Match = block.html.match(/<h1[^>]*>([^<]+)<\/h1>/i);
+    if (h1Match) {
+      // Unescape HTML entities since the extracted text may contain &amp; etc.
+      return unescapeHtml(h1Match[1]);
+    }
+  }
+  return fallback;
+}
+
 /**
  * Build HTML page from blocks for DA persistence
  */
@@ -367,6 +435,7 @@ export function buildPageHtml(
   title: string,
   description: string,
   blocks: Array<{ html: string; sectionStyle?: string }>,
+  metadata: { groundingScore?: number } = {},
 ): string {
   const sectionsHtml = blocks.map((block) => {
     let sectionContent = block.html;
@@ -387,6 +456,17 @@ ${sectionContent}
     </div>`;
   }).join('\n');
 
+  // Page metadata block - EDS renders each row as a <meta> tag in the published page
+  const metadataHtml = metadata.groundingScore !== undefined ? `
+    <div>
+      <div class="metadata">
+        <div>
+          <div>grounding-score</div>
+          <div>${metadata.groundingScore}</div>
+        </div>
+      </div>
+    </div>` : '';
+
   return `<!DOCTYPE html>
 <html>
 <head>
@@ -396,7 +476,7 @@ ${sectionContent}
 <body>
   <header></header>
   <main>
-${sectionsHtml}
+${sectionsHtml}${metadataHtml}
   </main>
   <footer></footer>
 </body>
@@ -573,3 +653,26 @@ export async function persistAndPublish(
     return { success: false, error: (error as Error).message };
   }
 }
+
+/**
+ * Take a page down: unpublish it from live and preview, purge the CDN
+ * and delete the source document from DA
+ */
+export async function unpublishAndDelete(
+  path: string,
+  env: Env,
+): Promise<{ success: boolean; error?: string }> {
+  const daClient = new DAClient(env);
+  const adminClient = new AEMAdminClient(env);
+
+  const unpublishResult = await adminClient.unpublish(path);
+  if (!unpublishResult.success) {
+    return unpublishResult;
+  }
+  await adminClient.purgeCache(path);
+
+  if (!(await daClient.deletePage(path))) {
+    return { success: false, error: `Unpublished, but deleting ${path} from DA failed` };
+  }
+  return { success: true };
+}
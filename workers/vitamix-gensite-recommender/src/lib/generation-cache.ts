@@ -0,0 +1,284 @@
+/**
+ * Generation Cache - Stores full SSE event streams for repeated /generate queries
+ *
+ * Popular queries ("best blender for smoothies") otherwise rerun classification,
+ * reasoning and every block generation. A cache entry holds the complete event
+ * stream with relative timestamps, keyed by normalized query + preset + mode +
+ * session fingerprint, and is replayed with realistic pacing on a hit.
+ *
+ * Storage: SESSIONS KV in production, an in-memory map for local dev
+ * (or when GENERATION_CACHE_BACKEND = "memory").
+ */
+
+import type { Env, SSEEvent, SessionContext } from '../types';
+
+// KV key prefix for cached generations
+const CACHE_PREFIX = 'gencache:';
+// Default TTL: 24 hours
+const DEFAULT_CACHE_TTL = 60 * 60 * 24;
+// KV rejects TTLs below 60 seconds
+const MIN_CACHE_TTL = 60;
+// Replay pacing: recorded gaps are scaled down and capped so hits stay fast
+const REPLAY_SPEEDUP = 0.5;
+const MAX_REPLAY_GAP_MS = 1000;
+// Entries deleted per purge-all call: one KV delete each, well under the
+// Workers subrequest limit. Callers repeat the purge while more remain.
+const PURGE_BATCH_SIZE = 200;
+
+// ============================================
+// Types
+// ============================================
+
+export interface CachedEvent {
+  event: SSEEvent['event'];
+  data: SSEEvent['data'];
+  /** Milliseconds since generation start */
+  t: number;
+}
+
+export interface CachedGeneration {
+  key: string;
+  query: string;
+  preset: string;
+  mode?: string;
+  createdAt: string;
+  events: CachedEvent[];
+}
+
+export interface GenerationCacheKeyInput {
+  query: string;
+  preset: string;
+  mode?: string;
+  sessionContext?: SessionContext;
+}
+
+interface CacheStore {
+  get(key: string): Promise<CachedGeneration | null>;
+  put(key: string, value: CachedGeneration, ttl: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** Up to `limit` cache keys */
+  list(limit: number): Promise<string[]>;
+}
+
+// ============================================
+// Storage Backends
+// ============================================
+
+function createKVStore(kv: KVNamespace): CacheStore {
+  return {
+    async get(key) {
+      const raw = await kv.get(key);
+      return raw ? (JSON.parse(raw) as CachedGeneration) : null;
+    },
+    async put(key, value, ttl) {
+      await kv.put(key, JSON.stringify(value), { expirationTtl: Math.max(ttl, MIN_CACHE_TTL) });
+    },
+    async delete(key) {
+      await kv.delete(key);
+    },
+    async list(limit) {
+      const page = await kv.list({ prefix: CACHE_PREFIX, limit });
+      return page.keys.map((k) => k.name);
+    },
+  };
+}
+
+// Survives across requests within the same isolate (good enough for wrangler dev)
+const memoryEntries = new Map<string, { value: CachedGeneration; expiresAt: number }>();
+
+const memoryStore: CacheStore = {
+  async get(key) {
+    const entry = memoryEntries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return entry.value;
+  },
+  async put(key, value, ttl) {
+    memoryEntries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  },
+  async delete(key) {
+    memoryEntries.delete(key);
+  },
+  async list(limit) {
+    return Array.from(memoryEntries.keys()).slice(0, limit);
+  },
+};
+
+function getCacheStore(env: Env): CacheStore {
+  if (env.SESSIONS && env.GENERATION_CACHE_BACKEND !== 'memory') {
+    return createKVStore(env.SESSIONS);
+  }
+  return memoryStore;
+}
+
+function getCacheTtl(env: Env): number {
+  const ttl = parseInt(env.GENERATION_CACHE_TTL || '', 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+// ============================================
+// Cache Keys
+// ============================================
+
+/**
+ * Normalize a query so trivial variations share a cache entry
+ * ("Best blender for smoothies?" == "best  blender for smoothies")
+ */
+export function normalizeQuery(query: string): string {
+  return query
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fingerprint the parts of the session context that change generated content:
+ * previous queries and the inferred profile. Empty sessions share one fingerprint.
+ */
+function fingerprintSession(sessionContext?: SessionContext): string {
+  const previousQueries = (sessionContext?.previousQueries || []).map((q) => normalizeQuery(q.query));
+  const profile = sessionContext?.profile;
+
+  if (previousQueries.length === 0 && !profile) return 'none';
+
+  return JSON.stringify({
+    previousQueries,
+    profile: profile && {
+      useCases: [...(profile.useCases || [])].sort(),
+      priceRange: profile.priceRange,
+      productsViewed: [...(profile.productsViewed || [])].sort(),
+      journeyStage: profile.journeyStage,
+    },
+  });
+}
+
+async function sha256(input: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Build the cache key for a generation request
+ */
+export async function buildGenerationCacheKey(input: GenerationCacheKeyInput): Promise<string> {
+  const material = JSON.stringify([
+    normalizeQuery(input.query),
+    input.preset,
+    input.mode || 'default',
+    fingerprintSession(input.sessionContext),
+  ]);
+  return `${CACHE_PREFIX}${(await sha256(material)).slice(0, 32)}`;
+}
+
+// ============================================
+// Read / Write
+// ============================================
+
+export async function getCachedGeneration(env: Env, key: string): Promise<CachedGeneration | null> {
+  try {
+    return await getCacheStore(env).get(key);
+  } catch (error) {
+    console.error('[GenerationCache] Read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Wrap an SSE writer so every event is also captured with its relative timestamp
+ */
+export function createCacheRecorder(write: (event: SSEEvent) => void): {
+  write: (event: SSEEvent) => void;
+  events: CachedEvent[];
+  isCacheable: () => boolean;
+} {
+  const startTime = Date.now();
+  const events: CachedEvent[] = [];
+
+  return {
+    write: (event) => {
+      events.push({ event: event.event, data: event.data, t: Date.now() - startTime });
+      write(event);
+    },
+    events,
+    // Only complete, error-free generations are worth replaying
+    isCacheable: () => events.some((e) => e.event === 'generation-complete')
+      && !events.some((e) => e.event === 'error'),
+  };
+}
+
+export async function storeCachedGeneration(
+  env: Env,
+  key: string,
+  input: GenerationCacheKeyInput,
+  events: CachedEvent[]
+): Promise<void> {
+  const entry: CachedGeneration = {
+    key,
+    query: input.query,
+    preset: input.preset,
+    mode: input.mode,
+    createdAt: new Date().toISOString(),
+    events,
+  };
+
+  try {
+    await getCacheStore(env).put(key, entry, getCacheTtl(env));
+    console.log(`[GenerationCache] Stored ${events.length} events for "${input.query.slice(0, 60)}"`);
+  } catch (error) {
+    console.error('[GenerationCache] Write failed:', error);
+  }
+}
+
+/**
+ * Replay a cached event stream, preserving the original rhythm (sped up and capped)
+ */
+export async function replayCachedGeneration(
+  entry: CachedGeneration,
+  write: (event: SSEEvent) => void
+): Promise<void> {
+  let previousT = 0;
+
+  for (const cached of entry.events) {
+    const gap = Math.min((cached.t - previousT) * REPLAY_SPEEDUP, MAX_REPLAY_GAP_MS);
+    previousT = cached.t;
+    if (gap > 0) {
+      await new Promise(resolve => setTimeout(resolve, gap));
+    }
+
+    const event = { event: cached.event, data: cached.data } as SSEEvent;
+    if (event.event === 'generation-complete') {
+      write({ event: 'generation-complete', data: { ...event.data, cached: true } });
+    } else {
+      write(event);
+    }
+  }
+}
+
+// ============================================
+// Purge
+// ============================================
+
+/**
+ * Purge a single cache entry, or up to PURGE_BATCH_SIZE entries when no key
+ * is given. `more` is set when entries remain, so the caller purges again.
+ */
+export async function purgeGenerationCache(env: Env, key?: string): Promise<{ purged: number; more: boolean }> {
+  const store = getCacheStore(env);
+
+  if (key) {
+    const existing = await store.get(key);
+    await store.delete(key);
+    return { purged: existing ? 1 : 0, more: false };
+  }
+
+  const keys = await store.list(PURGE_BATCH_SIZE + 1);
+  const batch = keys.slice(0, PURGE_BATCH_SIZE);
+  await Promise.all(batch.map((k) => store.delete(k)));
+  return { purged: batch.length, more: keys.length > batch.length };
+}
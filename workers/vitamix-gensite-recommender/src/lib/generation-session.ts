@@ -0,0 +1,271 @@
+/**
+ * Generation Sessions - Resumable query generations checkpointed in KV
+ *
+ * While a query generation runs, every event it streams is recorded and the
+ * pipeline state (intent, reasoning, finished blocks) is checkpointed into
+ * SESSIONS KV under the page slug. When the same slug is requested again
+ * (an EventSource reconnect, or a second tab):
+ * - complete: the recorded events are replayed
+ * - running with a recent checkpoint: the recorded events are replayed and
+ *   new ones are followed as the original request checkpoints them
+ * - running but abandoned: the recorded events are replayed and the pipeline
+ *   continues after the last finished block
+ *
+ * Events carry an SSE id, so a client reconnecting with Last-Event-ID (or
+ * ?lastEventId=) only gets what it missed. Ids only ever grow, also across a
+ * takeover, which drops the events after the last checkpoint.
+ *
+ * KV is eventually consistent: a checkpoint can take up to a minute to be
+ * visible elsewhere, so the lease is sized to outlast that.
+ */
+
+import type { Env, SSEEvent } from '../types';
+import type { OrchestrationResumeState } from './orchestrator';
+
+// KV key prefix for generation sessions
+const SESSION_PREFIX = 'gen:';
+// Sessions only need to outlive reconnects and duplicate tabs: 1 hour
+const SESSION_TTL = 60 * 60;
+
+// Longest a KV read can lag a write (cross-location propagation)
+const KV_PROPAGATION_MS = 60000;
+// Followers read with KV's shortest edge cache so checkpoints show up sooner
+const KV_MIN_CACHE_TTL = 30;
+
+// A running session without a checkpoint for this long was abandoned: the
+// longest gap between checkpoints (slow blocks with regeneration can take ~30s)
+// plus the time the latest checkpoint may take to become visible
+const SESSION_LEASE_MS = 45000 + KV_PROPAGATION_MS;
+
+// KV allows one write per second per key
+const KV_WRITE_INTERVAL_MS = 1000;
+
+// Followers poll the checkpoint at this interval, for at most FOLLOW_MAX_MS
+const FOLLOW_POLL_MS = 1000;
+const FOLLOW_MAX_MS = 3 * 60 * 1000;
+
+// ============================================
+// Types
+// ============================================
+
+export interface GenerationSession {
+  slug: string;
+  query: string;
+  /** Generation cache key of the request (query, preset, mode, context) */
+  key: string;
+  status: 'running' | 'complete' | 'failed';
+  /** Every event streamed so far (minus those dropped by a takeover) */
+  events: SSEEvent[];
+  /** SSE id of each event in `events` */
+  eventIds: number[];
+  /** Id of the next event; never reset, so ids aren't reused after a takeover */
+  nextEventId: number;
+  /** Set once reasoning and the hero are done, then after every block */
+  resume?: OrchestrationResumeState;
+  /** Number of events recorded when `resume` was checkpointed */
+  checkpointEvents?: number;
+  startedAt: string;
+  updatedAt: number;
+}
+
+/**
+ * Write an event to the client with its SSE id
+ */
+export type SessionEventWriter = (event: SSEEvent, id: number) => void;
+
+// ============================================
+// KV Access
+// ============================================
+
+export function createGenerationSession(slug: string, query: string, key: string): GenerationSession {
+  return {
+    slug,
+    query,
+    key,
+    status: 'running',
+    events: [],
+    eventIds: [],
+    nextEventId: 0,
+    startedAt: new Date().toISOString(),
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Prepare an abandoned session to be continued by this request: events after
+ * the last checkpoint are dropped (their blocks will be generated again),
+ * or everything when it never reached a checkpoint. New events keep counting
+ * from `nextEventId`, so a client that received dropped events still gets them.
+ */
+export function reclaimSession(session: GenerationSession): GenerationSession {
+  const kept = session.resume ? session.checkpointEvents ?? session.events.length : 0;
+  return {
+    ...session,
+    status: 'running',
+    events: session.events.slice(0, kept),
+    eventIds: session.eventIds.slice(0, kept),
+  };
+}
+
+export async function getGenerationSession(
+  env: Env,
+  slug: string,
+  options: { cacheTtl?: number } = {}
+): Promise<GenerationSession | null> {
+  if (!env.SESSIONS) return null;
+  try {
+    const raw = await env.SESSIONS.get(`${SESSION_PREFIX}${slug}`, options);
+    return raw ? (JSON.parse(raw) as GenerationSession) : null;
+  } catch (error) {
+    console.error('[GenerationSession] Read failed:', error);
+    return null;
+  }
+}
+
+async function putGenerationSession(env: Env, session: GenerationSession): Promise<void> {
+  if (!env.SESSIONS) return;
+  try {
+    await env.SESSIONS.put(`${SESSION_PREFIX}${session.slug}`, JSON.stringify(session), {
+      expirationTtl: SESSION_TTL,
+    });
+  } catch (error) {
+    console.error('[GenerationSession] Write failed:', error);
+  }
+}
+
+/**
+ * Whether a stored session belongs to this request (a slug can be reused for
+ * another query, preset or mode)
+ */
+export function isSessionForRequest(session: GenerationSession, key: string): boolean {
+  return session.key === key;
+}
+
+/**
+ * A running session whose owner is still checkpointing
+ */
+export function isSessionActive(session: GenerationSession): boolean {
+  return session.status === 'running' && Date.now() - session.updatedAt < SESSION_LEASE_MS;
+}
+
+/**
+ * Id of the last event a reconnecting client received (-1 when starting fresh)
+ */
+export function getLastEventId(request: Request): number {
+  const url = new URL(request.url);
+  const raw = request.headers.get('Last-Event-ID') ?? url.searchParams.get('lastEventId');
+  const id = raw ? parseInt(raw, 10) : NaN;
+  return Number.isInteger(id) && id >= 0 ? id : -1;
+}
+
+// ============================================
+// Recording
+// ============================================
+
+/**
+ * Record a generation's events and checkpoints into its session.
+ * Pass an existing session to continue it (ids keep counting from its nextEventId).
+ */
+export function createSessionRecorder(
+  env: Env,
+  session: GenerationSession,
+  write: SessionEventWriter
+): {
+  write: (event: SSEEvent) => void;
+  checkpoint: (state: OrchestrationResumeState) => void;
+  finish: (status: 'complete' | 'failed') => Promise<void>;
+} {
+  let saving: Promise<void> = Promise.resolve();
+  let savePending = false;
+  let lastSave = 0;
+
+  // Coalesce saves: at most one queued, spaced by the KV write limit
+  const save = (): Promise<void> => {
+    if (savePending) return saving;
+    savePending = true;
+    saving = saving.then(async () => {
+      const wait = lastSave + KV_WRITE_INTERVAL_MS - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      savePending = false;
+      session.updatedAt = Date.now();
+      lastSave = session.updatedAt;
+      await putGenerationSession(env, session);
+    });
+    return saving;
+  };
+
+  // Claim the slug straight away so other tabs follow instead of starting over
+  save();
+
+  return {
+    write: (event) => {
+      const id = session.nextEventId;
+      session.nextEventId += 1;
+      session.events.push(event);
+      session.eventIds.push(id);
+      write(event, id);
+      // Checkpoints cover blocks; also save the hero so followers see it early
+      if (event.event === 'block-content' && !session.resume) save();
+    },
+    checkpoint: (state) => {
+      // Copy: the orchestrator keeps appending to its block list
+      session.resume = { ...state, blocks: [...state.blocks] };
+      session.checkpointEvents = session.events.length;
+      save();
+    },
+    finish: async (status) => {
+      session.status = status;
+      // The final events (generation-complete, enhancement) must be stored
+      await save();
+    },
+  };
+}
+
+// ============================================
+// Replay and Follow
+// ============================================
+
+/**
+ * Send recorded events after `lastEventId`; returns the id of the last event sent
+ */
+export function replaySessionEvents(
+  session: GenerationSession,
+  lastEventId: number,
+  write: SessionEventWriter
+): number {
+  let lastSent = lastEventId;
+  session.events.forEach((event, index) => {
+    const id = session.eventIds[index];
+    if (id > lastEventId) {
+      write(event, id);
+      lastSent = id;
+    }
+  });
+  return lastSent;
+}
+
+/**
+ * Stream a session another request is generating, as it checkpoints.
+ * Resolves with the latest session once it finishes or is abandoned;
+ * the caller continues an abandoned session itself.
+ */
+export async function followSession(
+  env: Env,
+  session: GenerationSession,
+  lastEventId: number,
+  write: SessionEventWriter
+): Promise<{ session: GenerationSession; lastEventId: number }> {
+  const startTime = Date.now();
+  let current = session;
+  let lastSent = replaySessionEvents(current, lastEventId, write);
+
+  while (isSessionActive(current) && Date.now() - startTime < FOLLOW_MAX_MS) {
+    await new Promise(resolve => setTimeout(resolve, FOLLOW_POLL_MS));
+    const latest = await getGenerationSession(env, session.slug, { cacheTtl: KV_MIN_CACHE_TTL });
+    if (!latest) break;
+    current = latest;
+    lastSent = replaySessionEvents(current, lastSent, write);
+  }
+
+  return { session: current, lastEventId: lastSent };
+}
@@ -0,0 +1,511 @@
+/**
+ * Grounding Guard - Fact-checks generated blocks against the product catalog
+ *
+ * The content model is given catalog data in its prompt but still invents
+ * model numbers, rounds or misremembers prices and swaps specs between
+ * products. After a block passes schema validation, every product reference,
+ * price, wattage, horsepower, container capacity and warranty claim is
+ * attributed to the nearest catalog product and compared with content-service
+ * data. Unambiguous mismatches (price, watts, warranty years, product links)
+ * are rewritten in place; the rest are flagged. The per-block results roll up
+ * into a page-level grounding score.
+ */
+
+import { getAllProducts, getProductById } from '../content/content-service';
+import {
+  parseHtml,
+  serialize,
+  getAttr,
+  hasClass,
+  elementChildren,
+  type HtmlNode,
+} from './block-validator';
+import type { GroundingIssue, GroundingReport, Product } from '../types';
+
+// Model codes like A2500, E310, X5 - anything not in the catalog is invented
+const MODEL_CODE = /\b([AE]\d{3,4}|X[1-9])\b/g;
+
+// Product page links: https://www.vitamix.com/us/en_us/products/<slug>
+const PRODUCT_LINK = /vitamix\.com\/.*\/products\/([a-z0-9-]+)/i;
+
+// Prices that describe a range or budget rather than a product ("under $400")
+const PRICE_QUALIFIER_BEFORE = /(?:under|below|less than|over|more than|up to|from|save|saving|budget(?: of)?|around|about|~|[-–]|to)\s*$/i;
+const PRICE_QUALIFIER_AFTER = /^\s*(?:[-–]|to\b|\+|off\b|or (?:less|more)|\/\s*mo|per month|a month)/i;
+
+// How far (characters) to look around a number for a capacity or warranty context word
+const CONTEXT_WINDOW = 40;
+
+// Prices within a dollar are treated as rounding ("$450" for $449.95)
+const PRICE_TOLERANCE = 1;
+
+// ============================================
+// Types
+// ============================================
+
+export interface BlockGroundingResult {
+  /** HTML with corrections applied (unchanged when nothing was rewritten) */
+  html: string;
+  /** Claims that could be attributed to a catalog product and checked */
+  checked: number;
+  /** Checked claims that matched the catalog as generated */
+  verified: number;
+  corrected: number;
+  flagged: number;
+  issues: GroundingIssue[];
+}
+
+type ClaimKind = Exclude<GroundingIssue['claim'], 'product'>;
+
+interface Claim {
+  kind: ClaimKind;
+  /** Position of the full claim text within its text node */
+  start: number;
+  end: number;
+  text: string;
+  value: number;
+  /** Position of the number itself, for in-place rewrites */
+  numberStart: number;
+  numberEnd: number;
+}
+
+type ScopeEvent =
+  | { type: 'mention'; product: Product }
+  | { type: 'claim'; claim: Claim; node: HtmlNode };
+
+interface Correction {
+  start: number;
+  end: number;
+  replacement: string;
+}
+
+// ============================================
+// Catalog Index
+// ============================================
+
+interface ProductMatcher {
+  product: Product;
+  pattern: RegExp;
+}
+
+let productMatchers: ProductMatcher[] | null = null;
+let knownModelCodes: Set<string> | null = null;
+
+function escapeNameWord(word: string): string {
+  return word
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/&/g, '(?:&|&amp;)')
+    .replace(/'/g, "(?:'|’|&#39;)");
+}
+
+/**
+ * Name patterns for every catalog product, longest first so
+ * "Ascent X2 SmartPrep Kitchen System" wins over "Ascent X2"
+ */
+function getProductMatchers(): ProductMatcher[] {
+  if (!productMatchers) {
+    productMatchers = getAllProducts()
+      .map((product) => ({ product, name: product.name.replace(/[™®©]/g, '').trim() }))
+      .sort((a, b) => b.name.length - a.name.length)
+      .map(({ product, name }) => ({
+        product,
+        pattern: new RegExp(
+          `(?<![\\w-])${name.split(/\s+/).map(escapeNameWord).join('[™®©]?\\s+')}[™®©]?(?![\\w-])`,
+          'gi'
+        ),
+      }));
+  }
+  return productMatchers;
+}
+
+function getKnownModelCodes(): Set<string> {
+  if (!knownModelCodes) {
+    knownModelCodes = new Set();
+    for (const product of getAllProducts()) {
+      for (const match of `${product.name} ${product.id.replace(/-/g, ' ')}`.matchAll(MODEL_CODE)) {
+        knownModelCodes.add(match[1].toUpperCase());
+      }
+    }
+  }
+  return knownModelCodes;
+}
+
+/**
+ * Resolve a product page link by slug (ids and URL slugs differ for a few products)
+ */
+function findProductByUrl(href: string): Product | null | undefined {
+  const match = href.match(PRODUCT_LINK);
+  if (!match) return undefined;
+  const slug = match[1].toLowerCase();
+  return getProductById(slug)
+    || getAllProducts().find((p) => p.url.toLowerCase().replace(/\/+$/, '').endsWith(`/${slug}`))
+    || null;
+}
+
+/**
+ * Product names mentioned in a text run, with positions (overlaps go to the longer name)
+ */
+function findProductMentions(text: string): Array<{ index: number; product: Product }> {
+  const mentions: Array<{ index: number; end: number; product: Product }> = [];
+  for (const { product, pattern } of getProductMatchers()) {
+    for (const match of text.matchAll(pattern)) {
+      const index = match.index ?? 0;
+      const end = index + match[0].length;
+      if (!mentions.some((m) => index < m.end && end > m.index)) {
+        mentions.push({ index, end, product });
+      }
+    }
+  }
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// ============================================
+// Claim Extraction
+// ============================================
+
+function hasContext(text: string, start: number, end: number, pattern: RegExp): boolean {
+  return pattern.test(text.slice(Math.max(0, start - CONTEXT_WINDOW), end + CONTEXT_WINDOW));
+}
+
+function toClaim(kind: ClaimKind, match: RegExpMatchArray, value: number): Claim {
+  const start = match.index ?? 0;
+  const numberStart = start + match[0].indexOf(match[1]);
+  return {
+    kind,
+    start,
+    end: start + match[0].length,
+    text: match[0],
+    value,
+    numberStart,
+    numberEnd: numberStart + match[1].length,
+  };
+}
+
+function extractClaims(text: string): Claim[] {
+  const claims: Claim[] = [];
+
+  for (const match of text.matchAll(/\$\s?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?)/g)) {
+    const start = match.index ?? 0;
+    const end = start + match[0].length;
+    if (PRICE_QUALIFIER_BEFORE.test(text.slice(Math.max(0, start - 16), start))) continue;
+    if (PRICE_QUALIFIER_AFTER.test(text.slice(end))) continue;
+    claims.push(toClaim('price', match, parseFloat(match[1].replace(/,/g, ''))));
+  }
+
+  for (const match of text.matchAll(/\b(\d{3,4})(?:\s*-?\s*[Ww]atts?\b|\s?W\b)/g)) {
+    claims.push(toClaim('watts', match, parseInt(match[1], 10)));
+  }
+
+  for (const match of text.matchAll(/\b(\d(?:\.\d)?)\s*-?\s*(?:peak\s+)?(?:HP|[Hh]orsepower)\b/g)) {
+    claims.push(toClaim('horsepower', match, parseFloat(match[1])));
+  }
+
+  for (const match of text.matchAll(/\b(\d{2})\s*-?\s*(?:oz|ounces?)\b/gi)) {
+    const start = match.index ?? 0;
+    if (hasContext(text, start, start + match[0].length, /container|capacity|pitcher|jar/i)) {
+      claims.push(toClaim('capacity', match, parseInt(match[1], 10)));
+    }
+  }
+
+  for (const match of text.matchAll(/\b(\d{1,2})\s*-?\s*(?:years?|yr)\b/gi)) {
+    const start = match.index ?? 0;
+    if (hasContext(text, start, start + match[0].length, /warrant/i)) {
+      claims.push(toClaim('warranty', match, parseInt(match[1], 10)));
+    }
+  }
+
+  return claims;
+}
+
+function numbersIn(value: string | undefined): number[] {
+  return (value?.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Compare a claim with the catalog. Returns null when the product has no
+ * catalog value for it (e.g. commercial models without list prices).
+ */
+function checkClaim(
+  claim: Claim,
+  product: Product
+): { verified: true } | { verified: false; expected: string; replacement?: string } | null {
+  switch (claim.kind) {
+    case 'price': {
+      if (typeof product.price !== 'number') return null;
+      const prices = [product.price, product.originalPrice].filter((p): p is number => typeof p === 'number');
+      if (prices.some((p) => Math.abs(p - claim.value) < PRICE_TOLERANCE)) return { verified: true };
+      const expected = `$${product.price.toFixed(2)}`;
+      return { verified: false, expected, replacement: expected };
+    }
+    case 'watts': {
+      const watts = product.specs?.watts;
+      if (typeof watts !== 'number') return null;
+      if (watts === claim.value) return { verified: true };
+      return { verified: false, expected: `${watts}W`, replacement: String(watts) };
+    }
+    case 'horsepower': {
+      const [hp] = numbersIn(product.specs?.horsepower || product.specs?.motorHP);
+      if (hp === undefined) return null;
+      return hp === claim.value ? { verified: true } : { verified: false, expected: `${hp} HP` };
+    }
+    case 'capacity': {
+      const capacity = product.specs?.capacity;
+      if (!capacity || /n\/a/i.test(capacity)) return null;
+      return numbersIn(capacity).includes(claim.value)
+        ? { verified: true }
+        : { verified: false, expected: capacity };
+    }
+    case 'warranty': {
+      // Bundles list several terms ("7-Year ... Propel 750, 3-Year ... Container")
+      const years = Array.from((product.warranty || '').matchAll(/(\d+)\s*-?\s*years?/gi), (m) => parseInt(m[1], 10));
+      if (years.length === 0) return null;
+      if (years.includes(claim.value)) return { verified: true };
+      return { verified: false, expected: product.warranty || '', replacement: String(years[0]) };
+    }
+    default:
+      return null;
+  }
+}
+
+// ============================================
+// Attribution
+// ============================================
+
+/**
+ * Product mentions and claims in document order. Product links count as
+ * mentions; links to product pages that don't exist are checked here too.
+ */
+function collectEvents(node: HtmlNode, events: ScopeEvent[], result: BlockGroundingResult, blockType: string): void {
+  for (const child of node.children) {
+    if (child.tag === '#text') {
+      const text = child.text || '';
+      const mentions = findProductMentions(text);
+      const claims = extractClaims(text);
+      const ordered: Array<{ index: number; event: ScopeEvent }> = [
+        ...mentions.map((m) => ({ index: m.index, event: { type: 'mention', product: m.product } as ScopeEvent })),
+        ...claims.map((c) => ({ index: c.start, event: { type: 'claim', claim: c, node: child } as ScopeEvent })),
+      ];
+      ordered.sort((a, b) => a.index - b.index).forEach((o) => events.push(o.event));
+      checkModelCodes(text, result, blockType);
+      continue;
+    }
+
+    if (child.tag === 'a') {
+      const href = getAttr(child, 'href') || '';
+      const linked = findProductByUrl(href);
+      if (linked) {
+        result.checked++;
+        result.verified++;
+        events.push({ type: 'mention', product: linked });
+      } else if (linked === null) {
+        checkBrokenProductLink(child, href, result, blockType);
+      }
+    }
+
+    collectEvents(child, events, result, blockType);
+  }
+}
+
+function checkModelCodes(text: string, result: BlockGroundingResult, blockType: string): void {
+  const known = getKnownModelCodes();
+  const seen = new Set(result.issues.filter((i) => i.claim === 'product').map((i) => i.found));
+  for (const match of text.matchAll(MODEL_CODE)) {
+    const code = match[1].toUpperCase();
+    if (known.has(code) || seen.has(code)) continue;
+    seen.add(code);
+    result.checked++;
+    result.flagged++;
+    result.issues.push({ blockType, claim: 'product', found: code, action: 'flagged' });
+  }
+}
+
+/**
+ * A link to a product page that isn't in the catalog: point it at the product
+ * named in the link text when there is exactly one, otherwise flag it
+ */
+function checkBrokenProductLink(link: HtmlNode, href: string, result: BlockGroundingResult, blockType: string): void {
+  result.checked++;
+  const linkText = serialize(link.children).replace(/<[^>]+>/g, ' ');
+  const named = [...new Set(findProductMentions(linkText).map((m) => m.product))];
+
+  if (named.length === 1) {
+    link.attrs = link.attrs.replace(href, named[0].url);
+    result.corrected++;
+    result.issues.push({ blockType, productId: named[0].id, claim: 'product', found: href, expected: named[0].url, action: 'corrected' });
+  } else {
+    result.flagged++;
+    result.issues.push({ blockType, claim: 'product', found: href, action: 'flagged' });
+  }
+}
+
+function soleProduct(events: ScopeEvent[]): Product | undefined {
+  const products = new Set(events.filter((e) => e.type === 'mention').map((e) => (e as { product: Product }).product));
+  return products.size === 1 ? [...products][0] : undefined;
+}
+
+/**
+ * Check the claims of one scope (a card, a table cell, the whole block).
+ * A claim belongs to the closest product mentioned before it in the scope,
+ * otherwise to the scope's default product.
+ */
+function checkScope(
+  events: ScopeEvent[],
+  defaultProduct: Product | undefined,
+  corrections: Map<HtmlNode, Correction[]>,
+  result: BlockGroundingResult,
+  blockType: string
+): void {
+  let current: Product | undefined;
+
+  for (const event of events) {
+    if (event.type === 'mention') {
+      current = event.product;
+      continue;
+    }
+
+    const product = current || defaultProduct;
+    if (!product) continue;
+
+    const { claim, node } = event;
+    const outcome = checkClaim(claim, product);
+    if (!outcome) continue;
+
+    result.checked++;
+    if (outcome.verified) {
+      result.verified++;
+      continue;
+    }
+
+    const issue: GroundingIssue = {
+      blockType,
+      productId: product.id,
+      claim: claim.kind,
+      found: claim.text,
+      expected: outcome.expected,
+      action: outcome.replacement ? 'corrected' : 'flagged',
+    };
+    result.issues.push(issue);
+
+    if (outcome.replacement) {
+      result.corrected++;
+      const list = corrections.get(node) || [];
+      list.push(claim.kind === 'price'
+        ? { start: claim.start, end: claim.end, replacement: outcome.replacement }
+        : { start: claim.numberStart, end: claim.numberEnd, replacement: outcome.replacement });
+      corrections.set(node, list);
+    } else {
+      result.flagged++;
+    }
+  }
+}
+
+function getRowCells(row: HtmlNode): HtmlNode[] {
+  return elementChildren(row).filter((c) => c.tag === 'div');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Fact-check a generated block against the catalog, rewriting unambiguous
+ * mismatches in place
+ */
+export function checkBlockGrounding(blockType: string, html: string): BlockGroundingResult {
+  const result: BlockGroundingResult = { html, checked: 0, verified: 0, corrected: 0, flagged: 0, issues: [] };
+  if (!html) return result;
+
+  const root = parseHtml(html);
+  const block = elementChildren(root).find((n) => n.tag === 'div' && hasClass(n, blockType)) || root;
+  const corrections = new Map<HtmlNode, Correction[]>();
+
+  // Scopes: one per card/row, one per cell for comparison tables
+  // (whose columns follow the products linked in the header row)
+  const rows = elementChildren(block).filter((n) => n.tag === 'div');
+  const scopes: Array<{ events: ScopeEvent[]; column?: number }> = [];
+  const headerScopes: ScopeEvent[][] = [];
+  const collect = (node: HtmlNode, column?: number): ScopeEvent[] => {
+    const events: ScopeEvent[] = [];
+    collectEvents(node, events, result, blockType);
+    scopes.push({ events, column });
+    return events;
+  };
+
+  const tableRows = blockType === 'comparison-table'
+    ? rows.filter((row) => !hasClass(row, 'comparison-rationale'))
+    : [];
+  for (const row of rows) {
+    const cells = tableRows.includes(row) ? getRowCells(row) : [];
+    if (cells.length === 0) {
+      collect(row);
+    } else if (row === tableRows[0]) {
+      cells.forEach((cell) => headerScopes.push(collect(cell)));
+    } else {
+      cells.forEach((cell, i) => collect(cell, i));
+    }
+  }
+  // Text directly inside the block wrapper
+  collect({ ...block, children: block.children.filter((c) => !rows.includes(c)) });
+
+  const blockProduct = soleProduct(scopes.flatMap((scope) => scope.events));
+  const columnProducts = headerScopes.map(soleProduct);
+
+  for (const { events, column } of scopes) {
+    const defaultProduct = column !== undefined ? columnProducts[column] : soleProduct(events) || blockProduct;
+    checkScope(events, defaultProduct, corrections, result, blockType);
+  }
+
+  for (const [node, list] of corrections) {
+    let text = node.text || '';
+    for (const { start, end, replacement } of list.sort((a, b) => b.start - a.start)) {
+      text = text.slice(0, start) + replacement + text.slice(end);
+    }
+    node.text = text;
+  }
+
+  return { ...result, html: result.corrected > 0 ? serialize(root.children) : html };
+}
+
+/**
+ * Roll per-block results up into the page-level report
+ */
+export function summarizeGrounding(
+  blocks: Array<Omit<BlockGroundingResult, 'html'> | undefined>
+): GroundingReport {
+  const report: GroundingReport = { score: 1, checked: 0, verified: 0, corrected: 0, flagged: 0, issues: [] };
+
+  for (const block of blocks) {
+    if (!block) continue;
+    report.checked += block.checked;
+    report.verified += block.verified;
+    report.corrected += block.corrected;
+    report.flagged += block.flagged;
+    report.issues.push(...block.issues);
+  }
+
+  if (report.checked > 0) {
+    report.score = Math.round((report.verified / report.checked) * 1000) / 1000;
+  }
+  return report;
+}
+
+/**
+ * Catalog products a block names or links to, in order of first reference
+ */
+export function findReferencedProducts(html: string): Product[] {
+  const products = new Set<Product>();
+  const walk = (node: HtmlNode): void => {
+    for (const child of node.children) {
+      if (child.tag === '#text') {
+        findProductMentions(child.text || '').forEach((m) => products.add(m.product));
+        continue;
+      }
+      if (child.tag === 'a') {
+        const linked = findProductByUrl(getAttr(child, 'href') || '');
+        if (linked) products.add(linked);
+      }
+      walk(child);
+    }
+  };
+  walk(parseHtml(html));
+  return [...products];
+}
@@ -29,10 +29,27 @@ import type {
   SuggestionEnhancementData,
   JourneyStage,
   ContentType,
+  GenerationUsage,
+  GroundingReport,
+  BlockValidationData,
+  BlockType,
 } from '../types';
+import { STREAM_PROTOCOL_VERSION } from '../types';
 import { createModelFactory, type Message } from '../ai-clients/model-factory';
+import { UsageTracker } from './usage-tracker';
+import { validateBlock } from './block-validator';
+import { escapeHtml } from './da-client';
+import { checkBlockGrounding, summarizeGrounding, type BlockGroundingResult } from './grounding-guard';
 import { analyzeAndSelectBlocks, formatReasoningForDisplay } from '../ai-clients/reasoning-engine';
+import { planRefinement } from '../ai-clients/refine-planner';
+import type { PageBlock } from './page-store';
 import { interpretSignals, type SignalInterpretation } from './signal-interpreter';
+import {
+  screenQueryRules,
+  screenQueryWithModel,
+  buildSafeResponseBlocks,
+  type SafetyVerdict,
+} from './input-safety';
 import {
   buildRAGContext,
   getProductById,
@@ -51,6 +68,9 @@ import {
   type FAQ,
   type SafetyGuidelines,
 } from '../content/content-service';
+import { fuseVectorMatches, queryVectorMatches, type VectorMatches } from '../content/hybrid-retrieval';
+import { getDiagnoseSymptoms } from './support-diagnose';
+import { getWarrantyModels } from './support-warranty';
 import { selectHeroImageWithMetadata, selectHeroImageSemantic, type HeroImageSelection } from './hero-images';
 
 // ============================================
@@ -66,7 +86,7 @@ interface OrchestrationContext {
   generatedBlocks?: GeneratedBlock[];
 }
 
-interface GeneratedBlock {
+export interface GeneratedBlock {
   type: string;
   html: string;
   sectionStyle?: string;
@@ -75,10 +95,30 @@ interface GeneratedBlock {
     backgroundTone: HeroImageSelection['backgroundTone'];
     aspectRatio: HeroImageSelection['aspectRatio'];
   };
+  /** Schema validation outcome, set when the block needed repair or regeneration */
+  validation?: Omit<BlockValidationData, 'index'>;
+  /** Catalog fact-check results for the block's product claims */
+  grounding?: Omit<BlockGroundingResult, 'html'>;
 }
 
 type SSECallback = (event: SSEEvent) => void;
 
+/**
+ * Pipeline state saved after each finished block, so an interrupted
+ * generation can continue where it stopped (see generation-session.ts)
+ */
+export interface OrchestrationResumeState {
+  intent: IntentClassification;
+  reasoning: ReasoningResult;
+  blocks: GeneratedBlock[];
+}
+
+export interface OrchestrationResume {
+  /** Continue after these blocks instead of starting over */
+  state?: OrchestrationResumeState;
+  onCheckpoint?: (state: OrchestrationResumeState) => void;
+}
+
 // ============================================
 // Text Similarity Utilities
 // ============================================
@@ -236,25 +276,64 @@ async function classifyIntent(
 // RAG Context from Content Service
 // ============================================
 
+// Candidates passed to block generation: filterRecipesByGuidance() narrows
+// the recipes down to ~4 relevant ones per block
+const RAG_MAX_PRODUCTS = 5;
+const RAG_MAX_RECIPES = 20;
+
+/**
+ * Vector matches for hybrid retrieval. They don't depend on the intent, so
+ * orchestrate() starts them alongside classification. Null when local dev has
+ * no Vectorize/AI bindings or the query fails - retrieval keeps the keyword results.
+ */
+async function getVectorMatches(
+  query: string,
+  env: Env,
+  sessionContext?: SessionContext
+): Promise<VectorMatches | null> {
+  if (!env.VECTORIZE || !env.AI) {
+    return null;
+  }
+
+  try {
+    return await queryVectorMatches(env, query, sessionContext?.previousQueries?.map(pq => pq.query));
+  } catch (error) {
+    console.warn('[RAG] Vector retrieval failed, using keyword results:', error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
 async function getRAGContext(
   query: string,
   intent: IntentClassification,
-  _env: Env,
-  sessionContext?: SessionContext
+  env: Env,
+  sessionContext?: SessionContext,
+  /** Already-fetched vector matches; fetched here when omitted */
+  vectorMatches?: VectorMatches | null
 ): Promise<RAGContext> {
   // Build RAG context from local content, passing session context for conversation history
   // This enables conversational context like "I have 4 kids" + "they love soups!"
   // to find kid-friendly soup recipes
-  // Fetch more recipes (20) to give content filtering better selection
-  // The filterRecipesByGuidance() function will narrow down to ~4 relevant ones
-  const context = buildRAGContext(query, intent.intentType, 5, 20, sessionContext ? {
+  const context = buildRAGContext(query, intent.intentType, RAG_MAX_PRODUCTS, RAG_MAX_RECIPES, sessionContext ? {
     previousQueries: sessionContext.previousQueries?.map(pq => ({
       query: pq.query,
       intent: pq.intent,
     })),
   } : undefined);
 
-  return context;
+  // Hybrid retrieval: fuse vector similarity with the keyword ranking,
+  // applying the intent's filters (e.g. the gift rule) to the vector matches
+  const matches = vectorMatches === undefined ? await getVectorMatches(query, env, sessionContext) : vectorMatches;
+  if (!matches) {
+    return context;
+  }
+
+  return fuseVectorMatches(context, matches, {
+    intentType: intent.intentType,
+    // Vector matches can fill the list past what the keyword ranking found
+    maxProducts: RAG_MAX_PRODUCTS,
+    maxRecipes: RAG_MAX_RECIPES,
+  });
 }
 
 // ============================================
@@ -1210,6 +1289,7 @@ The block JS will parse both formats correctly.`,
 Generate a table with troubleshooting steps. REQUIRED FORMAT:
 - Row 1: eyebrow | SHORT CATEGORY (e.g., "TROUBLESHOOTING GUIDE")
 - Row 2: title | Clear title describing the fix
+- (optional) Row: diagnose | guided troubleshooting flow id, ONLY when the problem is one of: ${getDiagnoseSymptoms().map(s => `${s.id} (${s.title})`).join(', ')}
 - Rows 3+: step number | step title | detailed instructions | (optional) safety:warning text
 
 CRITICAL RULES:
@@ -1228,6 +1308,10 @@ Example output for burning smell:
   <div>title</div>
   <div>How to Fix a Burning Smell</div>
 </div>
+<div>
+  <div>diagnose</div>
+  <div>overheating-smell</div>
+</div>
 <div>
   <div>1</div>
   <div>Stop and Cool Down</div>
@@ -1251,6 +1335,42 @@ Example output for burning smell:
 </div>
 
 IMPORTANT: Use this exact table structure with 3-4 columns per step row.`,
+
+    'warranty-checker': `
+## HTML Template (warranty eligibility checker)
+
+Generate a table that sets up the warranty checker. The block renders the form
+(model, purchase date, new or Certified Reconditioned, problem) and works out
+coverage itself - DO NOT state coverage, years or expiry dates. REQUIRED FORMAT:
+- Row 1: eyebrow | SHORT CATEGORY (e.g., "WARRANTY CHECK")
+- Row 2: title | Short reassuring title
+- (optional) Row: description | One sentence on what they'll get (coverage status, expiry, claim summary)
+- (optional) Row: model | model name, ONLY when the user named one from the warranty model list
+- (optional) Row: issue | the problem in the user's own words, ONLY when they described one
+
+Example output for "is my E310 still under warranty? the container is leaking":
+<div>
+  <div>eyebrow</div>
+  <div>WARRANTY CHECK</div>
+</div>
+<div>
+  <div>title</div>
+  <div>Check Your E310 Warranty</div>
+</div>
+<div>
+  <div>description</div>
+  <div>Tell us when and how you bought it to see what's covered and get a claim summary you can copy.</div>
+</div>
+<div>
+  <div>model</div>
+  <div>E310</div>
+</div>
+<div>
+  <div>issue</div>
+  <div>The container is leaking</div>
+</div>
+
+IMPORTANT: Use exactly 2 columns per row.`,
   };
 
   return templates[blockType] || '';
@@ -1483,6 +1603,16 @@ Warranty URL: https://www.vitamix.com/support/warranty
 
 CRITICAL: Lead with the most likely fix. Be specific and actionable.
 Reassure them that most issues are easily resolved.`;
+  } else if (block.type === 'warranty-checker') {
+    // The block computes coverage; it only needs a valid model name to pre-fill
+    dataContext = `
+## User's Question: "${block.contentGuidance || query}"
+
+## Warranty Model List (use one of these EXACT names for the model row, or omit it):
+${getWarrantyModels().join(', ')}
+
+CRITICAL: Never state warranty lengths or whether they are covered - the block works that out
+from their purchase date and channel.`;
   }
 
   // Add article context for commercial/B2B queries (if articles are available)
@@ -1521,45 +1651,87 @@ Rationale: ${block.rationale}`,
   ];
 
   try {
-    const response = await modelFactory.call('content', messages, env);
+    const response = await modelFactory.call('content', messages, env, { blockType: block.type });
     let html = wrapBlockHTML(block.type, response.content, block.variant, heroComposition);
 
-    // Safety check: detect apology/refusal text that shouldn't be rendered
-    const apologyPatterns = [
-      /I'm sorry/i,
-      /I cannot/i,
-      /I can't/i,
-      /I apologize/i,
-      /weren't included/i,
-      /not available/i,
-      /Let me know how you'd like to proceed/i,
-    ];
-    const hasApologyText = apologyPatterns.some(pattern => pattern.test(html));
-    if (hasApologyText) {
+    // Safety check: apology/refusal text must never be rendered
+    if (hasApologyText(html)) {
       console.warn(`[ContentGen] Detected apology text in ${block.type} block, using fallback`);
-      // Return a minimal valid block instead of apology text
-      const fallbackProduct = ragContext.relevantProducts[0];
-      if (fallbackProduct && ['product-recommendation', 'best-pick'].includes(block.type)) {
-        html = `<div class="${block.type}">
-          <div class="${block.type}-wrapper">
-            <div class="${block.type}-content">
-              <h2>${fallbackProduct.name}</h2>
-              <p>${fallbackProduct.tagline || fallbackProduct.description?.slice(0, 150) || 'Premium Vitamix blender'}</p>
-              <p>$${fallbackProduct.price} · ${fallbackProduct.warranty || 'Full Warranty'}</p>
-              <p><a href="${fallbackProduct.url}" class="button primary" target="_blank">Explore the ${fallbackProduct.name}</a></p>
-            </div>
-          </div>
-        </div>`;
-      } else {
-        // Skip the block entirely for other block types
+      const fallback = buildApologyFallback(block.type, ragContext.relevantProducts[0]);
+      if (!fallback) {
+        // Skip the block entirely for types without a fallback
         return {
           type: block.type,
           html: '',
           sectionStyle: getSectionStyle(block.type),
         };
       }
+      html = fallback;
     }
 
+    // Validate against the block schema: repair what we can, regenerate once otherwise
+    let validation = validateBlock(block.type, html);
+    let regenerated = false;
+    if (!validation.valid) {
+      console.warn(`[ContentGen] ${block.type} failed validation: ${validation.issues.join('; ')}`);
+      regenerated = true;
+      try {
+        const retry = await modelFactory.call('content', [
+          ...messages,
+          { role: 'assistant', content: response.content },
+          {
+            role: 'user',
+            content: `That HTML does not match the required ${block.type} structure:
+${validation.issues.map(issue => `- ${issue}`).join('\n')}
+
+Regenerate the complete block following the template exactly. Output only the HTML.`,
+          },
+        ], env, { blockType: block.type });
+        let retryHtml = wrapBlockHTML(block.type, retry.content, block.variant, heroComposition);
+        if (hasApologyText(retryHtml)) {
+          console.warn(`[ContentGen] Detected apology text in regenerated ${block.type} block`);
+          retryHtml = buildApologyFallback(block.type, ragContext.relevantProducts[0]) || '';
+        }
+        const retryValidation = retryHtml
+          ? validateBlock(block.type, retryHtml)
+          : { html: '', valid: false, repairs: [], issues: ['regenerated block was an apology'] };
+        validation = {
+          ...retryValidation,
+          repairs: [...new Set([...validation.repairs, ...retryValidation.repairs])],
+        };
+      } catch (retryError) {
+        console.error(`[ContentGen] Regeneration of ${block.type} failed:`, retryError instanceof Error ? retryError.message : retryError);
+      }
+    }
+
+    const validationReport = {
+      blockType: block.type,
+      valid: validation.valid,
+      repairs: validation.repairs,
+      issues: validation.issues,
+      regenerated,
+      dropped: !validation.valid,
+    };
+
+    if (!validation.valid) {
+      // Broken markup breaks the block decorators - skip the block instead
+      console.warn(`[ContentGen] Dropping ${block.type} block after regeneration: ${validation.issues.join('; ')}`);
+      return {
+        type: block.type,
+        html: '',
+        sectionStyle: getSectionStyle(block.type),
+        validation: validationReport,
+      };
+    }
+    html = validation.html;
+
+    // Fact-check product names, prices and specs against the catalog
+    const { html: groundedHtml, ...grounding } = checkBlockGrounding(block.type, html);
+    if (grounding.corrected > 0 || grounding.flagged > 0) {
+      console.warn(`[ContentGen] ${block.type} grounding: ${grounding.corrected} corrected, ${grounding.flagged} flagged`, grounding.issues);
+    }
+    html = groundedHtml;
+
     // For specs-table, add product name as data attribute for client-side title injection
     if (block.type === 'specs-table' && specsTableProductName) {
       // Add data-product-name attribute to the opening div
@@ -1574,6 +1746,8 @@ Rationale: ${block.rationale}`,
       html,
       sectionStyle: getSectionStyle(block.type),
       ...(heroComposition && { heroComposition }),
+      ...((regenerated || validation.repairs.length > 0) && { validation: validationReport }),
+      grounding,
     };
   } catch (error) {
     console.error(`[ContentGen] Error generating ${block.type}:`, error instanceof Error ? error.message : error);
@@ -1584,6 +1758,72 @@ Rationale: ${block.rationale}`,
   }
 }
 
+// Refusal/meta-commentary the content model sometimes outputs instead of HTML
+const APOLOGY_PATTERNS = [
+  /I'm sorry/i,
+  /I cannot/i,
+  /I can't/i,
+  /I apologize/i,
+  /weren't included/i,
+  /not available/i,
+  /Let me know how you'd like to proceed/i,
+];
+
+function hasApologyText(html: string): boolean {
+  return APOLOGY_PATTERNS.some(pattern => pattern.test(html));
+}
+
+/**
+ * Minimal block for the top product, used instead of apology text.
+ * Follows the block's template, so it passes its BLOCK_SCHEMAS entry.
+ * Null for other block types (or without a product/image), which are skipped.
+ */
+function buildApologyFallback(blockType: string, product?: Product): string | null {
+  if (!product) return null;
+
+  const tagline = escapeHtml(product.tagline || product.description?.slice(0, 150) || 'Premium Vitamix blender');
+  const name = escapeHtml(product.name);
+  const price = `$${product.price} · ${escapeHtml(product.warranty || 'Full Warranty')}`;
+  const cta = `<a href="${escapeHtml(product.url)}" class="button primary" target="_blank">Explore the ${name}</a>`;
+
+  if (blockType === 'best-pick') {
+    return `<div class="best-pick">
+  <div class="best-pick-wrapper">
+    <div class="best-pick-badge">OUR TOP PICK</div>
+    <div class="best-pick-container">
+      <div class="best-pick-content">
+        <h2 class="best-pick-headline">${name}</h2>
+        <p class="best-pick-rationale">${tagline}</p>
+        <div class="best-pick-details">
+          <span class="best-pick-price">${price}</span>
+        </div>
+        <div class="best-pick-cta">${cta}</div>
+      </div>
+    </div>
+  </div>
+</div>`;
+  }
+
+  const imageUrl = normalizeImageUrl(product.images?.primary);
+  if (blockType === 'product-recommendation' && imageUrl !== 'no-image') {
+    return `<div class="product-recommendation split">
+  <div>
+    <div>
+      <picture><img src="${escapeHtml(imageUrl)}" alt="${name}"></picture>
+    </div>
+    <div>
+      <h2 class="product-recommendation-headline">${name}</h2>
+      <p class="product-recommendation-body">${tagline}</p>
+      <p class="product-recommendation-price">${price}</p>
+      <p>${cta}</p>
+    </div>
+  </div>
+</div>`;
+  }
+
+  return null;
+}
+
 function wrapBlockHTML(
   type: string,
   content: string,
@@ -1628,6 +1868,18 @@ function wrapBlockHTML(
   return html;
 }
 
+/**
+ * Report schema repairs, regeneration or a dropped block (silent for clean blocks)
+ */
+function emitBlockValidation(block: GeneratedBlock, index: number, onEvent: SSECallback): void {
+  if (block.validation) {
+    onEvent({
+      event: 'block-validation',
+      data: { ...block.validation, index },
+    });
+  }
+}
+
 function getSectionStyle(blockType: string): string {
   const darkBlocks = ['hero', 'product-hero', 'product-recommendation', 'best-pick'];
   const highlightBlocks = ['reasoning', 'reasoning-user', 'testimonials', 'recipe-cards'];
@@ -1643,8 +1895,9 @@ function getSectionStyle(blockType: string): string {
 
 /**
  * Extract product names from generated block HTML for session context
+ * (also used by lib/catalog-changes.ts to find pages that mention a product)
  */
-function extractProductNamesFromBlocks(blocks: GeneratedBlock[]): string[] {
+export function extractProductNamesFromBlocks(blocks: Array<Pick<GeneratedBlock, 'type' | 'html'>>): string[] {
   const products: string[] = [];
   const productBlocks = blocks.filter(b =>
     ['product-cards', 'product-recommendation', 'comparison-table', 'accessibility-specs'].includes(b.type)
@@ -2164,6 +2417,70 @@ function generateAllergenSafetyBlock(): GeneratedBlock {
   };
 }
 
+// ============================================
+// Input Safety
+// ============================================
+
+/**
+ * Stream the canned page for a screened-out query (see input-safety.ts).
+ * Nothing is generated, so no model output derived from the query reaches the page.
+ */
+function serveSafeResponse(
+  query: string,
+  verdict: SafetyVerdict,
+  onEvent: SSECallback,
+  startTime: number,
+  usageTracker: UsageTracker
+): {
+  blocks: GeneratedBlock[];
+  reasoning: ReasoningResult;
+  duration: number;
+  usage: GenerationUsage;
+  grounding: GroundingReport;
+} {
+  const category = verdict.category ?? 'off-topic';
+  console.warn(`[Orchestrator] Query screened out (${category}): ${verdict.reason}`);
+  onEvent({ event: 'safety-intercept', data: { category } });
+
+  const blocks = buildSafeResponseBlocks(category);
+  blocks.forEach((block, index) => {
+    onEvent({ event: 'block-start', data: { blockType: block.type, index } });
+    onEvent({ event: 'block-content', data: { html: block.html, sectionStyle: block.sectionStyle } });
+  });
+
+  const duration = Date.now() - startTime;
+  const grounding = summarizeGrounding([]);
+  onEvent({
+    event: 'generation-complete',
+    data: { totalBlocks: blocks.length, duration, usage: usageTracker.getSummary(), grounding, safety: category },
+  });
+
+  const rationale = `Query screened out by input safety (${category})`;
+  return {
+    blocks,
+    reasoning: {
+      selectedBlocks: blocks.map((block, index) => ({
+        type: block.type,
+        priority: index + 1,
+        rationale,
+        contentGuidance: '',
+      })),
+      reasoning: {
+        intentAnalysis: rationale,
+        userNeedsAssessment: '',
+        blockSelectionRationale: [],
+        alternativesConsidered: [],
+        finalDecision: `Served the canned ${category} page for "${query.slice(0, 60)}"`,
+      },
+      userJourney: { currentStage: 'exploring', nextBestAction: '', suggestedFollowUps: [] },
+      confidence: { intent: 0, productMatch: 0 },
+    },
+    duration,
+    usage: usageTracker.getSummary(),
+    grounding,
+  };
+}
+
 // ============================================
 // Hero-First Fast Path
 // ============================================
@@ -2221,113 +2538,153 @@ export async function orchestrate(
   onEvent: SSECallback,
   sessionContext?: SessionContext,
   preset?: string,
-  mode?: string
+  mode?: string,
+  resume?: OrchestrationResume
 ): Promise<{
   blocks: GeneratedBlock[];
   reasoning: ReasoningResult;
   duration: number;
+  usage: GenerationUsage;
+  grounding: GroundingReport;
 }> {
   const startTime = Date.now();
+  // Every model call made with this env is accounted to this generation
+  const usageTracker = new UsageTracker(preset || env.MODEL_PRESET || 'production');
+  env = { ...env, USAGE_TRACKER: usageTracker };
   const ctx: OrchestrationContext = { query, slug };
 
   try {
-    // Stage 1: Emit start event
-    onEvent({
-      event: 'generation-start',
-      data: { query, estimatedBlocks: 5 },
-    });
+    let heroBlock: GeneratedBlock | undefined;
+
+    if (resume?.state) {
+      // Resuming an interrupted generation: the client already has everything up to
+      // the last finished block, so skip straight to the remaining blocks
+      console.log(`[Orchestrator] Resuming ${slug} after ${resume.state.blocks.length} blocks`);
+      ctx.intent = resume.state.intent;
+      ctx.reasoningResult = resume.state.reasoning;
+      // Same intent as the first run, so retrieval matches it
+      ctx.ragContext = await getRAGContext(query, ctx.intent, env, sessionContext);
+    } else {
+      // Stage 1: Emit start event
+      onEvent({
+        event: 'generation-start',
+        data: { query, estimatedBlocks: 5, protocolVersion: STREAM_PROTOCOL_VERSION },
+      });
 
-    // Stage 2: Classification + RAG context IN PARALLEL (saves ~200-300ms)
-    const [intentResult, ragResult] = await Promise.all([
-      classifyIntent(query, env, sessionContext, preset),
-      // RAG context can start with just the query - we'll refine if needed
-      getRAGContext(query, { intentType: 'discovery', confidence: 0.5, entities: {} } as IntentClassification, env, sessionContext),
-    ]);
-    ctx.intent = intentResult;
-    ctx.ragContext = ragResult;
+      // Stage 1b: Input safety rules - before any prompt sees the query
+      const ruleVerdict = screenQueryRules(query);
+      if (!ruleVerdict.safe) {
+        return serveSafeResponse(query, ruleVerdict, onEvent, startTime, usageTracker);
+      }
 
-    // Stage 3: HERO-FIRST FAST PATH
-    // Start hero generation immediately while reasoning runs in parallel
-    // This reduces time-to-first-content by ~2-3 seconds
-    const effectivePreset = preset || env.MODEL_PRESET || 'production';
-    const reasoningModel = effectivePreset === 'all-cerebras' ? 'cerebras-qwen-3-32b' : 'claude-opus-4-5';
+      // Stage 1c + 2: Model safety screen, classification and vector queries
+      // IN PARALLEL (saves ~200-300ms). Classification output never reaches the
+      // page, so it is simply discarded when the screen rejects the query;
+      // every prompt after this point waits for the verdict.
+      const [modelVerdict, intent, vectorMatches] = await Promise.all([
+        screenQueryWithModel(query, env, preset),
+        classifyIntent(query, env, sessionContext, preset),
+        getVectorMatches(query, env, sessionContext),
+      ]);
+      if (!modelVerdict.safe) {
+        return serveSafeResponse(query, modelVerdict, onEvent, startTime, usageTracker);
+      }
 
-    console.log(`[Orchestrator] Starting hero-first fast path with preset: ${effectivePreset}`);
-    const heroStartTime = Date.now();
+      // The RAG context is built once the intent is known - its filters depend
+      // on it, e.g. no reconditioned units for gifts.
+      ctx.intent = intent;
+      ctx.ragContext = await getRAGContext(query, ctx.intent, env, sessionContext, vectorMatches);
 
-    // Start hero generation and reasoning IN PARALLEL
-    const heroPromise = generateHeroFast(
-      query,
-      ctx.intent,
-      ctx.ragContext,
-      env,
-      preset,
-      onEvent
-    );
+      // Stage 3: HERO-FIRST FAST PATH
+      // Start hero generation immediately while reasoning runs in parallel
+      // This reduces time-to-first-content by ~2-3 seconds
+      const effectivePreset = preset || env.MODEL_PRESET || 'production';
+      // First model in the reasoning fallback chain that is currently available
+      const reasoningTarget = createModelFactory(env, preset).resolveProvider('reasoning');
 
-    // Emit reasoning-start event
-    onEvent({
-      event: 'reasoning-start',
-      data: { model: reasoningModel, preset: effectivePreset, heroFastPath: true },
-    });
+      console.log(`[Orchestrator] Starting hero-first fast path with preset: ${effectivePreset}`);
+      const heroStartTime = Date.now();
 
-    const reasoningPromise = analyzeAndSelectBlocks(
-      query,
-      ctx.intent,
-      ctx.ragContext,
-      env,
-      sessionContext,
-      preset
-    );
+      // Start hero generation and reasoning IN PARALLEL
+      const heroPromise = generateHeroFast(
+        query,
+        ctx.intent,
+        ctx.ragContext,
+        env,
+        preset,
+        onEvent
+      );
 
-    // Wait for hero first - stream it immediately when ready
-    const heroBlock = await heroPromise;
-    console.log(`[Orchestrator] Hero generated in ${Date.now() - heroStartTime}ms (fast path)`);
+      // Emit reasoning-start event
+      onEvent({
+        event: 'reasoning-start',
+        data: {
+          model: reasoningTarget.model,
+          provider: reasoningTarget.provider,
+          preset: effectivePreset,
+          heroFastPath: true,
+        },
+      });
 
-    // Stream hero immediately - this is the key optimization!
-    onEvent({
-      event: 'block-content',
-      data: {
-        html: heroBlock.html,
-        sectionStyle: heroBlock.sectionStyle,
-        ...(heroBlock.heroComposition && { heroComposition: heroBlock.heroComposition }),
-      },
-    });
+      const reasoningPromise = analyzeAndSelectBlocks(
+        query,
+        ctx.intent,
+        ctx.ragContext,
+        env,
+        sessionContext,
+        preset
+      );
 
-    onEvent({
-      event: 'block-rationale',
-      data: { blockType: 'hero', rationale: 'Generated via fast path for optimal time-to-first-content' },
-    });
+      // Wait for hero first - stream it immediately when ready
+      heroBlock = await heroPromise;
+      console.log(`[Orchestrator] Hero generated in ${Date.now() - heroStartTime}ms (fast path)`);
 
-    // Now wait for reasoning to complete
-    ctx.reasoningResult = await reasoningPromise;
+      // Stream hero immediately - this is the key optimization!
+      onEvent({
+        event: 'block-content',
+        data: {
+          html: heroBlock.html,
+          sectionStyle: heroBlock.sectionStyle,
+          ...(heroBlock.heroComposition && { heroComposition: heroBlock.heroComposition }),
+        },
+      });
+      emitBlockValidation(heroBlock, 0, onEvent);
 
-    // Apply support mode filtering if enabled
-    if (mode === 'support') {
-      console.log('[Orchestrator] Support mode enabled - filtering out marketing blocks');
-      ctx.reasoningResult.selectedBlocks = filterBlocksForSupportMode(ctx.reasoningResult.selectedBlocks);
-    }
+      onEvent({
+        event: 'block-rationale',
+        data: { blockType: 'hero', rationale: 'Generated via fast path for optimal time-to-first-content' },
+      });
 
-    // Filter out FAQ block if no relevant FAQs exist for this query
-    ctx.reasoningResult.selectedBlocks = filterIrrelevantFAQBlock(ctx.reasoningResult.selectedBlocks, query);
+      // Now wait for reasoning to complete
+      ctx.reasoningResult = await reasoningPromise;
+
+      // Apply support mode filtering if enabled
+      if (mode === 'support') {
+        console.log('[Orchestrator] Support mode enabled - filtering out marketing blocks');
+        ctx.reasoningResult.selectedBlocks = filterBlocksForSupportMode(ctx.reasoningResult.selectedBlocks);
+      }
+
+      // Filter out FAQ block if no relevant FAQs exist for this query
+      ctx.reasoningResult.selectedBlocks = filterIrrelevantFAQBlock(ctx.reasoningResult.selectedBlocks, query);
+
+      // Stream reasoning steps
+      const reasoningDisplay = formatReasoningForDisplay(ctx.reasoningResult.reasoning);
+      for (const step of reasoningDisplay.steps) {
+        onEvent({
+          event: 'reasoning-step',
+          data: step,
+        });
+      }
 
-    // Stream reasoning steps
-    const reasoningDisplay = formatReasoningForDisplay(ctx.reasoningResult.reasoning);
-    for (const step of reasoningDisplay.steps) {
       onEvent({
-        event: 'reasoning-step',
-        data: step,
+        event: 'reasoning-complete',
+        data: {
+          confidence: ctx.reasoningResult.confidence,
+          duration: Date.now() - startTime,
+        },
       });
     }
 
-    onEvent({
-      event: 'reasoning-complete',
-      data: {
-        confidence: ctx.reasoningResult.confidence,
-        duration: Date.now() - startTime,
-      },
-    });
-
     // Start background enhancement in parallel with content generation
     // This provides deeper, more insightful suggestions via AI reasoning
     // Pass full RAG context so suggestions are grounded in actual available content
@@ -2377,10 +2734,19 @@ export async function orchestrate(
     }
 
     // Stage 5: Generate remaining blocks (skip hero - already generated)
-    const blocks: GeneratedBlock[] = [heroBlock]; // Hero is first
+    const blocks: GeneratedBlock[] = resume?.state ? [...resume.state.blocks] : [heroBlock!]; // Hero is first
+    const checkpoint = () => resume?.onCheckpoint?.({
+      intent: ctx.intent!,
+      reasoning: ctx.reasoningResult!,
+      blocks,
+    });
+    checkpoint();
 
-    // Filter out hero from reasoning-selected blocks since we already generated it
-    const remainingBlocks = ctx.reasoningResult.selectedBlocks.filter(b => b.type !== 'hero');
+    // Filter out hero from reasoning-selected blocks since we already generated it,
+    // and any blocks a resumed generation already finished
+    const remainingBlocks = ctx.reasoningResult.selectedBlocks
+      .filter(b => b.type !== 'hero')
+      .slice(blocks.length - 1);
 
     for (const blockSelection of remainingBlocks) {
       onEvent({
@@ -2423,12 +2789,14 @@ export async function orchestrate(
           ...(block.heroComposition && { heroComposition: block.heroComposition }),
         },
       });
+      emitBlockValidation(block, blocks.length - 1, onEvent);
 
       // Emit rationale for transparency
       onEvent({
         event: 'block-rationale',
         data: { blockType: blockSelection.type, rationale: blockSelection.rationale },
       });
+      checkpoint();
     }
 
     ctx.generatedBlocks = blocks;
@@ -2439,6 +2807,7 @@ export async function orchestrate(
     // Extract product/recipe names from generated HTML for context persistence
     const extractedProducts = extractProductNamesFromBlocks(blocks);
     const extractedRecipes = extractRecipeNamesFromBlocks(blocks);
+    const grounding = summarizeGrounding(blocks.map(b => b.grounding));
 
     // Debug logging
     console.log('[Orchestrator] Extracted products:', extractedProducts);
@@ -2464,6 +2833,8 @@ export async function orchestrate(
           recipes: extractedRecipes,
           blockTypes: blocks.map(b => b.type),
         },
+        usage: usageTracker.getSummary(),
+        grounding,
       },
     });
 
@@ -2485,10 +2856,13 @@ export async function orchestrate(
       console.log('[Orchestrator] Enhancement skipped (timeout or error):', enhancementError);
     }
 
+    // Includes the enhancement call, which finishes after generation-complete
     return {
       blocks,
       reasoning: ctx.reasoningResult,
       duration,
+      usage: usageTracker.getSummary(),
+      grounding,
     };
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -2500,6 +2874,170 @@ export async function orchestrate(
   }
 }
 
+// ============================================
+// Page Refinement
+// ============================================
+
+/**
+ * Generated blocks carry a grounding report only when they passed validation;
+ * dropped blocks and generation failures do not replace existing content.
+ */
+function isUsableBlock(block: GeneratedBlock): boolean {
+  return Boolean(block.html && block.grounding);
+}
+
+/**
+ * Apply a refinement instruction to an existing page.
+ *
+ * Only changed blocks are streamed, as block-replace / block-remove /
+ * block-insert events. Each event's index is the block position after
+ * every earlier event has been applied, so clients apply them in order.
+ */
+export async function orchestrateRefinement(
+  page: { query: string; blocks: PageBlock[] },
+  instruction: string,
+  env: Env,
+  onEvent: SSECallback,
+  preset?: string
+): Promise<{
+  blocks: PageBlock[];
+  summary: string;
+  changed: number;
+  duration: number;
+  usage: GenerationUsage;
+}> {
+  const startTime = Date.now();
+  const usageTracker = new UsageTracker(preset || env.MODEL_PRESET || 'production');
+  env = { ...env, USAGE_TRACKER: usageTracker };
+  const refinementQuery = `${page.query}. ${instruction}`;
+
+  try {
+    onEvent({
+      event: 'refine-start',
+      data: { instruction, totalBlocks: page.blocks.length },
+    });
+
+    // The caller ran the rules screen; the model screen runs before any prompt sees the instruction
+    const verdict = await screenQueryWithModel(instruction, env, preset);
+    if (!verdict.safe) {
+      const category = verdict.category ?? 'off-topic';
+      console.warn(`[Orchestrator] Refinement screened out (${category}): ${verdict.reason}`);
+      onEvent({ event: 'safety-intercept', data: { category } });
+      return {
+        blocks: page.blocks,
+        summary: `Instruction screened out by input safety (${category})`,
+        changed: 0,
+        duration: Date.now() - startTime,
+        usage: usageTracker.getSummary(),
+      };
+    }
+
+    const [{ intent, ragContext }, plan] = await Promise.all([
+      classifyIntent(refinementQuery, env, undefined, preset).then(async classified => ({
+        intent: classified,
+        ragContext: await getRAGContext(refinementQuery, classified, env),
+      })),
+      planRefinement(page.query, page.blocks, instruction, env, preset),
+    ]);
+
+    // Working copy of the page; `original` is null for inserted blocks
+    const working: Array<{ block: PageBlock; original: number | null }> = page.blocks.map((block, index) => ({
+      block,
+      original: index,
+    }));
+    let changed = 0;
+
+    const generate = (blockType: BlockType, guidance: string) => generateBlockContent(
+      {
+        type: blockType,
+        priority: 1,
+        rationale: guidance,
+        contentGuidance: `${guidance}\nThe user asked to refine the page: "${instruction}"`,
+      },
+      ragContext,
+      env,
+      preset,
+      intent,
+      refinementQuery
+    );
+
+    for (const op of plan.operations) {
+      if (op.op === 'remove') {
+        const position = working.findIndex(w => w.original === op.index);
+        const [removed] = working.splice(position, 1);
+        changed++;
+        onEvent({
+          event: 'block-remove',
+          data: { index: position, blockType: removed.block.type },
+        });
+        continue;
+      }
+
+      const block = await generate(op.blockType, op.guidance);
+      if (!isUsableBlock(block)) {
+        console.warn(`[Refine] Skipping ${op.op} of ${op.blockType}: generation produced no usable block`);
+        continue;
+      }
+      const refined: PageBlock = { type: block.type, html: block.html, sectionStyle: block.sectionStyle };
+
+      if (op.op === 'replace') {
+        const position = working.findIndex(w => w.original === op.index);
+        working[position] = { block: refined, original: op.index };
+        changed++;
+        onEvent({
+          event: 'block-replace',
+          data: { index: position, blockType: refined.type, html: refined.html, sectionStyle: refined.sectionStyle },
+        });
+        emitBlockValidation(block, position, onEvent);
+      } else {
+        // Insert after the anchor (or what remains before it, if it was removed)
+        // and after any blocks already inserted there
+        let position = 0;
+        working.forEach((w, i) => {
+          if (w.original !== null && w.original <= op.after) position = i + 1;
+        });
+        while (position < working.length && working[position].original === null) position++;
+        working.splice(position, 0, { block: refined, original: null });
+        changed++;
+        onEvent({
+          event: 'block-insert',
+          data: { index: position, blockType: refined.type, html: refined.html, sectionStyle: refined.sectionStyle },
+        });
+        emitBlockValidation(block, position, onEvent);
+      }
+    }
+
+    const blocks = working.map(w => w.block);
+    const duration = Date.now() - startTime;
+
+    onEvent({
+      event: 'refine-complete',
+      data: {
+        summary: plan.summary,
+        changed,
+        totalBlocks: blocks.length,
+        duration,
+        usage: usageTracker.getSummary(),
+      },
+    });
+
+    return {
+      blocks,
+      summary: plan.summary,
+      changed,
+      duration,
+      usage: usageTracker.getSummary(),
+    };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    onEvent({
+      event: 'error',
+      data: { message: errorMessage, code: 'REFINEMENT_ERROR' },
+    });
+    throw error;
+  }
+}
+
 // ============================================
 // Full Context Mode (Extension Flow)
 // ============================================
@@ -2646,14 +3184,32 @@ export async function orchestrateFromContext(
   blocks: GeneratedBlock[];
   reasoning: ReasoningResult;
   duration: number;
+  usage: GenerationUsage;
+  grounding: GroundingReport;
 }> {
   const startTime = Date.now();
+  // Every model call made with this env is accounted to this generation
+  const usageTracker = new UsageTracker(preset || env.MODEL_PRESET || 'production');
+  env = { ...env, USAGE_TRACKER: usageTracker };
 
   // Log context for debugging
   console.log('[OrchestrateFromContext] Starting with signals:', context.signals.length);
   console.log('[OrchestrateFromContext] Query:', context.query);
   console.log('[OrchestrateFromContext] Previous queries:', context.previousQueries.length);
 
+  // Input safety for the typed query (signals are page captures, not free text)
+  if (context.query) {
+    const ruleVerdict = screenQueryRules(context.query);
+    const verdict = ruleVerdict.safe ? await screenQueryWithModel(context.query, env, preset) : ruleVerdict;
+    if (!verdict.safe) {
+      onEvent({
+        event: 'generation-start',
+        data: { query: context.query, estimatedBlocks: 2, protocolVersion: STREAM_PROTOCOL_VERSION },
+      });
+      return serveSafeResponse(context.query, verdict, onEvent, startTime, usageTracker);
+    }
+  }
+
   // ============================================
   // Stage 1: Direct Signal Interpretation (NEW)
   // ============================================
@@ -2724,6 +3280,7 @@ export async function orchestrateFromContext(
     data: {
       query: effectiveQuery,
       estimatedBlocks: 5,
+      protocolVersion: STREAM_PROTOCOL_VERSION,
       // Include interpretation metadata for debugging/analytics
       ...(signalInterpretation && {
         interpretation: {
@@ -2786,7 +3343,8 @@ export async function orchestrateFromContext(
     // Start hero generation immediately while reasoning runs in parallel
     // ============================================
     const effectivePreset = preset || env.MODEL_PRESET || 'production';
-    const reasoningModel = effectivePreset === 'all-cerebras' ? 'cerebras-qwen-3-32b' : 'claude-opus-4-5';
+    // First model in the reasoning fallback chain that is currently available
+    const reasoningTarget = createModelFactory(env, preset).resolveProvider('reasoning');
 
     console.log(`[OrchestrateFromContext] Starting hero-first fast path with preset: ${effectivePreset}`);
     const heroStartTime = Date.now();
@@ -2803,7 +3361,12 @@ export async function orchestrateFromContext(
 
     onEvent({
       event: 'reasoning-start',
-      data: { model: reasoningModel, preset: effectivePreset, heroFastPath: true },
+      data: {
+        model: reasoningTarget.model,
+        provider: reasoningTarget.provider,
+        preset: effectivePreset,
+        heroFastPath: true,
+      },
     });
 
     // Pass signal interpretation to reasoning engine for content guidance
@@ -2832,6 +3395,7 @@ export async function orchestrateFromContext(
         ...(heroBlock.heroComposition && { heroComposition: heroBlock.heroComposition }),
       },
     });
+    emitBlockValidation(heroBlock, 0, onEvent);
 
     onEvent({
       event: 'block-rationale',
@@ -2943,6 +3507,7 @@ export async function orchestrateFromContext(
           ...(block.heroComposition && { heroComposition: block.heroComposition }),
         },
       });
+      emitBlockValidation(block, blocks.length - 1, onEvent);
 
       onEvent({
         event: 'block-rationale',
@@ -2958,6 +3523,7 @@ export async function orchestrateFromContext(
     const duration = Date.now() - startTime;
     const extractedProducts = extractProductNamesFromBlocks(blocks);
     const extractedRecipes = extractRecipeNamesFromBlocks(blocks);
+    const grounding = summarizeGrounding(blocks.map(b => b.grounding));
 
     onEvent({
       event: 'generation-complete',
@@ -2976,6 +3542,8 @@ export async function orchestrateFromContext(
           recipes: extractedRecipes,
           blockTypes: blocks.map(b => b.type),
         },
+        usage: usageTracker.getSummary(),
+        grounding,
         // Include interpretation summary for analytics
         ...(signalInterpretation && {
           signalInterpretation: {
@@ -3008,10 +3576,13 @@ export async function orchestrateFromContext(
     }
     console.log('[OrchestrateFromContext] Enhancement handling complete');
 
+    // Includes the enhancement call, which finishes after generation-complete
     return {
       blocks,
       reasoning: ctx.reasoningResult,
       duration,
+      usage: usageTracker.getSummary(),
+      grounding,
     };
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -0,0 +1,329 @@
+/**
+ * Page Lifecycle - Scheduled cleanup and refresh of published pages
+ *
+ * Every published page stays live in DA forever unless something takes it
+ * down. The recommender's cron trigger runs this job against the page
+ * registry (lib/published-pages.ts):
+ *
+ * - Traffic per path comes from the analytics worker and is stored on the
+ *   registry entry.
+ * - Pages past PAGE_GRACE_DAYS are unpublished and deleted from DA when they
+ *   are stale (not republished for PAGE_MAX_AGE_DAYS) or low-traffic (fewer
+ *   than PAGE_MIN_VIEWS views over the traffic window). Low traffic only
+ *   counts once the analytics worker has counted views for the whole window;
+ *   until then, or when traffic can't be fetched, only staleness is applied -
+ *   pages are never removed blind.
+ * - Remaining pages that reference a product whose price or availability
+ *   changed since publishing (or that left the catalog) are regenerated from
+ *   their query and republished at the same path, at most
+ *   PAGE_MAX_REGENERATIONS per run.
+ *
+ * Each run checks the next LIFECYCLE_BATCH_SIZE pages after the path it
+ * stopped at last time, wrapping around, so every page is reached within a
+ * few runs without exceeding the per-invocation KV operation limit.
+ */
+
+import type { Env } from '../types';
+import { orchestrate } from './orchestrator';
+import { persistAndPublish, unpublishAndDelete, buildPageHtml, getPageTitle } from './da-client';
+import { moderatePage } from './input-safety';
+import { reportGenerationUsage } from './usage-tracker';
+import { getProductById } from '../content/content-service';
+import {
+  listPublishedPaths,
+  getPublishedPage,
+  getPublishedPages,
+  updatePublishedPage,
+  removePublishedPage,
+  migrateLegacyIndex,
+  recordPublishedPage,
+  getBlockSignature,
+  snapshotProducts,
+  getCatalogVersion,
+  type PublishedPage,
+  type PageTraffic,
+} from './published-pages';
+
+const DEFAULT_ANALYTICS_URL = 'https://vitamix-gensite-analytics.paolo-moz.workers.dev';
+// Views are counted over this many days (the analytics worker keeps 30)
+const TRAFFIC_WINDOW_DAYS = 30;
+
+// Defaults for PAGE_GRACE_DAYS / PAGE_MAX_AGE_DAYS / PAGE_MIN_VIEWS / PAGE_MAX_REGENERATIONS
+const DEFAULT_GRACE_DAYS = 14;
+const DEFAULT_MAX_AGE_DAYS = 180;
+const DEFAULT_MIN_VIEWS = 5;
+// Regeneration runs the full pipeline, so only a few fit in one cron invocation
+const DEFAULT_MAX_REGENERATIONS = 3;
+
+// Pages checked per run: a KV read each, plus a write when traffic changed
+const LIFECYCLE_BATCH_SIZE = 200;
+// Last path checked, where the next run continues
+const CURSOR_KEY = 'lifecycle:cursor';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Types
+// ============================================
+
+export interface LifecycleReport {
+  /** Nothing was changed; removed/regenerated are what a real run would do */
+  dryRun: boolean;
+  /** Pages in the registry */
+  registered: number;
+  checked: number;
+  trafficAvailable: boolean;
+  /** Views were counted for the whole traffic window (required for low-traffic removal) */
+  trafficComplete: boolean;
+  removed: Array<{ path: string; reason: 'stale' | 'low-traffic' }>;
+  regenerated: Array<{ path: string; changedProducts: string[] }>;
+  /** Pages with catalog changes left for the next run */
+  pendingRegeneration: number;
+  errors: Array<{ path: string; error: string }>;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function getNumberVar(value: string | undefined, fallback: number): number {
+  const parsed = value ? parseFloat(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Views per path from the analytics worker; null when it can't be reached
+ */
+async function fetchPageTraffic(env: Env): Promise<{
+  pages: Map<string, { views: number; lastViewedAt: number }>;
+  complete: boolean;
+} | null> {
+  const baseUrl = (env.ANALYTICS_URL || DEFAULT_ANALYTICS_URL).replace(/\/+$/, '');
+  try {
+    const response = await fetch(`${baseUrl}/api/analytics/pages?days=${TRAFFIC_WINDOW_DAYS}`);
+    if (!response.ok) {
+      console.warn(`[PageLifecycle] Traffic request failed: ${response.status}`);
+      return null;
+    }
+    const { pages, complete } = await response.json() as {
+      pages: Array<{ path: string; views: number; lastViewedAt: number }>;
+      complete?: boolean;
+    };
+    return { pages: new Map(pages.map(page => [page.path, page])), complete: complete === true };
+  } catch (error) {
+    console.error('[PageLifecycle] Traffic request failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Why a page should come down, if it should
+ */
+function getRemovalReason(
+  page: PublishedPage,
+  traffic: PageTraffic | undefined,
+  env: Env
+): 'stale' | 'low-traffic' | null {
+  const now = Date.now();
+  const graceMs = getNumberVar(env.PAGE_GRACE_DAYS, DEFAULT_GRACE_DAYS) * DAY_MS;
+  if (now - new Date(page.firstPublishedAt).getTime() < graceMs) return null;
+
+  const maxAgeMs = getNumberVar(env.PAGE_MAX_AGE_DAYS, DEFAULT_MAX_AGE_DAYS) * DAY_MS;
+  if (now - new Date(page.publishedAt).getTime() > maxAgeMs) return 'stale';
+
+  if (traffic && traffic.views < getNumberVar(env.PAGE_MIN_VIEWS, DEFAULT_MIN_VIEWS)) return 'low-traffic';
+  return null;
+}
+
+/**
+ * Referenced products whose price or availability no longer match the catalog
+ */
+function getChangedProducts(page: PublishedPage): string[] {
+  return (page.products || [])
+    .filter((snapshot) => {
+      const product = getProductById(snapshot.id);
+      return !product || product.price !== snapshot.price || product.availability !== snapshot.availability;
+    })
+    .map(snapshot => snapshot.id);
+}
+
+/**
+ * Regenerate a page from its query and republish it over the same path
+ * (also used by lib/catalog-changes.ts)
+ */
+export async function regeneratePage(page: PublishedPage, env: Env): Promise<{ success: boolean; error?: string }> {
+  const slug = page.path.split('/').pop() || page.path;
+  console.log(`[PageLifecycle] Regenerating ${page.path} for "${page.query}"`);
+
+  const result = await orchestrate(page.query, slug, env, () => {});
+  await reportGenerationUsage(env, result.usage, { query: `${page.query} (lifecycle)`, duration: result.duration });
+
+  const moderation = await moderatePage(page.query, result.blocks, env);
+  if (!moderation.publishable) {
+    return { success: false, error: `Regenerated page failed moderation: ${moderation.reason}` };
+  }
+
+  const html = buildPageHtml(
+    getPageTitle(result.blocks, 'Your Vitamix Experience'),
+    `Personalized Vitamix content for: ${page.query}`,
+    result.blocks,
+    { groundingScore: result.grounding.score },
+  );
+  const published = await persistAndPublish(page.path, html, env);
+  if (!published.success || !published.urls) {
+    return { success: false, error: published.error || 'Publish failed' };
+  }
+
+  await recordPublishedPage(env, {
+    path: page.path,
+    query: page.query,
+    signature: getBlockSignature(result.blocks),
+    urls: published.urls,
+    products: snapshotProducts(result.blocks),
+  });
+  return { success: true };
+}
+
+/**
+ * The next batch of paths after the stored cursor, wrapping to the start
+ */
+async function getNextBatch(env: Env, paths: string[]): Promise<string[]> {
+  if (paths.length <= LIFECYCLE_BATCH_SIZE) return paths;
+  const cursor = await env.SESSIONS?.get(CURSOR_KEY);
+  const start = cursor ? paths.findIndex(path => path > cursor) : 0;
+  const batch = paths.slice(Math.max(0, start), Math.max(0, start) + LIFECYCLE_BATCH_SIZE);
+  return batch.length < LIFECYCLE_BATCH_SIZE
+    ? [...batch, ...paths.slice(0, LIFECYCLE_BATCH_SIZE - batch.length)]
+    : batch;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Run one lifecycle pass over the next batch of the registry (the cron trigger's job).
+ * A dry run (option, or PAGE_LIFECYCLE_DRY_RUN) changes nothing: `removed` and
+ * `regenerated` list what a real run would do.
+ */
+export async function runPageLifecycle(env: Env, options: { dryRun?: boolean } = {}): Promise<LifecycleReport> {
+  const dryRun = options.dryRun ?? env.PAGE_LIFECYCLE_DRY_RUN === 'true';
+  if (!dryRun) await migrateLegacyIndex(env);
+  const paths = await listPublishedPaths(env);
+  const batch = await getNextBatch(env, paths);
+  const pages = await getPublishedPages(env, batch);
+  const trafficReport = await fetchPageTraffic(env);
+  const checkedAt = new Date().toISOString();
+  const report: LifecycleReport = {
+    dryRun,
+    registered: paths.length,
+    checked: pages.length,
+    trafficAvailable: trafficReport !== null,
+    trafficComplete: trafficReport?.complete ?? false,
+    removed: [],
+    regenerated: [],
+    pendingRegeneration: 0,
+    errors: [],
+  };
+  console.log(
+    `[PageLifecycle] ${dryRun ? 'Dry run: checking' : 'Checking'} ${pages.length} of ${paths.length} pages `
+    + `(traffic ${trafficReport ? `available${trafficReport.complete ? '' : ', window incomplete'}` : 'unavailable'})`
+  );
+
+  // Paths not in the traffic report had no views in the window
+  const traffic = new Map<string, PageTraffic>();
+  if (trafficReport) {
+    for (const page of pages) {
+      const stats = trafficReport.pages.get(page.path);
+      traffic.set(page.path, {
+        views: stats?.views ?? 0,
+        lastViewedAt: stats?.lastViewedAt ? new Date(stats.lastViewedAt).toISOString() : page.traffic?.lastViewedAt,
+        checkedAt,
+      });
+    }
+  }
+  // Low view counts only mean low traffic once views were counted for the whole window
+  const removalTraffic = trafficReport?.complete ? traffic : new Map<string, PageTraffic>();
+
+  const removedPaths = new Set<string>();
+  const toRegenerate: Array<{ page: PublishedPage; changedProducts: string[] }> = [];
+  const catalogVersion = await getCatalogVersion();
+
+  for (const page of pages) {
+    if (getRemovalReason(page, removalTraffic.get(page.path), env)) {
+      // Re-read first: the page may have been republished since the batch was read
+      const current = await getPublishedPage(env, page.path);
+      const reason = current && getRemovalReason(current, removalTraffic.get(page.path), env);
+      if (!reason) continue;
+
+      if (dryRun) {
+        report.removed.push({ path: page.path, reason });
+        continue;
+      }
+      const result = await unpublishAndDelete(page.path, env);
+      if (result.success) {
+        console.log(`[PageLifecycle] Removed ${page.path} (${reason})`);
+        await removePublishedPage(env, page.path);
+        removedPaths.add(page.path);
+        report.removed.push({ path: page.path, reason });
+      } else {
+        report.errors.push({ path: page.path, error: result.error || 'Unpublish failed' });
+      }
+      continue;
+    }
+
+    // Pages published against the current catalog can't have drifted
+    if (page.catalogVersion === catalogVersion) continue;
+    const changedProducts = getChangedProducts(page);
+    if (changedProducts.length > 0) {
+      toRegenerate.push({ page, changedProducts });
+    }
+  }
+
+  // Busiest pages first
+  toRegenerate.sort((a, b) => (traffic.get(b.page.path)?.views ?? 0) - (traffic.get(a.page.path)?.views ?? 0));
+  const maxRegenerations = getNumberVar(env.PAGE_MAX_REGENERATIONS, DEFAULT_MAX_REGENERATIONS);
+  report.pendingRegeneration = Math.max(0, toRegenerate.length - maxRegenerations);
+
+  if (dryRun) {
+    report.regenerated = toRegenerate
+      .slice(0, maxRegenerations)
+      .map(({ page, changedProducts }) => ({ path: page.path, changedProducts }));
+    console.log(
+      `[PageLifecycle] Dry run: ${report.removed.length} to remove, ${report.regenerated.length} to regenerate, `
+      + `${report.pendingRegeneration} pending`
+    );
+    return report;
+  }
+
+  // Save traffic before the slow part (only where it changed, to spare KV writes)
+  for (const page of pages) {
+    const pageTraffic = traffic.get(page.path);
+    if (removedPaths.has(page.path) || !pageTraffic) continue;
+    if (pageTraffic.views === page.traffic?.views && pageTraffic.lastViewedAt === page.traffic?.lastViewedAt) continue;
+    await updatePublishedPage(env, page.path, current => ({ ...current, traffic: pageTraffic }));
+  }
+  if (batch.length > 0 && batch.length < paths.length) {
+    await env.SESSIONS?.put(CURSOR_KEY, batch[batch.length - 1]);
+  }
+
+  for (const { page, changedProducts } of toRegenerate.slice(0, maxRegenerations)) {
+    try {
+      const result = await regeneratePage(page, env);
+      if (result.success) {
+        report.regenerated.push({ path: page.path, changedProducts });
+      } else {
+        report.errors.push({ path: page.path, error: result.error || 'Regeneration failed' });
+      }
+    } catch (error) {
+      console.error(`[PageLifecycle] Regeneration of ${page.path} failed:`, error);
+      report.errors.push({ path: page.path, error: (error as Error).message });
+    }
+  }
+
+  console.log(
+    `[PageLifecycle] Done: ${report.removed.length} removed, ${report.regenerated.length} regenerated, `
+    + `${report.pendingRegeneration} pending, ${report.errors.length} errors`
+  );
+  return report;
+}
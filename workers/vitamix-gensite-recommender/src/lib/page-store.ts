@@ -0,0 +1,97 @@
+/**
+ * Page Store - Snapshots of generated pages, keyed by slug
+ *
+ * /refine edits an existing page block by block, so the blocks a generation
+ * streamed are kept in SESSIONS KV under the page slug. Refinements update
+ * the snapshot, letting a user refine the same page several times in a row.
+ */
+
+import type { Env, GroundingReport, SSEEvent } from '../types';
+
+// KV key prefix for page snapshots
+const PAGE_PREFIX = 'page:';
+// Snapshots live as long as a user is likely to keep refining: 7 days
+const PAGE_TTL = 60 * 60 * 24 * 7;
+
+export interface PageBlock {
+  type: string;
+  html: string;
+  sectionStyle?: string;
+}
+
+export interface PageSnapshot {
+  slug: string;
+  query: string;
+  /** Blocks in stream order, including blocks that were dropped (empty html) */
+  blocks: PageBlock[];
+  /** Refinement instructions applied so far, oldest first */
+  refinements: string[];
+  /**
+   * Grounding report of the generation, scored before its corrections - the
+   * blocks are already corrected, so they can't be re-scored. Dropped once a
+   * refinement changes the page.
+   */
+  grounding?: GroundingReport;
+  updatedAt: string;
+}
+
+/**
+ * Read the wrapper class of a block's HTML (`<div class="product-cards ...">`)
+ */
+export function getBlockTypeFromHtml(html: string): string {
+  return html.match(/<div[^>]*class="([\w-]+)/)?.[1] || 'text';
+}
+
+/**
+ * Rebuild a page's blocks from recorded SSE events (cache replays)
+ */
+export function getBlocksFromEvents(events: Array<Pick<SSEEvent, 'event' | 'data'>>): PageBlock[] {
+  return events
+    .filter((e) => e.event === 'block-content')
+    .map((e) => {
+      const { html, sectionStyle } = e.data as { html: string; sectionStyle?: string };
+      return { type: getBlockTypeFromHtml(html), html, sectionStyle };
+    });
+}
+
+/**
+ * The grounding report from recorded SSE events (cache replays)
+ */
+export function getGroundingFromEvents(events: Array<Pick<SSEEvent, 'event' | 'data'>>): GroundingReport | undefined {
+  const complete = events.find((e) => e.event === 'generation-complete');
+  return (complete?.data as { grounding?: GroundingReport } | undefined)?.grounding;
+}
+
+export async function getPageSnapshot(env: Env, slug: string): Promise<PageSnapshot | null> {
+  if (!env.SESSIONS) return null;
+  try {
+    const raw = await env.SESSIONS.get(`${PAGE_PREFIX}${slug}`);
+    return raw ? (JSON.parse(raw) as PageSnapshot) : null;
+  } catch (error) {
+    console.error('[PageStore] Read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a page snapshot. Never throws - refinement is optional.
+ */
+export async function savePageSnapshot(
+  env: Env,
+  snapshot: Omit<PageSnapshot, 'updatedAt'>
+): Promise<void> {
+  if (!env.SESSIONS) return;
+  try {
+    const value: PageSnapshot = {
+      ...snapshot,
+      // Generated blocks also carry validation/grounding reports - keep only what renders
+      blocks: snapshot.blocks.map(({ type, html, sectionStyle }) => ({ type, html, sectionStyle })),
+      updatedAt: new Date().toISOString(),
+    };
+    await env.SESSIONS.put(`${PAGE_PREFIX}${snapshot.slug}`, JSON.stringify(value), {
+      expirationTtl: PAGE_TTL,
+    });
+  } catch (error) {
+    console.error('[PageStore] Write failed:', error);
+  }
+}
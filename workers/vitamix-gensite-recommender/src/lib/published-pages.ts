@@ -0,0 +1,344 @@
+/**
+ * Published Pages - KV index of pages published to DA, used to dedupe publishing
+ *
+ * handlePersist used to publish every request under a fresh slug, so one
+ * popular query produced dozens of near-identical pages. Every published
+ * page is recorded here with its query embedding and block-type signature.
+ * A new page that matches a recorded one (query similarity at or above
+ * PAGE_DEDUP_THRESHOLD and mostly the same block types) either reuses the
+ * existing URL, while that page is fresh, or is published over the same path
+ * as a new version once it is older than PAGE_DEDUP_MAX_AGE_HOURS.
+ *
+ * The index doubles as the page registry for lib/page-lifecycle.ts: each
+ * entry also keeps the catalog products the page references (with the price
+ * and availability it was published with), the catalog version, and the
+ * traffic last reported by the analytics worker.
+ *
+ * Each page is its own KV key (published:page:<path>), so publishes never
+ * overwrite each other and nothing is trimmed. Query embeddings live in the
+ * content Vectorize index (content_type "published-page"), which dedup
+ * queries. Vectorize indexes upserts within seconds, so two near-identical
+ * publishes in that window can still both be created.
+ */
+
+import type { Env, Product } from '../types';
+import { getBlockTypeFromHtml } from './page-store';
+import { findReferencedProducts } from './grounding-guard';
+import { getAllProducts } from '../content/content-service';
+
+// KV key prefix for page entries (the rest of the key is the page path)
+const PAGE_KEY_PREFIX = 'published:page:';
+// Single-value index used before pages had their own keys; migrated by the lifecycle cron
+const LEGACY_INDEX_KEY = 'published:index';
+// Legacy pages moved per migration run (a KV write each, plus one Vectorize upsert)
+const MIGRATION_BATCH_SIZE = 200;
+
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+// Page vectors share the content index with recipes, products and hero images
+const PAGE_CONTENT_TYPE = 'published-page';
+// Nearest pages checked for a duplicate (the closest may differ in block types)
+const DEDUP_CANDIDATES = 5;
+
+// Defaults for PAGE_DEDUP_THRESHOLD / PAGE_DEDUP_MAX_AGE_HOURS
+const DEFAULT_SIMILARITY_THRESHOLD = 0.92;
+const DEFAULT_MAX_AGE_HOURS = 24;
+// Share of block types two pages must have in common (Jaccard) to be duplicates
+const MIN_SIGNATURE_OVERLAP = 0.5;
+
+// ============================================
+// Types
+// ============================================
+
+/** A referenced product as it was when the page was published */
+export interface ProductSnapshot {
+  id: string;
+  price: number;
+  availability?: Product['availability'];
+}
+
+export interface PageTraffic {
+  /** Views over the analytics worker's traffic window */
+  views: number;
+  lastViewedAt?: string;
+  checkedAt: string;
+}
+
+export interface PublishedPage {
+  path: string;
+  query: string;
+  /** Block types in page order */
+  signature: string[];
+  /** 1 for the first publish, incremented each time the path is republished */
+  version: number;
+  urls: { preview: string; live: string };
+  firstPublishedAt: string;
+  publishedAt: string;
+  /** Absent on pages recorded before the registry tracked products */
+  products?: ProductSnapshot[];
+  catalogVersion?: string;
+  /** Set by the lifecycle job */
+  traffic?: PageTraffic;
+}
+
+export interface DuplicateMatch {
+  page: PublishedPage;
+  similarity: number;
+  /** reuse: return the existing URL; version: republish the same path */
+  action: 'reuse' | 'version';
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+export function getBlockSignature(blocks: Array<{ html: string }>): string[] {
+  return blocks.map(block => getBlockTypeFromHtml(block.html));
+}
+
+/**
+ * Price and availability of every catalog product the blocks reference
+ */
+export function snapshotProducts(blocks: Array<{ html: string }>): ProductSnapshot[] {
+  const products = new Set(blocks.flatMap(block => findReferencedProducts(block.html)));
+  return [...products].map(({ id, price, availability }) => ({ id, price, availability }));
+}
+
+let catalogVersion: string | null = null;
+
+/**
+ * Short hash of the bundled catalog's prices and availability
+ */
+export async function getCatalogVersion(): Promise<string> {
+  if (!catalogVersion) {
+    const input = getAllProducts()
+      .map(p => `${p.id}:${p.price}:${p.availability || ''}`)
+      .sort()
+      .join('|');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    catalogVersion = Array.from(new Uint8Array(digest).slice(0, 6))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+  return catalogVersion;
+}
+
+function signatureOverlap(a: string[], b: string[]): number {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(type => setB.has(type)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union ? shared / union : 0;
+}
+
+function getNumberVar(value: string | undefined, fallback: number): number {
+  const parsed = value ? parseFloat(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Embed a query for comparison; null when Workers AI is unavailable
+ */
+export async function embedPageQuery(env: Env, query: string): Promise<number[] | null> {
+  if (!env.AI) return null;
+  try {
+    const result = await env.AI.run(EMBEDDING_MODEL, { text: [query.toLowerCase().trim()] }) as { data?: number[][] };
+    return result.data?.[0] ?? null;
+  } catch (error) {
+    console.error('[PublishedPages] Embedding failed:', error);
+    return null;
+  }
+}
+
+// Vector ids are capped at 64 bytes, paths are not
+async function getPageVectorId(path: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(path));
+  const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `page-${hex.slice(0, 48)}`;
+}
+
+async function indexPageEmbeddings(env: Env, entries: Array<{ path: string; embedding: number[] }>): Promise<void> {
+  if (!env.VECTORIZE || entries.length === 0) return;
+  try {
+    await env.VECTORIZE.upsert(await Promise.all(entries.map(async ({ path, embedding }) => ({
+      id: await getPageVectorId(path),
+      values: embedding,
+      metadata: { content_type: PAGE_CONTENT_TYPE, path },
+    }))));
+  } catch (error) {
+    console.error('[PublishedPages] Vector upsert failed:', error);
+  }
+}
+
+// ============================================
+// KV Access
+// ============================================
+
+/**
+ * Every registered path, in key order (KV lists keys sorted)
+ */
+export async function listPublishedPaths(env: Env): Promise<string[]> {
+  if (!env.SESSIONS) return [];
+  const paths: string[] = [];
+  let cursor: string | undefined;
+  do {
+    const list = await env.SESSIONS.list({ prefix: PAGE_KEY_PREFIX, cursor });
+    paths.push(...list.keys.map(key => key.name.slice(PAGE_KEY_PREFIX.length)));
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return paths;
+}
+
+export async function getPublishedPage(env: Env, path: string): Promise<PublishedPage | null> {
+  if (!env.SESSIONS) return null;
+  try {
+    return await env.SESSIONS.get<PublishedPage>(`${PAGE_KEY_PREFIX}${path}`, 'json');
+  } catch (error) {
+    console.error(`[PublishedPages] Read of ${path} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Entries for the given paths, skipping any that are gone
+ */
+export async function getPublishedPages(env: Env, paths: string[]): Promise<PublishedPage[]> {
+  const pages = await Promise.all(paths.map(path => getPublishedPage(env, path)));
+  return pages.filter((page): page is PublishedPage => page !== null);
+}
+
+async function putPublishedPage(env: Env, page: PublishedPage): Promise<void> {
+  if (!env.SESSIONS) return;
+  try {
+    await env.SESSIONS.put(`${PAGE_KEY_PREFIX}${page.path}`, JSON.stringify(page));
+  } catch (error) {
+    console.error(`[PublishedPages] Write of ${page.path} failed:`, error);
+  }
+}
+
+// ============================================
+// Dedup
+// ============================================
+
+/**
+ * Find the published page a new page would duplicate, if any
+ */
+export async function findDuplicatePage(
+  env: Env,
+  embedding: number[],
+  signature: string[]
+): Promise<DuplicateMatch | null> {
+  if (!env.VECTORIZE) return null;
+  const threshold = getNumberVar(env.PAGE_DEDUP_THRESHOLD, DEFAULT_SIMILARITY_THRESHOLD);
+  const maxAgeMs = getNumberVar(env.PAGE_DEDUP_MAX_AGE_HOURS, DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000;
+
+  let matches: VectorizeMatch[];
+  try {
+    ({ matches } = await env.VECTORIZE.query(embedding, {
+      topK: DEDUP_CANDIDATES,
+      filter: { content_type: PAGE_CONTENT_TYPE },
+      returnMetadata: 'all',
+    }));
+  } catch (error) {
+    console.error('[PublishedPages] Dedup query failed:', error);
+    return null;
+  }
+
+  // Matches come back closest first
+  const candidates = matches.filter(match => match.score >= threshold && typeof match.metadata?.path === 'string');
+  const pages = await getPublishedPages(env, candidates.map(match => match.metadata!.path as string));
+  for (const match of candidates) {
+    const page = pages.find(p => p.path === match.metadata!.path);
+    if (!page || signatureOverlap(signature, page.signature) < MIN_SIGNATURE_OVERLAP) continue;
+
+    const age = Date.now() - new Date(page.publishedAt).getTime();
+    return { page, similarity: match.score, action: age < maxAgeMs ? 'reuse' : 'version' };
+  }
+  return null;
+}
+
+/**
+ * Record a publish. Republishing a path bumps its version.
+ * The embedding is only indexed the first time a path is published.
+ */
+export async function recordPublishedPage(
+  env: Env,
+  entry: Pick<PublishedPage, 'path' | 'query' | 'signature' | 'urls' | 'products'> & { embedding?: number[] }
+): Promise<PublishedPage> {
+  const { embedding, ...fields } = entry;
+  const existing = await getPublishedPage(env, entry.path);
+  const now = new Date().toISOString();
+
+  const page: PublishedPage = {
+    ...fields,
+    // A path keeps the query it was first published for, so its match zone doesn't drift
+    query: existing?.query ?? entry.query,
+    version: existing ? existing.version + 1 : 1,
+    firstPublishedAt: existing?.firstPublishedAt ?? now,
+    publishedAt: now,
+    catalogVersion: await getCatalogVersion(),
+    traffic: existing?.traffic,
+  };
+
+  await putPublishedPage(env, page);
+  if (!existing && embedding) {
+    await indexPageEmbeddings(env, [{ path: page.path, embedding }]);
+  }
+  return page;
+}
+
+/**
+ * Apply a change to one entry, re-read first so a publish made while the
+ * caller was working is kept. Returning null leaves the entry as it is.
+ */
+export async function updatePublishedPage(
+  env: Env,
+  path: string,
+  update: (page: PublishedPage) => PublishedPage | null
+): Promise<void> {
+  const page = await getPublishedPage(env, path);
+  const updated = page && update(page);
+  if (updated) await putPublishedPage(env, updated);
+}
+
+/**
+ * Drop a page from the registry and the dedup index
+ */
+export async function removePublishedPage(env: Env, path: string): Promise<void> {
+  try {
+    await env.SESSIONS?.delete(`${PAGE_KEY_PREFIX}${path}`);
+    await env.VECTORIZE?.deleteByIds([await getPageVectorId(path)]);
+  } catch (error) {
+    console.error(`[PublishedPages] Removal of ${path} failed:`, error);
+  }
+}
+
+/**
+ * Move pages from the legacy single-value index to their own keys, a batch
+ * per call. Only the lifecycle cron calls this, so the legacy value has a
+ * single writer. Returns the number of pages still waiting.
+ */
+export async function migrateLegacyIndex(env: Env): Promise<number> {
+  if (!env.SESSIONS) return 0;
+  const legacy = await env.SESSIONS.get<Array<PublishedPage & { embedding?: number[] }>>(LEGACY_INDEX_KEY, 'json');
+  if (!legacy) return 0;
+
+  const batch = legacy.slice(0, MIGRATION_BATCH_SIZE);
+  for (const { embedding: _embedding, ...page } of batch) {
+    // A page republished since the new registry took over is already current
+    if (!(await getPublishedPage(env, page.path))) {
+      await putPublishedPage(env, page);
+    }
+  }
+  await indexPageEmbeddings(env, batch
+    .filter(page => Array.isArray(page.embedding) && page.embedding.length > 0)
+    .map(page => ({ path: page.path, embedding: page.embedding! })));
+
+  const remaining = legacy.slice(MIGRATION_BATCH_SIZE);
+  if (remaining.length > 0) {
+    await env.SESSIONS.put(LEGACY_INDEX_KEY, JSON.stringify(remaining));
+  } else {
+    await env.SESSIONS.delete(LEGACY_INDEX_KEY);
+  }
+  console.log(`[PublishedPages] Migrated ${batch.length} legacy entries, ${remaining.length} left`);
+  return remaining.length;
+}
@@ -0,0 +1,261 @@
+/**
+ * Replay Harness - Record and replay the orchestrate() SSE pipeline
+ *
+ * Recording runs a generation against the live models and captures every
+ * model call plus the emitted SSE event sequence into a fixture. The page is
+ * also put through publish moderation, so a replayed page can be persisted
+ * offline too. Replaying feeds the recorded responses back through
+ * ModelFactory via the stub provider, so block HTML can be diffed across
+ * code changes offline.
+ *
+ * Fixtures for the queries in sample-queries.md are recorded into
+ * fixtures/generations/ with tools/replay-harness.js, through the /harness/*
+ * endpoints (only available when DEBUG is enabled), and replayed by `npm test`.
+ */
+
+import type { Env, SSEEvent, SessionContext, ExtensionContext } from '../types';
+import type { ModelCallRecord } from '../ai-clients/model-factory';
+import { createStubProvider } from '../ai-clients/model-providers';
+import { orchestrate, orchestrateFromContext } from './orchestrator';
+import { moderatePage, type ModerationResult } from './input-safety';
+
+// Bump when the fixture shape changes incompatibly
+const FIXTURE_VERSION = 2;
+
+// ============================================
+// Types
+// ============================================
+
+/**
+ * Input for a recorded generation - either a plain query or a full extension context
+ */
+export interface HarnessRunRequest {
+  query?: string;
+  context?: ExtensionContext;
+  sessionContext?: SessionContext;
+  slug?: string;
+  preset?: string;
+  mode?: string;
+}
+
+export interface GenerationFixture extends HarnessRunRequest {
+  version: number;
+  slug: string;
+  recordedAt: string;
+  modelCalls: ModelCallRecord[];
+  events: SSEEvent[];
+  /** Publish moderation verdict for the generated page (plain queries only) */
+  moderation?: ModerationResult;
+}
+
+export interface BlockDiff {
+  index: number;
+  blockType: string;
+  expected: string;
+  actual: string;
+}
+
+export interface ReplayResult {
+  events: SSEEvent[];
+  /** Event names in emitted order, for sequence comparison */
+  sequence: string[];
+  blockDiffs: BlockDiff[];
+  sequenceMatches: boolean;
+  /** Whether moderation reached the recorded verdict */
+  moderationMatches: boolean;
+  /** Model calls that had no matching recording */
+  missedCalls: number;
+}
+
+// ============================================
+// Pipeline Runner
+// ============================================
+
+/**
+ * Seeded PRNG (mulberry32), so picks that are random in production
+ * (hero images and their composition) repeat between record and replay
+ */
+function seededRandom(seed: string): () => number {
+  let state = 0;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Run the orchestrator for a harness request and collect every emitted event
+ */
+async function runPipeline(request: HarnessRunRequest, env: Env): Promise<SSEEvent[]> {
+  const events: SSEEvent[] = [];
+  const write = (event: SSEEvent) => {
+    events.push(event);
+  };
+  const slug = request.slug || 'harness';
+
+  // Harness runs are DEBUG-only, so swapping the global for the run is acceptable
+  const random = Math.random;
+  Math.random = seededRandom(slug);
+
+  try {
+    if (request.context) {
+      await orchestrateFromContext(request.context, slug, env, write, request.preset, request.mode);
+    } else {
+      await orchestrate(request.query || '', slug, env, write, request.sessionContext, request.preset, request.mode);
+    }
+  } catch (error) {
+    // The orchestrator already emitted an error event - keep it as part of the fixture
+    console.error('[ReplayHarness] Pipeline error:', error instanceof Error ? error.message : error);
+  } finally {
+    Math.random = random;
+  }
+
+  return events;
+}
+
+/**
+ * Run publish moderation over the generated page, as /api/persist would.
+ * Context-driven generations have no user query to moderate against.
+ */
+async function moderateGeneration(
+  request: HarnessRunRequest,
+  events: SSEEvent[],
+  env: Env
+): Promise<ModerationResult | undefined> {
+  if (!request.query) return undefined;
+  const blocks = extractBlocks(events).filter(block => block.html);
+  return moderatePage(request.query, blocks, env, request.preset);
+}
+
+// ============================================
+// Record
+// ============================================
+
+/**
+ * Run a live generation and capture model calls + SSE events as a fixture
+ */
+export async function recordGeneration(request: HarnessRunRequest, env: Env): Promise<GenerationFixture> {
+  const modelCalls: ModelCallRecord[] = [];
+  const recordingEnv: Env = {
+    ...env,
+    MODEL_HARNESS: {
+      onCall: (record) => {
+        modelCalls.push(record);
+      },
+    },
+  };
+
+  const events = await runPipeline(request, recordingEnv);
+  const moderation = await moderateGeneration(request, events, recordingEnv);
+  console.log(`[ReplayHarness] Recorded ${modelCalls.length} model calls, ${events.length} events`);
+
+  return {
+    version: FIXTURE_VERSION,
+    ...request,
+    slug: request.slug || 'harness',
+    recordedAt: new Date().toISOString(),
+    modelCalls,
+    events,
+    ...(moderation && { moderation }),
+  };
+}
+
+// ============================================
+// Replay
+// ============================================
+
+/**
+ * Extract block HTML from an event stream, paired with the announced block type
+ */
+export function extractBlocks(events: SSEEvent[]): Array<{ blockType: string; html: string }> {
+  const blocks: Array<{ blockType: string; html: string }> = [];
+  let pendingType = 'unknown';
+
+  for (const event of events) {
+    if (event.event === 'block-start') {
+      pendingType = event.data.blockType;
+    } else if (event.event === 'block-content') {
+      blocks.push({ blockType: pendingType, html: event.data.html });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Compare the block HTML of two event streams by position
+ */
+export function diffBlocks(expected: SSEEvent[], actual: SSEEvent[]): BlockDiff[] {
+  const expectedBlocks = extractBlocks(expected);
+  const actualBlocks = extractBlocks(actual);
+  const diffs: BlockDiff[] = [];
+
+  for (let i = 0; i < Math.max(expectedBlocks.length, actualBlocks.length); i++) {
+    const exp = expectedBlocks[i];
+    const act = actualBlocks[i];
+    if (exp?.html !== act?.html) {
+      diffs.push({
+        index: i,
+        blockType: act?.blockType || exp?.blockType || 'unknown',
+        expected: exp?.html ?? '',
+        actual: act?.html ?? '',
+      });
+    }
+  }
+
+  return diffs;
+}
+
+/**
+ * Re-run a recorded generation with every model call served from the fixture
+ */
+export async function replayGeneration(fixture: GenerationFixture, env: Env): Promise<ReplayResult> {
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${fixture.version} (expected ${FIXTURE_VERSION})`);
+  }
+
+  let missedCalls = 0;
+  const stub = createStubProvider({
+    name: 'replay',
+    recordings: fixture.modelCalls,
+    onMiss: 'error',
+  });
+
+  const replayEnv: Env = {
+    ...env,
+    // Keep replays offline: hero images fall back to local keyword selection
+    VECTORIZE: undefined,
+    MODEL_HARNESS: {
+      provider: {
+        name: stub.name,
+        async call(request) {
+          try {
+            return await stub.call(request);
+          } catch (error) {
+            missedCalls++;
+            throw error;
+          }
+        },
+      },
+    },
+  };
+
+  const events = await runPipeline(fixture, replayEnv);
+  const moderation = await moderateGeneration(fixture, events, replayEnv);
+  const sequence = events.map((e) => e.event);
+  const recordedSequence = fixture.events.map((e) => e.event);
+
+  return {
+    events,
+    sequence,
+    blockDiffs: diffBlocks(fixture.events, events),
+    sequenceMatches: sequence.join(',') === recordedSequence.join(','),
+    moderationMatches: moderation?.publishable === fixture.moderation?.publishable,
+    missedCalls,
+  };
+}
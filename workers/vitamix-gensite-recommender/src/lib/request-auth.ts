@@ -0,0 +1,391 @@
+/**
+ * Request Auth - Signed requests, origin allowlist and rate limits for write endpoints
+ *
+ * /api/persist, /store-context, /embed-support, /refine, /api/catalog/*,
+ * /api/cache/purge and recipe generation on /api/ingredient-match publish pages
+ * to DA, write to KV/Vectorize or run model calls, so they only accept signed requests.
+ * So do /api/pages and /api/pages/lifecycle-report, which list users' queries:
+ *
+ * - Browsers and the extension call POST /api/auth/token from an allowed
+ *   origin. The token names a session and comes with a signing key derived
+ *   from REQUEST_SIGNING_SECRET - the secret itself never leaves the worker.
+ * - Each write sends the token (Authorization: Bearer) plus an HMAC-SHA256 of
+ *   `${timestamp}.${method}.${path}.${body}` made with the signing key
+ *   (X-Signature, X-Signature-Timestamp).
+ * - Trusted tools (tools/upload-support-content.js, tools/catalog-diff.js,
+ *   tools/page-lifecycle-report.js) sign with the secret itself and send no token.
+ *
+ * The origin allowlist only keeps other sites' pages from getting tokens in
+ * their visitors' browsers. Any non-browser client can send a forged Origin,
+ * so the rate limits below - not the allowlist - bound what it can do.
+ * Admin endpoints (/api/cache/purge) therefore go through
+ * authorizeServiceRequest, which refuses browser tokens altogether.
+ *
+ * Writes and token requests are rate limited per IP and per session with
+ * fixed-window counters in SESSIONS KV. KV is eventually consistent, so
+ * limits are approximate - enough to stop floods, not to meter exactly.
+ */
+
+import type { Env } from '../types';
+
+// Tokens are short-lived: clients fetch a new one when it expires
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+// Signed requests older (or newer) than this are replays or skewed clocks
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// KV key prefix for rate limit counters
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+// Used when ALLOWED_ORIGINS is not set; `*` matches one host label without
+// `--`, so only this repo's branch previews match
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://main--vitamix-gensite--paolomoz.aem.live',
+  'https://*--vitamix-gensite--paolomoz.aem.page',
+  'https://www.vitamix.com',
+  'https://vitamix.com',
+];
+
+// `aem up` - only allowed when DEBUG is on
+const DEV_ORIGIN = 'http://localhost:3000';
+
+const WILDCARD_LABEL = '[a-z0-9]+(?:-[a-z0-9]+)*';
+
+// Session id used for requests signed with the shared secret
+const SERVICE_SESSION = 'service';
+
+// ============================================
+// Types
+// ============================================
+
+export interface RateLimitPolicy {
+  /** Counter namespace, e.g. 'persist' */
+  name: string;
+  perIp: number;
+  perSession: number;
+  windowSeconds: number;
+}
+
+export const RATE_LIMITS = {
+  token: { name: 'token', perIp: 20, perSession: 20, windowSeconds: 60 },
+  persist: { name: 'persist', perIp: 10, perSession: 5, windowSeconds: 60 },
+  storeContext: { name: 'store-context', perIp: 60, perSession: 30, windowSeconds: 60 },
+  refine: { name: 'refine', perIp: 10, perSession: 10, windowSeconds: 60 },
+  embedSupport: { name: 'embed-support', perIp: 30, perSession: 30, windowSeconds: 60 },
+  catalog: { name: 'catalog', perIp: 30, perSession: 30, windowSeconds: 60 },
+  cachePurge: { name: 'cache-purge', perIp: 10, perSession: 10, windowSeconds: 60 },
+  ingredientGenerate: { name: 'ingredient-generate', perIp: 5, perSession: 5, windowSeconds: 60 },
+} satisfies Record<string, RateLimitPolicy>;
+
+export type AuthErrorCode =
+  | 'auth_not_configured'
+  | 'origin_not_allowed'
+  | 'missing_signature'
+  | 'invalid_token'
+  | 'token_expired'
+  | 'stale_signature'
+  | 'invalid_signature'
+  | 'service_only'
+  | 'rate_limited';
+
+export interface AuthFailure {
+  ok: false;
+  status: 401 | 403 | 429 | 500;
+  error: AuthErrorCode;
+  message: string;
+  /** Seconds until the rate limit window resets (429 only) */
+  retryAfter?: number;
+}
+
+export type AuthResult =
+  | { ok: true; sessionId: string; origin: string | null }
+  | AuthFailure;
+
+export interface IssuedToken {
+  token: string;
+  signingKey: string;
+  sessionId: string;
+  expiresAt: number;
+}
+
+interface TokenPayload {
+  sid: string;
+  origin: string | null;
+  exp: number;
+}
+
+// ============================================
+// Crypto Helpers
+// ============================================
+
+function toBase64Url(bytes: ArrayBuffer | Uint8Array): string {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  view.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function importHmacKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+async function hmac(secret: string, message: string): Promise<string> {
+  const key = await importHmacKey(secret);
+  return toBase64Url(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+}
+
+/**
+ * Constant-time check of a base64url HMAC
+ */
+async function verifyHmac(secret: string, message: string, signature: string): Promise<boolean> {
+  try {
+    const key = await importHmacKey(secret);
+    return await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), new TextEncoder().encode(message));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Signature headers for an outgoing call signed with the shared secret, for
+ * services that verify the same scheme (the analytics worker's cost reports)
+ */
+export async function signServiceRequest(
+  secret: string,
+  method: string,
+  url: string,
+  body: string
+): Promise<Record<string, string>> {
+  const timestamp = String(Date.now());
+  const message = `${timestamp}.${method}.${new URL(url).pathname}.${body}`;
+  return { 'X-Signature': await hmac(secret, message), 'X-Signature-Timestamp': timestamp };
+}
+
+// The per-token key clients sign with
+function deriveSigningKey(secret: string, encodedPayload: string): Promise<string> {
+  return hmac(secret, `key.${encodedPayload}`);
+}
+
+// ============================================
+// Origins
+// ============================================
+
+function getAllowedOrigins(env: Env): string[] {
+  const configured = env.ALLOWED_ORIGINS?.split(',').map(o => o.trim()).filter(Boolean);
+  const origins = configured?.length ? [...configured] : [...DEFAULT_ALLOWED_ORIGINS];
+  // The extension's id is fixed per install, so it is configured rather than wildcarded
+  if (env.EXTENSION_ID) origins.push(`chrome-extension://${env.EXTENSION_ID}`);
+  if (env.DEBUG === 'true') origins.push(DEV_ORIGIN);
+  return origins;
+}
+
+export function isOriginAllowed(origin: string, env: Env): boolean {
+  return getAllowedOrigins(env).some((pattern) => {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join(WILDCARD_LABEL)}$`).test(origin);
+  });
+}
+
+function getClientIp(request: Request): string {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+function failure(status: AuthFailure['status'], error: AuthErrorCode, message: string): AuthFailure {
+  return { ok: false, status, error, message };
+}
+
+// ============================================
+// Rate Limiting
+// ============================================
+
+/**
+ * Count a request against a fixed window; null when under the limit
+ */
+async function checkRateLimit(
+  env: Env,
+  scope: string,
+  limit: number,
+  windowSeconds: number
+): Promise<AuthFailure | null> {
+  if (!env.SESSIONS) return null;
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / (windowSeconds * 1000));
+  const key = `${RATE_LIMIT_PREFIX}${scope}:${windowStart}`;
+
+  try {
+    const count = parseInt((await env.SESSIONS.get(key)) || '0', 10);
+    if (count >= limit) {
+      const retryAfter = Math.ceil(((windowStart + 1) * windowSeconds * 1000 - now) / 1000);
+      return { ...failure(429, 'rate_limited', `Too many requests, retry in ${retryAfter}s`), retryAfter };
+    }
+    // KV expirations must be at least 60 seconds
+    await env.SESSIONS.put(key, String(count + 1), { expirationTtl: Math.max(60, windowSeconds * 2) });
+  } catch (error) {
+    // Never block writes because the counter store is down
+    console.error('[RequestAuth] Rate limit check failed:', error);
+  }
+  return null;
+}
+
+async function checkRateLimits(
+  env: Env,
+  policy: RateLimitPolicy,
+  ip: string,
+  sessionId: string | null
+): Promise<AuthFailure | null> {
+  const ipLimit = await checkRateLimit(env, `${policy.name}:ip:${ip}`, policy.perIp, policy.windowSeconds);
+  if (ipLimit || !sessionId) return ipLimit;
+  return checkRateLimit(env, `${policy.name}:sid:${sessionId}`, policy.perSession, policy.windowSeconds);
+}
+
+// ============================================
+// Tokens
+// ============================================
+
+/**
+ * Issue a session token for an allowed origin (POST /api/auth/token)
+ */
+export async function issueRequestToken(
+  request: Request,
+  env: Env
+): Promise<{ ok: true; token: IssuedToken } | AuthFailure> {
+  const secret = env.REQUEST_SIGNING_SECRET;
+  if (!secret) {
+    return failure(500, 'auth_not_configured', 'Request signing is not configured');
+  }
+
+  const origin = request.headers.get('Origin');
+  if (!origin || !isOriginAllowed(origin, env)) {
+    return failure(401, 'origin_not_allowed', `Origin ${origin || '(none)'} is not allowed`);
+  }
+
+  const limited = await checkRateLimits(env, RATE_LIMITS.token, getClientIp(request), null);
+  if (limited) return limited;
+
+  const payload: TokenPayload = {
+    sid: crypto.randomUUID(),
+    origin,
+    exp: Date.now() + TOKEN_TTL_MS,
+  };
+  const encodedPayload = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const mac = await hmac(secret, `token.${encodedPayload}`);
+
+  return {
+    ok: true,
+    token: {
+      token: `${encodedPayload}.${mac}`,
+      signingKey: await deriveSigningKey(secret, encodedPayload),
+      sessionId: payload.sid,
+      expiresAt: payload.exp,
+    },
+  };
+}
+
+async function readToken(
+  token: string,
+  secret: string
+): Promise<{ ok: true; payload: TokenPayload; encodedPayload: string } | AuthFailure> {
+  const [encodedPayload, mac] = token.split('.');
+  if (!encodedPayload || !mac || !(await verifyHmac(secret, `token.${encodedPayload}`, mac))) {
+    return failure(401, 'invalid_token', 'Request token is invalid');
+  }
+
+  const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(encodedPayload))) as TokenPayload;
+  if (payload.exp < Date.now()) {
+    return failure(401, 'token_expired', 'Request token has expired');
+  }
+  return { ok: true, payload, encodedPayload };
+}
+
+// ============================================
+// Request Verification
+// ============================================
+
+/**
+ * Verify a write request's signature, origin and rate limits.
+ * Reads a clone of the body, so the handler can still consume the request.
+ */
+export async function authorizeWriteRequest(
+  request: Request,
+  env: Env,
+  policy: RateLimitPolicy
+): Promise<AuthResult> {
+  const secret = env.REQUEST_SIGNING_SECRET;
+  if (!secret) {
+    return failure(500, 'auth_not_configured', 'Request signing is not configured');
+  }
+
+  // Browsers always send Origin on cross-origin POSTs; tools send none
+  const origin = request.headers.get('Origin');
+  if (origin && !isOriginAllowed(origin, env)) {
+    return failure(401, 'origin_not_allowed', `Origin ${origin} is not allowed`);
+  }
+
+  const signature = request.headers.get('X-Signature');
+  const timestamp = request.headers.get('X-Signature-Timestamp');
+  if (!signature || !timestamp) {
+    return failure(401, 'missing_signature', 'Request must be signed (X-Signature, X-Signature-Timestamp)');
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+    return failure(401, 'stale_signature', 'Signature timestamp is too old or in the future');
+  }
+
+  // Token requests sign with the token's key, tools with the shared secret
+  let signingKey = secret;
+  let sessionId = SERVICE_SESSION;
+  const bearer = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const token = await readToken(bearer, secret);
+    if (!token.ok) return token;
+    if (token.payload.origin !== origin) {
+      return failure(401, 'invalid_token', 'Request token was issued to another origin');
+    }
+    signingKey = await deriveSigningKey(secret, token.encodedPayload);
+    sessionId = token.payload.sid;
+  } else if (origin) {
+    // Browsers never hold the shared secret
+    return failure(401, 'missing_signature', 'Browser requests need a token from /api/auth/token');
+  }
+
+  const url = new URL(request.url);
+  const body = await request.clone().text();
+  const message = `${timestamp}.${request.method}.${url.pathname}.${body}`;
+  if (!(await verifyHmac(signingKey, message, signature))) {
+    return failure(401, 'invalid_signature', 'Request signature does not match');
+  }
+
+  const limited = await checkRateLimits(env, policy, getClientIp(request), sessionId);
+  if (limited) return limited;
+
+  return { ok: true, sessionId, origin };
+}
+
+/**
+ * Verify a request to an admin endpoint: only trusted tools, signing with
+ * the shared secret, may call it - a browser token is refused
+ */
+export async function authorizeServiceRequest(
+  request: Request,
+  env: Env,
+  policy: RateLimitPolicy
+): Promise<AuthResult> {
+  const auth = await authorizeWriteRequest(request, env, policy);
+  if (auth.ok && auth.sessionId !== SERVICE_SESSION) {
+    return failure(403, 'service_only', 'Only requests signed with the service secret are accepted');
+  }
+  return auth;
+}
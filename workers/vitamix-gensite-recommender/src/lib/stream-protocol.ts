@@ -0,0 +1,116 @@
+/**
+ * Stream Protocol - Version negotiation for the generation SSE stream
+ *
+ * The pipeline always emits events in the current shape (SSEEventMap,
+ * STREAM_PROTOCOL_VERSION). Clients written against an older shape pin
+ * it with `?protocol=N`; their events are translated here on the way out,
+ * so orchestrator code never has to know about old clients.
+ *
+ * Served on /api/v1/stream, with /api/stream (defaults to protocol 1, the
+ * shape cerebras-scripts.js and the cerebras-generated block were built on)
+ * and /generate (defaults to the current protocol) as aliases.
+ */
+
+import { STREAM_PROTOCOL_VERSION, type SSEEvent, type SSEEventName } from '../types';
+
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * An event as written to the wire - older protocols use payloads outside SSEEventMap
+ */
+export interface WireEvent {
+  event: string;
+  data: unknown;
+  /** SSE id, for Last-Event-ID reconnects (resumable generations) */
+  id?: number;
+}
+
+// Events protocol 1 clients know; newer events are not sent to them
+const PROTOCOL_1_EVENTS = new Set<SSEEventName>([
+  'generation-start',
+  'reasoning-start',
+  'reasoning-step',
+  'reasoning-complete',
+  'block-start',
+  'block-content',
+  'image-ready',
+  'generation-complete',
+  'error',
+]);
+
+/**
+ * Protocol for a request: `?protocol=N` when valid, else the route default
+ */
+export function resolveProtocolVersion(requested: string | null, routeDefault = STREAM_PROTOCOL_VERSION): number {
+  const version = requested ? parseInt(requested, 10) : NaN;
+  if (Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION && version <= STREAM_PROTOCOL_VERSION) {
+    return version;
+  }
+  return routeDefault;
+}
+
+/**
+ * Wrap a wire writer so current-protocol events reach the client in the negotiated shape
+ */
+export function createProtocolWriter(
+  write: (event: WireEvent) => void,
+  version: number
+): (event: SSEEvent, id?: number) => void {
+  if (version >= STREAM_PROTOCOL_VERSION) {
+    return (event, id) => {
+      // Cached streams recorded before versioning lack the field
+      if (event.event === 'generation-start') {
+        write({ event: event.event, data: { ...event.data, protocolVersion: version }, id });
+        return;
+      }
+      write({ ...event, id });
+    };
+  }
+
+  return createProtocol1Writer(write);
+}
+
+// ============================================
+// Protocol 1
+// ============================================
+
+/**
+ * Protocol 1 differences:
+ * - reasoning-complete.confidence was a single number
+ * - block-start/block-content carried a blockId (stream-renderer.js matches
+ *   sections by it) and block-start a position
+ */
+function createProtocol1Writer(write: (event: WireEvent) => void): (event: SSEEvent, id?: number) => void {
+  // block-content has no index of its own: it belongs to the last block-start
+  let currentBlock = { blockId: 'block-0', blockType: 'hero' as string };
+
+  return (event, id) => {
+    if (!PROTOCOL_1_EVENTS.has(event.event)) return;
+
+    switch (event.event) {
+      case 'generation-start':
+        write({ event: event.event, data: { ...event.data, protocolVersion: 1 }, id });
+        break;
+      case 'reasoning-complete':
+        write({
+          event: event.event,
+          data: { ...event.data, confidence: event.data.confidence.intent },
+          id,
+        });
+        break;
+      case 'block-start':
+        currentBlock = { blockId: `block-${event.data.index}`, blockType: event.data.blockType };
+        write({
+          event: event.event,
+          data: { ...event.data, ...currentBlock, position: event.data.index },
+          id,
+        });
+        break;
+      case 'block-content':
+        write({ event: event.event, data: { ...event.data, ...currentBlock }, id });
+        break;
+      default:
+        write({ ...event, id });
+    }
+  };
+}
@@ -3,18 +3,94 @@
  *
  * Processes support queries and returns quick answers.
  * For complex issues, also provides a link to a full support page.
+ *
+ * Answers are grounded in owner's manual chunks from SUPPORT_VECTORIZE and
+ * cite them inline as [n], each citation naming the manual, models, section
+ * and PDF page. When retrieval is too weak (a stricter bar for safety
+ * questions such as hot liquids) or the model can't answer from the sources,
+ * the chat says so and points to the manual or customer service instead of
+ * guessing.
+ *
+ * Retrieval is scoped to the user's blender (lib/support-models.ts): their
+ * manual first, then their series, then every manual - answers that end up
+ * citing another model's manual say so.
+ *
+ * Warranty questions about the user's own blender are answered from the
+ * warranty terms instead (lib/support-warranty.ts), asking for the model,
+ * purchase date and channel until coverage can be worked out.
+ *
+ * The conversation is kept server-side (lib/support-memory.ts): recent turns
+ * verbatim plus a running state of the model, issue and steps already tried,
+ * so answers don't repeat fixes the customer has been through.
  */
 
 import type {
   Env,
   SupportChatRequest,
   SupportChatResponse,
+  SupportCitation,
+  SupportConversationState,
   SupportIntent,
+  SupportModel,
 } from '../types';
+import {
+  MODEL_QUESTION,
+  getModelOptions,
+  getPendingQuestion,
+  resolveSupportModel,
+  shouldAskForModel,
+} from './support-models';
+import {
+  checkWarranty,
+  describesIssue,
+  extractWarrantyDetails,
+  formatWarrantyAnswer,
+  getWarrantyQuestion,
+  getWarrantySeriesNames,
+  getWarrantyThread,
+  isWarrantyCheck,
+} from './support-warranty';
+import { formatConversationState, getSupportConversation, recordSupportTurn } from './support-memory';
 
 // POC site base URL for full support pages
 const POC_BASE_URL = 'https://main--vitamix-gensite--paolomoz.aem.live';
 
+// Chunks below this similarity are not retrieved at all
+const MIN_RETRIEVAL_SCORE = 0.5;
+// Best chunk must reach this to answer; safety questions need a closer match
+const MIN_GROUNDED_SCORE = 0.6;
+const MIN_GROUNDED_SCORE_SAFETY = 0.7;
+// Sources given to the model (and so the highest citation number)
+const MAX_SOURCES = 3;
+
+// Questions treated as safety topics regardless of the classified category
+const SAFETY_TERMS = /\b(hot|boil\w*|steam\w*|burn\w*|scald\w*|shock|spark\w*|smok\w*|fire|child\w*|kids?|injur\w*|cut)\b/i;
+
+// Model reply when the sources don't answer the question
+const NO_ANSWER_TOKEN = 'NO_GROUNDED_ANSWER';
+
+const CUSTOMER_SERVICE = 'Vitamix Customer Service at 1-800-848-2649';
+
+/**
+ * Owner's manual chunk retrieved for a query
+ */
+interface SupportSource {
+  content: string;
+  score: number;
+  /** Absent on chunks indexed before manual ids were stored */
+  manualId?: string;
+  manual: string;
+  series: string;
+  models: string[];
+  section: string;
+  chunkIndex?: number;
+  page?: number;
+  /** Manual PDF url */
+  pdfUrl?: string;
+  /** From a manual other than the one for the user's model */
+  otherModel?: boolean;
+}
+
 /**
  * Handle support chat request
  */
@@ -22,45 +98,167 @@ export async function handleSupportChat(
   request: SupportChatRequest,
   env: Env
 ): Promise<SupportChatResponse> {
-  const { query, conversationHistory, pageContext } = request;
+  console.log('[SupportChat] Processing query:', request.query);
+
+  // The client's history is only used when there's no stored conversation
+  const conversation = await getSupportConversation(env, request.conversationId, request.conversationHistory);
+  const response = await answerSupportQuery(
+    request.query,
+    request.pageContext,
+    conversation.turns,
+    conversation.state,
+    env
+  );
+  await recordSupportTurn(env, conversation, request.query, response);
+
+  return { ...response, conversationId: conversation.id };
+}
+
+/**
+ * Answer a question given the recent turns and what earlier ones established
+ */
+async function answerSupportQuery(
+  query: string,
+  pageContext: SupportChatRequest['pageContext'],
+  conversationHistory: Array<{ role: string; content: string }>,
+  state: SupportConversationState,
+  env: Env
+): Promise<SupportChatResponse> {
+  // A reply to a warranty question continues that check
+  const warrantyThread = getWarrantyThread(conversationHistory);
+  if (warrantyThread) {
+    return answerWarrantyCheck([...warrantyThread, query], pageContext, state);
+  }
 
-  console.log('[SupportChat] Processing query:', query);
+  // A reply to the model question answers the question asked before it
+  const question = getPendingQuestion(conversationHistory) || query;
 
   // Step 1: Classify the support intent
-  const intent = await classifySupportIntent(query, pageContext, env);
+  const intent = await classifySupportIntent(question, pageContext, env);
   console.log('[SupportChat] Intent:', intent.category, '| Complex:', intent.isComplex);
 
-  // Step 2: Query SUPPORT_VECTORIZE for relevant content (if available)
-  let relevantContent: string[] = [];
+  if (intent.category === 'warranty' && isWarrantyCheck(question)) {
+    return answerWarrantyCheck([question], pageContext, state);
+  }
+
+  // Step 2: Resolve the user's blender model, asking once when the answer depends on it
+  const model = resolveSupportModel(query, {
+    productViewed: pageContext?.productViewed,
+    product: intent.product && intent.product !== 'null' ? intent.product : undefined,
+    conversationHistory,
+    rememberedModel: state.model,
+  });
+  console.log('[SupportChat] Model:', model ? `${model.model || model.manualName || model.series} (${model.source})` : 'unknown');
+
+  if (shouldAskForModel(intent.category, model, conversationHistory)) {
+    return {
+      quickAnswer: MODEL_QUESTION,
+      relatedTopics: getModelOptions(),
+      citations: [],
+      grounded: false,
+    };
+  }
+
+  // Step 3: Query SUPPORT_VECTORIZE for relevant manual sections (if available)
+  const safety = isSafetyQuestion(question, intent);
+  const minScore = safety ? MIN_GROUNDED_SCORE_SAFETY : MIN_GROUNDED_SCORE;
+
+  let sources: SupportSource[] = [];
   if (env.SUPPORT_VECTORIZE) {
-    relevantContent = await querySuportContent(query, intent, env);
-    console.log('[SupportChat] Found', relevantContent.length, 'relevant content chunks');
+    sources = await querySupportSources(question, model, minScore, env);
+    console.log('[SupportChat] Found', sources.length, 'relevant content chunks');
   }
 
-  // Step 3: Generate quick answer
-  const quickAnswer = await generateQuickAnswer(
-    query,
-    intent,
-    relevantContent,
-    conversationHistory || [],
-    pageContext,
-    env
-  );
+  // Step 4: Generate quick answer, or decline when the manuals don't cover it
+  const bestScore = sources[0]?.score ?? 0;
+
+  let answer: { quickAnswer: string; citations: SupportCitation[]; grounded: boolean };
+  if (bestScore < minScore) {
+    console.log(`[SupportChat] Not grounded: best score ${bestScore.toFixed(2)} < ${minScore}`);
+    answer = { quickAnswer: getNoGroundedAnswer(safety), citations: [], grounded: false };
+  } else {
+    answer = await generateQuickAnswer(
+      question,
+      intent,
+      sources.slice(0, MAX_SOURCES),
+      conversationHistory,
+      pageContext,
+      model,
+      state,
+      safety,
+      env
+    );
+  }
+
+  // Answers from another model's manual may not match the user's controls
+  const otherManuals = [...new Set(answer.citations.filter(c => c.otherModel).map(c => c.manual))];
+  if (model && otherManuals.length > 0) {
+    answer.quickAnswer += `\n\nNote: this comes from the ${otherManuals.join(' and ')} manual, not the one for your `
+      + `${model.model || model.manualName || model.series} - controls can differ, so check your own owner's manual.`;
+  }
 
-  // Step 4: Determine if we should offer a full page
+  // Step 5: Determine if we should offer a full page (not for answers we declined)
   let fullPageUrl: string | undefined;
-  if (shouldOfferFullPage(intent, relevantContent)) {
-    fullPageUrl = buildFullPageUrl(query);
+  if (answer.grounded && shouldOfferFullPage(intent, sources)) {
+    fullPageUrl = buildFullPageUrl(question);
     console.log('[SupportChat] Offering full page:', fullPageUrl);
   }
 
-  // Step 5: Generate related topics
-  const relatedTopics = generateRelatedTopics(intent, query);
+  // Step 6: Generate related topics
+  const relatedTopics = generateRelatedTopics(intent, question);
 
   return {
-    quickAnswer,
+    quickAnswer: answer.quickAnswer,
     fullPageUrl,
     relatedTopics,
+    citations: answer.citations,
+    grounded: answer.grounded,
+    model: model || undefined,
+  };
+}
+
+/**
+ * Check the user's warranty from the details in their messages (the first
+ * one is the question that started the check), or ask for what's missing
+ */
+function answerWarrantyCheck(
+  messages: string[],
+  pageContext: SupportChatRequest['pageContext'],
+  state: SupportConversationState
+): SupportChatResponse {
+  // The page being viewed, then the remembered model, unless the user names one
+  const details = extractWarrantyDetails([pageContext?.productViewed, state.model, ...messages]);
+  const issue = describesIssue(messages[0]) ? messages[0] : undefined;
+  const result = checkWarranty({ ...details, issue });
+
+  if ('error' in result) {
+    console.error('[SupportChat] Warranty check error:', result.error);
+    return {
+      quickAnswer: getFallbackAnswer({ category: 'warranty', isComplex: false, confidence: 1 }, messages[0]),
+      citations: [],
+      grounded: false,
+    };
+  }
+
+  if (result.missing.length > 0) {
+    console.log('[SupportChat] Warranty check needs:', result.missing.join(', '));
+    return {
+      quickAnswer: getWarrantyQuestion(result),
+      relatedTopics: result.missing.includes('model')
+        ? (result.model ? result.models : getWarrantySeriesNames())
+        : [],
+      citations: [],
+      grounded: false,
+      warranty: result,
+    };
+  }
+
+  return {
+    quickAnswer: formatWarrantyAnswer(result),
+    relatedTopics: generateRelatedTopics({ category: 'warranty', isComplex: false, confidence: 1 }, messages[0]),
+    citations: [],
+    grounded: false,
+    warranty: result,
   };
 }
 
@@ -156,17 +354,60 @@ function classifyByKeywords(query: string): SupportIntent {
 }
 
 /**
- * Query SUPPORT_VECTORIZE for relevant content
+ * Whether a wrong answer could hurt someone (hot liquids, burns, blades...)
  */
-async function querySuportContent(
+function isSafetyQuestion(query: string, intent: SupportIntent): boolean {
+  return intent.category === 'safety' || SAFETY_TERMS.test(query);
+}
+
+/**
+ * Whether a chunk comes from a manual other than the user's
+ */
+function isOtherModel(source: SupportSource, model: SupportModel | null): boolean {
+  if (!model) return false;
+  if (!model.manualId) return source.series !== model.series;
+  return source.manualId ? source.manualId !== model.manualId : source.manual !== model.manualName;
+}
+
+function toSupportSource(match: VectorizeMatch): SupportSource {
+  const metadata = (match.metadata || {}) as Record<string, unknown>;
+  return {
+    content: (metadata.content as string) || '',
+    score: match.score,
+    manualId: (metadata.manual_id as string) || undefined,
+    manual: (metadata.manual_name as string) || 'Vitamix owner\'s manual',
+    series: (metadata.product_series as string) || '',
+    models: ((metadata.models as string) || '').split(',').filter(Boolean),
+    section: (metadata.section_title as string) || '',
+    chunkIndex: metadata.chunk_index as number | undefined,
+    // Chunks indexed before pages were tracked have page 0 and no url
+    page: (metadata.page as number) || undefined,
+    pdfUrl: (metadata.manual_url as string) || undefined,
+  };
+}
+
+/**
+ * Query SUPPORT_VECTORIZE for relevant manual chunks, best match first.
+ * Tries the user's manual, then their series, then every manual, stopping
+ * at the first scope with a match good enough to answer from (metadata
+ * filters need the indexes noted in wrangler.toml - without them the
+ * filtered queries return nothing and retrieval falls through).
+ */
+async function querySupportSources(
   query: string,
-  intent: SupportIntent,
+  model: SupportModel | null,
+  minScore: number,
   env: Env
-): Promise<string[]> {
+): Promise<SupportSource[]> {
   if (!env.SUPPORT_VECTORIZE) {
     return [];
   }
 
+  const filters: Array<VectorizeVectorMetadataFilter | undefined> = [];
+  if (model?.manualId) filters.push({ manual_id: { $eq: model.manualId } });
+  if (model?.series) filters.push({ product_series: { $eq: model.series } });
+  filters.push(undefined);
+
   try {
     // Generate embedding for query using Cloudflare AI
     const embedding = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
@@ -177,20 +418,23 @@ async function querySuportContent(
       return [];
     }
 
-    // Query Vectorize
-    const results = await env.SUPPORT_VECTORIZE.query(embedding.data[0], {
-      topK: 5,
-      returnMetadata: 'all',
-    });
+    let sources: SupportSource[] = [];
+    for (const filter of filters) {
+      const results = await env.SUPPORT_VECTORIZE.query(embedding.data[0], {
+        topK: 5,
+        returnMetadata: 'all',
+        ...(filter ? { filter } : {}),
+      });
 
-    // Extract content from results
-    return results.matches
-      .filter(m => m.score > 0.5)
-      .map(m => {
-        const metadata = m.metadata as Record<string, unknown>;
-        return metadata?.content as string || '';
-      })
-      .filter(Boolean);
+      sources = results.matches
+        .filter(m => m.score > MIN_RETRIEVAL_SCORE)
+        .map(toSupportSource)
+        .filter(source => source.content)
+        .sort((a, b) => b.score - a.score);
+      if ((sources[0]?.score ?? 0) >= minScore) break;
+    }
+
+    return sources.map(source => ({ ...source, otherModel: isOtherModel(source, model) }));
   } catch (e) {
     console.error('[SupportChat] Vectorize query error:', e);
     return [];
@@ -198,26 +442,72 @@ async function querySuportContent(
 }
 
 /**
- * Generate quick answer using Claude Sonnet
+ * Citation for a source, linking to its page of the manual PDF
+ */
+function toCitation(source: SupportSource, id: number): SupportCitation {
+  // Scraped section titles can run long (a whole heading page)
+  const section = source.section.length > 80 ? `${source.section.slice(0, 77)}...` : source.section;
+  return {
+    id,
+    manual: source.manual,
+    models: source.models,
+    section,
+    page: source.page,
+    url: source.pdfUrl && source.page ? `${source.pdfUrl}#page=${source.page}` : source.pdfUrl,
+    ...(source.otherModel ? { otherModel: true } : {}),
+  };
+}
+
+/**
+ * Answer given when the manuals don't support an answer
+ */
+function getNoGroundedAnswer(safety: boolean): string {
+  if (safety) {
+    return 'I couldn\'t find this in the Vitamix owner\'s manuals, and for a safety question I\'d rather not guess. '
+      + 'Please check the Important Safeguards section of your owner\'s manual, or call '
+      + `${CUSTOMER_SERVICE} before trying it.`;
+  }
+  return 'I couldn\'t find an answer to that in the Vitamix owner\'s manuals, so I\'d rather not guess. '
+    + `Try rephrasing with your blender model, or contact ${CUSTOMER_SERVICE}.`;
+}
+
+/**
+ * Generate quick answer using Claude Sonnet, citing the sources it uses
  */
 async function generateQuickAnswer(
   query: string,
   intent: SupportIntent,
-  relevantContent: string[],
+  sources: SupportSource[],
   conversationHistory: Array<{ role: string; content: string }>,
   pageContext: SupportChatRequest['pageContext'],
+  model: SupportModel | null,
+  state: SupportConversationState,
+  safety: boolean,
   env: Env
-): Promise<string> {
-  const contentContext = relevantContent.length > 0
-    ? `\n\nRelevant manual content:\n${relevantContent.slice(0, 3).join('\n\n')}`
-    : '';
+): Promise<{ quickAnswer: string; citations: SupportCitation[]; grounded: boolean }> {
+  const sourcesText = sources
+    .map((source, i) => {
+      const models = source.models.length ? ` (${source.models.join(', ')})` : '';
+      const page = source.page ? `, page ${source.page}` : '';
+      const other = source.otherModel ? ' [different model than the user\'s]' : '';
+      return `[${i + 1}] ${source.manual}${models} - ${source.section}${page}${other}\n${source.content}`;
+    })
+    .join('\n\n');
 
   const productContext = pageContext?.productViewed
     ? `\nUser is viewing: ${pageContext.productViewed}`
     : '';
 
+  const modelContext = model
+    ? `\nUser's blender: ${model.model || model.manualName || `${model.series} series`}`
+    : '';
+
+  // Older turns come summarized; the recent ones (a few at most) verbatim
+  const memory = formatConversationState(state);
+  const memoryText = memory ? `\n\n${memory}` : '';
+
   const historyText = conversationHistory.length > 0
-    ? `\n\nConversation history:\n${conversationHistory.slice(-4).map(m => `${m.role}: ${m.content}`).join('\n')}`
+    ? `\n\nConversation history:\n${conversationHistory.map(m => `${m.role}: ${m.content}`).join('\n')}`
     : '';
 
   const systemPrompt = `You are a helpful Vitamix support assistant. Provide clear, concise answers to support questions.
@@ -225,17 +515,25 @@ async function generateQuickAnswer(
 Guidelines:
 - Keep responses under 150 words
 - Be direct and helpful
+- Answer ONLY from the owner's manual sources below - never from general knowledge
+- Cite the source of every fact with its number in square brackets, e.g. [1] or [1][2]
+- If the sources don't answer the question, reply with exactly ${NO_ANSWER_TOKEN} and nothing else${safety ? '\n- This is a safety question: only state precautions the sources give explicitly' : ''}
 - If the issue requires hands-on steps, summarize the key points
 - For complex issues, mention that a detailed guide is available
 - Never recommend third-party repairs (Vitamix has excellent warranty service)
-- Be warm but efficient${contentContext}`;
+- Don't repeat steps the customer already tried - acknowledge them and move on to the next fix
+- Be warm but efficient
+
+Owner's manual sources:
+${sourcesText}`;
 
-  const userPrompt = `${productContext}${historyText}
+  const userPrompt = `${productContext}${modelContext}${memoryText}${historyText}
 
 User question: ${query}
 
-Provide a helpful, concise answer.`;
+Provide a helpful, concise answer with citations.`;
 
+  let text: string;
   try {
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
@@ -258,11 +556,28 @@ Provide a helpful, concise answer.`;
     }
 
     const data = await response.json() as { content: Array<{ text: string }> };
-    return data.content[0]?.text || 'I apologize, but I couldn\'t generate an answer. Please try rephrasing your question.';
+    text = data.content[0]?.text?.trim() || '';
   } catch (e) {
     console.error('[SupportChat] Answer generation error:', e);
-    return getFallbackAnswer(intent, query);
+    return { quickAnswer: getFallbackAnswer(intent, query), citations: [], grounded: false };
   }
+
+  // Drop markers that don't point at a source; an answer citing nothing isn't grounded
+  const cited = new Set<number>();
+  const quickAnswer = text.replace(/\[(\d+)\]/g, (marker, n: string) => {
+    const id = parseInt(n, 10);
+    if (id < 1 || id > sources.length) return '';
+    cited.add(id);
+    return marker;
+  });
+
+  if (!text || text.includes(NO_ANSWER_TOKEN) || cited.size === 0) {
+    console.log('[SupportChat] Model found no grounded answer in the sources');
+    return { quickAnswer: getNoGroundedAnswer(safety), citations: [], grounded: false };
+  }
+
+  const citations = [...cited].sort((a, b) => a - b).map(id => toCitation(sources[id - 1], id));
+  return { quickAnswer, citations, grounded: true };
 }
 
 /**
@@ -286,7 +601,7 @@ function getFallbackAnswer(intent: SupportIntent, query: string): string {
 /**
  * Determine if we should offer a full support page
  */
-function shouldOfferFullPage(intent: SupportIntent, relevantContent: string[]): boolean {
+function shouldOfferFullPage(intent: SupportIntent, sources: SupportSource[]): boolean {
   // Complex issues always get a full page offer
   if (intent.isComplex) return true;
 
@@ -295,7 +610,7 @@ function shouldOfferFullPage(intent: SupportIntent, relevantContent: string[]):
   if (visualCategories.includes(intent.category)) return true;
 
   // If we found substantial content, offer the full page
-  if (relevantContent.length >= 3) return true;
+  if (sources.length >= 3) return true;
 
   return false;
 }
@@ -0,0 +1,163 @@
+/**
+ * Support Diagnose - Guided troubleshooting over per-symptom decision trees
+ *
+ * The support-triage and troubleshooting-steps blocks used to render steps
+ * generated once for the page. POST /support/diagnose walks the user through
+ * a decision tree instead, one yes/no question at a time, until the problem
+ * is resolved or it ends with the warranty and contact options.
+ *
+ * Trees live in content/support/troubleshooting-trees.json, one per symptom
+ * (won't start, burning smell, leaking container, lid and error codes),
+ * written from the owner's manuals' troubleshooting, motor and error code
+ * sections. The endpoint is stateless: the client sends the step it showed
+ * and the answer, and gets the next step back.
+ */
+
+import type { DiagnoseRequest, DiagnoseResponse, DiagnoseSource } from '../types';
+import { getSupportManual } from './support-models';
+import treeData from '../../../../content/support/troubleshooting-trees.json';
+
+const WARRANTY_URL = 'https://www.vitamix.com/support/warranty';
+const SUPPORT_URL = 'https://www.vitamix.com/support';
+const SUPPORT_PHONE = '1-800-848-2649';
+
+// ============================================
+// Types
+// ============================================
+
+interface TreeSource {
+  manualId: string;
+  section: string;
+}
+
+interface QuestionNode {
+  question: string;
+  detail?: string;
+  /** Things to try before answering */
+  instructions?: string[];
+  safety?: string;
+  source?: TreeSource;
+  yes: string;
+  no: string;
+}
+
+interface OutcomeNode {
+  outcome: 'resolved' | 'unresolved';
+  title: string;
+  detail: string;
+  source?: TreeSource;
+}
+
+interface SymptomTree {
+  id: string;
+  title: string;
+  /** Phrases that identify the symptom in free text */
+  keywords: string[];
+  start: string;
+  nodes: Record<string, QuestionNode | OutcomeNode>;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+// JSON node shapes are a union TypeScript can't narrow to the tree types
+const TREES = (treeData as unknown as { symptoms: SymptomTree[] }).symptoms;
+
+function toSource(source: TreeSource | undefined): DiagnoseSource | undefined {
+  if (!source) return undefined;
+  const manual = getSupportManual(source.manualId);
+  return {
+    manual: manual?.name || 'Vitamix owner\'s manual',
+    section: source.section,
+    url: manual?.url,
+  };
+}
+
+/**
+ * Symptom whose keywords the text mentions most (first listed wins ties)
+ */
+function matchSymptom(text: string): SymptomTree | undefined {
+  const lower = text.toLowerCase();
+  let best: { tree: SymptomTree; hits: number } | undefined;
+  for (const tree of TREES) {
+    const hits = tree.keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lower)).length;
+    if (hits > 0 && (!best || hits > best.hits)) {
+      best = { tree, hits };
+    }
+  }
+  return best?.tree;
+}
+
+function toResponse(tree: SymptomTree, nodeId: string): DiagnoseResponse {
+  const node = tree.nodes[nodeId];
+  const symptom = { id: tree.id, title: tree.title };
+
+  if ('outcome' in node) {
+    const resolved = node.outcome === 'resolved';
+    return {
+      symptom,
+      outcome: {
+        id: nodeId,
+        resolved,
+        title: node.title,
+        detail: node.detail,
+        source: toSource(node.source),
+        actions: resolved ? undefined : [
+          { label: 'Start a warranty claim', url: WARRANTY_URL },
+          { label: `Contact Customer Service (${SUPPORT_PHONE})`, url: SUPPORT_URL },
+        ],
+      },
+    };
+  }
+
+  return {
+    symptom,
+    step: {
+      id: nodeId,
+      question: node.question,
+      detail: node.detail,
+      instructions: node.instructions,
+      safety: node.safety,
+      source: toSource(node.source),
+    },
+  };
+}
+
+// ============================================
+// Public API
+// ============================================
+
+export function getDiagnoseSymptoms(): Array<{ id: string; title: string }> {
+  return TREES.map(({ id, title }) => ({ id, title }));
+}
+
+/**
+ * The step after the one answered, or the symptom's first step when no step
+ * is given. Errors are for invalid requests (unknown symptom, step or answer).
+ */
+export function diagnose(request: DiagnoseRequest): DiagnoseResponse | { error: string } {
+  const tree = request.symptom
+    ? TREES.find(t => t.id === request.symptom)
+    : matchSymptom(request.query || '');
+
+  if (!tree) {
+    if (request.symptom) return { error: `Unknown symptom: ${request.symptom}` };
+    return { symptom: null, symptoms: getDiagnoseSymptoms() };
+  }
+
+  if (!request.step) {
+    return toResponse(tree, tree.start);
+  }
+
+  // Own keys only: a step like "__proto__" or "constructor" is not a node
+  const node = Object.hasOwn(tree.nodes, request.step) ? tree.nodes[request.step] : undefined;
+  if (!node || 'outcome' in node) {
+    return { error: `Unknown step for ${tree.id}: ${request.step}` };
+  }
+  if (request.answer !== 'yes' && request.answer !== 'no') {
+    return { error: 'answer must be "yes" or "no"' };
+  }
+
+  return toResponse(tree, node[request.answer]);
+}
@@ -0,0 +1,247 @@
+/**
+ * Support Memory - Server-side support chat conversations in SESSIONS KV
+ *
+ * The extension used to send the whole conversation with every message,
+ * and the chat passed it raw into the answer prompt. Conversations are now
+ * kept in SESSIONS KV under a conversation id the worker hands out with the
+ * first answer: the latest turns verbatim, and everything older folded into
+ * a running state - the blender the customer owns, the issue they're
+ * working on, and the steps they've already tried - so answers can pick up
+ * where the customer is instead of repeating fixes that didn't work.
+ *
+ * Older turns are folded by the fast model once the record grows past
+ * MAX_TURNS, except those of a warranty check still collecting details,
+ * which reads them back verbatim. Without KV (or once a record has expired)
+ * the history the client sent is used instead, so the chat degrades to the
+ * old behavior.
+ */
+
+import type { Env, SupportChatResponse, SupportConversationState } from '../types';
+import { createModelFactory, type Message } from '../ai-clients/model-factory';
+import { getWarrantyThreadStart } from './support-warranty';
+import { UsageTracker, reportGenerationUsage } from './usage-tracker';
+
+// KV key prefix for support conversations
+const CONVERSATION_PREFIX = 'support:';
+// Customers come back after trying a fix: 7 days
+const CONVERSATION_TTL = 60 * 60 * 24 * 7;
+
+// Turns kept verbatim; past MAX_TURNS the oldest are summarized down to KEEP_TURNS
+// (or down to the start of a warranty check in progress, which can run longer)
+const MAX_TURNS = 8;
+const KEEP_TURNS = 4;
+// A warranty check takes up to 7 replies to collect its details; a longer
+// thread is folded like any other turns
+const MAX_THREAD_TURNS = 16;
+
+// Oldest steps are dropped past this many
+const MAX_STEPS_TRIED = 10;
+
+// Ids the worker hands out (and the extension sends back)
+const CONVERSATION_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+
+// ============================================
+// Types
+// ============================================
+
+interface Turn {
+  role: string;
+  content: string;
+}
+
+export interface SupportConversation {
+  id: string;
+  /** Latest turns, oldest first */
+  turns: Turn[];
+  /** What the turns no longer kept verbatim established */
+  state: SupportConversationState;
+  /** Turns folded into state so far */
+  summarizedTurns: number;
+  updatedAt: string;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function emptyState(): SupportConversationState {
+  return { stepsTried: [] };
+}
+
+function mergeSteps(existing: string[], added: string[]): string[] {
+  const steps = [...existing];
+  for (const step of added) {
+    if (!steps.some(s => s.toLowerCase() === step.toLowerCase())) steps.push(step);
+  }
+  return steps.slice(-MAX_STEPS_TRIED);
+}
+
+/**
+ * Fold turns into the running state with the classification model (usage is
+ * reported like a generation's). Falls back to keeping the state as it was
+ * (plus the first question as the issue) when the model is unavailable or
+ * its reply can't be read.
+ */
+async function summarizeTurns(
+  state: SupportConversationState,
+  turns: Turn[],
+  env: Env
+): Promise<SupportConversationState> {
+  const fallback: SupportConversationState = {
+    ...state,
+    issue: state.issue || turns.find(turn => turn.role === 'user')?.content.slice(0, 200),
+  };
+
+  const prompt = `Update the running state of a Vitamix support conversation with the messages below.
+
+Current state:
+${JSON.stringify(state)}
+
+Messages:
+${turns.map(turn => `${turn.role}: ${turn.content}`).join('\n')}
+
+Respond with JSON only:
+{
+  "model": "the customer's blender model, or null if never stated",
+  "issue": "the problem they are trying to solve, in one short sentence, or null",
+  "stepsTried": ["short phrase for each fix or step the customer says they already tried or did, e.g. 'reseated the container'"],
+  "summary": "one or two sentences on where the conversation stands"
+}
+Only list steps the customer confirmed trying - not steps that were merely suggested.`;
+
+  const messages: Message[] = [{ role: 'user', content: prompt }];
+  const usageTracker = new UsageTracker(env.MODEL_PRESET || 'production');
+
+  try {
+    const response = await createModelFactory(env).call('classification', messages, { ...env, USAGE_TRACKER: usageTracker });
+    await reportGenerationUsage(env, usageTracker.getSummary(), {
+      query: `${fallback.issue || 'support chat'} (support memory)`,
+      duration: response.duration,
+    });
+
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return fallback;
+
+    const parsed = JSON.parse(jsonMatch[0]) as {
+      model?: string | null;
+      issue?: string | null;
+      stepsTried?: string[];
+      summary?: string | null;
+    };
+    return {
+      model: parsed.model || state.model,
+      issue: parsed.issue || fallback.issue,
+      stepsTried: mergeSteps(state.stepsTried, Array.isArray(parsed.stepsTried) ? parsed.stepsTried : []),
+      summary: parsed.summary || state.summary,
+    };
+  } catch (e) {
+    console.error('[SupportMemory] Summarization error:', e);
+    return fallback;
+  }
+}
+
+/**
+ * Index of the first turn kept verbatim: the last `keep` turns, or all of a
+ * warranty check in progress, since it reads its whole thread back
+ */
+function keptFrom(turns: Turn[], keep: number): number {
+  const threadStart = getWarrantyThreadStart(turns);
+  const from = threadStart < 0 ? turns.length - keep : Math.min(turns.length - keep, threadStart);
+  return Math.max(0, from, turns.length - MAX_THREAD_TURNS);
+}
+
+async function putSupportConversation(env: Env, conversation: SupportConversation): Promise<void> {
+  if (!env.SESSIONS) return;
+  try {
+    await env.SESSIONS.put(`${CONVERSATION_PREFIX}${conversation.id}`, JSON.stringify(conversation), {
+      expirationTtl: CONVERSATION_TTL,
+    });
+  } catch (error) {
+    console.error('[SupportMemory] Write failed:', error);
+  }
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * The stored conversation, or a new one seeded with the history the client
+ * sent (no id yet, an unknown or expired id, or no KV)
+ */
+export async function getSupportConversation(
+  env: Env,
+  conversationId: string | undefined,
+  clientHistory: Turn[] = []
+): Promise<SupportConversation> {
+  if (conversationId && CONVERSATION_ID_PATTERN.test(conversationId) && env.SESSIONS) {
+    try {
+      const raw = await env.SESSIONS.get(`${CONVERSATION_PREFIX}${conversationId}`);
+      if (raw) return JSON.parse(raw) as SupportConversation;
+    } catch (error) {
+      console.error('[SupportMemory] Read failed:', error);
+    }
+  }
+
+  return {
+    id: conversationId && CONVERSATION_ID_PATTERN.test(conversationId) ? conversationId : crypto.randomUUID(),
+    turns: clientHistory.slice(keptFrom(clientHistory, MAX_TURNS)).map(({ role, content }) => ({ role, content })),
+    state: emptyState(),
+    summarizedTurns: 0,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Record a question and its answer, folding the oldest turns into the state
+ * once there are more than MAX_TURNS. Never throws - memory is optional.
+ */
+export async function recordSupportTurn(
+  env: Env,
+  conversation: SupportConversation,
+  query: string,
+  response: SupportChatResponse
+): Promise<void> {
+  let turns: Turn[] = [
+    ...conversation.turns,
+    { role: 'user', content: query },
+    { role: 'assistant', content: response.quickAnswer },
+  ];
+  let state: SupportConversationState = {
+    ...conversation.state,
+    // A model named in the conversation is remembered even after its turn is summarized
+    model: response.model?.model || response.model?.manualName || conversation.state.model,
+  };
+  let summarizedTurns = conversation.summarizedTurns;
+
+  const keepFrom = keptFrom(turns, KEEP_TURNS);
+  if (turns.length > MAX_TURNS && keepFrom > 0) {
+    const folded = turns.slice(0, keepFrom);
+    state = await summarizeTurns(state, folded, env);
+    turns = turns.slice(keepFrom);
+    summarizedTurns += folded.length;
+    console.log(`[SupportMemory] Summarized ${folded.length} turns of ${conversation.id}:`,
+      state.stepsTried.length, 'steps tried');
+  }
+
+  await putSupportConversation(env, {
+    id: conversation.id,
+    turns,
+    state,
+    summarizedTurns,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * The running state as prompt context, or '' when nothing is known yet
+ */
+export function formatConversationState(state: SupportConversationState): string {
+  const lines: string[] = [];
+  if (state.summary) lines.push(`Earlier in this conversation: ${state.summary}`);
+  if (state.issue) lines.push(`Issue: ${state.issue}`);
+  if (state.stepsTried.length > 0) {
+    lines.push(`Steps the customer already tried (don't suggest these again):\n${state.stepsTried.map(s => `- ${s}`).join('\n')}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,156 @@
+/**
+ * Support Models - Resolves which blender a support question is about
+ *
+ * Owner's manuals differ by model (an E310 has a dial, an A3500 a
+ * touchscreen), so support retrieval is scoped to the user's own manual.
+ * Models are matched against the model lists in
+ * content/support/manual-definitions.json - the manuals
+ * tools/scrape-support-manuals.js indexes into SUPPORT_VECTORIZE - looking at,
+ * in order: the question itself, the product page being viewed, the product
+ * the intent classifier picked out, earlier user messages, and the model
+ * remembered from summarized turns. A series name alone ("my Ascent")
+ * narrows retrieval to the series.
+ *
+ * When nothing resolves and the answer depends on the model, the chat asks
+ * once; the user's reply is then matched and the original question answered.
+ */
+
+import type { SupportModel } from '../types';
+import manualData from '../../../../content/support/manual-definitions.json';
+
+// Asked when the model is needed but unknown; also how a reply to it is recognized
+export const MODEL_QUESTION = 'Which Vitamix blender do you have? Controls and parts differ between models, '
+  + 'so I\'ll answer from your owner\'s manual.';
+
+// Intent categories whose answers differ between models
+const MODEL_SPECIFIC_CATEGORIES = ['operation', 'assembly', 'troubleshooting'];
+
+// ============================================
+// Types
+// ============================================
+
+export interface SupportManual {
+  id: string;
+  name: string;
+  series: string;
+  models: string[];
+  /** Manual PDF */
+  url: string;
+}
+
+interface ModelContext {
+  productViewed?: string;
+  /** Product named by the intent classifier */
+  product?: string;
+  conversationHistory?: Array<{ role: string; content: string }>;
+  /** Model remembered from turns no longer kept verbatim (lib/support-memory.ts) */
+  rememberedModel?: string;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+const MANUALS = (manualData as { manuals: SupportManual[] }).manuals;
+const SERIES = [...new Set(MANUALS.map(manual => manual.series))];
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "A2500" also matches "A2500i"; "Propel 510" also matches "Propel510"
+const MODEL_PATTERNS = MANUALS.flatMap(manual => manual.models.map(model => ({
+  manual,
+  model,
+  pattern: new RegExp(`\\b${escapeRegExp(model).replace(/\s+/g, '\\s*')}[a-z]?\\b`, 'i'),
+})));
+
+/**
+ * Match one piece of text against the manual model lists
+ */
+function matchModel(text: string): Omit<SupportModel, 'source'> | null {
+  const matches = MODEL_PATTERNS.filter(({ pattern }) => pattern.test(text));
+  if (matches.length > 0) {
+    // Several models only resolve to a manual when they share it
+    const manual = matches[0].manual;
+    if (matches.every(match => match.manual === manual)) {
+      return {
+        model: matches.length === 1 ? matches[0].model : undefined,
+        series: manual.series,
+        manualId: manual.id,
+        manualName: manual.name,
+      };
+    }
+  }
+
+  const lower = text.toLowerCase();
+  const series = SERIES.filter(s => new RegExp(`\\b${s}\\b`).test(lower));
+  return series.length === 1 ? { series: series[0] } : null;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+export function getSupportManual(manualId: string): SupportManual | undefined {
+  return MANUALS.find(manual => manual.id === manualId);
+}
+
+/**
+ * Names offered as answers to MODEL_QUESTION
+ */
+export function getModelOptions(): string[] {
+  return MANUALS.map(manual => manual.name);
+}
+
+/**
+ * The user's blender model, from the most specific source that names one
+ */
+export function resolveSupportModel(query: string, context: ModelContext): SupportModel | null {
+  const userMessages = (context.conversationHistory || [])
+    .filter(message => message.role === 'user')
+    .map(message => message.content)
+    .reverse();
+
+  const candidates: Array<{ text: string | undefined; source: SupportModel['source'] }> = [
+    { text: query, source: 'query' },
+    { text: context.productViewed, source: 'page' },
+    { text: context.product, source: 'product' },
+    ...userMessages.map(text => ({ text, source: 'history' as const })),
+    { text: context.rememberedModel, source: 'history' },
+  ];
+
+  // A series-only match is kept in case nothing more specific turns up
+  let seriesOnly: SupportModel | null = null;
+  for (const { text, source } of candidates) {
+    if (!text) continue;
+    const match = matchModel(text);
+    if (match?.manualId) return { ...match, source };
+    if (match && !seriesOnly) seriesOnly = { ...match, source };
+  }
+  return seriesOnly;
+}
+
+/**
+ * Whether to ask for the model instead of answering: the answer depends on
+ * it, nothing identified the blender, and the question wasn't asked already
+ */
+export function shouldAskForModel(
+  category: string,
+  model: SupportModel | null,
+  conversationHistory: Array<{ role: string; content: string }>
+): boolean {
+  if (model || !MODEL_SPECIFIC_CATEGORIES.includes(category)) return false;
+  return !conversationHistory.some(message => message.role === 'assistant' && message.content === MODEL_QUESTION);
+}
+
+/**
+ * The question a reply to MODEL_QUESTION is about, if the last assistant
+ * message asked it
+ */
+export function getPendingQuestion(conversationHistory: Array<{ role: string; content: string }>): string | null {
+  const last = conversationHistory[conversationHistory.length - 1];
+  if (last?.role !== 'assistant' || last.content !== MODEL_QUESTION) return null;
+  const question = conversationHistory.slice(0, -1).reverse().find(message => message.role === 'user');
+  return question?.content || null;
+}
@@ -0,0 +1,495 @@
+/**
+ * Support Warranty - Warranty eligibility from structured warranty terms
+ *
+ * Product warranties used to be free text on each product, so the support
+ * chat could only link out to the warranty page. The terms now live in
+ * content/support/warranty-terms.json, per series and purchase channel (new
+ * or Certified Reconditioned), with model overrides where a series mixes
+ * terms and per-component years for commercial blenders.
+ *
+ * Given the model, purchase date and channel, checkWarranty works out which
+ * parts are still covered and until when, explains what that means for the
+ * problem the customer described, and writes a claim summary they can copy.
+ * Missing details are reported back so the caller can ask for them: the
+ * support chat asks in the conversation (details are read from every reply
+ * since it first asked), the warranty-checker block with a form
+ * (POST /support/warranty).
+ */
+
+import type {
+  WarrantyChannel,
+  WarrantyCheckRequest,
+  WarrantyCheckResponse,
+  WarrantyCoverage,
+  WarrantyDetail,
+} from '../types';
+import termsData from '../../../../content/support/warranty-terms.json';
+
+const WARRANTY_URL = 'https://www.vitamix.com/support/warranty';
+const SUPPORT_URL = 'https://www.vitamix.com/support';
+const SUPPORT_PHONE = '1-800-848-2649';
+
+// Every warranty question the chat asks starts with this; also how replies are recognized
+export const WARRANTY_PROMPT = 'To check your warranty coverage';
+
+// Coverage ending within this many days is flagged so the customer claims in time
+const EXPIRING_SOON_DAYS = 90;
+
+// Questions about the customer's own blender, rather than warranty terms in general
+const OWN_BLENDER_TERMS = /\b(my|mine|i|i'm|i've|we|our|covered|claim|eligible|still under|expired?)\b/i;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+// ============================================
+// Types
+// ============================================
+
+interface ChannelTerms {
+  /** Full warranty length */
+  years: number;
+  /** Years for components covered for a different length (commercial motor bases) */
+  components?: Record<string, number>;
+}
+
+interface WarrantyModel {
+  name: string;
+  /** Terms for new purchases when they differ from the series' */
+  new?: ChannelTerms;
+  note?: string;
+}
+
+interface WarrantySeries {
+  id: string;
+  name: string;
+  /** Names that identify the series without a model */
+  keywords: string[];
+  models: WarrantyModel[];
+  new: ChannelTerms;
+  /** Absent when the series isn't sold Certified Reconditioned */
+  reconditioned?: ChannelTerms;
+}
+
+interface WarrantyTerm {
+  id: string;
+  label: string;
+  keywords?: string[];
+}
+
+interface WarrantyTerms {
+  components: WarrantyTerm[];
+  exclusions: WarrantyTerm[];
+  series: WarrantySeries[];
+}
+
+interface ModelMatch {
+  series: WarrantySeries;
+  model?: WarrantyModel;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+const TERMS = termsData as WarrantyTerms;
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentions(text: string, keyword: string): boolean {
+  return new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text);
+}
+
+// Same matching as support-models: "A2500" also matches "A2500i", "Propel 510" "Propel510"
+const MODEL_PATTERNS = TERMS.series.flatMap(series => series.models.map(model => ({
+  series,
+  model,
+  pattern: new RegExp(`\\b${escapeRegExp(model.name).replace(/\s+/g, '\\s*')}[a-z]?\\b`, 'i'),
+})));
+
+/**
+ * Model named in the text, or the series when only one is named and its
+ * models all share the same terms
+ */
+function matchModel(text: string): ModelMatch | null {
+  const match = MODEL_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (match) return { series: match.series, model: match.model };
+
+  const series = TERMS.series.filter(s => s.keywords.some(keyword => mentions(text, keyword)));
+  return series.length === 1 ? { series: series[0] } : null;
+}
+
+function matchChannel(text: string): WarrantyChannel | undefined {
+  if (/\b(certified|reconditioned|refurbished|refurb)\b/i.test(text)) return 'reconditioned';
+  if (/\bbrand[- ]new\b|\b(bought|purchased|got) (it |mine |one )?new\b|^\s*new\b/i.test(text)) return 'new';
+  return undefined;
+}
+
+function utcDate(year: number, month: number, day: number): Date | null {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+function expandYear(year: string): number {
+  const value = parseInt(year, 10);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+/**
+ * Purchase date in the text: 2022-03-15, 3/15/2022, March 15, 2022,
+ * 15 March 2022, March 2022 (the 1st), or "2 years ago". A year alone isn't
+ * enough to tell whether coverage has run out.
+ */
+export function parsePurchaseDate(text: string, today: Date = new Date()): Date | null {
+  const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return utcDate(+iso[1], +iso[2] - 1, +iso[3]);
+
+  const us = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+  if (us) return utcDate(expandYear(us[3]), +us[1] - 1, +us[2]);
+
+  const month = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+  const monthFirst = text.match(new RegExp(`\\b${month}\\s+(?:(\\d{1,2})(?:st|nd|rd|th)?,?\\s+)?(\\d{4})\\b`, 'i'));
+  const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${month},?\\s+(\\d{4})\\b`, 'i'));
+  if (monthFirst) {
+    const m = MONTHS.findIndex(name => name.startsWith(monthFirst[1].toLowerCase()));
+    return utcDate(+monthFirst[3], m, monthFirst[2] ? +monthFirst[2] : 1);
+  }
+  if (dayFirst) {
+    const m = MONTHS.findIndex(name => name.startsWith(dayFirst[2].toLowerCase()));
+    return utcDate(+dayFirst[3], m, +dayFirst[1]);
+  }
+
+  const ago = text.match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(year|month)s?\s+ago\b/i);
+  if (ago) {
+    const count = NUMBER_WORDS[ago[1].toLowerCase()] ?? parseInt(ago[1], 10);
+    const months = ago[2].toLowerCase() === 'year' ? count * 12 : count;
+    return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - months, today.getUTCDate()));
+  }
+
+  return null;
+}
+
+function addYears(date: Date, years: number): Date {
+  return new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), date.getUTCDate()));
+}
+
+function toIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDate(date: Date): string {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function modelName(match: ModelMatch): string {
+  return match.model ? match.model.name : match.series.name;
+}
+
+/**
+ * Terms for the purchase: model overrides apply to new purchases only, since
+ * reconditioned terms are set per series
+ */
+function getChannelTerms(match: ModelMatch, channel: WarrantyChannel): ChannelTerms | undefined {
+  if (channel === 'reconditioned') return match.series.reconditioned;
+  return match.model?.new || match.series.new;
+}
+
+/**
+ * "10-year full warranty", or per component for commercial terms
+ */
+function describeTerms(terms: ChannelTerms): string {
+  const overrides = Object.entries(terms.components || {});
+  if (overrides.length === 0) return `${terms.years}-year full warranty`;
+  const parts = overrides.map(([id, years]) => {
+    const label = TERMS.components.find(component => component.id === id)?.label || id;
+    return `${years} years on the ${label.toLowerCase()}`;
+  });
+  return `${parts.join(', ')}; ${terms.years} year${terms.years === 1 ? '' : 's'} on other parts and labor`;
+}
+
+/**
+ * What the warranty means for the described problem: the parts it involves,
+ * whether each is still covered, and any exclusion it seems to fall under
+ */
+function explainIssue(issue: string, series: WarrantySeries, coverage: WarrantyCoverage[]): WarrantyCheckResponse['issue'] {
+  const involved = coverage.filter(part => TERMS.components
+    .find(component => component.id === part.component)?.keywords?.some(keyword => mentions(issue, keyword)));
+  const excluded = TERMS.exclusions
+    // Commercial blenders are meant for commercial use
+    .filter(exclusion => exclusion.id !== 'commercial-use' || series.id !== 'commercial')
+    .filter(exclusion => exclusion.keywords?.some(keyword => mentions(issue, keyword)))
+    .map(exclusion => exclusion.label);
+
+  const lines: string[] = [];
+  if (involved.length === 0) {
+    lines.push('I couldn\'t tell which part is affected, so Customer Service will confirm coverage once they know more.');
+  }
+  for (const part of involved) {
+    lines.push(part.active
+      ? `${part.label}: covered until ${formatDate(new Date(part.expires))}, including repair or replacement.`
+      : `${part.label}: coverage ended on ${formatDate(new Date(part.expires))}.`);
+  }
+  // Exclusions only matter while a part involved is still covered
+  if (excluded.length > 0 && (involved.length === 0 || involved.some(part => part.active))) {
+    lines.push(`The warranty doesn't cover ${excluded.map(label => label.toLowerCase()).join(' or ')}, `
+      + 'so Customer Service will confirm once they have looked at it.');
+  }
+
+  return {
+    description: issue,
+    components: involved.map(part => part.label),
+    exclusions: excluded,
+    explanation: lines.join(' '),
+  };
+}
+
+function buildClaimSummary(
+  match: ModelMatch,
+  channel: WarrantyChannel,
+  purchased: Date,
+  terms: ChannelTerms,
+  status: WarrantyCheckResponse['status'],
+  expires: Date,
+  issue: WarrantyCheckResponse['issue']
+): string {
+  const coverage = status === 'expired'
+    ? `coverage ended ${formatDate(expires)}`
+    : `covered until ${formatDate(expires)}`;
+  return [
+    'Vitamix warranty claim',
+    `Model: ${match.model ? `${match.model.name} (${match.series.name})` : match.series.name}`,
+    `Purchased: ${formatDate(purchased)}, ${channel === 'new' ? 'new' : 'Certified Reconditioned'}`,
+    `Warranty: ${describeTerms(terms)} - ${coverage}`,
+    `Problem: ${issue?.description || '[describe what happens]'}`,
+    ...(issue?.components.length ? [`Parts involved: ${issue.components.join(', ')}`] : []),
+    'Serial number: [on the label on the bottom of the motor base]',
+    'Proof of purchase: [attach your receipt or order confirmation]',
+  ].join('\n');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Model names offered when the model is missing, optionally for one series
+ */
+export function getWarrantyModels(seriesId?: string): string[] {
+  return TERMS.series
+    .filter(series => !seriesId || series.id === seriesId)
+    .flatMap(series => series.models.map(model => model.name));
+}
+
+/**
+ * Series names, offered in the chat before the model is narrowed down
+ */
+export function getWarrantySeriesNames(): string[] {
+  return TERMS.series.map(series => series.name);
+}
+
+/**
+ * Whether a warranty question is about the customer's own blender, and so
+ * worth checking coverage for
+ */
+export function isWarrantyCheck(query: string): boolean {
+  return OWN_BLENDER_TERMS.test(query);
+}
+
+/**
+ * Whether the text describes a problem with a part (or one the warranty
+ * excludes), rather than only asking about coverage
+ */
+export function describesIssue(text: string): boolean {
+  return [...TERMS.components, ...TERMS.exclusions]
+    .some(term => term.keywords?.some(keyword => mentions(text, keyword)));
+}
+
+/**
+ * Index of the first message of a warranty check in progress (the question
+ * that started it), or -1 when the last assistant message didn't ask for details
+ */
+export function getWarrantyThreadStart(conversationHistory: Array<{ role: string; content: string }>): number {
+  const last = conversationHistory[conversationHistory.length - 1];
+  if (last?.role !== 'assistant' || !last.content.startsWith(WARRANTY_PROMPT)) return -1;
+
+  let start = conversationHistory.length;
+  while (start > 0) {
+    const message = conversationHistory[start - 1];
+    if (message.role !== 'user' && !message.content.startsWith(WARRANTY_PROMPT)) break;
+    start--;
+  }
+  return start;
+}
+
+/**
+ * User messages of a warranty check in progress - the question that started
+ * it and every reply since - when the last assistant message asked for details
+ */
+export function getWarrantyThread(conversationHistory: Array<{ role: string; content: string }>): string[] | null {
+  const start = getWarrantyThreadStart(conversationHistory);
+  if (start < 0) return null;
+  return conversationHistory.slice(start)
+    .filter(message => message.role === 'user')
+    .map(message => message.content);
+}
+
+/**
+ * Model, date and channel found in free text (the chat's messages); later
+ * texts win over earlier ones
+ */
+export function extractWarrantyDetails(texts: Array<string | undefined>, today: Date = new Date()): WarrantyCheckRequest {
+  const details: WarrantyCheckRequest = {};
+  for (const text of texts) {
+    if (!text) continue;
+    // A series named later doesn't replace a model named earlier
+    const match = matchModel(text);
+    if (match && (match.model || !details.model)) details.model = modelName(match);
+    const channel = matchChannel(text);
+    if (channel) details.channel = channel;
+    const purchased = parsePurchaseDate(text, today);
+    if (purchased && purchased <= today) details.purchaseDate = toIsoDate(purchased);
+  }
+  return details;
+}
+
+/**
+ * Coverage status, expiry per component, what it means for the issue and a
+ * claim summary - or the details still needed. Errors are for values that
+ * can't be used (an unreadable or future purchase date).
+ */
+export function checkWarranty(
+  request: WarrantyCheckRequest,
+  today: Date = new Date()
+): WarrantyCheckResponse | { error: string } {
+  const missing: WarrantyDetail[] = [];
+
+  const match = request.model ? matchModel(request.model) : null;
+  // A series whose models have different terms needs the model
+  const needsModel = !match || (!match.model && match.series.models.some(model => model.new));
+  if (needsModel) missing.push('model');
+
+  let purchased: Date | null = null;
+  if (request.purchaseDate) {
+    purchased = parsePurchaseDate(request.purchaseDate, today);
+    if (!purchased) return { error: `Unrecognized purchase date: ${request.purchaseDate}` };
+    if (purchased > today) return { error: 'purchaseDate is in the future' };
+  } else {
+    missing.push('purchaseDate');
+  }
+
+  if (!request.channel) missing.push('channel');
+  else if (request.channel !== 'new' && request.channel !== 'reconditioned') {
+    return { error: 'channel must be "new" or "reconditioned"' };
+  }
+
+  const model = match ? { name: match.model?.name, series: match.series.id, seriesName: match.series.name } : undefined;
+  if (missing.length > 0 || !match || !purchased || !request.channel) {
+    return {
+      missing,
+      model,
+      models: needsModel ? getWarrantyModels(match?.series.id) : undefined,
+    };
+  }
+
+  const channel = request.channel;
+  const terms = getChannelTerms(match, channel);
+  if (!terms) {
+    return {
+      missing: [],
+      model,
+      channel,
+      purchaseDate: toIsoDate(purchased),
+      status: 'unknown',
+      note: `We don't have warranty terms for a Certified Reconditioned ${modelName(match)}. `
+        + `Vitamix Customer Service (${SUPPORT_PHONE}) can confirm your coverage.`,
+      actions: [{ label: `Contact Customer Service (${SUPPORT_PHONE})`, url: SUPPORT_URL }],
+    };
+  }
+
+  const coverage: WarrantyCoverage[] = TERMS.components.map(component => {
+    const years = terms.components?.[component.id] ?? terms.years;
+    const expires = addYears(purchased!, years);
+    return { component: component.id, label: component.label, years, expires: toIsoDate(expires), active: expires > today };
+  });
+
+  const expires = addYears(purchased, Math.max(...coverage.map(c => c.years)));
+  const activeCount = coverage.filter(c => c.active).length;
+  let status: WarrantyCheckResponse['status'];
+  if (activeCount === 0) status = 'expired';
+  else if (activeCount < coverage.length) status = 'partial';
+  else status = 'covered';
+  const expiringSoon = status !== 'expired'
+    && coverage.some(c => c.active && new Date(c.expires).getTime() - today.getTime() < EXPIRING_SOON_DAYS * 86400000);
+
+  const issue = request.issue?.trim() ? explainIssue(request.issue.trim(), match.series, coverage) : undefined;
+  const claimable = status !== 'expired' && (!issue?.components.length || issue.components.some(label =>
+    coverage.find(c => c.label === label)?.active));
+
+  console.log(`[Warranty] ${modelName(match)} (${channel}, ${toIsoDate(purchased)}): ${status}`);
+
+  return {
+    missing: [],
+    model,
+    channel,
+    purchaseDate: toIsoDate(purchased),
+    status,
+    terms: describeTerms(terms),
+    expires: toIsoDate(expires),
+    expiringSoon,
+    coverage,
+    issue,
+    note: match.model?.note,
+    claimSummary: buildClaimSummary(match, channel, purchased, terms, status, expires, issue),
+    actions: claimable
+      ? [
+        { label: 'Start a warranty claim', url: WARRANTY_URL },
+        { label: `Contact Customer Service (${SUPPORT_PHONE})`, url: SUPPORT_URL },
+      ]
+      : [{ label: `Contact Customer Service (${SUPPORT_PHONE})`, url: SUPPORT_URL }],
+  };
+}
+
+/**
+ * Chat question for the details still missing
+ */
+export function getWarrantyQuestion(result: WarrantyCheckResponse): string {
+  const asks: string[] = [];
+  if (result.missing.includes('model')) {
+    asks.push(result.model ? `which ${result.model.seriesName} model you have` : 'which Vitamix model you have');
+  }
+  if (result.missing.includes('purchaseDate')) asks.push('when you bought it (the date on your receipt, or at least the month and year)');
+  if (result.missing.includes('channel')) asks.push('whether you bought it new or Certified Reconditioned');
+  const list = asks.length > 1 ? `${asks.slice(0, -1).join(', ')} and ${asks[asks.length - 1]}` : asks[0];
+  return `${WARRANTY_PROMPT}, please tell me ${list}.`;
+}
+
+/**
+ * Chat answer for a completed check
+ */
+export function formatWarrantyAnswer(result: WarrantyCheckResponse): string {
+  const name = result.model?.name || result.model?.seriesName || 'blender';
+  if (result.status === 'unknown') return result.note || '';
+
+  const expires = formatDate(new Date(result.expires!));
+  const headline: Record<string, string> = {
+    covered: `Good news - your ${name} is covered until ${expires} (${result.terms}).`,
+    partial: `Your ${name} is partly covered (${result.terms}): some parts are still under warranty until ${expires}.`,
+    expired: `Your ${name}'s warranty ended on ${expires} (${result.terms}).`,
+  };
+
+  const parts = [headline[result.status!]];
+  if (result.expiringSoon) parts.push('Part of your coverage ends within the next three months, so start a claim soon if you need one.');
+  if (result.issue) parts.push(result.issue.explanation);
+  if (result.note) parts.push(result.note);
+  if (result.status === 'expired') {
+    parts.push(`Vitamix Customer Service (${SUPPORT_PHONE}) can still help with out-of-warranty repairs and replacement parts.`);
+  } else {
+    parts.push(`I've put together a claim summary below you can copy into your claim at ${WARRANTY_URL}.`);
+  }
+  return parts.join('\n\n');
+}
@@ -0,0 +1,163 @@
+/**
+ * Usage Tracker - Per-generation token, latency and cost accounting
+ *
+ * The orchestrator attaches a tracker to env.USAGE_TRACKER for the duration of
+ * a generation; ModelFactory.call() records every completed model call into it.
+ * The summary is emitted with generation-complete and reported to the
+ * analytics worker (/api/analytics/costs) so presets can be compared.
+ */
+
+import type { Env, GenerationUsage, ModelRole, UsageTotals } from '../types';
+import { signServiceRequest } from './request-auth';
+
+const DEFAULT_ANALYTICS_URL = 'https://vitamix-gensite-analytics.paolo-moz.workers.dev';
+
+// ============================================
+// Pricing
+// ============================================
+
+/**
+ * Estimated list prices in USD per 1M tokens, matched by model name prefix.
+ * Unknown models are counted with zero cost (tokens and latency still tracked).
+ */
+const MODEL_PRICING: Array<{ prefix: string; input: number; output: number }> = [
+  { prefix: 'claude-opus-4-5', input: 5, output: 25 },
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-haiku-4-5', input: 1, output: 5 },
+  { prefix: 'gpt-oss-120b', input: 0.35, output: 0.75 },
+  { prefix: 'llama-3.3-70b', input: 0.85, output: 1.2 },
+  { prefix: 'llama-3.1-8b', input: 0.1, output: 0.1 },
+  { prefix: 'qwen-3-32b', input: 0.4, output: 0.8 },
+];
+
+/**
+ * Estimate the cost of a call in USD
+ */
+export function estimateCost(model: string, inputTokens: number, outputTokens: number): number {
+  const pricing = MODEL_PRICING.find((p) => model.startsWith(p.prefix));
+  if (!pricing) return 0;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
+// ============================================
+// Tracker
+// ============================================
+
+export interface ModelUsageRecord {
+  role: ModelRole;
+  model: string;
+  /** Block type when the call generated a page block */
+  blockType?: string;
+  inputTokens: number;
+  outputTokens: number;
+  latencyMs: number;
+}
+
+function emptyTotals(): UsageTotals {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCostUsd: 0 };
+}
+
+function addToTotals(totals: UsageTotals, record: ModelUsageRecord, cost: number): void {
+  totals.calls += 1;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.latencyMs += record.latencyMs;
+  totals.estimatedCostUsd += cost;
+}
+
+function roundCost(totals: UsageTotals): UsageTotals {
+  return { ...totals, estimatedCostUsd: Math.round(totals.estimatedCostUsd * 1e6) / 1e6 };
+}
+
+export class UsageTracker {
+  private preset: string;
+  private records: ModelUsageRecord[] = [];
+
+  constructor(preset: string) {
+    this.preset = preset;
+  }
+
+  /**
+   * Record a completed model call
+   */
+  record(record: ModelUsageRecord): void {
+    this.records.push(record);
+  }
+
+  /**
+   * Aggregate everything recorded so far, by role and by block type
+   */
+  getSummary(): GenerationUsage {
+    const totals = emptyTotals();
+    const byRole: Partial<Record<ModelRole, UsageTotals>> = {};
+    const byBlock: Record<string, UsageTotals> = {};
+
+    for (const record of this.records) {
+      const cost = estimateCost(record.model, record.inputTokens, record.outputTokens);
+      addToTotals(totals, record, cost);
+
+      const roleTotals = byRole[record.role] || emptyTotals();
+      addToTotals(roleTotals, record, cost);
+      byRole[record.role] = roleTotals;
+
+      if (record.blockType) {
+        byBlock[record.blockType] = byBlock[record.blockType] || emptyTotals();
+        addToTotals(byBlock[record.blockType], record, cost);
+      }
+    }
+
+    const round = (map: Record<string, UsageTotals>) =>
+      Object.fromEntries(Object.entries(map).map(([key, value]) => [key, roundCost(value)]));
+
+    return {
+      preset: this.preset,
+      totals: roundCost(totals),
+      byRole: round(byRole as Record<string, UsageTotals>),
+      byBlock: round(byBlock),
+    };
+  }
+}
+
+// ============================================
+// Analytics Reporting
+// ============================================
+
+/**
+ * Send a generation's signed usage summary to the analytics worker.
+ * Never throws - cost reporting must not affect generation.
+ */
+export async function reportGenerationUsage(
+  env: Env,
+  usage: GenerationUsage,
+  meta: { query?: string; duration?: number }
+): Promise<void> {
+  const baseUrl = (env.ANALYTICS_URL || DEFAULT_ANALYTICS_URL).replace(/\/+$/, '');
+  if (!env.REQUEST_SIGNING_SECRET) {
+    console.warn('[UsageTracker] REQUEST_SIGNING_SECRET not set, skipping usage report');
+    return;
+  }
+
+  try {
+    const url = `${baseUrl}/api/analytics/costs`;
+    const body = JSON.stringify({
+      ...usage,
+      query: meta.query?.slice(0, 200),
+      duration: meta.duration,
+      timestamp: Date.now(),
+    });
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await signServiceRequest(env.REQUEST_SIGNING_SECRET, 'POST', url, body)),
+      },
+      body,
+    });
+    if (!response.ok) {
+      console.warn(`[UsageTracker] Analytics rejected usage report: ${response.status}`);
+    }
+  } catch (error) {
+    console.warn('[UsageTracker] Failed to report usage:', error);
+  }
+}
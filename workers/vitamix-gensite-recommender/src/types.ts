@@ -3,6 +3,9 @@
  * Core type definitions for the AI-driven recommendation system
  */
 
+import type { ModelCallHarness } from './ai-clients/model-factory';
+import type { UsageTracker } from './lib/usage-tracker';
+
 // ============================================
 // Product Types
 // ============================================
@@ -45,6 +48,8 @@ export interface ProductSpecs {
   dimensions?: string;
   weight?: string;
   motorHP?: string;
+  /** Commercial models list peak horsepower instead of watts */
+  horsepower?: string;
   containerMaterial?: string;
   bladeType?: string;
 }
@@ -352,7 +357,8 @@ export type BlockType =
   | 'allergen-safety'     // Cross-contamination protocols
   // Phase 3 blocks - operational guidance
   | 'technique-spotlight' // Pro blending techniques with visual guides
-  | 'troubleshooting-steps'; // Step-by-step problem resolution
+  | 'troubleshooting-steps' // Step-by-step problem resolution
+  | 'warranty-checker';   // Warranty eligibility form with claim summary
 
 // ============================================
 // Product Selection Types (LLM-driven)
@@ -546,18 +552,152 @@ export interface ContentChunk {
 // SSE Event Types
 // ============================================
 
-export type SSEEvent =
-  | { event: 'generation-start'; data: { query: string; estimatedBlocks: number } }
-  | { event: 'reasoning-start'; data: { model: string; preset?: string; heroFastPath?: boolean } }
-  | { event: 'reasoning-step'; data: { stage: string; title: string; content: string } }
-  | { event: 'reasoning-complete'; data: { confidence: { intent: number; productMatch: number }; duration: number } }
-  | { event: 'block-start'; data: { blockType: BlockType; index: number; fastPath?: boolean } }
-  | { event: 'block-content'; data: { html: string; sectionStyle?: string; heroComposition?: { textPlacement: string; backgroundTone: string; aspectRatio: string } } }
-  | { event: 'block-rationale'; data: { blockType: BlockType; rationale: string } }
-  | { event: 'image-ready'; data: { imageId: string; url: string } }
-  | { event: 'suggestion-enhancement'; data: SuggestionEnhancementData }
-  | { event: 'generation-complete'; data: GenerationCompleteData }
-  | { event: 'error'; data: { message: string; code?: string } };
+/**
+ * Version of the SSE event payloads below, sent in generation-start.
+ * Bump it when a payload changes shape, and teach lib/stream-protocol.ts
+ * to translate the change for clients pinned to an older version.
+ *
+ * 1 - original shapes (numeric reasoning confidence, block ids for stream-renderer)
+ * 2 - dual reasoning confidence, block indexes, validation/grounding/refine events
+ */
+export const STREAM_PROTOCOL_VERSION = 2;
+
+export interface GenerationStartData {
+  query: string;
+  estimatedBlocks: number;
+  /** Payload version this stream uses (see STREAM_PROTOCOL_VERSION) */
+  protocolVersion: number;
+  /** Signal interpretation metadata (extension flow) */
+  interpretation?: {
+    primaryIntent: string;
+    emotionalContext?: string;
+    specificNeeds?: string[];
+  };
+}
+
+export interface ReasoningStartData {
+  model: string;
+  provider?: string;
+  preset?: string;
+  heroFastPath?: boolean;
+}
+
+export interface ReasoningStepData {
+  stage: string;
+  title: string;
+  content: string;
+}
+
+export interface ReasoningCompleteData {
+  confidence: { intent: number; productMatch: number };
+  duration: number;
+}
+
+export interface BlockStartData {
+  blockType: BlockType;
+  index: number;
+  fastPath?: boolean;
+}
+
+export interface BlockContentData {
+  html: string;
+  sectionStyle?: string;
+  heroComposition?: { textPlacement: string; backgroundTone: string; aspectRatio: string };
+}
+
+export interface BlockRationaleData {
+  blockType: BlockType;
+  rationale: string;
+}
+
+export interface ImageReadyData {
+  imageId: string;
+  url: string;
+}
+
+export interface StreamErrorData {
+  message: string;
+  code?: string;
+}
+
+/**
+ * Why input safety replaced a generation with a canned page (lib/input-safety.ts)
+ */
+export type SafetyCategory = 'prompt-injection' | 'off-topic' | 'offensive' | 'pii';
+
+export interface SafetyInterceptData {
+  category: SafetyCategory;
+}
+
+/**
+ * Payload type of every SSE event, keyed by event name
+ */
+export interface SSEEventMap {
+  'generation-start': GenerationStartData;
+  'reasoning-start': ReasoningStartData;
+  'reasoning-step': ReasoningStepData;
+  'reasoning-complete': ReasoningCompleteData;
+  'block-start': BlockStartData;
+  'block-content': BlockContentData;
+  'block-rationale': BlockRationaleData;
+  'image-ready': ImageReadyData;
+  'suggestion-enhancement': SuggestionEnhancementData;
+  'block-validation': BlockValidationData;
+  'generation-complete': GenerationCompleteData;
+  'safety-intercept': SafetyInterceptData;
+  'refine-start': { instruction: string; totalBlocks: number };
+  'block-replace': RefineBlockData;
+  'block-remove': { index: number; blockType: string };
+  'block-insert': RefineBlockData;
+  'refine-complete': RefineCompleteData;
+  error: StreamErrorData;
+}
+
+export type SSEEventName = keyof SSEEventMap;
+
+export type SSEEvent = {
+  [K in SSEEventName]: { event: K; data: SSEEventMap[K] };
+}[SSEEventName];
+
+/**
+ * A block streamed by /refine. `index` is the block's position in the page
+ * as the client has it, with every earlier refine event already applied.
+ */
+export interface RefineBlockData {
+  index: number;
+  blockType: string;
+  html: string;
+  sectionStyle?: string;
+}
+
+export interface RefineCompleteData {
+  /** One-line description of what changed, from the refinement planner */
+  summary: string;
+  /** Number of replaced, removed and inserted blocks */
+  changed: number;
+  totalBlocks: number;
+  duration: number;
+  usage?: GenerationUsage;
+}
+
+/**
+ * Outcome of validating a generated block against its schema (block-rules.ts).
+ * Only sent for blocks that were repaired, regenerated or dropped.
+ */
+export interface BlockValidationData {
+  blockType: string;
+  index: number;
+  /** True when the streamed HTML satisfies the schema */
+  valid: boolean;
+  /** Mechanical fixes applied (e.g. "closed unclosed elements") */
+  repairs: string[];
+  /** Structural problems left after regeneration */
+  issues: string[];
+  /** The block was regenerated once with the issues fed back to the model */
+  regenerated: boolean;
+  /** The block was replaced with empty content because it stayed invalid */
+  dropped: boolean;
+}
 
 /**
  * Enhanced suggestions from background AI reasoning.
@@ -586,6 +726,65 @@ export interface GenerationCompleteData {
     recipes: string[];
     blockTypes: string[];
   };
+  /** True when the stream was replayed from the generation cache */
+  cached?: boolean;
+  /** Token, latency and cost accounting for the model calls made so far */
+  usage?: GenerationUsage;
+  /** Catalog fact-check of product names, prices and specs across the page */
+  grounding?: GroundingReport;
+  /** Set when the query was screened out and a canned page served instead */
+  safety?: SafetyCategory;
+}
+
+/**
+ * A product claim in generated content that did not match the catalog
+ */
+export interface GroundingIssue {
+  blockType: string;
+  /** Catalog product id the claim was attributed to (absent for unknown products) */
+  productId?: string;
+  claim: 'product' | 'price' | 'watts' | 'horsepower' | 'capacity' | 'warranty';
+  /** Text as generated */
+  found: string;
+  /** Catalog value */
+  expected?: string;
+  /** Rewritten in place, or left as-is and only reported */
+  action: 'corrected' | 'flagged';
+}
+
+/**
+ * Per-page grounding summary. The score is the share of checked claims
+ * that matched the catalog before any corrections (1 when nothing was checkable).
+ */
+export interface GroundingReport {
+  score: number;
+  checked: number;
+  verified: number;
+  corrected: number;
+  flagged: number;
+  issues: GroundingIssue[];
+}
+
+/**
+ * Aggregated model usage for a set of calls
+ */
+export interface UsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  /** Sum of call latencies (calls may overlap, so this can exceed wall time) */
+  latencyMs: number;
+  estimatedCostUsd: number;
+}
+
+/**
+ * Per-generation usage summary, by model role and by generated block type
+ */
+export interface GenerationUsage {
+  preset: string;
+  totals: UsageTotals;
+  byRole: Partial<Record<ModelRole, UsageTotals>>;
+  byBlock: Record<string, UsageTotals>;
 }
 
 // ============================================
@@ -594,13 +793,33 @@ export interface GenerationCompleteData {
 
 export type ModelRole = 'reasoning' | 'content' | 'classification' | 'validation';
 
-export type ModelProvider = 'anthropic' | 'cerebras' | 'google';
+/**
+ * Built-in provider names. Additional providers registered at runtime via
+ * registerModelProvider() can be referenced by any other name.
+ */
+export type ModelProvider =
+  | 'anthropic'
+  | 'cerebras'
+  | 'google'
+  | 'openai-compatible'
+  | 'stub'
+  | (string & {});
 
 export interface ModelConfig {
   provider: ModelProvider;
   model: string;
   maxTokens?: number;
   temperature?: number;
+  /** Base URL for OpenAI-compatible endpoints (e.g. https://host/v1) */
+  baseUrl?: string;
+  /** Name of the env binding that holds the API key for this endpoint */
+  apiKeyEnv?: string;
+  /** Per-attempt timeout (defaults per provider, see model-resilience.ts) */
+  timeoutMs?: number;
+  /** Retries for 429/5xx/network errors before moving to the next fallback */
+  maxRetries?: number;
+  /** Tried in order when this model fails, times out or its circuit is open */
+  fallbacks?: ModelConfig[];
 }
 
 export interface ModelPreset {
@@ -620,6 +839,9 @@ export interface Env {
   CEREBRAS_API_KEY?: string;
   CEREBRAS_KEY?: string;  // Alternative name used in some deployments
   GOOGLE_API_KEY?: string;
+  // Generic OpenAI-compatible endpoint (provider: 'openai-compatible')
+  OPENAI_COMPATIBLE_BASE_URL?: string;
+  OPENAI_COMPATIBLE_API_KEY?: string;
 
   // Cloudflare Bindings
   AI: Ai;
@@ -640,7 +862,39 @@ export interface Env {
 
   // Configuration
   MODEL_PRESET?: string;
+  /** JSON map of per-role ModelConfig overrides applied on top of the preset */
+  MODEL_OVERRIDES?: string;
   DEBUG?: string;
+  // Generation cache: TTL in seconds, and "memory" to force the in-memory backend
+  GENERATION_CACHE_TTL?: string;
+  GENERATION_CACHE_BACKEND?: string;
+
+  // Analytics worker base URL for cost reporting and page traffic (defaults to the deployed worker)
+  ANALYTICS_URL?: string;
+
+  // Write endpoint auth (lib/request-auth.ts): HMAC secret, comma-separated origin patterns
+  // and the Chrome extension id allowed to request tokens
+  REQUEST_SIGNING_SECRET?: string;
+  ALLOWED_ORIGINS?: string;
+  EXTENSION_ID?: string;
+
+  // Publish dedup (lib/published-pages.ts): query similarity threshold, and age after which a match is republished
+  PAGE_DEDUP_THRESHOLD?: string;
+  PAGE_DEDUP_MAX_AGE_HOURS?: string;
+
+  // Page lifecycle cron (lib/page-lifecycle.ts): days before a page can be removed, days without a
+  // republish before it is stale, minimum views over the traffic window, regenerations per run,
+  // and "true" to only report what the cron would do
+  PAGE_GRACE_DAYS?: string;
+  PAGE_MAX_AGE_DAYS?: string;
+  PAGE_MIN_VIEWS?: string;
+  PAGE_MAX_REGENERATIONS?: string;
+  PAGE_LIFECYCLE_DRY_RUN?: string;
+
+  // Per-request record/replay hooks (set by lib/replay-harness.ts, never a binding)
+  MODEL_HARNESS?: ModelCallHarness;
+  // Per-generation usage accounting (set by the orchestrator, never a binding)
+  USAGE_TRACKER?: UsageTracker;
 }
 
 // ============================================
@@ -756,7 +1010,9 @@ export type ContentType = 'recipes' | 'reviews' | 'specs' | 'warranty' | 'compar
 export interface SupportChatRequest {
   /** User's support question */
   query: string;
-  /** Previous messages in the conversation */
+  /** Id from an earlier response; the worker keeps the conversation under it */
+  conversationId?: string;
+  /** Recent messages, only used when the worker has no record of the conversation */
   conversationHistory?: Array<{ role: string; content: string }>;
   /** Context from the current page */
   pageContext?: {
@@ -775,6 +1031,182 @@ export interface SupportChatResponse {
   fullPageUrl?: string;
   /** Suggested follow-up topics */
   relatedTopics?: string[];
+  /** Manual sections the answer cites, numbered as the [n] markers in quickAnswer */
+  citations?: SupportCitation[];
+  /** False when quickAnswer isn't backed by cited manual sections (declined to guess, asked for the model, or a warranty check) */
+  grounded: boolean;
+  /** Blender model the answer was scoped to */
+  model?: SupportModel;
+  /** Warranty check behind a warranty answer, with the claim summary to copy */
+  warranty?: WarrantyCheckResponse;
+  /** Send back with the next message to continue the conversation */
+  conversationId?: string;
+}
+
+/**
+ * What a support conversation has established, summarized from turns the
+ * worker no longer keeps verbatim (lib/support-memory.ts)
+ */
+export interface SupportConversationState {
+  /** Blender the customer owns */
+  model?: string;
+  /** Problem they're working on */
+  issue?: string;
+  /** Fixes they've already tried, oldest first */
+  stepsTried: string[];
+  summary?: string;
+}
+
+/**
+ * Blender model a support question was resolved to (lib/support-models.ts)
+ */
+export interface SupportModel {
+  /** Model as named in the manual definitions; absent when only the manual or series is known */
+  model?: string;
+  series: string;
+  manualId?: string;
+  manualName?: string;
+  /** Where the model was found */
+  source: 'query' | 'page' | 'product' | 'history';
+}
+
+/**
+ * Owner's manual section cited by a support chat answer
+ */
+export interface SupportCitation {
+  /** Marker number used in the answer text, e.g. 1 for [1] */
+  id: number;
+  manual: string;
+  models: string[];
+  section: string;
+  /** PDF page the cited chunk starts on (absent for chunks indexed without pages) */
+  page?: number;
+  /** Manual PDF, anchored to the page when known */
+  url?: string;
+  /** Set when the manual isn't the one for the user's resolved model */
+  otherModel?: boolean;
+}
+
+/**
+ * Request to the guided troubleshooting endpoint (POST /support/diagnose).
+ * Omit step to start a symptom's flow; pass the step just shown and the
+ * user's answer to advance it.
+ */
+export interface DiagnoseRequest {
+  /** Symptom id; matched from query when omitted */
+  symptom?: string;
+  /** Free text describing the problem (block title, user question) */
+  query?: string;
+  step?: string;
+  answer?: 'yes' | 'no';
+}
+
+/**
+ * Manual section a troubleshooting step or outcome comes from
+ */
+export interface DiagnoseSource {
+  manual: string;
+  section: string;
+  /** Manual PDF */
+  url?: string;
+}
+
+/**
+ * Next step of a guided troubleshooting flow
+ */
+export interface DiagnoseResponse {
+  /** Null when no symptom matched the query */
+  symptom: { id: string; title: string } | null;
+  /** Yes/no question to show next, with anything to try first */
+  step?: {
+    id: string;
+    question: string;
+    detail?: string;
+    instructions?: string[];
+    safety?: string;
+    source?: DiagnoseSource;
+  };
+  /** End of the flow */
+  outcome?: {
+    id: string;
+    resolved: boolean;
+    title: string;
+    detail: string;
+    source?: DiagnoseSource;
+    /** Warranty and contact options, on unresolved outcomes */
+    actions?: Array<{ label: string; url: string }>;
+  };
+  /** Available symptoms, when none matched */
+  symptoms?: Array<{ id: string; title: string }>;
+}
+
+export type WarrantyChannel = 'new' | 'reconditioned';
+
+/**
+ * Details a warranty check can't run without
+ */
+export type WarrantyDetail = 'model' | 'purchaseDate' | 'channel';
+
+/**
+ * Request to the warranty checker (POST /support/warranty)
+ */
+export interface WarrantyCheckRequest {
+  /** Model or series name, e.g. "E310" or "Ascent X3" */
+  model?: string;
+  /** Purchase date: ISO (as a date input sends it) or written out, e.g. "March 2022" */
+  purchaseDate?: string;
+  channel?: WarrantyChannel;
+  /** The problem, to explain what is covered for it */
+  issue?: string;
+}
+
+/**
+ * Warranty coverage of one component
+ */
+export interface WarrantyCoverage {
+  component: string;
+  label: string;
+  years: number;
+  /** ISO date coverage ends */
+  expires: string;
+  active: boolean;
+}
+
+/**
+ * Warranty eligibility, or the details still needed to work it out
+ */
+export interface WarrantyCheckResponse {
+  /** Empty once the check could run */
+  missing: WarrantyDetail[];
+  /** Model as resolved; name is absent when only the series is known */
+  model?: { name?: string; series: string; seriesName: string };
+  /** Model names to pick from, when the model is missing */
+  models?: string[];
+  channel?: WarrantyChannel;
+  /** ISO purchase date */
+  purchaseDate?: string;
+  /** partial: some components (commercial motor bases) outlast the rest; unknown: no terms for the channel */
+  status?: 'covered' | 'partial' | 'expired' | 'unknown';
+  /** e.g. "10-year full warranty" */
+  terms?: string;
+  /** ISO date the last coverage ends */
+  expires?: string;
+  /** Some coverage ends within 90 days */
+  expiringSoon?: boolean;
+  coverage?: WarrantyCoverage[];
+  /** What the warranty means for the described problem */
+  issue?: {
+    description: string;
+    /** Labels of the components the problem involves */
+    components: string[];
+    /** Exclusions the problem may fall under */
+    exclusions: string[];
+    explanation: string;
+  };
+  note?: string;
+  /** Plain-text claim for the customer to copy */
+  claimSummary?: string;
+  actions?: Array<{ label: string; url: string }>;
 }
 
 /**
@@ -799,4 +1231,9 @@ export interface SupportContentMetadata {
   product_series: string;
   models: string[];
   section_title: string;
+  manual_id?: string;
+  manual_name?: string;
+  manual_url?: string;
+  page?: number;
+  chunk_index?: number;
 }
@@ -0,0 +1,52 @@
+/**
+ * Hybrid retrieval against a stubbed Vectorize index: vector matches have to
+ * reach the RAG context even when the keyword ranking found nothing.
+ */
+
+import { describe, expect, it } from 'vitest';
+import type { Env } from '../src/types';
+import type { RAGContext } from '../src/content/content-service';
+import { fuseVectorMatches, queryVectorMatches } from '../src/content/hybrid-retrieval';
+
+const RECIPE_URL = 'https://www.vitamix.com/us/en_us/recipes/acorn-squash-soup/';
+const PRODUCT_IDS = ['ascent-x5', 'certified-reconditioned-a2500', 'propel-series-750'];
+
+const env = {
+  AI: {
+    run: async () => ({ data: [[0.1, 0.2, 0.3]] }),
+  },
+  VECTORIZE: {
+    query: async (_vector: number[], options: { filter: { content_type: string } }) => ({
+      matches: options.filter.content_type === 'recipe'
+        ? [{ id: 'recipe-1', score: 0.9, metadata: { source_url: RECIPE_URL } }]
+        : PRODUCT_IDS.map((id, i) => ({ id, score: 0.9 - i / 10, metadata: { product_id: id } })),
+    }),
+  },
+} as unknown as Env;
+
+// A paraphrase ("something warm for a cold night") matches no keywords
+const emptyKeywordContext = {
+  relevantProducts: [],
+  relevantRecipes: [],
+  relevantArticles: [],
+  relevantUseCases: [],
+  detectedPersona: null,
+} as unknown as RAGContext;
+
+describe('hybrid retrieval', () => {
+  it('keeps vector matches for a query with no keyword matches', async () => {
+    const matches = await queryVectorMatches(env, 'something warm for a cold night');
+    expect(matches).not.toBeNull();
+
+    const context = fuseVectorMatches(emptyKeywordContext, matches!);
+    expect(context.relevantRecipes.map(r => r.url)).toEqual([RECIPE_URL]);
+    expect(context.relevantProducts.map(p => p.id)).toEqual(PRODUCT_IDS);
+  });
+
+  it('applies the gift rule to vector matches', async () => {
+    const matches = await queryVectorMatches(env, 'a present for my sister');
+
+    const context = fuseVectorMatches(emptyKeywordContext, matches!, { intentType: 'gift' });
+    expect(context.relevantProducts.map(p => p.id)).toEqual(['ascent-x5', 'propel-series-750']);
+  });
+});
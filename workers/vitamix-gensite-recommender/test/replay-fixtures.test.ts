@@ -0,0 +1,73 @@
+/**
+ * Replays every generation fixture in fixtures/generations/ (recorded from
+ * sample-queries.md against live models with tools/replay-harness.js) offline,
+ * and fails when a code change alters the block HTML, the SSE event sequence
+ * or the publish verdict. After an intended change, re-record.
+ *
+ * The harness itself is checked against a test-only provider, so it is
+ * covered even before any fixtures are recorded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { beforeAll, describe, expect, it } from 'vitest';
+import type { Env } from '../src/types';
+import { registerModelPreset } from '../src/ai-clients/model-factory';
+import { getStubKey, registerModelProvider } from '../src/ai-clients/model-providers';
+import { recordGeneration, replayGeneration, type GenerationFixture } from '../src/lib/replay-harness';
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/generations');
+
+const fixtures = fs.existsSync(FIXTURES_DIR)
+  ? fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file, JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8')) as GenerationFixture] as const)
+  : [];
+
+describe.skipIf(fixtures.length === 0)('generation fixtures', () => {
+  it.each(fixtures)('%s replays unchanged', async (_file, fixture) => {
+    const result = await replayGeneration(fixture, {} as Env);
+
+    expect(result.missedCalls).toBe(0);
+    expect(result.sequence).toEqual(fixture.events.map(e => e.event));
+    expect(result.blockDiffs).toEqual([]);
+    expect(result.moderationMatches).toBe(true);
+  });
+});
+
+describe('replay harness', () => {
+  // Answers every call with a marker of its prompt, so a changed prompt changes the output
+  beforeAll(() => {
+    registerModelProvider({
+      name: 'harness-test',
+      async call({ role, config, messages }) {
+        return { content: `<p>${getStubKey(role, messages)}</p>`, model: config.model };
+      },
+    });
+    const config = { provider: 'harness-test', model: 'harness-test' };
+    registerModelPreset('harness-test', { reasoning: config, content: config, classification: config, validation: config });
+  });
+
+  const request = { query: 'Best blender for green smoothies', slug: 'harness-test', preset: 'harness-test' };
+
+  it('replays a recording unchanged', async () => {
+    const fixture = await recordGeneration(request, {} as Env);
+    const result = await replayGeneration(fixture, {} as Env);
+
+    expect(fixture.modelCalls.length).toBeGreaterThan(0);
+    expect(result.missedCalls).toBe(0);
+    expect(result.sequenceMatches).toBe(true);
+    expect(result.blockDiffs).toEqual([]);
+    expect(result.moderationMatches).toBe(true);
+  });
+
+  it('counts a changed prompt as a missed call', async () => {
+    const fixture = await recordGeneration(request, {} as Env);
+    // A call recorded before a prompt change: its key no longer matches the new prompt
+    const [first] = fixture.modelCalls;
+    first.key = getStubKey(first.role, [{ role: 'user', content: 'An older prompt' }]);
+    const result = await replayGeneration(fixture, {} as Env);
+
+    expect(result.missedCalls).toBeGreaterThan(0);
+  });
+});